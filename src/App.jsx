@@ -1,5 +1,4 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
-import { useAuth } from "./context/AuthContext";
 
 import HodLogin from "./pages/HodLogin";
 import HodRegister from "./pages/HodRegister";
@@ -11,80 +10,86 @@ import StudentsPage from "./pages/StudentsPage";
 import AssignStudentsPage from "./pages/AssignStudentsPage";
 import HodProfile from "./pages/HodProfile";
 import ProtectedRoute from "./components/ProtectedRoute";
+import GuestRoute from "./components/GuestRoute";
 import { ConfirmProvider } from "./components/ConfirmProvider"; // ⬅️ add this
 import HodAttendance from "./pages/HodAttendance";
+import StudentProfilePage from "./pages/StudentProfilePage";
+import TrashPage from "./pages/TrashPage";
+import AuditLogPage from "./pages/AuditLogPage";
+import ProfessorLogin from "./pages/ProfessorLogin";
+import ProfessorDashboard from "./pages/ProfessorDashboard";
+import ProfessorClassPage from "./pages/ProfessorClassPage";
+import HodMarkAttendance from "./pages/HodMarkAttendance";
+import ProfessorMarkAttendance from "./pages/ProfessorMarkAttendance";
+import LeavesPage from "./pages/LeavesPage";
+import { ROLES, PERMISSIONS } from "./services/permissions";
 
-function App() {
-  const { hod, token } = useAuth();
+// Dashboard pages and what opening them takes; each one goes through ProtectedRoute
+const HOD_ROUTES = [
+  { path: "/hod/dashboard", element: <HodDashboard />, permissions: [PERMISSIONS.DASHBOARD] },
+  { path: "/hod/students", element: <StudentsPage />, permissions: [PERMISSIONS.STUDENTS] },
+  { path: "/hod/students/:id", element: <StudentProfilePage />, permissions: [PERMISSIONS.STUDENTS] },
+  { path: "/hod/assign-students", element: <AssignStudentsPage />, permissions: [PERMISSIONS.CLASSES, PERMISSIONS.STUDENTS] },
+  { path: "/hod/professors", element: <ProfessorsPage />, permissions: [PERMISSIONS.PROFESSORS] },
+  { path: "/hod/assign-professors", element: <AssignProfessorsPage />, permissions: [PERMISSIONS.CLASSES, PERMISSIONS.PROFESSORS] },
+  { path: "/hod/classes", element: <ClassesPage />, permissions: [PERMISSIONS.CLASSES] },
+  { path: "/hod/attendance", element: <HodAttendance />, permissions: [PERMISSIONS.ATTENDANCE] },
+  { path: "/hod/attendance/mark", element: <HodMarkAttendance />, permissions: [PERMISSIONS.MARK_ATTENDANCE] },
+  { path: "/hod/leaves", element: <LeavesPage />, permissions: [PERMISSIONS.LEAVES, PERMISSIONS.STUDENTS] },
+  { path: "/hod/trash", element: <TrashPage />, permissions: [PERMISSIONS.TRASH] },
+  { path: "/hod/audit", element: <AuditLogPage />, permissions: [PERMISSIONS.AUDIT] },
+  { path: "/hod/profile", element: <HodProfile />, permissions: [PERMISSIONS.PROFILE] },
+];
+
+// Professor portal: its own session (ProfessorAuthContext) and login
+const PROFESSOR_ROUTES = [
+  { path: "/professor/dashboard", element: <ProfessorDashboard />, permissions: [PERMISSIONS.ASSIGNED_CLASSES] },
+  {
+    path: "/professor/classes/:id",
+    element: <ProfessorClassPage />,
+    permissions: [PERMISSIONS.ASSIGNED_CLASSES, PERMISSIONS.ASSIGNED_ATTENDANCE],
+  },
+  {
+    path: "/professor/mark",
+    element: <ProfessorMarkAttendance />,
+    permissions: [PERMISSIONS.ASSIGNED_CLASSES, PERMISSIONS.MARK_ATTENDANCE],
+  },
+];
 
+function App() {
   return (
     <Router>
       <ConfirmProvider>
         <Routes>
           {/* Protected Routes */}
-          <Route
-            path="/hod/assign-students"
-            element={
-              <ProtectedRoute>
-                <AssignStudentsPage />
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/hod/attendance"
-            element={<HodAttendance />
-            }
-          />
-
-          <Route
-            path="/hod/students"
-            element={
-              <ProtectedRoute>
-                <StudentsPage />
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/hod/assign-professors"
-            element={
-              <ProtectedRoute>
-                <AssignProfessorsPage />
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/hod/dashboard"
-            element={
-              <ProtectedRoute>
-                <HodDashboard />
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/hod/professors"
-            element={
-              <ProtectedRoute>
-                <ProfessorsPage />
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/hod/classes"
-            element={
-              <ProtectedRoute>
-                <ClassesPage />
-              </ProtectedRoute>
-            }
-          />
-
-          <Route
-            path="/hod/profile"
-            element={
-              <ProtectedRoute>
-                <HodProfile />
-              </ProtectedRoute>
-            }
-          />
+          {HOD_ROUTES.map(({ path, element, permissions }) => (
+            <Route
+              key={path}
+              path={path}
+              element={
+                <ProtectedRoute roles={[ROLES.HOD]} permissions={permissions}>
+                  {element}
+                </ProtectedRoute>
+              }
+            />
+          ))}
+          {PROFESSOR_ROUTES.map(({ path, element, permissions }) => (
+            <Route
+              key={path}
+              path={path}
+              element={
+                <ProtectedRoute
+                  portal="professor"
+                  roles={[ROLES.PROFESSOR]}
+                  permissions={permissions}
+                  loginPath="/professor/login"
+                  home="/professor/dashboard"
+                >
+                  {element}
+                </ProtectedRoute>
+              }
+            />
+          ))}
 
           {/* Redirect root to HOD login */}
           <Route path="/" element={<Navigate to="/hod/login" replace />} />
@@ -93,11 +98,24 @@ function App() {
           <Route
             path="/hod/login"
             element={
-              hod && token ? <Navigate to="/hod/dashboard" replace /> : <HodLogin />
+              <GuestRoute>
+                <HodLogin />
+              </GuestRoute>
             }
           />
           <Route path="/hod/register" element={<HodRegister />} />
 
+          {/* Professor Authentication */}
+          <Route path="/professor" element={<Navigate to="/professor/dashboard" replace />} />
+          <Route
+            path="/professor/login"
+            element={
+              <GuestRoute portal="professor" fallback="/professor/dashboard">
+                <ProfessorLogin />
+              </GuestRoute>
+            }
+          />
+
           {/* 404 fallback */}
           <Route
             path="*"
@@ -0,0 +1,236 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { BarChart3, Loader2, RefreshCw } from "lucide-react";
+import { toast } from "react-toastify";
+import { getClassAttendance, getMonthlyAttendanceSummary } from "../services/api";
+import {
+  attendanceSeries,
+  weekdaySlotMatrix,
+  summarizeMonthly,
+  percentColor,
+  WEEKDAYS,
+  pct,
+  classDisplay,
+} from "../utils/attendanceStats";
+import LineChart from "./charts/LineChart";
+import BarChart from "./charts/BarChart";
+import Heatmap from "./charts/Heatmap";
+import { mapLimit } from "../utils/mapLimit";
+
+/**
+ * AttendanceAnalytics – charts for HodAttendance's "Analytics" mode
+ * - trend of the selected class (% per day / week / month)
+ * - weekday × slot heatmap for the selected class
+ * - side-by-side comparison of classes for a month (monthly summaries)
+ * Props:
+ * - classes: class list from getClasses
+ * - selectedClass: _id of the class picked on the page ("" = none)
+ */
+export default function AttendanceAnalytics({ classes = [], selectedClass }) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [bucket, setBucket] = useState("day"); // day | week | month
+
+  const [month, setMonth] = useState(String(new Date().getMonth() + 1));
+  const [year, setYear] = useState(String(new Date().getFullYear()));
+  const [compareIds, setCompareIds] = useState([]);
+  const [comparison, setComparison] = useState([]);
+  const [comparing, setComparing] = useState(false);
+
+  // default comparison set: every class
+  useEffect(() => {
+    setCompareIds(classes.map((c) => String(c._id)));
+  }, [classes]);
+
+  useEffect(() => {
+    if (!selectedClass) {
+      setRecords([]);
+      return;
+    }
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      try {
+        const recs = await getClassAttendance(selectedClass);
+        if (!cancelled) setRecords(recs);
+      } catch (err) {
+        console.error("Error fetching attendance for analytics", err);
+        toast.error("⚠️ Failed to fetch attendance");
+        if (!cancelled) setRecords([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedClass]);
+
+  const series = useMemo(() => attendanceSeries(records, { bucket }), [records, bucket]);
+  const matrix = useMemo(() => weekdaySlotMatrix(records), [records]);
+  const overall = useMemo(
+    () => pct(records.filter((r) => r.isPresent).length, records.length),
+    [records]
+  );
+
+  const runComparison = async () => {
+    if (!compareIds.length) {
+      toast.error("⚠️ Pick at least one class to compare");
+      return;
+    }
+    if (!month || !year) {
+      toast.error("⚠️ Please select both month and year");
+      return;
+    }
+    setComparing(true);
+    try {
+      const chosen = classes.filter((c) => compareIds.includes(String(c._id)));
+      const rows = await mapLimit(chosen, 4, async (c) => {
+        try {
+          const { summary } = await getMonthlyAttendanceSummary(c._id, { month, year });
+          return { cls: c, ...summarizeMonthly(summary) };
+        } catch (err) {
+          console.error("Error fetching summary for", c._id, err);
+          return { cls: c, present: 0, total: 0, pct: 0, students: 0, failed: true };
+        }
+      });
+      setComparison(rows.sort((a, b) => b.pct - a.pct));
+      const failed = rows.filter((r) => r.failed).length;
+      if (failed) toast.error(`⚠️ ${failed} class summary request(s) failed`);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const toggleCompare = (id) =>
+    setCompareIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+
+  return (
+    <div className="space-y-6">
+      {/* Trend */}
+      <section className="border rounded-xl p-4">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+          <h2 className="font-semibold text-purple-700 flex items-center gap-2">
+            <BarChart3 size={18} /> Attendance over time
+          </h2>
+          <div className="flex items-center gap-2 text-sm">
+            {records.length > 0 && (
+              <span className="px-3 py-1 rounded-full bg-purple-50 text-purple-700">
+                Overall {overall}% · {records.length} marks
+              </span>
+            )}
+            <select
+              value={bucket}
+              onChange={(e) => setBucket(e.target.value)}
+              className="p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+            >
+              <option value="day">Per day</option>
+              <option value="week">Per week</option>
+              <option value="month">Per month</option>
+            </select>
+          </div>
+        </div>
+        {!selectedClass ? (
+          <p className="text-gray-500 text-sm">Select a class to see its trend and heatmap.</p>
+        ) : loading ? (
+          <div className="flex items-center gap-2 text-gray-600">
+            <Loader2 className="animate-spin" size={18} /> Loading...
+          </div>
+        ) : (
+          <LineChart
+            data={series.map((s) => ({
+              label: s.label,
+              value: s.pct,
+              title: `${s.label}: ${s.pct}% (${s.present}/${s.total})`,
+            }))}
+          />
+        )}
+      </section>
+
+      {/* Heatmap */}
+      {selectedClass && !loading && (
+        <section className="border rounded-xl p-4">
+          <h2 className="font-semibold text-purple-700 mb-1">Weekday × slot</h2>
+          <p className="text-xs text-gray-500 mb-3">
+            Share of students present for each lecture slot, by day of the week.
+          </p>
+          <Heatmap
+            rows={matrix.weekdays.map((wd) => ({ key: wd, label: WEEKDAYS[wd] }))}
+            cols={matrix.slots.map((s) => ({ key: s, label: `Slot ${s}` }))}
+            valueAt={(wd, slot) => {
+              const c = matrix.cells[`${wd}-${slot}`];
+              return c ? { value: c.pct, title: `${WEEKDAYS[wd]} slot ${slot}: ${c.pct}% (${c.present}/${c.total})` } : null;
+            }}
+          />
+        </section>
+      )}
+
+      {/* Class comparison */}
+      <section className="border rounded-xl p-4">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+          <h2 className="font-semibold text-purple-700">Compare classes</h2>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="1"
+              max="12"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="p-2 border rounded-lg w-20 focus:outline-none focus:ring-2 focus:ring-purple-400"
+              placeholder="MM"
+            />
+            <input
+              type="number"
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+              className="p-2 border rounded-lg w-24 focus:outline-none focus:ring-2 focus:ring-purple-400"
+              placeholder="YYYY"
+            />
+            <button
+              onClick={runComparison}
+              disabled={comparing}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 flex items-center gap-2 disabled:opacity-60"
+            >
+              {comparing ? <Loader2 className="animate-spin" size={16} /> : <RefreshCw size={16} />}
+              Compare
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4 text-sm">
+          {classes.map((c) => {
+            const id = String(c._id);
+            const on = compareIds.includes(id);
+            return (
+              <button
+                key={id}
+                onClick={() => toggleCompare(id)}
+                className={`px-3 py-1 rounded-full border ${
+                  on ? "bg-purple-100 border-purple-300 text-purple-800" : "text-gray-500 hover:bg-gray-50"
+                }`}
+              >
+                {classDisplay(c)}
+              </button>
+            );
+          })}
+        </div>
+
+        {comparison.length ? (
+          <BarChart
+            data={comparison.map((r) => ({
+              label: classDisplay(r.cls),
+              value: r.pct,
+              title: r.total
+                ? `${classDisplay(r.cls)}: ${r.pct}% (${r.present}/${r.total} across ${r.students} students)`
+                : `${classDisplay(r.cls)}: no attendance recorded`,
+            }))}
+            colorFor={percentColor}
+          />
+        ) : (
+          <p className="text-gray-500 text-sm">
+            Pick a month and the classes to compare, then press Compare.
+          </p>
+        )}
+      </section>
+    </div>
+  );
+}
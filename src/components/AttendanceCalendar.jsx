@@ -0,0 +1,100 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { percentColor, toDayKey, pct } from "../utils/attendanceStats";
+
+const DAY_HEADERS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/**
+ * AttendanceCalendar – month grid coloured by the share of lectures attended each day
+ * Props:
+ * - days: Map<"YYYY-MM-DD", { present, total, slots: [{ slot, isPresent }] }> (see dailyStatus)
+ * - initialMonth: Date inside the month to show first (defaults to today)
+ */
+export default function AttendanceCalendar({ days, initialMonth }) {
+  const [cursor, setCursor] = useState(() => {
+    const d = initialMonth || new Date();
+    return new Date(d.getFullYear(), d.getMonth(), 1);
+  });
+
+  // jump to the latest month with data once it arrives
+  useEffect(() => {
+    if (initialMonth) setCursor(new Date(initialMonth.getFullYear(), initialMonth.getMonth(), 1));
+  }, [initialMonth]);
+
+  const cells = useMemo(() => {
+    const first = new Date(cursor);
+    const lead = (first.getDay() + 6) % 7; // Monday-first
+    const daysInMonth = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0).getDate();
+    const out = Array.from({ length: lead }, () => null);
+    for (let i = 1; i <= daysInMonth; i++) {
+      out.push(new Date(cursor.getFullYear(), cursor.getMonth(), i));
+    }
+    return out;
+  }, [cursor]);
+
+  const shift = (n) => setCursor((c) => new Date(c.getFullYear(), c.getMonth() + n, 1));
+  const todayKey = toDayKey(new Date());
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <button onClick={() => shift(-1)} className="p-1 rounded hover:bg-gray-100" title="Previous month">
+          <ChevronLeft size={18} />
+        </button>
+        <span className="font-medium text-gray-700">
+          {cursor.toLocaleDateString("en-GB", { month: "long", year: "numeric" })}
+        </span>
+        <button onClick={() => shift(1)} className="p-1 rounded hover:bg-gray-100" title="Next month">
+          <ChevronRight size={18} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center text-xs">
+        {DAY_HEADERS.map((d) => (
+          <div key={d} className="text-gray-500 py-1">
+            {d}
+          </div>
+        ))}
+        {cells.map((d, i) => {
+          if (!d) return <div key={`pad-${i}`} />;
+          const k = toDayKey(d);
+          const info = days?.get(k);
+          const value = info ? pct(info.present, info.total) : null;
+          const title = info
+            ? `${d.toLocaleDateString("en-GB")}: ${info.present}/${info.total} present\n` +
+              info.slots
+                .slice()
+                .sort((a, b) => Number(a.slot) - Number(b.slot))
+                .map((s) => `Slot ${s.slot ?? "?"}: ${s.isPresent ? "Present" : "Absent"}`)
+                .join("\n")
+            : d.toLocaleDateString("en-GB");
+          return (
+            <div
+              key={k}
+              title={title}
+              className={`h-10 rounded flex flex-col items-center justify-center ${
+                k === todayKey ? "ring-2 ring-purple-400" : ""
+              }`}
+              style={{ backgroundColor: info ? percentColor(value) : "#f9fafb", color: info ? "#fff" : "#6b7280" }}
+            >
+              <span className="font-medium">{d.getDate()}</span>
+              {info && <span className="text-[10px] leading-none">{info.present}/{info.total}</span>}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-2 flex items-center gap-3 text-xs text-gray-500">
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded" style={{ backgroundColor: percentColor(0) }} /> All absent
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded" style={{ backgroundColor: percentColor(50) }} /> Partly
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded" style={{ backgroundColor: percentColor(100) }} /> All present
+        </span>
+      </div>
+    </div>
+  );
+}
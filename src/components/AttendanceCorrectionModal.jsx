@@ -0,0 +1,129 @@
+import { useEffect, useState } from "react";
+import { Loader2 } from "lucide-react";
+
+const MAX_REASON = 500;
+
+// common causes, one click to fill the reason
+const QUICK_REASONS = ["Marked absent by mistake", "Marked present by mistake", "Lab / network outage", "Student was on duty"];
+
+/**
+ * AttendanceCorrectionModal – change the status of one or more attendance
+ * records. A reason is required; it goes into each record's history.
+ * Props:
+ * - open (bool)
+ * - records: the attendance records being corrected
+ * - onClose()
+ * - onSubmit({ isPresent, reason }) -> Promise; the modal stays open while it runs
+ */
+export default function AttendanceCorrectionModal({ open, records = [], onClose, onSubmit }) {
+  const [isPresent, setIsPresent] = useState(true);
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    // default to flipping the current status when every record shares one
+    setIsPresent(!records.length || !records.every((r) => r.isPresent));
+    setReason("");
+    setSaving(false);
+  }, [open, records]);
+
+  if (!open) return null;
+
+  const changing = records.filter((r) => r.isPresent !== isPresent).length;
+  const single = records.length === 1 ? records[0] : null;
+  const trimmed = reason.trim();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!trimmed || !changing) return;
+    setSaving(true);
+    try {
+      await onSubmit({ isPresent, reason: trimmed });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" onClick={() => !saving && onClose()} />
+      <form
+        onSubmit={handleSubmit}
+        role="dialog"
+        aria-label="Correct attendance"
+        className="relative z-10 w-full max-w-lg mx-3 bg-white rounded-2xl shadow-lg p-6"
+      >
+        <h3 className="text-lg font-semibold mb-1">Correct attendance</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {single
+            ? `${single.studentName || single.enrollmentNumber} · ${single.date} · slot ${single.slotNumber ?? "—"}`
+            : `${records.length} records selected`}
+        </p>
+
+        <div className="flex gap-2 mb-4">
+          {[true, false].map((value) => (
+            <button
+              key={String(value)}
+              type="button"
+              aria-pressed={isPresent === value}
+              onClick={() => setIsPresent(value)}
+              className={`flex-1 px-4 py-2 rounded-lg border font-medium ${
+                isPresent === value
+                  ? value
+                    ? "bg-green-600 text-white border-green-600"
+                    : "bg-red-600 text-white border-red-600"
+                  : "hover:bg-gray-50"
+              }`}
+            >
+              Mark {value ? "present" : "absent"}
+            </button>
+          ))}
+        </div>
+
+        <label className="flex flex-col">
+          <span className="text-sm text-gray-700">Reason (required)</span>
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value.slice(0, MAX_REASON))}
+            rows={3}
+            className="border p-2 rounded mt-1"
+            placeholder="Why is this record being changed?"
+          />
+        </label>
+        <div className="flex flex-wrap gap-2 mt-2">
+          {QUICK_REASONS.map((r) => (
+            <button
+              key={r}
+              type="button"
+              onClick={() => setReason(r)}
+              className="text-xs px-2 py-1 rounded-full bg-purple-50 text-purple-700 hover:bg-purple-100"
+            >
+              {r}
+            </button>
+          ))}
+        </div>
+
+        <p className="text-sm text-gray-500 mt-4">
+          {changing
+            ? `${changing} record${changing === 1 ? "" : "s"} will change to ${isPresent ? "present" : "absent"}.`
+            : `Already ${isPresent ? "present" : "absent"} — nothing to change.`}
+        </p>
+
+        <div className="mt-5 flex justify-end gap-2">
+          <button type="button" className="px-4 py-2 rounded-lg border hover:bg-gray-50" onClick={() => onClose()} disabled={saving}>
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || !trimmed || !changing}
+            className="px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            {saving && <Loader2 className="animate-spin" size={16} />}
+            Save correction
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
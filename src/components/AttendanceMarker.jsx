@@ -0,0 +1,300 @@
+import { useEffect, useMemo, useState } from "react";
+import { AlertTriangle, Check, CheckCheck, Loader2, Search, X } from "lucide-react";
+import { toast } from "react-toastify";
+import { useConfirm } from "./ConfirmProvider";
+import { classDisplay, toDayKey } from "../utils/attendanceStats";
+import { loadSlotsPerDay, slotList } from "../utils/timetable";
+
+const byEnrollment = (a, b) => a.enrollmentNumber.localeCompare(b.enrollmentNumber);
+
+const statusLabel = (isPresent) => (isPresent ? "Present" : "Absent");
+
+/**
+ * AttendanceMarker – take one lecture's attendance: pick class, date and
+ * slot, toggle each assigned student present/absent, save. When the lecture
+ * was already recorded its marks are loaded, every toggle that differs from
+ * the saved record is flagged, and saving asks before overwriting.
+ * Props:
+ * - classes: populated classes the user may mark
+ * - initialClassId
+ * - loadLecture(classId, { date, slotNumber }) -> AttendanceRecord[]
+ * - submit({ classId, date, slotNumber, records, overwrite }) -> { inserted, updated }
+ *   (rejects with 409 when the lecture was recorded meanwhile and overwrite was not set)
+ * - onSaved(): after a successful save
+ */
+export default function AttendanceMarker({ classes, initialClassId = "", loadLecture, submit, onSaved }) {
+  const confirm = useConfirm();
+  const today = toDayKey(new Date());
+  const slots = useMemo(() => slotList(loadSlotsPerDay()), []);
+
+  const [classId, setClassId] = useState(initialClassId);
+  const [date, setDate] = useState(today);
+  const [slot, setSlot] = useState("1");
+  const [marks, setMarks] = useState({}); // studentId -> true (present) | false (absent)
+  const [saved, setSaved] = useState(new Map()); // studentId -> record already on the server
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [search, setSearch] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const cls = classes.find((c) => c._id === classId);
+  const roster = useMemo(() => (cls ? cls.students.slice().sort(byEnrollment) : []), [cls]);
+
+  // what the server already has for this lecture; the toggles start from it
+  useEffect(() => {
+    if (!classId || !date || !slot) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    loadLecture(classId, { date, slotNumber: slot })
+      .then((records) => {
+        if (cancelled) return;
+        const map = new Map(records.map((r) => [r.studentId, r]));
+        setSaved(map);
+        setMarks(Object.fromEntries(records.map((r) => [r.studentId, r.isPresent])));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error loading lecture attendance:", err);
+        const backendMsg = err.response?.data?.error;
+        setError(backendMsg ? `Failed to load this lecture: ${backendMsg}` : "Failed to load this lecture");
+        setSaved(new Map());
+        setMarks({});
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [classId, date, slot, loadLecture, reloadKey]);
+
+  const recorded = saved.size > 0;
+  const markedBy = [...new Set([...saved.values()].map((r) => r.markedBy).filter(Boolean))].join(", ");
+  const overwrites = roster.filter((s) => saved.has(s._id) && s._id in marks && saved.get(s._id).isPresent !== marks[s._id]);
+  const present = roster.filter((s) => marks[s._id] === true).length;
+  const absent = roster.filter((s) => marks[s._id] === false).length;
+  const unmarked = roster.length - present - absent;
+
+  const visible = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return q ? roster.filter((s) => s.name.toLowerCase().includes(q) || s.enrollmentNumber.toLowerCase().includes(q)) : roster;
+  }, [roster, search]);
+
+  const setMark = (studentId, isPresent) => setMarks((prev) => ({ ...prev, [studentId]: isPresent }));
+  const markAll = (isPresent) => setMarks(Object.fromEntries(roster.map((s) => [s._id, isPresent])));
+
+  const handleSave = async () => {
+    if (!roster.length || unmarked > 0) return;
+    if (recorded) {
+      const ok = await confirm({
+        title: "Overwrite recorded attendance?",
+        message: `This lecture was already recorded${markedBy ? ` by ${markedBy}` : ""}. ${
+          overwrites.length
+            ? `${overwrites.length} student${overwrites.length === 1 ? "'s" : "s'"} status will change.`
+            : "No statuses change."
+        }`,
+        confirmText: "Overwrite",
+        tone: "danger",
+      });
+      if (!ok) return;
+    }
+
+    setSaving(true);
+    setError("");
+    try {
+      const result = await submit({
+        classId,
+        date,
+        slotNumber: Number(slot),
+        records: roster.map((s) => ({ studentId: s._id, isPresent: marks[s._id] })),
+        overwrite: recorded,
+      });
+      toast.success(
+        result.updated
+          ? `✅ Attendance saved (${result.updated} updated, ${result.inserted} new)`
+          : `✅ Attendance saved for ${result.inserted} students`
+      );
+      setReloadKey((k) => k + 1);
+      onSaved?.();
+    } catch (err) {
+      if (err.response?.status === 409) {
+        // someone recorded the lecture since it was loaded: keep our marks, flag where they differ
+        toast.warn("⚠️ This lecture was recorded meanwhile. Review the flagged changes and save again.");
+        const records = await loadLecture(classId, { date, slotNumber: slot }).catch(() => []);
+        setSaved(new Map(records.map((r) => [r.studentId, r])));
+      } else {
+        console.error("Error saving attendance:", err);
+        const backendMsg = err.response?.data?.error;
+        const finalMsg = backendMsg ? `Failed to save attendance: ${backendMsg}` : "Failed to save attendance";
+        setError(finalMsg);
+        toast.error(finalMsg);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Lecture */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <select
+          value={classId}
+          onChange={(e) => setClassId(e.target.value)}
+          aria-label="Class"
+          className="p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+        >
+          <option value="">-- Select Class --</option>
+          {classes.map((c) => (
+            <option key={c._id} value={c._id}>
+              {classDisplay(c)}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={date}
+          max={today}
+          onChange={(e) => setDate(e.target.value)}
+          aria-label="Date"
+          className="p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+        />
+        <select
+          value={slot}
+          onChange={(e) => setSlot(e.target.value)}
+          aria-label="Slot"
+          className="p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+        >
+          {slots.map((n) => (
+            <option key={n} value={String(n)}>
+              Slot {n}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="bg-red-50 text-red-700 text-sm p-3 rounded-xl border border-red-100">{error}</div>}
+
+      {!cls ? (
+        <p className="text-center text-gray-500 py-10">Select a class to take attendance.</p>
+      ) : loading ? (
+        <div className="flex items-center justify-center gap-2 text-gray-500 py-10">
+          <Loader2 className="animate-spin" size={18} /> Loading lecture...
+        </div>
+      ) : roster.length === 0 ? (
+        <p className="text-center text-gray-500 py-10">No students are assigned to this class.</p>
+      ) : (
+        <>
+          {recorded && (
+            <div role="alert" className="flex items-start gap-2 bg-amber-50 text-amber-800 text-sm p-3 rounded-xl border border-amber-200">
+              <AlertTriangle size={18} className="shrink-0 mt-0.5" />
+              <span>
+                This lecture is already recorded{markedBy ? ` by ${markedBy}` : ""}. Saving overwrites it
+                {overwrites.length ? ` — ${overwrites.length} change${overwrites.length === 1 ? "" : "s"} flagged below.` : "."}
+              </span>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3">
+            <div className="relative flex-1 min-w-[200px]">
+              <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search name or enrollment..."
+                className="w-full pl-9 pr-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+              />
+            </div>
+            <button
+              type="button"
+              onClick={() => markAll(true)}
+              className="flex items-center gap-1 px-3 py-2 rounded-lg bg-green-100 text-green-700 hover:bg-green-200 font-medium"
+            >
+              <CheckCheck size={18} /> Mark all present
+            </button>
+            <button
+              type="button"
+              onClick={() => markAll(false)}
+              className="flex items-center gap-1 px-3 py-2 rounded-lg bg-red-50 text-red-600 hover:bg-red-100 font-medium"
+            >
+              <X size={18} /> Mark all absent
+            </button>
+          </div>
+
+          <ul className="divide-y border rounded-xl">
+            {visible.map((s) => {
+              const mark = marks[s._id];
+              const before = saved.get(s._id);
+              const changed = before && mark !== undefined && before.isPresent !== mark;
+              return (
+                <li
+                  key={s._id}
+                  className={`flex flex-wrap items-center justify-between gap-3 px-4 py-2 ${changed ? "bg-amber-50" : ""}`}
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-800 truncate">{s.name}</p>
+                    <p className="text-xs font-mono text-gray-500">{s.enrollmentNumber}</p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {changed && (
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 border border-amber-200">
+                        was {statusLabel(before.isPresent)}
+                      </span>
+                    )}
+                    {recorded && !before && (
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-sky-100 text-sky-800">not recorded</span>
+                    )}
+                    <button
+                      type="button"
+                      aria-pressed={mark === true}
+                      aria-label={`${s.name} present`}
+                      onClick={() => setMark(s._id, true)}
+                      className={`flex items-center gap-1 px-3 py-1 rounded-lg border text-sm font-medium ${
+                        mark === true ? "bg-green-600 text-white border-green-600" : "text-green-700 hover:bg-green-50"
+                      }`}
+                    >
+                      <Check size={16} /> Present
+                    </button>
+                    <button
+                      type="button"
+                      aria-pressed={mark === false}
+                      aria-label={`${s.name} absent`}
+                      onClick={() => setMark(s._id, false)}
+                      className={`flex items-center gap-1 px-3 py-1 rounded-lg border text-sm font-medium ${
+                        mark === false ? "bg-red-600 text-white border-red-600" : "text-red-600 hover:bg-red-50"
+                      }`}
+                    >
+                      <X size={16} /> Absent
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+            {visible.length === 0 && <li className="px-4 py-6 text-center text-gray-500">No students match.</li>}
+          </ul>
+
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm text-gray-600">
+              <span className="text-green-700 font-semibold">{present} present</span> ·{" "}
+              <span className="text-red-600 font-semibold">{absent} absent</span>
+              {unmarked > 0 && <> · <span className="text-gray-500">{unmarked} not marked yet</span></>}
+            </p>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving || unmarked > 0}
+              className={`flex items-center gap-2 px-5 py-2 rounded-lg text-white font-semibold disabled:opacity-50 ${
+                recorded ? "bg-amber-600 hover:bg-amber-700" : "bg-purple-600 hover:bg-purple-700"
+              }`}
+            >
+              {saving && <Loader2 className="animate-spin" size={18} />}
+              {recorded ? "Overwrite attendance" : "Save attendance"}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
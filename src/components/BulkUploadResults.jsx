@@ -0,0 +1,146 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { AlertTriangle, CheckCircle2, Download, MinusCircle, XCircle } from "lucide-react";
+import { IMPORT_SCHEMAS } from "../utils/importSchemas";
+import { exportProblemRows } from "../utils/bulkUploadResults";
+
+const STATUS_STYLE = {
+  inserted: { label: "Inserted", className: "bg-green-100 text-green-700", Icon: CheckCircle2 },
+  skipped: { label: "Skipped", className: "bg-yellow-100 text-yellow-800", Icon: MinusCircle },
+  failed: { label: "Failed", className: "bg-red-100 text-red-700", Icon: AlertTriangle },
+};
+
+/**
+ * BulkUploadResults – side drawer listing what happened to every uploaded row
+ * Props:
+ * - entity: "students" | "professors" | "classes"
+ * - result: output of normalizeBulkUploadResult(), or null when closed
+ * - onClose()
+ */
+export default function BulkUploadResults({ entity, result, onClose }) {
+  const [tab, setTab] = useState("all");
+  const fields = IMPORT_SCHEMAS[entity].fields;
+
+  // start on the problems when there are any
+  useEffect(() => {
+    if (!result) return;
+    setTab(result.failed.length || result.skipped.length ? "problems" : "all");
+  }, [result]);
+
+  const items = useMemo(() => {
+    if (!result) return [];
+    const all = [...result.failed, ...result.skipped, ...result.inserted];
+    if (tab === "all") return all;
+    if (tab === "problems") return [...result.failed, ...result.skipped];
+    return result[tab] || [];
+  }, [result, tab]);
+
+  if (!result) return null;
+
+  const problemCount = result.failed.length + result.skipped.length;
+  const tabs = [
+    { key: "all", label: "All", count: result.failed.length + result.skipped.length + result.inserted.length },
+    { key: "problems", label: "Problems", count: problemCount },
+    { key: "inserted", label: "Inserted", count: result.inserted.length },
+    { key: "skipped", label: "Skipped", count: result.skipped.length },
+    { key: "failed", label: "Failed", count: result.failed.length },
+  ];
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <aside className="relative z-10 w-full max-w-2xl h-full bg-white shadow-xl flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div>
+            <h3 className="text-lg font-semibold">Upload results</h3>
+            <p className="text-xs text-gray-500">
+              {result.insertedCount ?? result.inserted.length} inserted ·{" "}
+              {result.skippedCount ?? result.skipped.length} skipped · {result.failed.length} failed
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">
+            <XCircle size={22} />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 px-4 pt-3">
+          {tabs.map((t) => (
+            <button
+              key={t.key}
+              onClick={() => setTab(t.key)}
+              className={`px-3 py-1 rounded-full text-sm border ${
+                tab === t.key ? "bg-purple-600 text-white border-purple-600" : "hover:bg-gray-50"
+              }`}
+            >
+              {t.label} ({t.count})
+            </button>
+          ))}
+          <button
+            onClick={() => exportProblemRows(entity, result)}
+            disabled={problemCount === 0}
+            className="ml-auto px-3 py-1 rounded-lg bg-purple-600 text-white hover:bg-purple-700 text-sm flex items-center gap-1 disabled:opacity-50"
+            title="Download skipped and failed rows to fix and re-upload"
+          >
+            <Download size={14} /> Export problems
+          </button>
+        </div>
+
+        {result.note && (
+          <p className="mx-4 mt-3 text-xs text-gray-600 bg-gray-50 border rounded-lg p-2">{result.note}</p>
+        )}
+
+        <div className="flex-1 overflow-auto m-4 border rounded-lg">
+          <table className="w-full border-collapse text-sm">
+            <thead className="bg-purple-100 text-purple-800 sticky top-0">
+              <tr>
+                <th className="p-2 text-left w-12">#</th>
+                <th className="p-2 text-left">Status</th>
+                {fields.map((f) => (
+                  <th key={f.key} className="p-2 text-left">
+                    {f.label}
+                  </th>
+                ))}
+                <th className="p-2 text-left">Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.length === 0 ? (
+                <tr>
+                  <td colSpan={fields.length + 3} className="p-4 text-center text-gray-500">
+                    🚫 No rows to show
+                  </td>
+                </tr>
+              ) : (
+                items.map((item, i) => {
+                  const style = STATUS_STYLE[item.status];
+                  return (
+                    <tr key={`${item.status}-${item.sheetRow ?? "x"}-${i}`} className="border-b">
+                      <td className="p-2 text-gray-500">{item.sheetRow ?? "—"}</td>
+                      <td className="p-2">
+                        <span
+                          className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${style.className}`}
+                        >
+                          <style.Icon size={12} /> {style.label}
+                        </span>
+                      </td>
+                      {fields.map((f) => (
+                        <td key={f.key} className="p-2">
+                          {f.key === "password" && item.data?.[f.key] ? "••••" : String(item.data?.[f.key] ?? "")}
+                        </td>
+                      ))}
+                      <td className="p-2 text-xs text-gray-600">{item.reason}</td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <p className="px-4 pb-4 text-xs text-gray-500">
+          # is the row number in the original sheet. Exported problem rows keep the upload column
+          names, so the file can be fixed and imported again.
+        </p>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+/**
+ * CorrectionHistory – the status changes made to one attendance record after
+ * it was marked (record.corrections), newest first.
+ */
+const status = (isPresent) => (isPresent ? "Present" : "Absent");
+
+export default function CorrectionHistory({ corrections = [] }) {
+  if (!corrections.length) return <p className="text-sm text-gray-500">Not changed since it was marked.</p>;
+  return (
+    <ol className="space-y-1 text-sm text-left">
+      {corrections
+        .slice()
+        .reverse()
+        .map((c, i) => (
+          <li key={`${c.at}-${i}`} className="flex flex-wrap gap-x-2">
+            <span className="text-gray-500">{c.at ? new Date(c.at).toLocaleString("en-GB") : "—"}</span>
+            <span className="font-medium">{c.by || "unknown"}</span>
+            <span>
+              <span className={c.from ? "text-green-600" : "text-red-600"}>{status(c.from)}</span> →{" "}
+              <span className={c.to ? "text-green-600" : "text-red-600"}>{status(c.to)}</span>
+            </span>
+            <span className="text-gray-600">“{c.reason}”</span>
+          </li>
+        ))}
+    </ol>
+  );
+}
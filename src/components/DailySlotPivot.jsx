@@ -0,0 +1,117 @@
+import React, { useMemo } from "react";
+import { Link } from "react-router-dom";
+import { AlertTriangle, Check, X } from "lucide-react";
+import { pivotBySlot } from "../utils/attendanceStats";
+import { slotList } from "../utils/timetable";
+
+/**
+ * DailySlotPivot – one day's attendance as students × slots
+ * Props:
+ * - records: daily records from getAttendanceByDate
+ * - roster: class students (populated class.students) so unmarked students still appear
+ * - slotsPerDay: expected lecture slots in a day
+ * - onlySlot: slot number when the page is filtered to a single slot ("" = all)
+ * - search: optional name/enrollment filter
+ */
+export default function DailySlotPivot({ records = [], roster = [], slotsPerDay, onlySlot = "", search = "" }) {
+  const { rows, recordedSlots } = useMemo(() => pivotBySlot(records, roster), [records, roster]);
+
+  const slots = useMemo(
+    () => (onlySlot ? [Number(onlySlot)] : slotList(slotsPerDay, recordedSlots)),
+    [onlySlot, slotsPerDay, recordedSlots]
+  );
+  const missing = slots.filter((s) => !recordedSlots.has(s));
+
+  const shown = useMemo(() => {
+    const s = search.trim().toLowerCase();
+    if (!s) return rows;
+    return rows.filter(
+      (r) => r.name.toLowerCase().includes(s) || String(r.enrollmentNumber).toLowerCase().includes(s)
+    );
+  }, [rows, search]);
+
+  const presentIn = (slot) => rows.filter((r) => r.cells[slot] === true).length;
+
+  return (
+    <div>
+      {missing.length > 0 && (
+        <div className="mb-3 flex items-start gap-2 p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+          <AlertTriangle size={16} className="mt-0.5 shrink-0" />
+          <span>
+            No attendance recorded for slot{missing.length === 1 ? "" : "s"}{" "}
+            <strong>{missing.join(", ")}</strong> on this day.
+          </span>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border rounded-lg overflow-hidden text-sm">
+          <thead className="bg-purple-100 text-purple-800">
+            <tr>
+              <th className="px-3 py-2 text-left font-semibold border border-gray-200">Enrollment</th>
+              <th className="px-3 py-2 text-left font-semibold border border-gray-200">Student</th>
+              {slots.map((s) => (
+                <th
+                  key={s}
+                  className={`px-3 py-2 text-center font-semibold border border-gray-200 ${
+                    recordedSlots.has(s) ? "" : "bg-yellow-100 text-yellow-800"
+                  }`}
+                  title={recordedSlots.has(s) ? `${presentIn(s)} present` : "Not recorded"}
+                >
+                  Slot {s}
+                  <div className="text-[10px] font-normal">
+                    {recordedSlots.has(s) ? `${presentIn(s)}/${rows.length}` : "not recorded"}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {shown.length === 0 ? (
+              <tr>
+                <td colSpan={slots.length + 2} className="p-4 text-center text-gray-500">
+                  No students to show
+                </td>
+              </tr>
+            ) : (
+              shown.map((r) => (
+                <tr key={r.key} className="border-b hover:bg-gray-50">
+                  <td className="px-3 py-2 border border-gray-200">{r.enrollmentNumber}</td>
+                  <td className="px-3 py-2 border border-gray-200">
+                    {r.studentId ? (
+                      <Link to={`/hod/students/${r.studentId}`} className="text-purple-700 hover:underline">
+                        {r.name}
+                      </Link>
+                    ) : (
+                      r.name
+                    )}
+                  </td>
+                  {slots.map((s) => {
+                    const v = r.cells[s];
+                    return (
+                      <td
+                        key={s}
+                        className={`px-3 py-2 border border-gray-200 text-center ${
+                          recordedSlots.has(s) ? "" : "bg-yellow-50"
+                        }`}
+                      >
+                        {v === true ? (
+                          <Check size={16} className="inline text-green-600" aria-label="Present" />
+                        ) : v === false ? (
+                          <X size={16} className="inline text-red-600" aria-label="Absent" />
+                        ) : (
+                          <span className="text-gray-300">—</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">✓ present · ✗ absent · — no mark for this student in that slot</p>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { DATE_RANGE_PRESETS, resolvePreset } from "../utils/dateRanges";
+
+/**
+ * DateRangePicker – from/to date inputs with quick presets
+ * Props:
+ * - from, to: "YYYY-MM-DD" ("" = open-ended)
+ * - onChange({ from, to })
+ * - showPresets (default true)
+ */
+export default function DateRangePicker({ from, to, onChange, showPresets = true }) {
+  const invalid = from && to && from > to;
+  const inputClass = `p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-purple-400 ${
+    invalid ? "border-red-400" : ""
+  }`;
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex gap-2">
+        <input
+          type="date"
+          value={from}
+          max={to || undefined}
+          onChange={(e) => onChange({ from: e.target.value, to })}
+          className={inputClass}
+          title="From"
+        />
+        <input
+          type="date"
+          value={to}
+          min={from || undefined}
+          onChange={(e) => onChange({ from, to: e.target.value })}
+          className={inputClass}
+          title="To"
+        />
+      </div>
+      {showPresets && (
+        <div className="flex flex-wrap gap-1">
+          {DATE_RANGE_PRESETS.map((p) => {
+            const r = resolvePreset(p.key);
+            const active = r.from === from && r.to === to;
+            return (
+              <button
+                key={p.key}
+                type="button"
+                onClick={() => onChange(r)}
+                className={`px-2 py-0.5 rounded-full text-xs border ${
+                  active ? "bg-purple-600 text-white border-purple-600" : "hover:bg-purple-50 text-purple-700"
+                }`}
+              >
+                {p.label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,325 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { AlertTriangle, Download, Loader2, Search } from "lucide-react";
+import { toast } from "react-toastify";
+import { Link } from "react-router-dom";
+import { getClassAttendance, getLeaves, getMonthlyAttendanceSummary } from "../services/api";
+import {
+  classDisplay,
+  filterByDateRange,
+  summarizeByStudent,
+} from "../utils/attendanceStats";
+import {
+  loadThreshold,
+  saveThreshold,
+  findDefaulters,
+  exportDefaulterSheet,
+} from "../utils/defaulters";
+import { loadExcludeExcused, markExcused, saveExcludeExcused, withoutExcused } from "../utils/leaves";
+import { mapLimit } from "../utils/mapLimit";
+import { formatRange } from "../utils/dateRanges";
+import DateRangePicker from "./DateRangePicker";
+
+/**
+ * DefaulterReport – students below the attendance threshold (HodAttendance "Defaulters" mode)
+ * - one class (the one picked on the page) or all classes
+ * - a month (monthly summary endpoint) or a date range (aggregated from full history)
+ * - optionally without absences excused by approved leave
+ * Props:
+ * - classes: class list from getClasses
+ * - selectedClass: _id of the class picked on the page ("" = none)
+ */
+export default function DefaulterReport({ classes = [], selectedClass }) {
+  const [scope, setScope] = useState(selectedClass ? "selected" : "all"); // selected | all
+  const [period, setPeriod] = useState("month"); // month | range
+  const [month, setMonth] = useState(String(new Date().getMonth() + 1));
+  const [year, setYear] = useState(String(new Date().getFullYear()));
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [threshold, setThreshold] = useState(loadThreshold);
+  const [excludeExcused, setExcludeExcused] = useState(loadExcludeExcused);
+
+  const [summaries, setSummaries] = useState([]); // [{ cls, summary }]
+  const [loadedFor, setLoadedFor] = useState(null); // label of the period last loaded
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState("");
+
+  useEffect(() => {
+    if (!selectedClass && scope === "selected") setScope("all");
+  }, [selectedClass, scope]);
+
+  const periodLabel =
+    period === "month"
+      ? `${String(month).padStart(2, "0")}/${year}`
+      : formatRange(from, to);
+
+  const handleThresholdChange = (v) => {
+    setThreshold(v);
+    const n = Number(v);
+    if (n > 0 && n <= 100) saveThreshold(n);
+  };
+
+  const loadReport = async () => {
+    const targets =
+      scope === "selected" ? classes.filter((c) => c._id === selectedClass) : classes;
+    if (!targets.length) {
+      toast.error("⚠️ Please select a class first");
+      return;
+    }
+    if (period === "month" && (!month || !year)) {
+      toast.error("⚠️ Please select both month and year");
+      return;
+    }
+    if (period === "range" && from && to && from > to) {
+      toast.error("⚠️ Start date is after end date");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      // the monthly endpoint counts excused absences itself; ranges are summed here.
+      // Requested once, alongside the class histories; a failure just means no excuses.
+      const leavesRequest =
+        period === "range"
+          ? getLeaves({ from, to }).catch((err) => {
+              console.error("Error fetching leaves", err);
+              return [];
+            })
+          : Promise.resolve([]);
+      const results = await mapLimit(targets, 4, async (cls) => {
+        try {
+          if (period === "month") {
+            const { summary } = await getMonthlyAttendanceSummary(cls._id, { month, year });
+            return { cls, summary };
+          }
+          const [recs, leaves] = await Promise.all([getClassAttendance(cls._id), leavesRequest]);
+          return { cls, summary: summarizeByStudent(markExcused(filterByDateRange(recs, from, to), leaves)) };
+        } catch (err) {
+          console.error("Error fetching attendance for", cls._id, err);
+          return { cls, summary: [], failed: true };
+        }
+      });
+      setSummaries(results);
+      setLoadedFor(periodLabel);
+      const failed = results.filter((r) => r.failed).length;
+      if (failed) toast.error(`⚠️ Failed to load ${failed} class(es)`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const validThreshold = Number(threshold) > 0 && Number(threshold) <= 100;
+
+  const rows = useMemo(() => {
+    if (!validThreshold) return [];
+    const counted = excludeExcused
+      ? summaries.map((s) => ({ ...s, summary: withoutExcused(s.summary || []) }))
+      : summaries;
+    return findDefaulters(counted, Number(threshold), classDisplay);
+  }, [summaries, threshold, validThreshold, excludeExcused]);
+
+  const shown = useMemo(() => {
+    const s = search.trim().toLowerCase();
+    if (!s) return rows;
+    return rows.filter(
+      (r) =>
+        r.name.toLowerCase().includes(s) ||
+        String(r.enrollmentNumber).toLowerCase().includes(s) ||
+        r.classLabel.toLowerCase().includes(s)
+    );
+  }, [rows, search]);
+
+  const studentCount = summaries.reduce((n, s) => n + (s.summary?.length || 0), 0);
+
+  const handleExport = () => {
+    if (!shown.length) {
+      toast.error("⚠️ No defaulters to export");
+      return;
+    }
+    const scopeName =
+      summaries.length === 1 ? classDisplay(summaries[0].cls) : "All classes";
+    exportDefaulterSheet(shown, {
+      title: `Attendance defaulters — ${scopeName}`,
+      periodLabel: excludeExcused ? `${loadedFor} (excused absences not counted)` : loadedFor,
+      threshold: Number(threshold),
+      fileName: `defaulters_${loadedFor.replace(/[^0-9A-Za-z]+/g, "-")}.xlsx`,
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-3">
+        <select
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+          className="p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+        >
+          <option value="selected" disabled={!selectedClass}>
+            Selected class only
+          </option>
+          <option value="all">All classes</option>
+        </select>
+
+        <select
+          value={period}
+          onChange={(e) => setPeriod(e.target.value)}
+          className="p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+        >
+          <option value="month">Month</option>
+          <option value="range">Date range</option>
+        </select>
+
+        {period === "month" ? (
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="1"
+              max="12"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="p-2 border rounded-lg w-24 focus:outline-none focus:ring-2 focus:ring-purple-400"
+              placeholder="MM"
+            />
+            <input
+              type="number"
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+              className="p-2 border rounded-lg w-28 focus:outline-none focus:ring-2 focus:ring-purple-400"
+              placeholder="YYYY"
+            />
+          </div>
+        ) : (
+          <DateRangePicker
+            from={from}
+            to={to}
+            onChange={(r) => {
+              setFrom(r.from);
+              setTo(r.to);
+            }}
+          />
+        )}
+
+        <label className="flex items-center gap-2 text-sm">
+          Below
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={threshold}
+            onChange={(e) => handleThresholdChange(e.target.value)}
+            className={`p-2 border rounded-lg w-20 focus:outline-none focus:ring-2 focus:ring-purple-400 ${
+              validThreshold ? "" : "border-red-400"
+            }`}
+          />
+          %
+        </label>
+
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={excludeExcused}
+            onChange={(e) => {
+              setExcludeExcused(e.target.checked);
+              saveExcludeExcused(e.target.checked);
+            }}
+          />
+          Don't count excused absences (approved leave)
+        </label>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name, enrollment or class..."
+            className="w-full pl-9 pr-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+          />
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={loadReport}
+            disabled={loading}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 active:scale-[0.99] flex items-center gap-2 disabled:opacity-60"
+          >
+            {loading && <Loader2 className="animate-spin" size={16} />} Fetch
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={!shown.length}
+            className="flex items-center gap-2 px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:opacity-50 active:scale-[0.99]"
+          >
+            <Download size={18} /> Export sheet
+          </button>
+        </div>
+      </div>
+
+      {loadedFor && !loading && (
+        <div className="flex flex-wrap gap-2 text-sm">
+          <span className="px-3 py-1 rounded-full bg-gray-100">Period: {loadedFor}</span>
+          <span className="px-3 py-1 rounded-full bg-gray-100">Students checked: {studentCount}</span>
+          <span className="px-3 py-1 rounded-full bg-red-100 text-red-700 flex items-center gap-1">
+            <AlertTriangle size={14} /> Below {validThreshold ? threshold : "?"}%: {rows.length}
+          </span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center gap-2 text-gray-600">
+          <Loader2 className="animate-spin" size={18} />
+          Loading...
+        </div>
+      ) : !loadedFor ? (
+        <p className="text-gray-500">Choose the classes and period, then press Fetch.</p>
+      ) : !shown.length ? (
+        <p className="text-gray-500">🎉 No students below the threshold</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full border rounded-lg overflow-hidden text-sm">
+            <thead className="bg-purple-100 text-purple-800">
+              <tr>
+                {["Class", "Enrollment", "Name", "Held", "Attended", "Absent", "%", "Short by", "Must attend next"].map(
+                  (h) => (
+                    <th key={h} className="px-3 py-2 text-left font-semibold border border-gray-200">
+                      {h}
+                    </th>
+                  )
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((r, i) => (
+                <tr key={`${r.classLabel}-${r.enrollmentNumber}-${i}`} className="border-b hover:bg-gray-50">
+                  <td className="px-3 py-2 border border-gray-200">{r.classLabel}</td>
+                  <td className="px-3 py-2 border border-gray-200">{r.enrollmentNumber}</td>
+                  <td className="px-3 py-2 border border-gray-200">
+                    {r.studentId ? (
+                      <Link to={`/hod/students/${r.studentId}`} className="text-purple-700 hover:underline">
+                        {r.name}
+                      </Link>
+                    ) : (
+                      r.name
+                    )}
+                  </td>
+                  <td className="px-3 py-2 border border-gray-200">{r.totalClasses}</td>
+                  <td className="px-3 py-2 border border-gray-200">{r.presents}</td>
+                  <td className="px-3 py-2 border border-gray-200">{r.absents}</td>
+                  <td className="px-3 py-2 border border-gray-200 text-red-600 font-semibold">{r.percentage}%</td>
+                  <td className="px-3 py-2 border border-gray-200">{r.short} lectures</td>
+                  <td className="px-3 py-2 border border-gray-200">
+                    {Number.isFinite(r.toRecover) ? `${r.toRecover} in a row` : "Not reachable"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">
+            "Short by" counts the lectures missed beyond what the threshold allows; "Must attend next" is how
+            many consecutive lectures bring the student back to the threshold.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useEffect, useRef, useState } from "react";
+import { ChevronDown, FileDown, Loader2 } from "lucide-react";
+import { EXPORT_FORMATS } from "../utils/exporters";
+
+/**
+ * ExportMenu – dropdown to export a directory list
+ * Props:
+ * - filteredCount: rows in the current filtered/sorted list
+ * - selectedCount: rows currently selected
+ * - onExport({ format, scope }) -> may return a Promise; scope = "filtered" | "selected"
+ * - disabled (bool)
+ */
+export default function ExportMenu({ filteredCount = 0, selectedCount = 0, onExport, disabled = false }) {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState("filtered");
+  const [busy, setBusy] = useState(false);
+  const ref = useRef(null);
+
+  // close when clicking outside
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  // fall back to the filtered list once the selection is cleared
+  useEffect(() => {
+    if (selectedCount === 0 && scope === "selected") setScope("filtered");
+  }, [selectedCount, scope]);
+
+  const count = scope === "selected" ? selectedCount : filteredCount;
+
+  const run = async (format) => {
+    try {
+      setBusy(true);
+      await onExport({ format, scope });
+      setOpen(false);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="relative w-full sm:w-auto" ref={ref}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        disabled={disabled || busy}
+        className="px-4 py-2 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 flex items-center gap-2 disabled:opacity-60 w-full sm:w-auto justify-center"
+      >
+        {busy ? <Loader2 className="animate-spin" size={16} /> : <FileDown size={16} />}
+        Export <ChevronDown size={14} />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-30 mt-2 w-64 bg-white border rounded-xl shadow-lg p-3 text-sm">
+          <p className="font-medium text-gray-700 mb-2">Rows to export</p>
+          <label className="flex items-center gap-2 mb-1">
+            <input
+              type="radio"
+              name="export-scope"
+              checked={scope === "filtered"}
+              onChange={() => setScope("filtered")}
+            />
+            Current list ({filteredCount})
+          </label>
+          <label className={`flex items-center gap-2 mb-3 ${selectedCount ? "" : "text-gray-400"}`}>
+            <input
+              type="radio"
+              name="export-scope"
+              checked={scope === "selected"}
+              onChange={() => setScope("selected")}
+              disabled={!selectedCount}
+            />
+            Selected only ({selectedCount})
+          </label>
+
+          <p className="font-medium text-gray-700 mb-2">Format</p>
+          <div className="flex flex-col gap-1">
+            {EXPORT_FORMATS.map((f) => (
+              <button
+                key={f.key}
+                onClick={() => run(f.key)}
+                disabled={busy || count === 0}
+                className="text-left px-3 py-2 rounded-lg hover:bg-purple-50 disabled:opacity-50"
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+          <p className="mt-2 text-xs text-gray-500">Uses the current filters and sort order.</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+// src/components/GuestRoute.jsx
+import { Navigate, useLocation } from "react-router-dom";
+import { afterLoginPath } from "../utils/authRedirect";
+import { usePortalSession } from "../context/usePortalSession";
+
+/**
+ * Wraps a login page: once the portal's session exists (already signed in,
+ * or the login just succeeded) the user goes on to the page ProtectedRoute
+ * sent them away from, else to `fallback`.
+ */
+export default function GuestRoute({ children, portal = "hod", fallback = "/hod/dashboard" }) {
+  const { user, token } = usePortalSession(portal);
+  const location = useLocation();
+
+  if (user && token) {
+    return <Navigate to={afterLoginPath(location.state, fallback)} replace />;
+  }
+
+  return children;
+}
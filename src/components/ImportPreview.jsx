@@ -0,0 +1,114 @@
+import React, { useMemo, useState } from "react";
+import { AlertTriangle, CheckCircle2, Trash2 } from "lucide-react";
+
+/**
+ * ImportPreview – editable grid of parsed upload rows (rendered inside ImportWizard)
+ * Props:
+ * - fields: [{ key, label, required }]
+ * - rows: field-keyed row objects (optional `__row` = original sheet line)
+ * - issues: array (same order as rows) of [{ field, message }]
+ * - onChangeRow(index, key, value)
+ * - onRemoveRow(index)
+ * - disabled (bool)
+ */
+export default function ImportPreview({ fields, rows, issues, onChangeRow, onRemoveRow, disabled = false }) {
+  const [onlyFlagged, setOnlyFlagged] = useState(false);
+
+  const flaggedCount = useMemo(() => issues.filter((i) => i.length).length, [issues]);
+  const validCount = rows.length - flaggedCount;
+
+  // keep original indexes so edits land on the right row when filtered
+  const shown = useMemo(
+    () =>
+      rows
+        .map((row, index) => ({ row, index }))
+        .filter(({ index }) => !onlyFlagged || issues[index]?.length),
+    [rows, issues, onlyFlagged]
+  );
+
+  return (
+    <div className="flex flex-col min-h-0 flex-1">
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <span className="px-3 py-1 rounded-full bg-gray-100">Total: {rows.length}</span>
+        <span className="px-3 py-1 rounded-full bg-green-100 text-green-700 flex items-center gap-1">
+          <CheckCircle2 size={14} /> Valid: {validCount}
+        </span>
+        <span className="px-3 py-1 rounded-full bg-red-100 text-red-700 flex items-center gap-1">
+          <AlertTriangle size={14} /> Flagged: {flaggedCount}
+        </span>
+        <label className="ml-auto inline-flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={onlyFlagged}
+            onChange={(e) => setOnlyFlagged(e.target.checked)}
+          />
+          Show only flagged rows
+        </label>
+      </div>
+
+      <div className="overflow-auto border rounded-lg flex-1">
+        <table className="w-full border-collapse text-sm">
+          <thead className="bg-purple-100 text-purple-800 sticky top-0">
+            <tr>
+              <th className="p-2 text-left w-12">#</th>
+              {fields.map((f) => (
+                <th key={f.key} className="p-2 text-left">
+                  {f.label}
+                  {f.required && <span className="text-red-500"> *</span>}
+                </th>
+              ))}
+              <th className="p-2 text-left">Problems</th>
+              <th className="p-2 w-10" />
+            </tr>
+          </thead>
+          <tbody>
+            {shown.length === 0 ? (
+              <tr>
+                <td colSpan={fields.length + 3} className="p-4 text-center text-gray-500">
+                  🚫 No rows to show
+                </td>
+              </tr>
+            ) : (
+              shown.map(({ row, index }) => {
+                const rowIssues = issues[index] || [];
+                const badFields = new Set(rowIssues.map((i) => i.field));
+                return (
+                  <tr key={row.__row ?? index} className={`border-b ${rowIssues.length ? "bg-red-50" : ""}`}>
+                    <td className="p-2 text-gray-500">{row.__row ?? index + 1}</td>
+                    {fields.map((f) => (
+                      <td key={f.key} className="p-1">
+                        <input
+                          value={row[f.key] ?? ""}
+                          onChange={(e) => onChangeRow(index, f.key, e.target.value)}
+                          className={`w-full px-2 py-1 border rounded ${
+                            badFields.has(f.key) ? "border-red-400 bg-white" : ""
+                          }`}
+                          disabled={disabled}
+                        />
+                      </td>
+                    ))}
+                    <td className="p-2 text-xs text-red-600">
+                      {rowIssues.map((i) => i.message).join("; ")}
+                    </td>
+                    <td className="p-2">
+                      <button
+                        onClick={() => onRemoveRow(index)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove row"
+                        disabled={disabled}
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="mt-2 text-xs text-gray-500"># is the row number in the original sheet.</p>
+    </div>
+  );
+}
@@ -0,0 +1,288 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { ArrowLeft, ArrowRight, Loader2, Wand2 } from "lucide-react";
+import { toast } from "react-toastify";
+import ImportPreview from "./ImportPreview";
+import { IMPORT_SCHEMAS } from "../utils/importSchemas";
+import { readSpreadsheet, suggestMapping, applyMapping, rowsToXlsxFile } from "../utils/spreadsheet";
+import {
+  loadSavedMapping,
+  saveMapping,
+  clearSavedMapping,
+  savedMappingFits,
+} from "../utils/importMappings";
+
+/**
+ * ImportWizard – shared bulk import flow for students / professors / classes
+ *   1. read the sheet headers
+ *   2. map headers to target fields (suggested, editable, optionally remembered)
+ *   3. preview + fix rows, then upload only the clean ones
+ * Props:
+ * - open (bool)
+ * - entity: "students" | "professors" | "classes"
+ * - file: File chosen on the page
+ * - records: entity list already loaded on the page (for "already exists" checks)
+ * - onClose()
+ * - onUpload(file, { rows, rejected }) -> Promise; wizard closes when it resolves
+ */
+export default function ImportWizard({ open, entity, file, records = [], onClose, onUpload }) {
+  const schema = IMPORT_SCHEMAS[entity];
+  const fields = schema.fields;
+
+  const [step, setStep] = useState("loading"); // loading | mapping | preview
+  const [headers, setHeaders] = useState([]);
+  const [rawRows, setRawRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [remember, setRemember] = useState(true);
+  const [usedSaved, setUsedSaved] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [uploading, setUploading] = useState(false);
+
+  // Parse the file whenever the wizard opens with a new file
+  useEffect(() => {
+    if (!open || !file) return;
+    let cancelled = false;
+
+    (async () => {
+      setStep("loading");
+      try {
+        const parsed = await readSpreadsheet(file);
+        if (cancelled) return;
+        if (!parsed.headers.length || !parsed.rows.length) {
+          toast.error("⚠️ The file has no header row or no data rows");
+          onClose();
+          return;
+        }
+        setHeaders(parsed.headers);
+        setRawRows(parsed.rows);
+
+        const saved = loadSavedMapping(entity);
+        if (savedMappingFits(saved, parsed.headers, fields)) {
+          // one-click path: last confirmed mapping still matches this sheet
+          setMapping(saved.mapping);
+          setUsedSaved(true);
+          setRows(applyMapping(parsed.rows, saved.mapping, fields));
+          setStep("preview");
+        } else {
+          setMapping(suggestMapping(parsed.headers, fields));
+          setUsedSaved(false);
+          setStep("mapping");
+        }
+      } catch (err) {
+        console.error("Error reading file:", err);
+        toast.error("Could not read the file. Is it a valid .xlsx, .xls or .csv?");
+        onClose();
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, file, entity]);
+
+  const issues = useMemo(() => schema.validate(rows, records), [schema, rows, records]);
+  const missingRequired = fields.filter((f) => f.required && !mapping[f.key]);
+  const sampleRow = rawRows[0] || {};
+
+  if (!open) return null;
+
+  const goToPreview = () => {
+    if (missingRequired.length) {
+      toast.error(`Map the required field(s): ${missingRequired.map((f) => f.label).join(", ")}`);
+      return;
+    }
+    if (remember) saveMapping(entity, mapping);
+    setRows(applyMapping(rawRows, mapping, fields));
+    setStep("preview");
+  };
+
+  const handleUpload = async () => {
+    const clean = rows.filter((_, i) => !issues[i]?.length);
+    const rejected = rows
+      .map((r, i) => ({ row: r, issues: issues[i] || [] }))
+      .filter((x) => x.issues.length);
+    if (!clean.length) {
+      toast.error("⚠️ No valid rows to upload");
+      return;
+    }
+    try {
+      setUploading(true);
+      const out = rowsToXlsxFile(clean, fields, file?.name || `${entity}.xlsx`);
+      await onUpload(out, { rows: clean, rejected });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const validCount = rows.length - issues.filter((i) => i.length).length;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" onClick={() => !uploading && onClose()} />
+      <div className="relative z-10 w-full max-w-5xl mx-3 bg-white rounded-2xl shadow-lg p-6 flex flex-col max-h-[90vh]">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold">Import {schema.label}</h3>
+          <span className="text-xs text-gray-500">
+            Step {step === "preview" ? 2 : 1} of 2 · {file?.name}
+          </span>
+        </div>
+
+        {step === "loading" && (
+          <div className="flex items-center gap-2 text-gray-600 py-10 justify-center">
+            <Loader2 className="animate-spin" size={18} /> Reading file...
+          </div>
+        )}
+
+        {step === "mapping" && (
+          <>
+            <p className="text-sm text-gray-600 mb-3">
+              Match the columns in your sheet to the fields we need. Suggestions are filled in
+              automatically — fix any that are wrong.
+            </p>
+            <div className="overflow-auto border rounded-lg">
+              <table className="w-full border-collapse text-sm">
+                <thead className="bg-purple-100 text-purple-800">
+                  <tr>
+                    <th className="p-2 text-left">Field</th>
+                    <th className="p-2 text-left">Column in your sheet</th>
+                    <th className="p-2 text-left">Sample value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fields.map((f) => (
+                    <tr key={f.key} className="border-b">
+                      <td className="p-2 font-medium">
+                        {f.label}
+                        {f.required ? (
+                          <span className="text-red-500"> *</span>
+                        ) : (
+                          <span className="text-gray-400 text-xs"> (optional)</span>
+                        )}
+                      </td>
+                      <td className="p-2">
+                        <select
+                          value={mapping[f.key] || ""}
+                          onChange={(e) =>
+                            setMapping((prev) => ({ ...prev, [f.key]: e.target.value || undefined }))
+                          }
+                          className={`border rounded-lg px-2 py-1 w-full ${
+                            f.required && !mapping[f.key] ? "border-red-400" : ""
+                          }`}
+                        >
+                          <option value="">— not mapped —</option>
+                          {headers.map((h) => (
+                            <option key={h} value={h}>
+                              {h}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="p-2 text-gray-500">
+                        {mapping[f.key] ? String(sampleRow[mapping[f.key]] ?? "") : "—"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <label className="mt-3 inline-flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+              Remember this mapping for future {schema.label.toLowerCase()} imports
+            </label>
+
+            <div className="mt-4 flex justify-end gap-2">
+              <button className="px-4 py-2 rounded-lg border hover:bg-gray-50" onClick={onClose}>
+                Cancel
+              </button>
+              <button
+                className="px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 flex items-center gap-2 disabled:opacity-60"
+                onClick={goToPreview}
+                disabled={missingRequired.length > 0}
+              >
+                Next <ArrowRight size={16} />
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === "preview" && (
+          <>
+            {usedSaved && (
+              <div className="mb-3 flex flex-wrap items-center gap-2 text-sm bg-purple-50 border border-purple-200 rounded-lg p-2">
+                <Wand2 size={16} className="text-purple-600" />
+                Columns matched using your saved mapping.
+                <button
+                  className="text-purple-700 hover:underline"
+                  onClick={() => {
+                    setUsedSaved(false);
+                    setStep("mapping");
+                  }}
+                >
+                  Change mapping
+                </button>
+                <button
+                  className="text-red-600 hover:underline"
+                  onClick={() => {
+                    clearSavedMapping(entity);
+                    setUsedSaved(false);
+                    setMapping(suggestMapping(headers, fields));
+                    setStep("mapping");
+                  }}
+                >
+                  Forget saved mapping
+                </button>
+              </div>
+            )}
+            <p className="text-sm text-gray-600 mb-3">
+              Fix flagged cells inline or remove the row. Only rows without problems will be uploaded.
+            </p>
+
+            <ImportPreview
+              fields={fields}
+              rows={rows}
+              issues={issues}
+              onChangeRow={(index, key, value) =>
+                setRows((prev) => prev.map((r, i) => (i === index ? { ...r, [key]: value } : r)))
+              }
+              onRemoveRow={(index) => setRows((prev) => prev.filter((_, i) => i !== index))}
+              disabled={uploading}
+            />
+
+            <div className="mt-4 flex justify-between gap-2">
+              <button
+                className="px-4 py-2 rounded-lg border hover:bg-gray-50 flex items-center gap-2"
+                onClick={() => setStep("mapping")}
+                disabled={uploading}
+              >
+                <ArrowLeft size={16} /> Back to mapping
+              </button>
+              <div className="flex gap-2">
+                <button
+                  className="px-4 py-2 rounded-lg border hover:bg-gray-50"
+                  onClick={onClose}
+                  disabled={uploading}
+                >
+                  Cancel
+                </button>
+                <button
+                  className="px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 flex items-center gap-2 disabled:opacity-60"
+                  onClick={handleUpload}
+                  disabled={uploading || validCount === 0}
+                >
+                  {uploading ? (
+                    <>
+                      <Loader2 className="animate-spin" size={16} /> Uploading...
+                    </>
+                  ) : (
+                    `Upload ${validCount} valid ${validCount === 1 ? "row" : "rows"}`
+                  )}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { FlaskConical, Loader2, RotateCcw, X } from "lucide-react";
+import { toast } from "react-toastify";
+import { resetMockData, setMockApiEnabled } from "../services/mock";
+
+/**
+ * MockApiBanner – floating badge shown while the dashboard runs on the mock API
+ * - "Reset data" restores the seeded demo department and logs out
+ * - "Use server" switches this browser back to VITE_API_URL
+ */
+export default function MockApiBanner() {
+  const [busy, setBusy] = useState(false);
+
+  const handleReset = async () => {
+    if (!window.confirm("Reset all demo data? Changes made in mock mode will be lost.")) return;
+    setBusy(true);
+    try {
+      await resetMockData();
+      localStorage.removeItem("hodToken");
+      window.location.assign("/hod/login");
+    } catch (err) {
+      console.error("Mock reset failed", err);
+      toast.error("❌ Failed to reset demo data");
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed bottom-4 left-4 z-50 flex items-center gap-2 px-3 py-2 rounded-full bg-amber-100 text-amber-900 border border-amber-300 shadow text-xs">
+      <FlaskConical size={14} />
+      <span className="font-semibold">Demo data (mock API)</span>
+      <button
+        onClick={handleReset}
+        disabled={busy}
+        className="flex items-center gap-1 px-2 py-0.5 rounded-full hover:bg-amber-200 disabled:opacity-60"
+        title="Restore the seeded demo data"
+      >
+        {busy ? <Loader2 size={12} className="animate-spin" /> : <RotateCcw size={12} />} Reset data
+      </button>
+      <button
+        onClick={() => setMockApiEnabled(false)}
+        className="flex items-center gap-1 px-2 py-0.5 rounded-full hover:bg-amber-200"
+        title="Talk to the real server again"
+      >
+        <X size={12} /> Use server
+      </button>
+    </div>
+  );
+}
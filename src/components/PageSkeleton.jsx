@@ -0,0 +1,35 @@
+/**
+ * PageSkeleton – grey placeholder of a dashboard page (title, toolbar, card
+ * grid) shown while the session is being restored, so a protected page does
+ * not flash blank or bounce to the login first.
+ */
+export default function PageSkeleton() {
+  return (
+    <div
+      role="status"
+      aria-label="Loading page"
+      className="p-6 min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50"
+    >
+      <div className="animate-pulse space-y-6">
+        <div className="h-8 w-64 rounded-lg bg-gray-200" />
+        <div className="flex flex-wrap gap-3">
+          <div className="h-10 w-48 rounded-lg bg-gray-200" />
+          <div className="h-10 w-32 rounded-lg bg-gray-200" />
+          <div className="h-10 w-32 rounded-lg bg-gray-200" />
+        </div>
+        <div className="grid gap-6 sm:grid-cols-2 lg:grid-cols-3">
+          {Array.from({ length: 6 }, (_, i) => (
+            <div key={i} className="h-40 rounded-2xl bg-white shadow-sm">
+              <div className="p-5 space-y-3">
+                <div className="h-5 w-1/2 rounded bg-gray-200" />
+                <div className="h-4 w-3/4 rounded bg-gray-100" />
+                <div className="h-4 w-2/3 rounded bg-gray-100" />
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+      <span className="sr-only">Loading…</span>
+    </div>
+  );
+}
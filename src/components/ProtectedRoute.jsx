@@ -1,17 +1,56 @@
 // src/components/ProtectedRoute.jsx
-import { Navigate } from "react-router-dom";
-import { useAuth } from "../context/AuthContext";
+import { Link, Navigate, useLocation } from "react-router-dom";
+import { ShieldAlert } from "lucide-react";
+import { usePortalSession } from "../context/usePortalSession";
+import { isAllowed } from "../services/permissions";
+import PageSkeleton from "./PageSkeleton";
 
-export default function ProtectedRoute({ children }) {
-  const { hod, token, loading } = useAuth();
+function Forbidden({ home }) {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50 p-6">
+      <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md text-center">
+        <ShieldAlert size={40} className="mx-auto text-red-500 mb-3" />
+        <h1 className="text-2xl font-bold text-gray-800 mb-2">Access denied</h1>
+        <p className="text-gray-600 mb-6">Your account does not have permission to open this page.</p>
+        <Link to={home} className="px-4 py-2 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700">
+          Back to dashboard
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Route guard. Props:
+ * - portal: whose session counts, "hod" (default) or "professor"
+ * - roles: the session's role must be one of these (any role when omitted)
+ * - permissions: every one must be granted to that role (services/permissions)
+ * - loginPath: where signed-out visitors go; the location they asked for
+ *   travels along as `state.from` so the login can send them back
+ * - home: the "Back to dashboard" link on the access-denied page
+ */
+export default function ProtectedRoute({
+  children,
+  portal = "hod",
+  roles,
+  permissions = [],
+  loginPath = "/hod/login",
+  home = "/hod/dashboard",
+}) {
+  const { user, token, role, loading } = usePortalSession(portal);
+  const location = useLocation();
 
-  // If we are still hydrating profile from token, don't redirect yet
+  // still restoring the profile from a stored token: don't redirect yet
   if (loading) {
-    return null;
+    return <PageSkeleton />;
+  }
+
+  if (!user || !token) {
+    return <Navigate to={loginPath} replace state={{ from: location }} />;
   }
 
-  if (!hod || !token) {
-    return <Navigate to="/hod/login" replace />;
+  if (!isAllowed(role, { roles, permissions })) {
+    return <Forbidden home={home} />;
   }
 
   return children;
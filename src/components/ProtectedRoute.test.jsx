@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter, Route, Routes, useLocation } from "react-router-dom";
+import { ToastContainer } from "react-toastify";
+import ProtectedRoute from "./ProtectedRoute";
+import GuestRoute from "./GuestRoute";
+import HodLogin from "../pages/HodLogin";
+import { AuthProvider } from "../context/AuthContext";
+import { PERMISSIONS } from "../services/permissions";
+import { loginAsDemoHod } from "../test/mockServer";
+
+function Reports() {
+  const location = useLocation();
+  return <h1>Reports page {location.search}</h1>;
+}
+
+const renderApp = (route) =>
+  render(
+    <AuthProvider>
+      <MemoryRouter initialEntries={[route]}>
+        <Routes>
+          <Route
+            path="/hod/reports"
+            element={
+              <ProtectedRoute roles={["hod"]} permissions={[PERMISSIONS.ATTENDANCE]}>
+                <Reports />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/hod/payroll"
+            element={
+              <ProtectedRoute permissions={["payroll:manage"]}>
+                <h1>Payroll</h1>
+              </ProtectedRoute>
+            }
+          />
+          <Route path="/hod/dashboard" element={<h1>Dashboard</h1>} />
+          <Route
+            path="/hod/login"
+            element={
+              <GuestRoute>
+                <HodLogin />
+              </GuestRoute>
+            }
+          />
+        </Routes>
+      </MemoryRouter>
+      <ToastContainer autoClose={false} />
+    </AuthProvider>
+  );
+
+describe("ProtectedRoute", () => {
+  it("shows a skeleton while the stored session is restored", async () => {
+    await loginAsDemoHod();
+    renderApp("/hod/reports");
+
+    expect(screen.getByRole("status", { name: "Loading page" })).toBeInTheDocument();
+    expect(await screen.findByText(/Reports page/)).toBeInTheDocument();
+  });
+
+  it("sends a signed-out visitor to the login and back to the page they asked for", async () => {
+    const user = userEvent.setup();
+    renderApp("/hod/reports?range=week");
+
+    expect(await screen.findByPlaceholderText("e.g. testadmin")).toBeInTheDocument();
+    await user.click(screen.getByText("Fill in"));
+    await user.click(screen.getByRole("button", { name: /Login$/ }));
+
+    expect(await screen.findByText("Reports page ?range=week")).toBeInTheDocument();
+    expect(screen.queryByText("Dashboard")).not.toBeInTheDocument();
+  });
+
+  it("sends an already signed-in user from the login to the dashboard", async () => {
+    await loginAsDemoHod();
+    renderApp("/hod/login");
+
+    expect(await screen.findByText("Dashboard")).toBeInTheDocument();
+  });
+
+  it("shows access denied when the role lacks a required permission", async () => {
+    await loginAsDemoHod();
+    renderApp("/hod/payroll");
+
+    expect(await screen.findByText("Access denied")).toBeInTheDocument();
+    expect(screen.queryByText("Payroll")).not.toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Back to dashboard" })).toHaveAttribute("href", "/hod/dashboard");
+  });
+});
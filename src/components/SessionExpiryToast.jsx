@@ -0,0 +1,43 @@
+import { useEffect, useState } from "react";
+import { Clock } from "lucide-react";
+
+const remaining = (expiresAt) => {
+  const secs = Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 0);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Toast body warning that the session is about to run out, with a live
+ * countdown and a "Stay signed in" button (AuthContext shows it; no button
+ * without `onStay`, when the server cannot refresh tokens).
+ * (react-toastify passes `closeToast`)
+ */
+export default function SessionExpiryToast({ expiresAt, onStay, closeToast }) {
+  const [left, setLeft] = useState(() => remaining(expiresAt));
+
+  useEffect(() => {
+    const timer = setInterval(() => setLeft(remaining(expiresAt)), 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <span className="flex items-center gap-2">
+        <Clock size={16} className="shrink-0" /> Your session expires in {left}.
+      </span>
+      {onStay && (
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onStay();
+            closeToast?.();
+          }}
+          className="px-2 py-1 rounded bg-white/90 text-gray-800 text-sm font-semibold hover:bg-white whitespace-nowrap"
+        >
+          Stay signed in
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import { Undo2 } from "lucide-react";
+
+/**
+ * Toast body with an Undo button, for deletes held in services/deleteQueue.
+ * Usage: toast.info(<UndoToast message="..." onUndo={pending.undo} />, { autoClose: UNDO_WINDOW_MS })
+ * (react-toastify passes `closeToast`)
+ */
+export default function UndoToast({ message, onUndo, closeToast }) {
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <span>{message}</span>
+      <button
+        type="button"
+        onClick={(e) => {
+          e.stopPropagation();
+          onUndo();
+          closeToast?.();
+        }}
+        className="inline-flex items-center gap-1 px-2 py-1 rounded bg-white/90 text-gray-800 text-sm font-semibold hover:bg-white"
+      >
+        <Undo2 size={14} /> Undo
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+
+/**
+ * VirtualList – scrollable list or card grid that only renders the rows in
+ * view (plus `overscan` above and below), so thousands of items stay cheap.
+ * Props:
+ * - items, renderItem(item, index), getKey(item) (defaults to _id)
+ * - itemHeight: fixed height of every cell in px (cards should fill it)
+ * - minItemWidth: turns the list into a grid with as many columns as fit (up to maxColumns)
+ * - gap: px between cells; height: max height of the scroll area in px
+ * - onEndReached(): the last row came into view (load the next page)
+ * - resetKey: scroll back to the top when this changes (new filters)
+ * - footer: rendered under the items inside the scroll area, e.g. a "loading more" row
+ */
+export default function VirtualList({
+  items,
+  renderItem,
+  getKey = (item) => item._id,
+  itemHeight,
+  minItemWidth = 0,
+  maxColumns = 3,
+  gap = 16,
+  height = 640,
+  overscan = 2,
+  onEndReached,
+  resetKey,
+  footer = null,
+  className = "",
+}) {
+  const scrollRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [width, setWidth] = useState(0);
+
+  // column count follows the container width (jsdom and old browsers: one column)
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    if (!el || !minItemWidth || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [minItemWidth]);
+
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [resetKey]);
+
+  const columns = minItemWidth && width ? Math.min(Math.max(Math.floor((width + gap) / (minItemWidth + gap)), 1), maxColumns) : 1;
+  const rowCount = Math.ceil(items.length / columns);
+  const stride = itemHeight + gap;
+  const totalHeight = Math.max(rowCount * stride - gap, 0);
+
+  const firstRow = Math.max(Math.floor(scrollTop / stride) - overscan, 0);
+  const lastRow = Math.min(Math.ceil((scrollTop + height) / stride) + overscan, rowCount - 1);
+  const visible = items.slice(firstRow * columns, (lastRow + 1) * columns);
+
+  // once per list length, so a slow page load is not requested twice
+  const endReachedAt = useRef(-1);
+  useEffect(() => {
+    if (!onEndReached || !items.length || lastRow < rowCount - 1 || endReachedAt.current === items.length) return;
+    endReachedAt.current = items.length;
+    onEndReached();
+  }, [onEndReached, items.length, lastRow, rowCount]);
+
+  return (
+    <div
+      ref={scrollRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      className={`overflow-y-auto ${className}`}
+      style={{ maxHeight: height }}
+    >
+      <div style={{ height: totalHeight, position: "relative" }}>
+        <div
+          style={{
+            position: "absolute",
+            top: firstRow * stride,
+            left: 0,
+            right: 0,
+            display: "grid",
+            gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+            gridAutoRows: itemHeight,
+            gap,
+          }}
+        >
+          {visible.map((item, i) => (
+            <div key={getKey(item)} className="min-w-0">
+              {renderItem(item, firstRow * columns + i)}
+            </div>
+          ))}
+        </div>
+      </div>
+      {footer}
+    </div>
+  );
+}
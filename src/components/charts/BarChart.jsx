@@ -0,0 +1,56 @@
+import React from "react";
+
+/**
+ * BarChart – horizontal SVG bars, one per item (used to compare classes)
+ * Props:
+ * - data: [{ label, value, title? }]
+ * - max (default 100), suffix (default "%")
+ * - threshold: optional reference value drawn as a dashed line
+ * - colorFor(value) -> fill colour (optional)
+ */
+export default function BarChart({ data = [], max = 100, suffix = "%", threshold, colorFor }) {
+  if (!data.length) {
+    return <p className="text-sm text-gray-500">No data to chart</p>;
+  }
+
+  const width = 640;
+  const rowH = 26;
+  const labelW = 170;
+  const valueW = 56;
+  const barW = width - labelW - valueW;
+  const height = data.length * rowH + 8;
+  const scale = (v) => (Math.max(0, Math.min(v, max)) / max) * barW;
+  const fill = (v) => (colorFor ? colorFor(v) : "#7c3aed");
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img">
+      {data.map((d, i) => {
+        const top = i * rowH + 4;
+        return (
+          <g key={`${d.label}-${i}`}>
+            <title>{d.title || `${d.label}: ${d.value}${suffix}`}</title>
+            <text x={labelW - 8} y={top + rowH / 2 + 2} textAnchor="end" fontSize="11" fill="#374151">
+              {d.label.length > 26 ? `${d.label.slice(0, 25)}…` : d.label}
+            </text>
+            <rect x={labelW} y={top + 3} width={barW} height={rowH - 8} fill="#f3f4f6" rx="3" />
+            <rect x={labelW} y={top + 3} width={scale(d.value)} height={rowH - 8} fill={fill(d.value)} rx="3" />
+            <text x={labelW + barW + 6} y={top + rowH / 2 + 2} fontSize="11" fill="#374151">
+              {d.value}
+              {suffix}
+            </text>
+          </g>
+        );
+      })}
+      {threshold != null && (
+        <line
+          x1={labelW + scale(threshold)}
+          x2={labelW + scale(threshold)}
+          y1={0}
+          y2={height}
+          stroke="#ef4444"
+          strokeDasharray="4 4"
+        />
+      )}
+    </svg>
+  );
+}
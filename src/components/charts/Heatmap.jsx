@@ -0,0 +1,74 @@
+import React from "react";
+import { percentColor } from "../../utils/attendanceStats";
+
+/**
+ * Heatmap – SVG grid of percentage cells
+ * Props:
+ * - rows: [{ key, label }]
+ * - cols: [{ key, label }]
+ * - valueAt(rowKey, colKey) -> { value, title? } | null
+ */
+export default function Heatmap({ rows = [], cols = [], valueAt }) {
+  if (!rows.length || !cols.length) {
+    return <p className="text-sm text-gray-500">No data to chart</p>;
+  }
+
+  const cell = 44;
+  const labelW = 48;
+  const headerH = 22;
+  const width = labelW + cols.length * cell;
+  const height = headerH + rows.length * cell;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto max-w-2xl" role="img">
+      {cols.map((c, ci) => (
+        <text
+          key={c.key}
+          x={labelW + ci * cell + cell / 2}
+          y={headerH - 8}
+          textAnchor="middle"
+          fontSize="10"
+          fill="#6b7280"
+        >
+          {c.label}
+        </text>
+      ))}
+      {rows.map((r, ri) => (
+        <g key={r.key}>
+          <text x={labelW - 6} y={headerH + ri * cell + cell / 2 + 4} textAnchor="end" fontSize="11" fill="#374151">
+            {r.label}
+          </text>
+          {cols.map((c, ci) => {
+            const v = valueAt(r.key, c.key);
+            return (
+              <g key={c.key}>
+                <rect
+                  x={labelW + ci * cell + 2}
+                  y={headerH + ri * cell + 2}
+                  width={cell - 4}
+                  height={cell - 4}
+                  rx="4"
+                  fill={percentColor(v?.value)}
+                >
+                  <title>{v ? v.title || `${v.value}%` : "No records"}</title>
+                </rect>
+                {v && (
+                  <text
+                    x={labelW + ci * cell + cell / 2}
+                    y={headerH + ri * cell + cell / 2 + 4}
+                    textAnchor="middle"
+                    fontSize="10"
+                    fill="#fff"
+                    pointerEvents="none"
+                  >
+                    {Math.round(v.value)}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </g>
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,75 @@
+import React from "react";
+
+/**
+ * LineChart – minimal SVG line chart (no chart library)
+ * Props:
+ * - data: [{ label, value, title? }] in x order
+ * - yMax (default 100), ySuffix (default "%")
+ * - threshold: optional number drawn as a dashed reference line
+ * - height (px, default 220)
+ * - color (stroke, default purple)
+ */
+export default function LineChart({
+  data = [],
+  yMax = 100,
+  ySuffix = "%",
+  threshold,
+  height = 220,
+  color = "#7c3aed",
+}) {
+  const width = 640;
+  const pad = { top: 12, right: 16, bottom: 36, left: 40 };
+  const innerW = width - pad.left - pad.right;
+  const innerH = height - pad.top - pad.bottom;
+
+  if (!data.length) {
+    return <p className="text-sm text-gray-500">No data to chart</p>;
+  }
+
+  const x = (i) => pad.left + (data.length === 1 ? innerW / 2 : (i / (data.length - 1)) * innerW);
+  const y = (v) => pad.top + innerH - (Math.max(0, Math.min(v, yMax)) / yMax) * innerH;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((t) => Math.round(t * yMax));
+  // show at most ~8 x labels
+  const every = Math.max(1, Math.ceil(data.length / 8));
+  const path = data.map((d, i) => `${i ? "L" : "M"}${x(i)},${y(d.value)}`).join(" ");
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img">
+      {ticks.map((t) => (
+        <g key={t}>
+          <line x1={pad.left} x2={width - pad.right} y1={y(t)} y2={y(t)} stroke="#e5e7eb" />
+          <text x={pad.left - 6} y={y(t) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+            {t}
+            {ySuffix}
+          </text>
+        </g>
+      ))}
+
+      {threshold != null && (
+        <line
+          x1={pad.left}
+          x2={width - pad.right}
+          y1={y(threshold)}
+          y2={y(threshold)}
+          stroke="#ef4444"
+          strokeDasharray="4 4"
+        />
+      )}
+
+      <path d={path} fill="none" stroke={color} strokeWidth="2" />
+      {data.map((d, i) => (
+        <circle key={i} cx={x(i)} cy={y(d.value)} r="3" fill={color}>
+          <title>{d.title || `${d.label}: ${d.value}${ySuffix}`}</title>
+        </circle>
+      ))}
+
+      {data.map((d, i) =>
+        i % every === 0 || i === data.length - 1 ? (
+          <text key={i} x={x(i)} y={height - pad.bottom + 16} textAnchor="middle" fontSize="10" fill="#6b7280">
+            {d.label}
+          </text>
+        ) : null
+      )}
+    </svg>
+  );
+}
@@ -1,15 +1,28 @@
 // src/context/AuthContext.jsx
-import React, { createContext, useContext, useEffect, useState } from "react";
+import React, { createContext, useContext, useEffect, useRef, useState } from "react";
 import { loginHod, getHodProfile } from "../services/api";
+import { clearQueryCache } from "../services/queryCache";
+import { cancelPendingDeletes, resumePendingDeletes } from "../services/deleteQueue";
+import { setTrashAccount } from "../services/trash";
+import { setAuditActor } from "../services/audit";
+import { subscribeSession, refreshSession, expireSession, tokenExpiresAt, canRefreshSession } from "../services/session";
+import { roleOf, hasPermission } from "../services/permissions";
+import SessionExpiryToast from "../components/SessionExpiryToast";
 import { toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 
 const AuthContext = createContext();
 
+const EXPIRY_WARNING_MS = 2 * 60 * 1000; // warn this long before the token runs out
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout fires at once beyond this
+const EXPIRED_TOAST_ID = "session-expired";
+const EXPIRY_TOAST_ID = "session-expiry";
+
 export function AuthProvider({ children }) {
   const [hod, setHod] = useState(null);
   const [token, setToken] = useState(() => localStorage.getItem("hodToken") || null);
   const [loading, setLoading] = useState(Boolean(localStorage.getItem("hodToken"))); // true if token exists -> fetch profile
+  const refreshedTokenRef = useRef(null); // set by a silent refresh: same session, no profile reload
 
   // Normalize backend profile object
   const normalizeProfile = (profile) => {
@@ -37,21 +50,33 @@ export function AuthProvider({ children }) {
       const data = res?.data || {};
       const profile = data.hod || data.data?.hod || data; // normalize shapes
       setHod(normalizeProfile(profile));
+      setAuditActor(profile?.username);
+      setTrashAccount(profile?._id || profile?.id);
+      // deletes a closed tab left unsent (see services/deleteQueue)
+      resumePendingDeletes().catch((err) => console.error("Resuming queued deletes failed", err));
     } catch (err) {
-      toast.error("Session expired. Please log in again.");
-      // if token invalid, clear it
-      localStorage.removeItem("hodToken");
-      setToken(null);
-      setHod(null);
+      // a 401 has already ended the session through services/session
+      if (!err?.sessionExpired) toast.error("Session expired. Please log in again.", { toastId: EXPIRED_TOAST_ID });
+      dropSession();
     } finally {
       setLoading(false);
     }
   };
 
+  // token no longer valid: clear it and anything the session queued or cached
+  const dropSession = () => {
+    cancelPendingDeletes();
+    localStorage.removeItem("hodToken");
+    clearQueryCache();
+    setToken(null);
+    setHod(null);
+  };
+
   // When token changes, persist to localStorage and refetch profile
   useEffect(() => {
     if (token) {
       localStorage.setItem("hodToken", token);
+      if (token === refreshedTokenRef.current) return;
       fetchProfile();
     } else {
       localStorage.removeItem("hodToken");
@@ -60,6 +85,54 @@ export function AuthProvider({ children }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [token]);
 
+  // services/session: a silent refresh swapped the token, or a 401 could not be recovered
+  useEffect(
+    () =>
+      subscribeSession((event) => {
+        if (event.type === "refreshed") {
+          refreshedTokenRef.current = event.token;
+          setToken(event.token);
+        } else if (event.type === "expired") {
+          dropSession();
+          toast.error("Session expired. Please log in again.", { toastId: EXPIRED_TOAST_ID });
+        }
+      }),
+    []
+  );
+
+  const staySignedIn = async () => {
+    try {
+      await refreshSession();
+      toast.success("Session extended ✅");
+    } catch (err) {
+      console.error("Session refresh failed", err);
+      toast.error("Could not extend the session. Please log in again.");
+    }
+  };
+
+  // Warn two minutes before the JWT's `exp`, and end the session when it passes
+  const signedIn = Boolean(hod);
+  useEffect(() => {
+    const expiresAt = signedIn ? tokenExpiresAt(token) : null;
+    if (!expiresAt) return undefined;
+    const untilEnd = expiresAt - Date.now();
+    if (untilEnd > MAX_TIMER_MS) return undefined;
+
+    const warnTimer = setTimeout(() => {
+      toast.warn(<SessionExpiryToast expiresAt={expiresAt} onStay={canRefreshSession() ? staySignedIn : null} />, {
+        toastId: EXPIRY_TOAST_ID,
+        autoClose: false,
+        closeOnClick: false,
+      });
+    }, Math.max(untilEnd - EXPIRY_WARNING_MS, 0));
+    const endTimer = setTimeout(expireSession, Math.max(untilEnd, 0));
+    return () => {
+      clearTimeout(warnTimer);
+      clearTimeout(endTimer);
+      toast.dismiss(EXPIRY_TOAST_ID);
+    };
+  }, [token, signedIn]);
+
   // login: call loginHod (from services/api), extract token, then fetch profile
   const login = async (credentials) => {
     try {
@@ -70,6 +143,7 @@ export function AuthProvider({ children }) {
         throw new Error("Token not returned by server");
       }
 
+      clearQueryCache(); // never show the previous account's cached lists
       setToken(tokenFromServer); // this triggers fetchProfile via useEffect
 
       // If login response already included hod info, set it immediately
@@ -78,6 +152,8 @@ export function AuthProvider({ children }) {
       if (profile) {
         setHod(normalizeProfile(profile));
       }
+      setAuditActor(profile?.username || credentials?.username);
+      setTrashAccount(profile?._id || profile?.id);
 
       toast.success("Login successful 🎉");
       return res;
@@ -93,9 +169,14 @@ export function AuthProvider({ children }) {
   };
 
   const logout = () => {
+    refreshedTokenRef.current = null;
+    cancelPendingDeletes(); // deletes still inside their undo window are dropped, not sent
     setHod(null);
     setToken(null);
     localStorage.removeItem("hodToken");
+    clearQueryCache();
+    setTrashAccount(null); // the bin stays with the account for its next sign-in
+    setAuditActor(null);
     toast.info("Logged out successfully 👋");
   };
 
@@ -110,11 +191,17 @@ export function AuthProvider({ children }) {
     toast.success("Authentication updated ✅");
   };
 
+  // what this session may do (routes check it through ProtectedRoute)
+  const role = hod ? roleOf(token) : null;
+  const can = (permission) => hasPermission(role, permission);
+
   return (
     <AuthContext.Provider
       value={{
         hod,
         token,
+        role,
+        can,
         login,
         logout,
         setAuth,
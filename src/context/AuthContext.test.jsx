@@ -0,0 +1,136 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import { ToastContainer } from "react-toastify";
+import userEvent from "@testing-library/user-event";
+import { AuthProvider, useAuth } from "./AuthContext";
+import { DEMO_HOD } from "../services/mock";
+import { signToken } from "../services/mock/helpers";
+import API from "../services/api";
+import { decodeToken, refreshSession } from "../services/session";
+import { loginAsDemoHod } from "../test/mockServer";
+
+// Minimal consumer that exposes the context through the DOM
+function Probe({ password = DEMO_HOD.password }) {
+  const { hod, token, loading, login, logout } = useAuth();
+  return (
+    <div>
+      <p data-testid="state">{loading ? "loading" : hod ? `hod:${hod.username}` : "anonymous"}</p>
+      <p data-testid="token">{token ? "has-token" : "no-token"}</p>
+      <button onClick={() => login({ username: DEMO_HOD.username, password }).catch(() => {})}>login</button>
+      <button onClick={logout}>logout</button>
+    </div>
+  );
+}
+
+const renderProbe = (props) =>
+  render(
+    <AuthProvider>
+      <Probe {...props} />
+      <ToastContainer autoClose={false} />
+    </AuthProvider>
+  );
+
+// A demo HOD token that runs out in `ttl` seconds
+const shortLivedToken = async (ttl) => signToken({ id: decodeToken(await loginAsDemoHod()).id, role: "hod" }, ttl);
+
+describe("AuthContext", () => {
+  it("starts anonymous without a stored token", () => {
+    renderProbe();
+    expect(screen.getByTestId("state")).toHaveTextContent("anonymous");
+    expect(screen.getByTestId("token")).toHaveTextContent("no-token");
+  });
+
+  it("logs in, stores the token and loads the profile", async () => {
+    renderProbe();
+    await userEvent.click(screen.getByText("login"));
+
+    await waitFor(() => expect(screen.getByTestId("state")).toHaveTextContent(`hod:${DEMO_HOD.username}`));
+    expect(screen.getByTestId("token")).toHaveTextContent("has-token");
+    expect(localStorage.getItem("hodToken")).toBeTruthy();
+  });
+
+  it("stays logged out when the server rejects the credentials", async () => {
+    renderProbe({ password: "wrong" });
+    await userEvent.click(screen.getByText("login"));
+
+    await waitFor(() => expect(screen.getByTestId("state")).toHaveTextContent("anonymous"));
+    expect(screen.getByTestId("token")).toHaveTextContent("no-token");
+    expect(localStorage.getItem("hodToken")).toBeNull();
+  });
+
+  it("restores a session from a stored token", async () => {
+    await loginAsDemoHod();
+    renderProbe();
+
+    expect(screen.getByTestId("state")).toHaveTextContent("loading");
+    await waitFor(() => expect(screen.getByTestId("state")).toHaveTextContent(`hod:${DEMO_HOD.username}`));
+  });
+
+  it("clears a stored token the server no longer accepts", async () => {
+    localStorage.setItem("hodToken", "expired.token.value");
+    renderProbe();
+
+    await waitFor(() => expect(screen.getByTestId("state")).toHaveTextContent("anonymous"));
+    expect(screen.getByTestId("token")).toHaveTextContent("no-token");
+    expect(localStorage.getItem("hodToken")).toBeNull();
+  });
+
+  it("logs out and forgets the token", async () => {
+    await loginAsDemoHod();
+    renderProbe();
+    await waitFor(() => expect(screen.getByTestId("state")).toHaveTextContent("hod:"));
+
+    await userEvent.click(screen.getByText("logout"));
+
+    expect(screen.getByTestId("state")).toHaveTextContent("anonymous");
+    expect(screen.getByTestId("token")).toHaveTextContent("no-token");
+    expect(localStorage.getItem("hodToken")).toBeNull();
+  });
+
+  it("warns before the token runs out and stays signed in on request", async () => {
+    const token = await shortLivedToken(90);
+    localStorage.setItem("hodToken", token);
+    renderProbe();
+
+    expect(await screen.findByText(/Your session expires in 1:[23]\d/)).toBeInTheDocument();
+    await userEvent.click(screen.getByRole("button", { name: "Stay signed in" }));
+
+    expect(await screen.findByText("Session extended ✅")).toBeInTheDocument();
+    expect(localStorage.getItem("hodToken")).not.toBe(token);
+    expect(decodeToken(localStorage.getItem("hodToken")).exp).toBeGreaterThan(decodeToken(token).exp);
+    expect(screen.getByTestId("state")).toHaveTextContent(`hod:${DEMO_HOD.username}`);
+  });
+
+  describe("without a refresh endpoint", () => {
+    const originalAdapter = API.defaults.adapter;
+
+    afterEach(() => {
+      API.defaults.adapter = originalAdapter;
+    });
+
+    it("warns before the token runs out but offers no way to stay signed in", async () => {
+      API.defaults.adapter = (config) => {
+        if (config.url !== "/hods/refresh-token") return originalAdapter(config);
+        const err = new Error("Request failed with status code 404");
+        err.response = { status: 404, data: { error: "Not found" }, config };
+        return Promise.reject(err);
+      };
+      localStorage.setItem("hodToken", await shortLivedToken(90));
+      await refreshSession().catch(() => {});
+      renderProbe();
+
+      expect(await screen.findByText(/Your session expires in 1:[23]\d/)).toBeInTheDocument();
+      expect(screen.queryByRole("button", { name: "Stay signed in" })).not.toBeInTheDocument();
+    });
+  });
+
+  it("ends the session when the token expires", async () => {
+    localStorage.setItem("hodToken", await shortLivedToken(2));
+    renderProbe();
+    await waitFor(() => expect(screen.getByTestId("state")).toHaveTextContent("hod:"));
+
+    await waitFor(() => expect(screen.getByTestId("state")).toHaveTextContent("anonymous"), { timeout: 4000 });
+    expect(localStorage.getItem("hodToken")).toBeNull();
+    expect(await screen.findByText("Session expired. Please log in again.")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,99 @@
+// src/context/ProfessorAuthContext.jsx
+// Session of the professor portal (/professor/*), kept apart from the HOD's
+// AuthContext: its own token key (services/professorApi), its own profile.
+// Components read it with useProfessorAuth (./useProfessorAuth).
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import {
+  PROFESSOR_TOKEN_KEY,
+  getProfessorToken,
+  getMyProfile,
+  loginProfessor,
+  subscribeProfessorSession,
+} from "../services/professorApi";
+import { toProfessor } from "../services/models";
+import { clearQueryCache } from "../services/queryCache";
+import { roleOf, hasPermission, ROLES } from "../services/permissions";
+import { ProfessorAuthContext } from "./useProfessorAuth";
+
+const EXPIRED_TOAST_ID = "professor-session-expired";
+
+export function ProfessorAuthProvider({ children }) {
+  const [professor, setProfessor] = useState(null);
+  const [token, setToken] = useState(getProfessorToken);
+  const [loading, setLoading] = useState(() => Boolean(getProfessorToken())); // restoring a stored session
+
+  const endSession = () => {
+    localStorage.removeItem(PROFESSOR_TOKEN_KEY);
+    clearQueryCache("portal");
+    setToken(null);
+    setProfessor(null);
+  };
+
+  // restore a stored session once
+  useEffect(() => {
+    if (!getProfessorToken()) return;
+    let cancelled = false;
+    getMyProfile()
+      .then((profile) => {
+        if (!cancelled) setProfessor(profile);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (!err?.sessionExpired) toast.error("Session expired. Please log in again.", { toastId: EXPIRED_TOAST_ID });
+        endSession();
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // the server stopped accepting the token (services/professorApi)
+  useEffect(
+    () =>
+      subscribeProfessorSession(() => {
+        endSession();
+        toast.error("Session expired. Please log in again.", { toastId: EXPIRED_TOAST_ID });
+      }),
+    []
+  );
+
+  const login = async (credentials) => {
+    try {
+      const res = await loginProfessor(credentials);
+      const data = res?.data || {};
+      const tokenFromServer = data.token || data.data?.token || null;
+      if (!tokenFromServer) throw new Error("Token not returned by server");
+
+      localStorage.setItem(PROFESSOR_TOKEN_KEY, tokenFromServer);
+      clearQueryCache("portal"); // never show the previous professor's classes
+      setToken(tokenFromServer);
+      const profile = data.professor || data.data?.professor;
+      setProfessor(profile ? toProfessor(profile) : await getMyProfile());
+
+      toast.success("Login successful 🎉");
+      return res;
+    } catch (err) {
+      const serverMsg = err?.response?.data?.error || err?.response?.data?.message;
+      toast.error(serverMsg ? `Login failed: ${serverMsg}` : "Login failed: Unexpected error. Check console for details.");
+      throw err;
+    }
+  };
+
+  const logout = () => {
+    endSession();
+    toast.info("Logged out successfully 👋");
+  };
+
+  const role = professor ? roleOf(token, ROLES.PROFESSOR) : null;
+  const can = (permission) => hasPermission(role, permission);
+
+  return (
+    <ProfessorAuthContext.Provider value={{ professor, token, role, can, loading, login, logout }}>
+      {children}
+    </ProfessorAuthContext.Provider>
+  );
+}
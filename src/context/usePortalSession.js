@@ -0,0 +1,19 @@
+// src/context/usePortalSession.js
+import { useAuth } from "./AuthContext";
+import { useProfessorAuth } from "./useProfessorAuth";
+
+/**
+ * The signed-in user of a portal ("hod" or "professor") in one shape:
+ * { user, token, role, loading }. Route guards use it so they need not know
+ * which context a portal keeps its session in.
+ */
+export function usePortalSession(portal) {
+  const hodAuth = useAuth();
+  const professorAuth = useProfessorAuth();
+  if (portal === "professor") {
+    const { professor, token, role, loading } = professorAuth;
+    return { user: professor, token, role, loading };
+  }
+  const { hod, token, role, loading } = hodAuth;
+  return { user: hod, token, role, loading };
+}
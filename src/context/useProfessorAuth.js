@@ -0,0 +1,10 @@
+// src/context/useProfessorAuth.js
+import { createContext, useContext } from "react";
+
+// signed out unless a ProfessorAuthProvider says otherwise (HOD-only trees need none)
+export const ProfessorAuthContext = createContext({ professor: null, token: null, role: null, loading: false, can: () => false });
+
+/** The professor portal's session: { professor, token, role, can, loading, login, logout } */
+export function useProfessorAuth() {
+  return useContext(ProfessorAuthContext);
+}
@@ -3,13 +3,19 @@ import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
 import "./index.css";
 import { AuthProvider } from "./context/AuthContext.jsx";
+import { ProfessorAuthProvider } from "./context/ProfessorAuthContext.jsx";
 import { ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
+import MockApiBanner from "./components/MockApiBanner.jsx";
+import { isMockApiEnabled } from "./services/mock";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <AuthProvider>
-      <App />
+      <ProfessorAuthProvider>
+        <App />
+      </ProfessorAuthProvider>
+      {isMockApiEnabled() && <MockApiBanner />}
       {/* Global toast handler */}
       <ToastContainer
         position="top-right"
@@ -1,26 +1,28 @@
 // src/pages/AssignProfessorsPage.jsx
-import { useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useState } from "react";
 import {
-  getClasses,
-  getProfessors,
+  classesQuery,
+  professorsQuery,
   assignProfessorsToClass,
   removeProfessorsFromClass,
 } from "../services/api";
+import { fetchQuery, peekQuery } from "../services/queryCache";
+import { optimisticUpdate, addMembers, removeMembers } from "../services/optimistic";
 import { PlusCircle, XCircle, Search, RefreshCw, Loader2 } from "lucide-react";
 import { toast } from "react-toastify";
 import { useConfirm } from "../components/ConfirmProvider";
+import VirtualList from "../components/VirtualList";
 import Select from "react-select";
 
 export default function AssignProfessorsPage() {
-  const [classes, setClasses] = useState([]);
-  const [professors, setProfessors] = useState([]);
+  const [classes, setClasses] = useState(() => peekQuery(classesQuery) ?? []);
+  const [professors, setProfessors] = useState(() => peekQuery(professorsQuery) ?? []);
   const [selectedClass, setSelectedClass] = useState(null); // will store _id string
   const [selectedProfs, setSelectedProfs] = useState([]); // array of _id strings
   const [error, setError] = useState("");
   const [searchAvailable, setSearchAvailable] = useState("");
   const [searchAssigned, setSearchAssigned] = useState("");
   const [startsWith, setStartsWith] = useState("");
-  const [visibleCount, setVisibleCount] = useState(5);
 
   // UX loading states
   const [assigning, setAssigning] = useState(false);
@@ -29,11 +31,6 @@ export default function AssignProfessorsPage() {
   const [loadingStudents, setLoadingStudents] = useState(false);
   const [removingBulk, setRemovingBulk] = useState(false);
 
-    // --- new pagination states ---
-  const PAGE_SIZE = 10;
-  const [availableVisibleCount, setAvailableVisibleCount] = useState(PAGE_SIZE);
-  const [assignedVisibleCount, setAssignedVisibleCount] = useState(PAGE_SIZE);
-
   // --- state you need ---
   const [students, setStudents] = useState([]);
   const [selectedStudents, setSelectedStudents] = useState([]);
@@ -60,27 +57,10 @@ export default function AssignProfessorsPage() {
     : null;
 
 
-  // Accept either an array or axios-like response
-  const normalizeClassesResp = (res) => {
-    if (Array.isArray(res)) return res;
-    if (Array.isArray(res?.data?.classes)) return res.data.classes;
-    if (Array.isArray(res?.data)) return res.data;
-    return [];
-  };
-
-  const normalizeProfessorsResp = (res) => {
-    if (Array.isArray(res)) return res;
-    if (Array.isArray(res?.data?.professors)) return res.data.professors;
-    if (Array.isArray(res?.data)) return res.data;
-    return [];
-  };
-
   const fetchClasses = async () => {
     try {
-      setLoadingClasses(true);
-      const res = await getClasses();
-      const list = normalizeClassesResp(res);
-      setClasses(list);
+      setLoadingClasses(!peekQuery(classesQuery));
+      setClasses(await fetchQuery(classesQuery));
     } catch (err) {
       console.error("fetchClasses error", err);
       setError("⚠️ Failed to load classes");
@@ -92,9 +72,7 @@ export default function AssignProfessorsPage() {
 
   const fetchProfessors = async () => {
     try {
-      const res = await getProfessors();
-      const list = normalizeProfessorsResp(res);
-      setProfessors(list);
+      setProfessors(await fetchQuery(professorsQuery));
     } catch (err) {
       console.error("fetchProfessors error", err);
       setError("⚠️ Failed to load professors");
@@ -105,11 +83,19 @@ export default function AssignProfessorsPage() {
   const handleAssign = async () => {
     if (!selectedClass || selectedProfs.length === 0) return;
     setAssigning(true);
+    const classId = selectedClass;
+    const ids = selectedProfs;
+    const picked = professors.filter((p) => ids.includes(String(p._id)));
+    setSelectedProfs([]);
     try {
-      await assignProfessorsToClass(selectedClass, selectedProfs);
+      await optimisticUpdate({
+        setState: setClasses,
+        query: classesQuery,
+        apply: addMembers(classId, "professors", picked),
+        revert: removeMembers(classId, "professors", ids),
+        request: () => assignProfessorsToClass(classId, ids),
+      });
       toast.success("✅ Professors assigned successfully!");
-      setSelectedProfs([]);
-      await fetchClasses(); // refresh classes to show assigned professors (populated)
     } catch (err) {
       console.error("handleAssign error", err);
       const backendMsg = err.response?.data?.error;
@@ -118,6 +104,7 @@ export default function AssignProfessorsPage() {
         : "Failed to assign professors";
       setError(finalMsg);
       toast.error(finalMsg);
+      setSelectedProfs(ids); // keep the picks so the user can retry
     } finally {
       setAssigning(false);
     }
@@ -138,10 +125,14 @@ export default function AssignProfessorsPage() {
 
     setRemovingId(String(profId));
     try {
-      await removeProfessorsFromClass(selectedClass, [profId]);
+      await optimisticUpdate({
+        setState: setClasses,
+        query: classesQuery,
+        apply: removeMembers(selectedClass, "professors", [profId]),
+        revert: addMembers(selectedClass, "professors", prof ? [prof] : []),
+        request: () => removeProfessorsFromClass(selectedClass, [profId]),
+      });
       toast.success("🗑 Professor removed from class");
-      // refresh authoritative state
-      await fetchClasses();
     } catch (err) {
       console.error("handleRemove error", err);
       const backendMsg = err.response?.data?.error;
@@ -156,7 +147,7 @@ export default function AssignProfessorsPage() {
   };
 
   // helper to find class by id string robustly
-  const findClassById = (id) => classes.find((c) => String(c._id) === String(id));
+  const findClassById = useCallback((id) => classes.find((c) => String(c._id) === String(id)), [classes]);
 
   // Available professors (all professors; no "assigned" flag on professor itself)
   const availableProfessors = useMemo(() => professors.slice(), [professors]);
@@ -191,6 +182,14 @@ export default function AssignProfessorsPage() {
     return list;
   }, [professors, searchAvailable, startsWith]);
 
+  const assignedList = useMemo(
+    () =>
+      (findClassById(selectedClass)?.professors || []).filter((prof) =>
+        (prof.name || "").toLowerCase().includes(searchAssigned.toLowerCase())
+      ),
+    [findClassById, selectedClass, searchAssigned]
+  );
+
   // counts
   const totalCount = professors.length;
   const selectedCount = selectedProfs.length;
@@ -202,8 +201,6 @@ export default function AssignProfessorsPage() {
     setSelectedProfs([]);
     setSelectedStudents([]);
     setSelectedAssignedIds([]);
-    setAvailableVisibleCount(PAGE_SIZE);
-    setAssignedVisibleCount(PAGE_SIZE);
     setSearchAssigned("");
   };
 
@@ -285,17 +282,23 @@ export default function AssignProfessorsPage() {
             </div>
           </div>
 
-          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3">
-            {filteredAvailable.length === 0 ? (
-              <p className="text-gray-500">🚫 No professors found</p>
-            ) : (
-              filteredAvailable.slice(0, visibleCount).map((prof) => {
+          {filteredAvailable.length === 0 ? (
+            <p className="text-gray-500">🚫 No professors found</p>
+          ) : (
+            <VirtualList
+              items={filteredAvailable}
+              itemHeight={50}
+              minItemWidth={240}
+              gap={12}
+              height={420}
+              className="p-1 -m-1"
+              resetKey={searchAvailable}
+              renderItem={(prof) => {
                 const profIdStr = String(prof._id);
                 const checked = selectedProfs.includes(profIdStr);
                 return (
                   <label
-                    key={profIdStr}
-                    className={`border rounded-xl px-4 py-3 cursor-pointer flex items-center gap-2 shadow-sm transition ${checked ? "bg-purple-100 border-purple-500" : "hover:bg-gray-50"
+                    className={`h-full border rounded-xl px-4 py-3 cursor-pointer flex items-center gap-2 shadow-sm transition ${checked ? "bg-purple-100 border-purple-500" : "hover:bg-gray-50"
                       }`}
                   >
                     <input
@@ -310,38 +313,14 @@ export default function AssignProfessorsPage() {
                       }
                       disabled={assigning || removingId !== null}
                     />
-                    <span className="font-medium text-gray-700">{prof.name}</span>
-                    <span className="text-xs text-gray-400 ml-auto">{prof.username}</span>
+                    <span className="font-medium text-gray-700 truncate">{prof.name}</span>
+                    <span className="text-xs text-gray-400 ml-auto truncate">{prof.username}</span>
                   </label>
                 );
-              })
-            )}
-          </div>
-
-          {/* Show More / Show Less button */}
-          {filteredAvailable.length > visibleCount && (
-            <div className="flex justify-center mt-4">
-              <button
-                onClick={() => setVisibleCount((prev) => prev + 5)}
-                className="text-purple-600 font-medium hover:underline"
-              >
-                Show More
-              </button>
-            </div>
-          )}
-
-          {visibleCount > 5 && visibleCount >= filteredAvailable.length && (
-            <div className="flex justify-center mt-2">
-              <button
-                onClick={() => setVisibleCount(5)}
-                className="text-purple-600 font-medium hover:underline"
-              >
-                Show Less
-              </button>
-            </div>
+              }}
+            />
           )}
 
-
           <button
             onClick={handleAssign}
             className="mt-6 bg-purple-600 text-white px-5 py-2 rounded-xl shadow hover:bg-purple-700 transition flex items-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
@@ -377,21 +356,25 @@ export default function AssignProfessorsPage() {
             />
           </div>
 
-          <ul className="space-y-3">
-            {findClassById(selectedClass)
-              ?.professors
-              ?.filter((prof) => (prof.name || "").toLowerCase().includes(searchAssigned.toLowerCase()))
-              .map((prof) => {
+          {assignedList.length === 0 ? (
+            <p className="text-gray-500 text-center">
+              {findClassById(selectedClass)?.professors?.length ? "🚫 No assigned professors match your search" : "🚫 No professors assigned yet"}
+            </p>
+          ) : (
+            <VirtualList
+              items={assignedList}
+              itemHeight={54}
+              gap={12}
+              height={480}
+              resetKey={searchAssigned}
+              renderItem={(prof) => {
                 const idStr = String(prof._id);
                 const removing = removingId === idStr;
                 return (
-                  <li
-                    key={idStr}
-                    className="flex justify-between items-center border p-3 rounded-xl shadow-sm hover:bg-gray-50 transition"
-                  >
-                    <p className="font-medium text-gray-800">{prof.name}</p>
+                  <div className="h-full flex justify-between items-center border p-3 rounded-xl shadow-sm hover:bg-gray-50 transition">
+                    <p className="font-medium text-gray-800 truncate">{prof.name}</p>
                     <button
-                      onClick={() => handleRemove(String(prof._id))}
+                      onClick={() => handleRemove(idStr)}
                       className="text-red-600 hover:text-red-800 flex items-center gap-1 disabled:opacity-60 disabled:cursor-not-allowed"
                       disabled={assigning || removingId !== null}
                     >
@@ -405,14 +388,11 @@ export default function AssignProfessorsPage() {
                         </>
                       )}
                     </button>
-                  </li>
+                  </div>
                 );
-              })}
-
-            {(!findClassById(selectedClass)?.professors?.length) && (
-              <p className="text-gray-500 text-center">🚫 No professors assigned yet</p>
-            )}
-          </ul>
+              }}
+            />
+          )}
         </div>
       )}
     </div>
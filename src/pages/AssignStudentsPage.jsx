@@ -1,28 +1,32 @@
 // src/pages/AssignStudentsPage.jsx
 import { useEffect, useMemo, useRef, useState } from "react";
 import {
-  getClasses,
+  classesQuery,
+  studentsPageQuery,
   getStudents,
   assignStudentsToClass,
   removeStudentsFromClass,
   batchRemoveStudentsFromClassClient
 } from "../services/api";
+import { fetchQuery, peekQuery, usePagedQuery, useQuery } from "../services/queryCache";
+import { optimisticUpdate, addMembers, removeMembers } from "../services/optimistic";
 import { PlusCircle, XCircle, Search, Loader2 } from "lucide-react";
 import { toast } from "react-toastify";
 import { useConfirm } from "../components/ConfirmProvider";
 import BatchProgress from "../components/BatchProgress";
+import VirtualList from "../components/VirtualList";
 import Select from "react-select";
 
+const PAGE_SIZE = 60; // available students fetched per server page
+
 export default function AssignStudentsPage() {
-  const [classes, setClasses] = useState([]);
-  const [students, setStudents] = useState([]);
+  const [classes, setClasses] = useState(() => peekQuery(classesQuery) ?? []);
   const [selectedClass, setSelectedClass] = useState(null);
   const [selectedStudents, setSelectedStudents] = useState([]); // for assigning (available)
   const [error, setError] = useState("");
 
   // loading states
   const [loadingClasses, setLoadingClasses] = useState(false);
-  const [loadingStudents, setLoadingStudents] = useState(false);
   const [assigning, setAssigning] = useState(false); // bulk assign running
   const [removingId, setRemovingId] = useState(null); // single remove in flight
   const [removingBulk, setRemovingBulk] = useState(false); // batch remove in flight
@@ -49,12 +53,52 @@ export default function AssignStudentsPage() {
 
   const confirm = useConfirm();
   const toastIdRef = useRef(null);
+  const pickedByFilterRef = useRef([]); // records behind "Select all available by filter"
 
   useEffect(() => {
     fetchClasses();
-    fetchStudents();
   }, []);
 
+  // Available students: filtered, sorted and paged by the server
+  const availableFilters = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries({
+          search: searchAvailable.trim(),
+          startsWith,
+          semester: semesterAvailable,
+          division: divisionAvailable,
+          sortBy: "name",
+        }).filter(([, v]) => v !== "")
+      ),
+    [searchAvailable, startsWith, semesterAvailable, divisionAvailable]
+  );
+
+  const {
+    items: students,
+    total: availableTotal,
+    facets,
+    hasMore,
+    isLoading: loadingStudents,
+    isFetching: fetchingStudents,
+    error: studentsError,
+    loadMore,
+  } = usePagedQuery(studentsPageQuery, availableFilters, { pageSize: PAGE_SIZE });
+
+  // the unfiltered count for the overview (one-row page, only `total` is used)
+  const { data: everyone } = useQuery(studentsPageQuery({ page: 1, limit: 1 }));
+
+  useEffect(() => {
+    if (!studentsError) return;
+    console.error("fetchStudents error", studentsError);
+    const backendMsg = studentsError?.response?.data?.error;
+    const finalMsg = backendMsg
+      ? `Failed to load students: ${backendMsg}`
+      : "Failed to load students";
+    setError(finalMsg);
+    toast.error(finalMsg);
+  }, [studentsError]);
+
   // Prepare options for react-select
   const classOptions = classes.map((cls) => ({
     value: String(cls._id),
@@ -66,25 +110,10 @@ export default function AssignStudentsPage() {
     ? classOptions.find((opt) => opt.value === selectedClass)
     : null;
 
-  const normalizeClassesResp = (res) => {
-    if (Array.isArray(res)) return res;
-    if (Array.isArray(res?.data?.classes)) return res.data.classes;
-    if (Array.isArray(res?.data)) return res.data;
-    return [];
-  };
-
-  const normalizeStudentsResp = (res) => {
-    if (Array.isArray(res)) return res;
-    if (Array.isArray(res?.data?.data)) return res.data.data;
-    if (Array.isArray(res?.data?.students)) return res.data.students;
-    return [];
-  };
-
   const fetchClasses = async () => {
-    setLoadingClasses(true);
+    setLoadingClasses(!peekQuery(classesQuery));
     try {
-      const res = await getClasses();
-      setClasses(normalizeClassesResp(res));
+      setClasses(await fetchQuery(classesQuery));
     } catch (err) {
       console.error("fetchClasses error", err);
       const backendMsg = err?.response?.data?.error;
@@ -99,35 +128,11 @@ export default function AssignStudentsPage() {
     }
   };
 
-  const fetchStudents = async () => {
-    setLoadingStudents(true);
-    try {
-      const res = await getStudents();
-      setStudents(normalizeStudentsResp(res));
-    } catch (err) {
-      console.error("fetchStudents error", err);
-      const backendMsg = err?.response?.data?.error;
-      const finalMsg = backendMsg
-        ? `Failed to load students: ${backendMsg}`
-        : "Failed to load students";
-      setError(finalMsg);
-      toast.error(finalMsg);
-
-    } finally {
-      setLoadingStudents(false);
-    }
-  };
-
-  // --- Enrich classes' assigned student entries with master student data ---
+  // --- Fill id-only (unpopulated) class members in from the master student list ---
   useEffect(() => {
     if (!classes.length || !students.length) return;
 
-    const needsEnrich = classes.some((c) =>
-      (c.students || []).some((asgn) => {
-        const s = asgn.student ?? asgn;
-        return s && (s.division === undefined || s.semester === undefined);
-      })
-    );
+    const needsEnrich = classes.some((c) => c.students.some((s) => !s.name || s.semester == null));
 
     if (!needsEnrich) return;
 
@@ -135,15 +140,13 @@ export default function AssignStudentsPage() {
     const studentByEnroll = new Map(students.map((s) => [String(s.enrollmentNumber), s]));
 
     const merged = classes.map((c) => {
-      const mergedStudents = (c.students || []).map((assigned) => {
-        const assignedObj = assigned.student ?? assigned;
-        const id = String(assignedObj._id ?? assignedObj.id ?? "");
-        const enroll = assignedObj.enrollmentNumber ?? assignedObj.enrollment;
-
+      const mergedStudents = c.students.map((assigned) => {
         const master =
-          (id && studentById.get(id)) || (enroll && studentByEnroll.get(String(enroll))) || null;
+          studentById.get(assigned._id) ||
+          (assigned.enrollmentNumber && studentByEnroll.get(assigned.enrollmentNumber)) ||
+          null;
 
-        return { ...assignedObj, ...(master || {}) };
+        return { ...assigned, ...(master || {}) };
       });
 
       return { ...c, students: mergedStudents };
@@ -153,40 +156,25 @@ export default function AssignStudentsPage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [classes.length, students]);
 
-  // ---------------- pagination / show-more state (10 at a time) ----------------
-  const PAGE_SIZE = 10;
-  const [availableVisibleCount, setAvailableVisibleCount] = useState(PAGE_SIZE);
-  const [assignedVisibleCount, setAssignedVisibleCount] = useState(PAGE_SIZE);
-
-  // reset visible counts when filters or selected class change
-  useEffect(() => {
-    setAvailableVisibleCount(PAGE_SIZE);
-  }, [searchAvailable, startsWith, semesterAvailable, divisionAvailable]);
-
-  useEffect(() => {
-    setAssignedVisibleCount(PAGE_SIZE);
-  }, [searchAssigned, semesterAssigned, selectedClass]); // divisionAssigned removed
-
-  const increaseAvailableVisible = () =>
-    setAvailableVisibleCount((prev) => Math.min(prev + PAGE_SIZE, filteredAvailable.length));
-
-  const reduceAvailableVisible = () => setAvailableVisibleCount(PAGE_SIZE);
-
-  const increaseAssignedVisible = () =>
-    setAssignedVisibleCount((prev) => Math.min(prev + PAGE_SIZE, assignedList.length));
-
-  const reduceAssignedVisible = () => setAssignedVisibleCount(PAGE_SIZE);
-
   // ----------------- handlers for assign/remove -----------------
   const handleAssign = async () => {
     if (!selectedClass || selectedStudents.length === 0) return;
     setAssigning(true);
+    const classId = selectedClass;
+    const ids = selectedStudents;
+    const known = new Map([...pickedByFilterRef.current, ...students].map((s) => [String(s._id), s]));
+    const picked = ids.map((id) => known.get(id)).filter(Boolean);
+    setSelectedStudents([]);
+    setSelectedAssignedIds([]);
     try {
-      await assignStudentsToClass(selectedClass, selectedStudents);
+      await optimisticUpdate({
+        setState: setClasses,
+        query: classesQuery,
+        apply: addMembers(classId, "students", picked),
+        revert: removeMembers(classId, "students", ids),
+        request: () => assignStudentsToClass(classId, ids),
+      });
       toast.success("✅ Students assigned successfully!");
-      setSelectedStudents([]);
-      setSelectedAssignedIds([]);
-      await fetchClasses();
     } catch (err) {
       console.error("handleAssign error", err);
       const backendMsg = err?.response?.data?.error;
@@ -195,6 +183,7 @@ export default function AssignStudentsPage() {
         : "Failed to assign students";
       setError(finalMsg);
       toast.error(finalMsg);
+      setSelectedStudents(ids); // keep the picks so the user can retry
 
     } finally {
       setAssigning(false);
@@ -215,11 +204,16 @@ export default function AssignStudentsPage() {
     if (!ok) return;
 
     setRemovingId(String(studentId));
+    setSelectedAssignedIds((prev) => prev.filter((id) => id !== String(studentId)));
     try {
-      await removeStudentsFromClass(selectedClass, [studentId]);
+      await optimisticUpdate({
+        setState: setClasses,
+        query: classesQuery,
+        apply: removeMembers(selectedClass, "students", [studentId]),
+        revert: addMembers(selectedClass, "students", student ? [student] : []),
+        request: () => removeStudentsFromClass(selectedClass, [studentId]),
+      });
       toast.success("🗑 Student removed from class");
-      setSelectedAssignedIds((prev) => prev.filter((id) => id !== String(studentId)));
-      await fetchClasses();
     } catch (err) {
       console.error("handleRemove error", err);
       const backendMsg = err?.response?.data?.error;
@@ -279,14 +273,24 @@ export default function AssignStudentsPage() {
     setShowBatchProgress(true); // open modal
     setRemovingProgress({ done: 0, total: validIds.length });
 
-    const results = await batchRemoveStudentsFromClassClient(
-      selectedClass,
-      validIds,
-      {
-        concurrency: 5,
-        onProgress: (p) => setRemovingProgress(p),
-      }
-    );
+    const removed = cls.students.filter((s) => validIds.includes(String(s._id)));
+    const results = await optimisticUpdate({
+      setState: setClasses,
+      query: classesQuery,
+      apply: removeMembers(cls._id, "students", validIds),
+      revert: addMembers(cls._id, "students", removed),
+      request: () =>
+        batchRemoveStudentsFromClassClient(
+          cls._id,
+          validIds,
+          {
+            concurrency: 5,
+            onProgress: (p) => setRemovingProgress(p),
+          }
+        ),
+      settle: ({ failed }) =>
+        failed.length && addMembers(cls._id, "students", removed.filter((s) => failed.some((f) => f.id === String(s._id)))),
+    });
 
     setRemovingBulk(false);
     setSelectedAssignedIds([]);
@@ -298,60 +302,15 @@ export default function AssignStudentsPage() {
         `⚠️ Removed ${results.success.length}, failed ${results.failed.length}. Please retry.`
       );
     }
-    await fetchClasses();
   };
 
 
   const findClassById = (id) => classes.find((c) => String(c._id) === String(id));
 
-  // Semester/division options
-  const semesterOptions = useMemo(() => {
-    const set = new Set(students.map((s) => (s.semester || "").toString()).filter(Boolean));
-    return ["", ...Array.from(set).sort((a, b) => a.localeCompare(b))];
-  }, [students]);
-
-  const divisionOptions = useMemo(() => {
-    const set = new Set(students.map((s) => s.division).filter(Boolean));
-    return ["", ...Array.from(set).sort()];
-  }, [students]);
-
-  // Filter available students
-  const filteredAvailable = useMemo(() => {
-    let list = students.slice();
-    const s = (searchAvailable || "").trim().toLowerCase();
-
-    if (s) {
-      list = list.filter(
-        (stu) =>
-          (stu.name || "").toLowerCase().includes(s) ||
-          (stu.enrollmentNumber || "").toLowerCase().includes(s)
-      );
-    }
-
-    if (startsWith) {
-      if (startsWith === "0-9") {
-        list = list.filter((stu) => /^\d/.test((stu.name || stu.enrollmentNumber || "").trim()));
-      } else {
-        const l = startsWith.toLowerCase();
-        list = list.filter(
-          (stu) =>
-            (stu.name || "").trim().toLowerCase().startsWith(l) ||
-            (stu.enrollmentNumber || "").trim().toLowerCase().startsWith(l)
-        );
-      }
-    }
-
-    if (semesterAvailable) {
-      list = list.filter((stu) => String(stu.semester || "") === String(semesterAvailable));
-    }
-
-    if (divisionAvailable) {
-      list = list.filter((stu) => String(stu.division || "") === String(divisionAvailable));
-    }
+  // Semester/division options (over every student, from the server)
+  const semesterOptions = useMemo(() => ["", ...facets.semesters.map(String)], [facets]);
 
-    list.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
-    return list;
-  }, [students, searchAvailable, startsWith, semesterAvailable, divisionAvailable]);
+  const divisionOptions = useMemo(() => ["", ...facets.divisions], [facets]);
 
   // Assigned list with assigned-side filters (divisionAssigned removed)
   const assignedList = useMemo(() => {
@@ -373,19 +332,15 @@ export default function AssignStudentsPage() {
     );
   }, [classes, selectedClass, searchAssigned, semesterAssigned]);
 
-  const totalCount = students.length;
-  const availableCount = filteredAvailable.length;
+  const totalCount = everyone?.total ?? availableTotal;
+  const availableCount = availableTotal;
   const selectedCount = selectedStudents.length;
   const assignedCount = selectedClass ? (findClassById(selectedClass)?.students?.length || 0) : 0;
 
-  // slices to show (move this up!)
-  const availableToShow = filteredAvailable.slice(0, availableVisibleCount);
-  const assignedToShow = assignedList.slice(0, assignedVisibleCount);
-
-  // 1. Compute visible IDs
+  // 1. Compute visible (loaded) IDs
   const visibleAvailableIds = useMemo(
-    () => availableToShow.map((s) => String(s._id)),
-    [availableToShow]
+    () => students.map((s) => String(s._id)),
+    [students]
   );
   const areAllVisibleSelected = useMemo(() => {
     if (visibleAvailableIds.length === 0) return false;
@@ -407,7 +362,7 @@ export default function AssignStudentsPage() {
   }, [isSomeVisibleSelected, areAllVisibleSelected]);
 
   const handleToggleSelectVisible = () => {
-    const visibleIds = filteredAvailable.slice(0, availableVisibleCount).map((s) => String(s._id));
+    const visibleIds = visibleAvailableIds;
     if (visibleIds.length === 0) return;
     if (visibleIds.every((id) => selectedStudents.includes(id))) {
       setSelectedStudents((prev) => prev.filter((id) => !visibleIds.includes(id)));
@@ -416,15 +371,23 @@ export default function AssignStudentsPage() {
     }
   };
 
-  const handleSelectAllByFilter = () => {
-    const allFilteredIds = filteredAvailable.map((s) => String(s._id));
-    setSelectedStudents((prev) => Array.from(new Set([...prev, ...allFilteredIds])));
+  // every match, not just the loaded pages, so ask the server for the full list
+  const handleSelectAllByFilter = async () => {
+    try {
+      const matching = await getStudents(availableFilters);
+      pickedByFilterRef.current = matching;
+      setSelectedStudents((prev) => Array.from(new Set([...prev, ...matching.map((s) => String(s._id))])));
+    } catch (err) {
+      console.error("handleSelectAllByFilter error", err);
+      const backendMsg = err?.response?.data?.error;
+      toast.error(backendMsg ? `Failed to select students: ${backendMsg}` : "Failed to select students");
+    }
   };
 
   // assigned selection helpers
   const assignedVisibleIds = useMemo(
-    () => assignedList.slice(0, assignedVisibleCount).map((s) => String(s._id)),
-    [assignedList, assignedVisibleCount]
+    () => assignedList.map((s) => String(s._id)),
+    [assignedList]
   );
 
   const areAllAssignedVisibleSelected = useMemo(() => {
@@ -478,8 +441,6 @@ export default function AssignStudentsPage() {
               setSelectedClass(opt ? opt.value : null);
               setSelectedStudents([]);
               setSelectedAssignedIds([]);
-              setAvailableVisibleCount(PAGE_SIZE);
-              setAssignedVisibleCount(PAGE_SIZE);
             }}
             isClearable
             isDisabled={loadingClasses || loadingStudents || assigning || removingBulk || removingId !== null}
@@ -578,7 +539,6 @@ export default function AssignStudentsPage() {
                 setStartsWith("");
                 setSemesterAvailable("");
                 setDivisionAvailable("");
-                setAvailableVisibleCount(PAGE_SIZE);
               }}
               className="px-3 py-2 border rounded-lg hover:bg-gray-50 text-sm flex-shrink-0"
               disabled={loadingStudents || assigning || removingBulk || removingId !== null}
@@ -641,20 +601,35 @@ export default function AssignStudentsPage() {
             </button>
           </div>
 
-          {/* Student Grid */}
-          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
-            {loadingStudents ? (
-              <p className="text-gray-500">⏳ Loading students...</p>
-            ) : filteredAvailable.length === 0 ? (
-              <p className="text-gray-500">🚫 No students match the filters.</p>
-            ) : (
-              availableToShow.map((stu) => {
+          {/* Student Grid (rows are rendered as they scroll into view; more pages load at the end) */}
+          {loadingStudents ? (
+            <p className="text-gray-500">⏳ Loading students...</p>
+          ) : students.length === 0 ? (
+            <p className="text-gray-500">🚫 No students match the filters.</p>
+          ) : (
+            <VirtualList
+              items={students}
+              itemHeight={120}
+              minItemWidth={240}
+              gap={16}
+              height={560}
+              className="p-1 -m-1"
+              resetKey={JSON.stringify(availableFilters)}
+              onEndReached={hasMore ? loadMore : undefined}
+              footer={
+                fetchingStudents &&
+                hasMore && (
+                  <p className="text-center text-sm text-gray-500 py-3">
+                    <Loader2 className="inline animate-spin mr-1" size={14} /> Loading more students...
+                  </p>
+                )
+              }
+              renderItem={(stu) => {
                 const sid = String(stu._id);
                 const checked = selectedStudents.includes(sid);
                 return (
                   <label
-                    key={sid}
-                    className={`cursor-pointer p-4 rounded-2xl border shadow-md transform transition hover:scale-[1.02] ${checked ? "bg-green-100 border-green-500" : "bg-white hover:bg-gray-50"
+                    className={`h-full block cursor-pointer p-4 rounded-2xl border shadow-md transition ${checked ? "bg-green-100 border-green-500" : "bg-white hover:bg-gray-50"
                       }`}
                   >
                     <div className="flex items-center gap-3">
@@ -668,40 +643,17 @@ export default function AssignStudentsPage() {
                         }
                         disabled={assigning || removingBulk || removingId !== null}
                       />
-                      <div>
-                        <p className="font-medium text-gray-800">{stu.name}</p>
-                        <p className="text-sm text-gray-500">🆔 {stu.enrollmentNumber}</p>
+                      <div className="min-w-0">
+                        <p className="font-medium text-gray-800 truncate">{stu.name}</p>
+                        <p className="text-sm text-gray-500 truncate">🆔 {stu.enrollmentNumber}</p>
                         {stu.semester && <p className="text-xs text-gray-400">Sem: {stu.semester}</p>}
                         {stu.division && <p className="text-xs text-gray-400">Div: {stu.division}</p>}
                       </div>
                     </div>
                   </label>
                 );
-              })
-            )}
-          </div>
-
-          {/* Show more / less */}
-          {filteredAvailable.length > PAGE_SIZE && (
-            <div className="mt-3 flex justify-center items-center gap-3">
-              {availableVisibleCount < filteredAvailable.length ? (
-                <button
-                  onClick={increaseAvailableVisible}
-                  className="px-3 py-2 border rounded-lg hover:bg-gray-50"
-                  disabled={assigning || removingBulk || removingId !== null}
-                >
-                  Show more ({Math.min(PAGE_SIZE, filteredAvailable.length - availableVisibleCount)} more)
-                </button>
-              ) : (
-                <button
-                  onClick={reduceAvailableVisible}
-                  className="px-3 py-2 border rounded-lg hover:bg-gray-50"
-                  disabled={assigning || removingBulk || removingId !== null}
-                >
-                  Show less
-                </button>
-              )}
-            </div>
+              }}
+            />
           )}
         </div>
       )}
@@ -742,7 +694,6 @@ export default function AssignStudentsPage() {
               onClick={() => {
                 setSearchAssigned("");
                 setSemesterAssigned("");
-                setAssignedVisibleCount(PAGE_SIZE);
               }}
               className="px-3 py-2 border rounded-lg hover:bg-gray-50 text-sm"
               disabled={removingId !== null || assigning || removingBulk}
@@ -807,20 +758,25 @@ export default function AssignStudentsPage() {
           <br />
 
           {/* 🧑‍🎓 Assigned Students List */}
-          <ul className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
-            {assignedToShow.length === 0 ? (
-              <p className="text-gray-500">🚫 No students assigned (or none match search/filters).</p>
-            ) : (
-              assignedToShow.map((stu) => {
+          {assignedList.length === 0 ? (
+            <p className="text-gray-500">🚫 No students assigned (or none match search/filters).</p>
+          ) : (
+            <VirtualList
+              items={assignedList}
+              getKey={(stu) => String(stu._id)}
+              itemHeight={150}
+              minItemWidth={240}
+              gap={16}
+              height={560}
+              className="p-1 -m-1"
+              resetKey={`${selectedClass}|${searchAssigned}|${semesterAssigned}`}
+              renderItem={(stu) => {
                 const idStr = String(stu._id);
                 const removing = removingId === idStr;
                 const checked = selectedAssignedIds.includes(idStr);
 
                 return (
-                  <li
-                    key={idStr}
-                    className="flex flex-col justify-between p-4 rounded-2xl border shadow-md bg-white transform transition hover:scale-[1.02] hover:bg-gray-50"
-                  >
+                  <div className="h-full flex flex-col justify-between p-4 rounded-2xl border shadow-md bg-white transition hover:bg-gray-50">
                     <div className="flex items-start gap-3">
                       <input
                         type="checkbox"
@@ -833,9 +789,9 @@ export default function AssignStudentsPage() {
                         disabled={removing || assigning || removingBulk}
                         className="mt-1"
                       />
-                      <div className="flex-1">
-                        <p className="font-medium text-gray-800">{stu.name}</p>
-                        <p className="text-sm text-gray-500">🆔 {stu.enrollmentNumber}</p>
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-gray-800 truncate">{stu.name}</p>
+                        <p className="text-sm text-gray-500 truncate">🆔 {stu.enrollmentNumber}</p>
                         <div className="mt-2 text-xs text-gray-600 flex flex-wrap gap-3">
                           <span className="px-2 py-0.5 bg-purple-50 rounded">
                             {stu.semester ? `Sem: ${stu.semester}` : "Sem: -"}
@@ -861,33 +817,10 @@ export default function AssignStudentsPage() {
                       </button>
                       <div className="text-xs text-gray-500"></div>
                     </div>
-                  </li>
+                  </div>
                 );
-              })
-            )}
-          </ul>
-
-          {/* 📌 Show more / less */}
-          {assignedList.length > PAGE_SIZE && (
-            <div className="mt-3 flex justify-center items-center gap-3">
-              {assignedVisibleCount < assignedList.length ? (
-                <button
-                  onClick={increaseAssignedVisible}
-                  className="px-3 py-2 border rounded-lg hover:bg-gray-50"
-                  disabled={assigning || removingId !== null || removingBulk}
-                >
-                  Show more ({Math.min(PAGE_SIZE, assignedList.length - assignedVisibleCount)} more)
-                </button>
-              ) : (
-                <button
-                  onClick={reduceAssignedVisible}
-                  className="px-3 py-2 border rounded-lg hover:bg-gray-50"
-                  disabled={assigning || removingId !== null || removingBulk}
-                >
-                  Show less
-                </button>
-              )}
-            </div>
+              }}
+            />
           )}
 
           {!findClassById(selectedClass)?.students?.length && (
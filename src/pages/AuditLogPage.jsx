@@ -0,0 +1,285 @@
+// src/pages/AuditLogPage.jsx
+import { Fragment, useMemo, useState, useSyncExternalStore } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { ArrowLeft, ChevronDown, ChevronRight, CloudUpload, Loader2, RefreshCw, Search } from "lucide-react";
+import ExportMenu from "../components/ExportMenu";
+import { exportRows } from "../utils/exporters";
+import {
+  getAuditLog,
+  subscribeAuditLog,
+  auditChanges,
+  isAuditSyncEnabled,
+  syncAuditLog,
+} from "../services/audit";
+
+const ENTITIES = [
+  { value: "", label: "All entities" },
+  { value: "student", label: "🧑‍🎓 Students" },
+  { value: "professor", label: "👩‍🏫 Professors" },
+  { value: "class", label: "🏫 Classes" },
+  { value: "attendance", label: "📋 Attendance" },
+  { value: "leave", label: "🩺 Leaves" },
+  { value: "hod", label: "👤 Profile" },
+  { value: "session", label: "🔑 Logins" },
+  { value: "other", label: "Other" },
+];
+
+const fmt = (v) => (v == null || v === "" ? "—" : Array.isArray(v) ? `[${v.length}]` : String(v));
+
+/** One-line summary of what changed, used in the table and exports */
+const summarize = (entry) => {
+  const changes = auditChanges(entry);
+  if (changes.length) return changes.map((c) => `${c.field}: ${fmt(c.from)} → ${fmt(c.to)}`).join("; ");
+  if (Array.isArray(entry.before)) return `${entry.before.length} record(s)`;
+  return "";
+};
+
+const auditExportColumns = [
+  { header: "Time", value: (e) => new Date(e.at).toLocaleString() },
+  { header: "Actor", value: (e) => e.actor },
+  { header: "Entity", value: (e) => e.entity },
+  { header: "Action", value: (e) => e.action },
+  { header: "Target", value: (e) => e.label },
+  { header: "Target IDs", value: (e) => e.targetIds.join("; ") },
+  { header: "Status", value: (e) => (e.error ? `${e.status}: ${e.error}` : e.status) },
+  { header: "Changes", value: summarize },
+  { header: "Before", value: (e) => (e.before == null ? "" : JSON.stringify(e.before)) },
+  { header: "After", value: (e) => (e.after == null ? "" : JSON.stringify(e.after)) },
+  { header: "Request", value: (e) => `${e.method} ${e.url}` },
+];
+
+// day boundaries for the date inputs, in local time
+const startOfDay = (ymd) => (ymd ? new Date(`${ymd}T00:00:00`).getTime() : null);
+const endOfDay = (ymd) => (ymd ? new Date(`${ymd}T23:59:59.999`).getTime() : null);
+
+export default function AuditLogPage() {
+  const log = useSyncExternalStore(subscribeAuditLog, getAuditLog);
+  const [entity, setEntity] = useState("");
+  const [action, setAction] = useState("");
+  const [actor, setActor] = useState("");
+  const [status, setStatus] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [search, setSearch] = useState("");
+  const [openId, setOpenId] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+
+  const actions = useMemo(() => [...new Set(log.map((e) => e.action))].sort(), [log]);
+  const actors = useMemo(() => [...new Set(log.map((e) => e.actor).filter(Boolean))].sort(), [log]);
+  const unsynced = useMemo(() => log.filter((e) => !e.synced).length, [log]);
+
+  const filtered = useMemo(() => {
+    const s = search.trim().toLowerCase();
+    const min = startOfDay(from);
+    const max = endOfDay(to);
+    return log.filter((e) => {
+      const t = new Date(e.at).getTime();
+      if (entity && e.entity !== entity) return false;
+      if (action && e.action !== action) return false;
+      if (actor && e.actor !== actor) return false;
+      if (status && e.status !== status) return false;
+      if (min != null && t < min) return false;
+      if (max != null && t > max) return false;
+      if (s && !`${e.label} ${e.targetIds.join(" ")} ${summarize(e)} ${e.url}`.toLowerCase().includes(s)) return false;
+      return true;
+    });
+  }, [log, entity, action, actor, status, from, to, search]);
+
+  const resetFilters = () => {
+    setEntity("");
+    setAction("");
+    setActor("");
+    setStatus("");
+    setFrom("");
+    setTo("");
+    setSearch("");
+  };
+
+  const handleExport = ({ format }) => {
+    if (!filtered.length) {
+      toast.info("No entries to export");
+      return;
+    }
+    exportRows(filtered, auditExportColumns, { format, baseName: "audit_log", sheetName: "Audit" });
+    toast.success(`📤 Exported ${filtered.length} entries`);
+  };
+
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      const sent = await syncAuditLog();
+      toast.success(sent ? `☁️ Synced ${sent} entries` : "Everything is already synced");
+    } catch (err) {
+      console.error("Audit sync failed", err);
+      const backendMsg = err.response?.data?.error;
+      toast.error(backendMsg ? `Sync failed: ${backendMsg}` : "Sync failed");
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div>
+          <Link to="/hod/dashboard" className="text-sm text-purple-600 hover:underline flex items-center gap-1">
+            <ArrowLeft size={14} /> Dashboard
+          </Link>
+          <h1 className="text-2xl font-bold text-purple-700">📜 Audit Log</h1>
+          <p className="text-sm text-gray-500">
+            Every change made from this browser, newest first.
+            {isAuditSyncEnabled() && ` ${unsynced ? `${unsynced} not synced yet.` : "All synced."}`}
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {isAuditSyncEnabled() && (
+            <button
+              onClick={handleSync}
+              disabled={syncing || !unsynced}
+              className="px-4 py-2 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 flex items-center gap-2 disabled:opacity-60"
+            >
+              {syncing ? <Loader2 className="animate-spin" size={16} /> : <CloudUpload size={16} />}
+              Sync now
+            </button>
+          )}
+          <ExportMenu filteredCount={filtered.length} onExport={handleExport} disabled={!filtered.length} />
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-sm border p-4 mb-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        <div className="relative sm:col-span-2">
+          <Search className="absolute left-3 top-2.5 text-gray-400" size={16} />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search target, id or change..."
+            className="border rounded-lg pl-9 pr-3 py-2 w-full"
+          />
+        </div>
+        <select value={entity} onChange={(e) => setEntity(e.target.value)} className="border rounded-lg px-3 py-2" aria-label="Entity">
+          {ENTITIES.map((o) => (
+            <option key={o.value} value={o.value}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+        <select value={action} onChange={(e) => setAction(e.target.value)} className="border rounded-lg px-3 py-2" aria-label="Action">
+          <option value="">All actions</option>
+          {actions.map((a) => (
+            <option key={a} value={a}>
+              {a}
+            </option>
+          ))}
+        </select>
+        <select value={actor} onChange={(e) => setActor(e.target.value)} className="border rounded-lg px-3 py-2" aria-label="Actor">
+          <option value="">Anyone</option>
+          {actors.map((a) => (
+            <option key={a} value={a}>
+              {a}
+            </option>
+          ))}
+        </select>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="border rounded-lg px-3 py-2" aria-label="Status">
+          <option value="">Any status</option>
+          <option value="success">Succeeded</option>
+          <option value="failed">Failed</option>
+        </select>
+        <div className="flex items-center gap-2">
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="border rounded-lg px-2 py-2 w-full" aria-label="From" />
+          <span className="text-gray-400">–</span>
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="border rounded-lg px-2 py-2 w-full" aria-label="To" />
+        </div>
+        <button
+          onClick={resetFilters}
+          className="px-3 py-2 border rounded-lg hover:bg-gray-50 flex items-center justify-center gap-2"
+        >
+          <RefreshCw size={16} /> Reset
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-2">
+        Showing {filtered.length} of {log.length} entries
+      </p>
+
+      {filtered.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm border p-10 text-center text-gray-500">
+          {log.length ? "No entries match your filters." : "Nothing has been recorded yet."}
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl shadow-sm border overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-purple-50 text-purple-800 text-left">
+              <tr>
+                <th className="p-3 w-8"></th>
+                <th className="p-3">Time</th>
+                <th className="p-3">Actor</th>
+                <th className="p-3">Action</th>
+                <th className="p-3">Target</th>
+                <th className="p-3">Changes</th>
+                <th className="p-3">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map((e) => {
+                const open = openId === e.id;
+                return (
+                  <Fragment key={e.id}>
+                    <tr
+                      onClick={() => setOpenId(open ? null : e.id)}
+                      className="border-t hover:bg-purple-50/50 cursor-pointer"
+                    >
+                      <td className="p-3 text-gray-400">{open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}</td>
+                      <td className="p-3 whitespace-nowrap">{new Date(e.at).toLocaleString()}</td>
+                      <td className="p-3">{e.actor || "—"}</td>
+                      <td className="p-3 whitespace-nowrap">
+                        <span className="font-medium">{e.entity}</span> · {e.action}
+                      </td>
+                      <td className="p-3">{e.label || e.targetIds.join(", ") || "—"}</td>
+                      <td className="p-3 text-gray-600">{summarize(e) || "—"}</td>
+                      <td className="p-3">
+                        <span
+                          className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                            e.status === "success" ? "bg-green-100 text-green-700" : "bg-red-100 text-red-700"
+                          }`}
+                          title={e.error}
+                        >
+                          {e.status}
+                        </span>
+                      </td>
+                    </tr>
+                    {open && (
+                      <tr className="bg-gray-50">
+                        <td></td>
+                        <td colSpan={6} className="p-3">
+                          <p className="text-xs text-gray-500 mb-2">
+                            {e.method} {e.url}
+                            {e.error && <span className="text-red-600"> — {e.error}</span>}
+                          </p>
+                          <div className="grid md:grid-cols-2 gap-3">
+                            {[
+                              ["Before", e.before],
+                              ["After", e.after],
+                            ].map(([title, value]) => (
+                              <div key={title}>
+                                <p className="font-medium text-gray-700 mb-1">{title}</p>
+                                <pre className="bg-white border rounded-lg p-2 text-xs overflow-auto max-h-64">
+                                  {value == null ? "—" : JSON.stringify(value, null, 2)}
+                                </pre>
+                              </div>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
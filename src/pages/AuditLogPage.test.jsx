@@ -0,0 +1,40 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import AuditLogPage from "./AuditLogPage";
+import { getStudents, updateStudent } from "../services/api";
+import { loginAsDemoHod } from "../test/mockServer";
+import { renderWithProviders } from "../test/render";
+
+describe("AuditLogPage", () => {
+  let user;
+  let target;
+
+  beforeEach(async () => {
+    user = userEvent.setup();
+    await loginAsDemoHod();
+    [target] = await getStudents();
+    await updateStudent(target._id, { semester: 7 });
+  });
+
+  it("lists recorded changes with what changed", async () => {
+    renderWithProviders(<AuditLogPage />);
+
+    expect(screen.getByText("Showing 2 of 2 entries")).toBeInTheDocument(); // login + update
+    expect(screen.getByText(target.name)).toBeInTheDocument();
+    expect(screen.getByText(`semester: ${target.semester} → 7`)).toBeInTheDocument();
+  });
+
+  it("filters by entity and shows before/after on click", async () => {
+    renderWithProviders(<AuditLogPage />);
+
+    await user.selectOptions(screen.getByLabelText("Entity"), "session");
+    expect(screen.getByText("Showing 1 of 2 entries")).toBeInTheDocument();
+    expect(screen.queryByText(target.name)).not.toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText("Entity"), "student");
+    await user.click(screen.getByText(target.name));
+    expect(screen.getByText("Before")).toBeInTheDocument();
+    expect(screen.getByText(`PUT /students/${target._id}`)).toBeInTheDocument();
+  });
+});
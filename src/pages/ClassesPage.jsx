@@ -2,12 +2,22 @@
 import { useEffect, useMemo, useState } from "react";
 import {
   createClass,
-  getClasses,
+  classesQuery,
   updateClass,
-  deleteClass,
   bulkUploadClasses,
-  batchDeleteClassesClient, // ✅ added
 } from "../services/api";
+import { fetchQuery, peekQuery } from "../services/queryCache";
+import {
+  optimisticUpdate,
+  pendingItem,
+  isPending,
+  appendItem,
+  replaceItem,
+  patchByIds,
+  putItems,
+  removeIds,
+} from "../services/optimistic";
+import { queueDelete, isUndone, UNDO_WINDOW_MS } from "../services/deleteQueue";
 import {
   PlusCircle,
   Edit,
@@ -22,13 +32,21 @@ import {
   CheckSquare, // ✅ added
   Square,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  Download,
 } from "lucide-react";
 import { toast } from "react-toastify";
 import { useConfirm } from "../components/ConfirmProvider";
+import ImportWizard from "../components/ImportWizard";
+import BulkUploadResults from "../components/BulkUploadResults";
+import ExportMenu from "../components/ExportMenu";
+import UndoToast from "../components/UndoToast";
+import { downloadImportTemplate } from "../utils/importTemplates";
+import { normalizeBulkUploadResult } from "../utils/bulkUploadResults";
+import { exportRows, pickExportRows, classExportColumns } from "../utils/exporters";
 
 export default function ClassesPage() {
-  const [classes, setClasses] = useState([]);
+  const [classes, setClasses] = useState(() => peekQuery(classesQuery) ?? []);
   const [classForm, setClassForm] = useState({
     className: "",
     division: "",
@@ -52,11 +70,13 @@ export default function ClassesPage() {
   const [showClassHelper, setShowClassHelper] = useState(false);
 
   const [bulkFile, setBulkFile] = useState(null);
+  const [fileInputKey, setFileInputKey] = useState(0); // bump to clear the file input
+  const [importOpen, setImportOpen] = useState(false);
+  const [uploadResult, setUploadResult] = useState(null); // per-row report after an upload
   const [bulkUploading, setBulkUploading] = useState(false);
 
   // ✅ Bulk delete state
   const [selectedIds, setSelectedIds] = useState(() => new Set());
-  const [bulkDeleting, setBulkDeleting] = useState(false);
 
   const confirm = useConfirm();
 
@@ -66,10 +86,9 @@ export default function ClassesPage() {
 
   const fetchClasses = async () => {
     try {
-      setLoading(true);
+      setLoading(!peekQuery(classesQuery)); // cached list stays on screen while it refreshes
       setError("");
-      const res = await getClasses();
-      setClasses(Array.isArray(res) ? res : []);
+      setClasses(await fetchQuery(classesQuery));
     } catch (err) {
       console.error("Error fetching classes", err);
       setError("⚠️ Failed to load classes");
@@ -96,21 +115,32 @@ export default function ClassesPage() {
     if (mutated) setSelectedIds(next);
   }, [classes]); // eslint-disable-line
 
-  const handleBulkUpload = async () => {
+  const handleOpenImport = () => {
     if (!bulkFile) {
       toast.error("📂 Please select an Excel file first!");
       return;
     }
+    setImportOpen(true);
+  };
 
+  const closeImport = () => {
+    setImportOpen(false);
+    setBulkFile(null);
+    setFileInputKey((k) => k + 1);
+  };
+
+  // Called by the import wizard with a file containing only the cleaned rows
+  const handleBulkUpload = async (file, { rows, rejected }) => {
     try {
       setBulkUploading(true);
 
-      const res = await bulkUploadClasses(bulkFile);
+      const res = await bulkUploadClasses(file);
+      setUploadResult(normalizeBulkUploadResult(res, { entity: "classes", rows, rejected }));
       const totalUploaded = res.totalUploaded || 0;
       const totalSkipped = res.totalSkipped || 0;
 
       toast.success(`✅ ${totalUploaded} classes uploaded, ${totalSkipped} skipped (duplicates).`);
-      setBulkFile(null);
+      closeImport();
       await fetchClasses();
     } catch (err) {
       console.error("Bulk class upload failed", err);
@@ -123,15 +153,28 @@ export default function ClassesPage() {
 
   const handleAddClass = async (e) => {
     e.preventDefault();
+    const draft = { className: classForm.className, division: classForm.division };
+    // the server assigns classId, so the row shows without one until it answers
+    const placeholder = pendingItem({
+      ...draft,
+      classId: "",
+      students: [],
+      professors: [],
+      studentIds: [],
+      professorIds: [],
+    });
+    setClassForm({ className: "", division: "" });
     try {
       setAdding(true);
-      await createClass({
-        className: classForm.className,
-        division: classForm.division,
+      await optimisticUpdate({
+        setState: setClasses,
+        query: classesQuery,
+        apply: appendItem(placeholder),
+        revert: removeIds([placeholder._id]),
+        request: () => createClass(draft),
+        settle: (cls) => replaceItem(placeholder._id, cls),
       });
       toast.success("✅ Class added");
-      setClassForm({ className: "", division: "" });
-      await fetchClasses();
     } catch (err) {
       console.error("Error adding class", err);
       const backendMsg = err.response?.data?.error;
@@ -140,23 +183,29 @@ export default function ClassesPage() {
         : "Failed to add class";
       setError(finalMsg);
       toast.error(finalMsg);
+      setClassForm(draft);
     } finally {
       setAdding(false);
     }
   };
 
   const handleUpdateClass = async (id) => {
+    // the row already holds the edited values; the cache still has the saved ones
+    const cls = classes.find((c) => c._id === id);
+    if (!cls) return;
+    const saved = peekQuery(classesQuery)?.find((c) => c._id === id);
+    const fields = { className: cls.className, division: cls.division };
+    setEditClassId(null);
     try {
       setSavingId(id);
-      const cls = classes.find((c) => c._id === id);
-      if (!cls) return;
-      await updateClass(id, {
-        className: cls.className,
-        division: cls.division,
+      await optimisticUpdate({
+        setState: setClasses,
+        query: classesQuery,
+        apply: patchByIds([id], fields),
+        revert: putItems(saved ? [saved] : []),
+        request: () => updateClass(id, fields),
       });
       toast.success("✅ Class updated");
-      setEditClassId(null);
-      await fetchClasses();
     } catch (err) {
       console.error("Error updating class", err);
       const backendMsg = err.response?.data?.error;
@@ -174,23 +223,37 @@ export default function ClassesPage() {
     const cls = classes.find((c) => c._id === id);
     const ok = await confirm({
       title: "Delete Class",
-      message: `Are you sure you want to delete "${cls?.className || "this class"}"? This action cannot be undone.`,
+      message: `Are you sure you want to delete "${cls?.className || "this class"}"? You'll have a few seconds to undo.`,
       confirmText: "Delete",
       cancelText: "Cancel",
       tone: "danger",
     });
     if (!ok) return;
 
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      next.delete(id);
+      return next;
+    });
+    const pending = queueDelete("classes", [id], { records: cls ? [cls] : [] });
+    toast.info(<UndoToast message={`Deleting "${cls?.className || "class"}"…`} onUndo={pending.undo} />, {
+      autoClose: UNDO_WINDOW_MS,
+      closeOnClick: false,
+    });
     try {
-      await deleteClass(id);
-      toast.success("🗑️ Class deleted");
-      await fetchClasses();
-      setSelectedIds((prev) => {
-        const next = new Set(prev);
-        next.delete(id);
-        return next;
+      await optimisticUpdate({
+        setState: setClasses,
+        query: classesQuery,
+        apply: removeIds([id]),
+        revert: putItems(cls ? [cls] : []),
+        request: () => pending.promise,
       });
+      toast.success("🗑️ Class deleted");
     } catch (err) {
+      if (isUndone(err)) {
+        toast.info("↩️ Class restored");
+        return;
+      }
       console.error("Error deleting class", err);
       const backendMsg = err.response?.data?.error;
       const finalMsg = backendMsg
@@ -281,6 +344,20 @@ export default function ClassesPage() {
 
   const clearSelection = () => setSelectedIds(new Set());
 
+  // Export the filtered/sorted list (or just the selection) with member counts
+  const handleExport = ({ format, scope }) => {
+    const rows = pickExportRows(filtered, classes, selectedIds, scope);
+    if (!rows.length) {
+      toast.error("⚠️ No classes to export");
+      return;
+    }
+    exportRows(rows, classExportColumns(), {
+      format,
+      baseName: scope === "selected" ? "classes_selected" : "classes",
+      sheetName: "Classes",
+    });
+  };
+
   // ===== Bulk delete handler =====
   const handleBulkDeleteSelected = async () => {
     const ids = Array.from(selectedIds);
@@ -292,38 +369,39 @@ export default function ClassesPage() {
     const ok = await confirm({
       title: `Delete ${ids.length} selected ${ids.length === 1 ? "class" : "classes"}`,
       message:
-        "This will remove the classes, detach their students, and pull the class from professors. This action cannot be undone.",
+        "This will remove the classes, detach their students, and pull the class from professors. You'll have a few seconds to undo.",
       confirmText: "Delete",
       cancelText: "Cancel",
       tone: "danger",
     });
     if (!ok) return;
 
+    const removed = classes.filter((c) => ids.includes(String(c._id)));
+    const noun = ids.length === 1 ? "class" : "classes";
+    clearSelection();
+    const pending = queueDelete("classes", ids, { records: removed });
+    toast.info(<UndoToast message={`Deleting ${ids.length} ${noun}…`} onUndo={pending.undo} />, {
+      autoClose: UNDO_WINDOW_MS,
+      closeOnClick: false,
+    });
     try {
-      setBulkDeleting(true);
-      const { success, failed } = await batchDeleteClassesClient(ids, {
-        onProgress: ({ done, total }) => {
-          // optional: could be wired to a progress UI
-          // console.debug(`Bulk deleting ${done}/${total}`);
-        },
+      await optimisticUpdate({
+        setState: setClasses,
+        query: classesQuery,
+        apply: removeIds(ids),
+        revert: putItems(removed),
+        request: () => pending.promise,
       });
-
-      if (success.length) {
-        toast.success(`🗑️ Deleted ${success.length} ${success.length === 1 ? "class" : "classes"}.`);
-      }
-      if (failed.length) {
-        toast.error(`⚠️ Failed to delete ${failed.length} item(s).`);
-        console.error("Bulk delete failed items:", failed);
-      }
-
-      clearSelection();
-      await fetchClasses();
+      toast.success(`🗑️ Deleted ${ids.length} ${noun}.`);
     } catch (err) {
+      if (isUndone(err)) {
+        setSelectedIds(new Set(ids));
+        toast.info(`↩️ Restored ${ids.length} ${noun}`);
+        return;
+      }
       console.error("Bulk delete error:", err);
       const backendMsg = err?.response?.data?.error;
       toast.error(backendMsg ? `Bulk delete failed: ${backendMsg}` : "Bulk delete failed");
-    } finally {
-      setBulkDeleting(false);
     }
   };
 
@@ -361,6 +439,7 @@ export default function ClassesPage() {
         <div className="flex flex-col md:flex-row gap-3 md:items-center">
           {/* File Input */}
           <input
+            key={fileInputKey}
             type="file"
             accept=".xlsx, .xls"
             onChange={(e) => setBulkFile(e.target.files[0])}
@@ -370,7 +449,7 @@ export default function ClassesPage() {
 
           {/* Upload Button */}
           <button
-            onClick={handleBulkUpload}
+            onClick={handleOpenImport}
             className="w-full md:w-auto px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 flex items-center justify-center gap-2 disabled:opacity-60"
             disabled={bulkUploading}
           >
@@ -379,9 +458,18 @@ export default function ClassesPage() {
                 <Loader2 className="animate-spin" size={16} /> Uploading...
               </>
             ) : (
-              "Upload"
+              "Import..."
             )}
           </button>
+
+          {/* Template download (built client-side) */}
+          <button
+            onClick={() => downloadImportTemplate("classes")}
+            className="w-full md:w-auto px-4 py-2 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 flex items-center justify-center gap-2"
+            title="Download an .xlsx template with the correct headers"
+          >
+            <Download size={16} /> Download template
+          </button>
         </div>
 
         {/* Toggle Helper Text */}
@@ -432,6 +520,8 @@ export default function ClassesPage() {
                 </li>
                 <li>
                   Column headers are <em>case-insensitive</em> (e.g., <code>ClassName</code>, <code>DIVISION</code> are valid).
+                  Other headers (e.g. <code>Programme</code>) can be matched by hand in the import wizard,
+                  which remembers your mapping for next time.
                 </li>
                 <li>
                   Each row represents one class–division pair.
@@ -601,12 +691,19 @@ export default function ClassesPage() {
           <button
             onClick={handleBulkDeleteSelected}
             className="px-3 py-2 rounded-lg text-white bg-red-600 hover:bg-red-700 flex items-center justify-center gap-2 disabled:opacity-60 w-full sm:w-auto"
-            disabled={!selectedIds.size || bulkDeleting}
+            disabled={!selectedIds.size}
             title="Delete selected"
           >
-            {bulkDeleting ? <Loader2 className="animate-spin" size={16} /> : <Trash2 size={16} />}
-            {bulkDeleting ? "Deleting..." : `Delete Selected (${selectedIds.size})`}
+            <Trash2 size={16} />
+            {`Delete Selected (${selectedIds.size})`}
           </button>
+
+          <ExportMenu
+            filteredCount={filtered.length}
+            selectedCount={selectedIds.size}
+            onExport={handleExport}
+            disabled={loading}
+          />
         </div>
       </div>
 
@@ -643,7 +740,10 @@ export default function ClassesPage() {
               {filtered.map((cls) => {
                 const isSelected = selectedIds.has(String(cls._id));
                 return (
-                  <tr key={cls._id} className="border-b hover:bg-gray-50 transition">
+                  <tr
+                    key={cls._id}
+                    className={`border-b hover:bg-gray-50 transition ${isPending(cls) ? "opacity-60 pointer-events-none" : ""}`}
+                  >
                     {/* ✅ Row checkbox */}
                     <td className="p-3">
                       <input
@@ -757,6 +857,23 @@ export default function ClassesPage() {
           </table>
         </div>
       )}
+
+      {/* Bulk import wizard */}
+      <ImportWizard
+        open={importOpen}
+        entity="classes"
+        file={bulkFile}
+        records={classes}
+        onClose={closeImport}
+        onUpload={handleBulkUpload}
+      />
+
+      {/* Per-row results of the last upload */}
+      <BulkUploadResults
+        entity="classes"
+        result={uploadResult}
+        onClose={() => setUploadResult(null)}
+      />
     </div>
   );
 }
@@ -0,0 +1,109 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { act, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import ClassesPage from "./ClassesPage";
+import { getClasses } from "../services/api";
+import { flushPendingDeletes } from "../services/deleteQueue";
+import { loginAsDemoHod } from "../test/mockServer";
+import { renderWithProviders } from "../test/render";
+
+const rowOf = (classId) => screen.getByRole("row", { name: new RegExp(classId) });
+
+// The confirm dialog opened by useConfirm(), found by its title
+const dialog = (title) => within(screen.getByText(title).closest("div.relative"));
+
+describe("ClassesPage", () => {
+  let user;
+  let seeded;
+
+  beforeEach(async () => {
+    user = userEvent.setup();
+    await loginAsDemoHod();
+    seeded = await getClasses();
+  });
+
+  const renderPage = async () => {
+    renderWithProviders(<ClassesPage />);
+    await screen.findByText(seeded[0].classId);
+  };
+
+  it("lists the classes from the server", async () => {
+    await renderPage();
+    seeded.forEach((c) => {
+      expect(within(rowOf(c.classId)).getByText(c.className)).toBeInTheDocument();
+    });
+  });
+
+  it("adds a class", async () => {
+    await renderPage();
+
+    await user.type(screen.getByPlaceholderText("Class Name (e.g., Computer Science)"), "BCom");
+    await user.type(screen.getByPlaceholderText("Division (e.g., A)"), "C");
+    await user.click(screen.getByRole("button", { name: "Add Class" }));
+
+    expect(await screen.findByText("✅ Class added")).toBeInTheDocument();
+    expect(await screen.findByText("BCom")).toBeInTheDocument();
+    expect(await getClasses()).toHaveLength(seeded.length + 1);
+  });
+
+  it("reports a duplicate class + division", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    await renderPage();
+
+    await user.type(screen.getByPlaceholderText("Class Name (e.g., Computer Science)"), seeded[0].className);
+    await user.type(screen.getByPlaceholderText("Division (e.g., A)"), seeded[0].division);
+    await user.click(screen.getByRole("button", { name: "Add Class" }));
+
+    expect(
+      await screen.findAllByText(/Failed to add class: Class with this name and division already exists/)
+    ).not.toHaveLength(0);
+    expect(await getClasses()).toHaveLength(seeded.length);
+  });
+
+  it("renames a class inline", async () => {
+    const target = seeded[0];
+    await renderPage();
+
+    await user.click(within(rowOf(target.classId)).getByRole("button", { name: "Edit" }));
+    const nameInput = await within(rowOf(target.classId)).findByDisplayValue(target.className);
+    await user.clear(nameInput);
+    await user.type(nameInput, "BSc Data Science");
+    await user.click(within(rowOf(target.classId)).getByRole("button", { name: "✅ Save" }));
+
+    expect(await screen.findByText("✅ Class updated")).toBeInTheDocument();
+    expect(await within(rowOf(target.classId)).findByText("BSc Data Science")).toBeInTheDocument();
+    expect((await getClasses()).find((c) => c._id === target._id).className).toBe("BSc Data Science");
+  });
+
+  it("deletes a class after confirmation", async () => {
+    const target = seeded[1];
+    await renderPage();
+
+    await user.click(within(rowOf(target.classId)).getByRole("button", { name: "Delete" }));
+    expect(screen.getByText("Delete Class")).toBeInTheDocument();
+    await user.click(dialog("Delete Class").getByRole("button", { name: "Delete" }));
+
+    // gone from the table at once; the request waits out the undo window
+    expect(await screen.findByText(`Deleting "${target.className}"…`)).toBeInTheDocument();
+    expect(screen.queryByText(target.classId)).not.toBeInTheDocument();
+    expect((await getClasses()).map((c) => c._id)).toContain(target._id);
+
+    await act(() => flushPendingDeletes());
+    expect(await screen.findByText("🗑️ Class deleted")).toBeInTheDocument();
+    expect((await getClasses()).map((c) => c._id)).not.toContain(target._id);
+  });
+
+  it("deletes the selected classes in one go", async () => {
+    const [a, b] = seeded.slice(2, 4);
+    await renderPage();
+
+    await user.click(within(rowOf(a.classId)).getByRole("checkbox"));
+    await user.click(within(rowOf(b.classId)).getByRole("checkbox"));
+    await user.click(screen.getByRole("button", { name: "Delete Selected (2)" }));
+    await user.click(dialog("Delete 2 selected classes").getByRole("button", { name: "Delete" }));
+    await act(() => flushPendingDeletes());
+
+    expect(await screen.findByText("🗑️ Deleted 2 classes.")).toBeInTheDocument();
+    expect((await getClasses()).map((c) => c._id)).toEqual(seeded.slice(0, 2).map((c) => c._id));
+  });
+});
@@ -1,11 +1,15 @@
 // src/pages/HodAttendance.jsx
-import { useEffect, useMemo, useState } from "react";
+import { Fragment, useEffect, useMemo, useState } from "react";
 import {
-    getClasses,
+    classesQuery,
     getAttendanceByDate,
     getMonthlyAttendanceSummary,
     getClassAttendance,
+    correctAttendance,
+    correctAttendanceBulk,
+    getLeaves,
 } from "../services/api";
+import { fetchQuery, peekQuery } from "../services/queryCache";
 import {
     Download,
     Calendar,
@@ -14,18 +18,49 @@ import {
     Filter,
     Check,
     XCircle,
+    Rows3,
+    Table2,
+    Pencil,
+    History,
 } from "lucide-react";
 import { toast } from "react-toastify";
 import * as XLSX from "xlsx";
+import AttendanceAnalytics from "../components/AttendanceAnalytics";
+import DefaulterReport from "../components/DefaulterReport";
+import { Link } from "react-router-dom";
+import DateRangePicker from "../components/DateRangePicker";
+import DailySlotPivot from "../components/DailySlotPivot";
+import AttendanceCorrectionModal from "../components/AttendanceCorrectionModal";
+import CorrectionHistory from "../components/CorrectionHistory";
+import {
+    recordStudentId,
+    filterByDateRange,
+    summarizeByStudent,
+} from "../utils/attendanceStats";
+import { resolvePreset, formatRange } from "../utils/dateRanges";
+import { loadSlotsPerDay, saveSlotsPerDay } from "../utils/timetable";
+import {
+    applyExcused,
+    leaveType,
+    loadExcludeExcused,
+    markExcused,
+    saveExcludeExcused,
+} from "../utils/leaves";
 
 export default function HodAttendance() {
-    const [classes, setClasses] = useState([]);
+    const [classes, setClasses] = useState(() => peekQuery(classesQuery) ?? []);
     const [selectedClass, setSelectedClass] = useState("");
-    const [mode, setMode] = useState("daily"); // "daily" | "monthly" | "full"
+    const [mode, setMode] = useState("daily"); // "daily" | "monthly" | "range" | "full" | "analytics" | "defaulters"
     const [date, setDate] = useState(""); // YYYY-MM-DD
+    const [slot, setSlot] = useState(""); // daily: "" = all slots
+    const [dailyView, setDailyView] = useState("pivot"); // daily: "pivot" | "list"
+    const [slotsPerDay, setSlotsPerDay] = useState(loadSlotsPerDay);
     const [month, setMonth] = useState(String(new Date().getMonth() + 1));
     const [year, setYear] = useState(String(new Date().getFullYear()));
+    const [range, setRange] = useState(() => resolvePreset("last30")); // { from, to } YYYY-MM-DD
     const [records, setRecords] = useState([]);
+    const [leaves, setLeaves] = useState([]); // approved leave of the class's students
+    const [excludeExcused, setExcludeExcused] = useState(loadExcludeExcused);
     const [loading, setLoading] = useState(false);
 
     // filters
@@ -34,6 +69,19 @@ export default function HodAttendance() {
 
     const [displayRecords, setDisplayRecords] = useState([]);
 
+    // corrections (daily list and full history): selected record ids, records in the modal, expanded history row
+    const [selected, setSelected] = useState(() => new Set());
+    const [correcting, setCorrecting] = useState(null);
+    const [historyOpen, setHistoryOpen] = useState(null);
+
+    // modes rendered by their own components (no Fetch/Export buttons or table filters)
+    const reportMode = mode === "analytics" || mode === "defaulters";
+    // modes whose rows are per-student summaries (monthly endpoint or aggregated range)
+    const summaryMode = mode === "monthly" || mode === "range";
+    const pivotView = mode === "daily" && dailyView === "pivot";
+    // modes listing individual records, which can be corrected
+    const correctable = !reportMode && !summaryMode && !pivotView;
+
     useEffect(() => {
         fetchClasses();
     }, []);
@@ -41,19 +89,14 @@ export default function HodAttendance() {
     // If filters or date/month/year/mode change → clear displayed results
     useEffect(() => {
         if (records.length) setDisplayRecords([]);
-    }, [search, statusFilter, mode, date, month, year]);
+    }, [search, statusFilter, mode, date, slot, month, year, range]);
 
-    // 🔹 Class list fetch (same as before)
+    // 🔹 Class list fetch (cached list shows instantly, refreshed when stale)
     const fetchClasses = async () => {
         try {
-            const list = await getClasses();
-            if (!Array.isArray(list)) {
-                toast.error("⚠️ Failed to load classes");
-                setClasses([]);
-            } else {
-                setClasses(list);
-                if (!list.length) toast.error("⚠️ No classes available");
-            }
+            const list = await fetchQuery(classesQuery);
+            setClasses(list);
+            if (!list.length) toast.error("⚠️ No classes available");
         } catch (err) {
             console.error("Error fetching classes", err);
             toast.error("⚠️ Failed to load classes");
@@ -63,33 +106,48 @@ export default function HodAttendance() {
     // 🔹 Attendance fetch (API only, no validations here)
     const fetchAttendance = async () => {
         setLoading(true);
+        setSelected(new Set());
         try {
+            // absences on leave days are shown (and summed) as excused; the monthly endpoint counts them itself.
+            // Leave is optional: without it (or if it fails) attendance still loads, just without excuses.
+            const leavesRequest =
+                mode === "monthly"
+                    ? Promise.resolve([])
+                    : getLeaves({ classId: selectedClass }).catch((err) => {
+                          console.error("Error fetching leaves", err);
+                          return [];
+                      });
             if (mode === "daily" && date) {
-                const recs = await getAttendanceByDate(selectedClass, { date });
-                const arr =
-                    recs?.records ||
-                    recs?.data?.records ||
-                    recs?.data ||
-                    (Array.isArray(recs) ? recs : []);
-                setRecords(arr || []);
-                if (!arr?.length) toast.error("⚠️ No daily records found");
+                const [recs, classLeaves] = await Promise.all([
+                    getAttendanceByDate(selectedClass, {
+                        date,
+                        ...(slot ? { slotNumber: slot } : {}),
+                    }),
+                    leavesRequest,
+                ]);
+                setLeaves(classLeaves);
+                setRecords(recs);
+                if (!recs.length) toast.error("⚠️ No daily records found");
             } else if (mode === "monthly") {
-                const summaryResp = await getMonthlyAttendanceSummary(selectedClass, {
+                const { summary } = await getMonthlyAttendanceSummary(selectedClass, {
                     month,
                     year,
                 });
-                const summary = summaryResp?.data?.summary || summaryResp?.summary || [];
+                setLeaves([]);
                 setRecords(summary);
-                if (!summary?.length) toast.error("⚠️ No monthly summary found");
+                if (!summary.length) toast.error("⚠️ No monthly summary found");
+            } else if (mode === "range") {
+                // no range endpoint: pull the class history and aggregate per student here
+                const [recs, classLeaves] = await Promise.all([getClassAttendance(selectedClass), leavesRequest]);
+                const summary = summarizeByStudent(markExcused(filterByDateRange(recs, range.from, range.to), classLeaves));
+                setLeaves(classLeaves);
+                setRecords(summary);
+                if (!summary.length) toast.error("⚠️ No records found in this range");
             } else if (mode === "full") {
-                const recs = await getClassAttendance(selectedClass);
-                const arr =
-                    recs?.records ||
-                    recs?.data?.records ||
-                    recs?.data ||
-                    (Array.isArray(recs) ? recs : []);
-                setRecords(arr || []);
-                if (!arr?.length) toast.error("⚠️ No full records found");
+                const [recs, classLeaves] = await Promise.all([getClassAttendance(selectedClass), leavesRequest]);
+                setLeaves(classLeaves);
+                setRecords(recs);
+                if (!recs.length) toast.error("⚠️ No full records found");
             }
         } catch (err) {
             console.error("Error fetching attendance", err);
@@ -113,12 +171,18 @@ export default function HodAttendance() {
             toast.error("⚠️ Please select both month and year");
             return;
         }
+        if (mode === "range" && range.from && range.to && range.from > range.to) {
+            toast.error("⚠️ Start date is after end date");
+            return;
+        }
         fetchAttendance();
     };
 
     // 🔹 Filtering
     const filteredRecords = useMemo(() => {
-        let data = [...records];
+        let data = summaryMode
+            ? applyExcused(records, { exclude: excludeExcused })
+            : markExcused(records, leaves);
         if (search.trim()) {
             const s = search.toLowerCase();
             data = data.filter(
@@ -128,13 +192,13 @@ export default function HodAttendance() {
                     (r.enrollmentNumber && r.enrollmentNumber.toLowerCase().includes(s))
             );
         }
-        if (statusFilter !== "all" && mode !== "monthly") {
+        if (statusFilter !== "all" && !summaryMode) {
             data = data.filter((r) =>
-                statusFilter === "present" ? r.isPresent : !r.isPresent
+                statusFilter === "present" ? r.isPresent : statusFilter === "excused" ? r.excused : !r.isPresent
             );
         }
         return data;
-    }, [records, search, statusFilter, mode]);
+    }, [records, leaves, excludeExcused, search, statusFilter, summaryMode]);
 
     // ---- NEW: Proper Excel export (.xlsx) with real Date cells ----
     const exportXLSX = () => {
@@ -146,41 +210,30 @@ export default function HodAttendance() {
         let headers = [];
         let rows = [];
 
-        // Convert dd/MM/yyyy (or timestamp) → real JS Date
-        const asDate = (val) => {
-            if (!val) return null;
-
-            if (typeof val === "string" && val.includes("/")) {
-                // Format: dd/MM/yyyy
-                const [dd, mm, yyyy] = val.split("/");
-                const d = new Date(`${yyyy}-${mm}-${dd}`);
-                return isNaN(d) ? null : d;
-            }
-
-            const d = new Date(val);
-            return isNaN(d) ? null : d;
-        };
-
         const safeEnrollmentText = (val) =>
             val == null ? "" : `="${String(val)}"`; // ✅ forces Excel to keep it as text
 
+        const statusText = (r) =>
+            r.isPresent ? "Present" : r.excused ? `Excused (${leaveType(r.leave.type).label})` : "Absent";
+
         if (mode === "daily") {
             headers = ["Slot", "Student", "Enrollment", "Status", "Marked By"];
             rows = filteredRecords.map((r) => [
                 r.slotNumber ?? "",
                 r.studentName ?? "",
                 safeEnrollmentText(r.enrollmentNumber),
-                r.isPresent ? "Present" : "Absent",
+                statusText(r),
                 r.markedBy ?? "",
             ]);
-        } else if (mode === "monthly") {
+        } else if (summaryMode) {
             headers = [
                 "Enrollment",
                 "Name",
                 "Total Classes",
                 "Presents",
                 "Absents",
-                "Percentage",
+                "Excused",
+                excludeExcused ? "Percentage (excused not counted)" : "Percentage",
             ];
             rows = filteredRecords.map((r) => [
                 safeEnrollmentText(r.enrollmentNumber),
@@ -188,18 +241,19 @@ export default function HodAttendance() {
                 r.totalClasses ?? 0,
                 r.presents ?? 0,
                 r.absents ?? 0,
+                r.excused ?? 0,
                 r.percentage ?? 0,
             ]);
         } else {
             // full history
             headers = ["Date", "Slot", "Student", "Enrollment", "Status", "Marked By"];
             rows = filteredRecords.map((r) => [
-                asDate(r.date || r.dateMs), // ✅ Date object
+                r.dateMs == null ? null : new Date(r.dateMs), // ✅ Date object
                 r.slotNumber ?? "",
                 r.studentName ?? "",
                 safeEnrollmentText(r.enrollmentNumber),
-                r.isPresent ? "Present" : "Absent",
-                r.markedByName ?? r.markedBy ?? "",
+                statusText(r),
+                r.markedBy,
             ]);
         }
 
@@ -229,7 +283,9 @@ export default function HodAttendance() {
                 ? `attendance_${date || "day"}.xlsx`
                 : mode === "monthly"
                     ? `attendance_${month}-${year}.xlsx`
-                    : `attendance_full.xlsx`;
+                    : mode === "range"
+                        ? `attendance_${range.from || "start"}_to_${range.to || "today"}.xlsx`
+                        : `attendance_full.xlsx`;
 
         XLSX.writeFile(wb, fname);
     };
@@ -243,6 +299,61 @@ export default function HodAttendance() {
         exportXLSX();
     };
 
+    // 🔹 Corrections: only rows still shown are acted on
+    const selectedRecords = useMemo(
+        () => (correctable ? filteredRecords.filter((r) => selected.has(r._id)) : []),
+        [correctable, filteredRecords, selected]
+    );
+
+    const toggleSelected = (id) =>
+        setSelected((prev) => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+
+    const toggleAllShown = () =>
+        setSelected(
+            selectedRecords.length === filteredRecords.length
+                ? new Set()
+                : new Set(filteredRecords.map((r) => r._id))
+        );
+
+    const handleCorrect = async ({ isPresent, reason }) => {
+        try {
+            let updated;
+            let changed;
+            if (correcting.length === 1) {
+                updated = [await correctAttendance(correcting[0]._id, { isPresent, reason })];
+                changed = 1;
+            } else {
+                const res = await correctAttendanceBulk(correcting.map((r) => r._id), { isPresent, reason });
+                updated = res.records;
+                changed = res.corrected;
+            }
+            const byId = new Map(updated.map((r) => [r._id, r]));
+            setRecords((prev) => prev.map((r) => byId.get(r._id) ?? r));
+            setSelected(new Set());
+            setCorrecting(null);
+            toast.success(`✅ ${changed} record${changed === 1 ? "" : "s"} marked ${isPresent ? "present" : "absent"}`);
+        } catch (err) {
+            console.error("Error correcting attendance", err);
+            const backendMsg = err.response?.data?.error;
+            toast.error(backendMsg ? `⚠️ ${backendMsg}` : "⚠️ Failed to correct attendance");
+        }
+    };
+
+    const correction = {
+        selected,
+        onToggle: toggleSelected,
+        allSelected: filteredRecords.length > 0 && selectedRecords.length === filteredRecords.length,
+        onToggleAll: toggleAllShown,
+        onCorrect: (r) => setCorrecting([r]),
+        historyOpen,
+        onHistory: (id) => setHistoryOpen((prev) => (prev === id ? null : id)),
+    };
+
     // 🔹 Selected class + display helper
     const selectedClassObj = useMemo(
         () => classes.find((c) => c._id === selectedClass),
@@ -269,14 +380,26 @@ export default function HodAttendance() {
                         <div className="text-sm text-gray-600">
                             Viewing: <span className="font-semibold">{classDisplay(selectedClassObj)}</span>
                             {mode === "daily" && date ? (
-                                <> — {new Date(date).toLocaleDateString("en-GB")}</>
+                                <> — {new Date(date).toLocaleDateString("en-GB")}{slot ? `, slot ${slot}` : ""}</>
                             ) : mode === "monthly" ? (
                                 <> — {month}/{year}</>
+                            ) : mode === "range" ? (
+                                <> — {formatRange(range.from, range.to)}</>
                             ) : mode === "full" ? (
                                 <> — Full History</>
+                            ) : mode === "analytics" ? (
+                                <> — Analytics</>
+                            ) : mode === "defaulters" ? (
+                                <> — Defaulters</>
                             ) : null}
                         </div>
                     )}
+                    <Link
+                        to={`/hod/attendance/mark${selectedClass ? `?classId=${selectedClass}` : ""}`}
+                        className="px-4 py-2 rounded-lg bg-purple-600 text-white font-semibold hover:bg-purple-700 text-center"
+                    >
+                        📝 Take attendance
+                    </Link>
                 </div>
 
                 {/* Controls */}
@@ -296,21 +419,43 @@ export default function HodAttendance() {
 
                     <select
                         value={mode}
-                        onChange={(e) => setMode(e.target.value)}
+                        onChange={(e) => {
+                            setMode(e.target.value);
+                            setRecords([]); // row shapes differ between modes
+                            setSelected(new Set());
+                        }}
                         className="p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
                     >
                         <option value="daily">Daily</option>
                         <option value="monthly">Monthly</option>
+                        <option value="range">Date Range</option>
                         <option value="full">Full History</option>
+                        <option value="analytics">Analytics</option>
+                        <option value="defaulters">Defaulters</option>
                     </select>
 
                     {mode === "daily" ? (
-                        <input
-                            type="date"
-                            value={date}
-                            onChange={(e) => setDate(e.target.value)}
-                            className="p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
-                        />
+                        <div className="flex gap-2">
+                            <input
+                                type="date"
+                                value={date}
+                                onChange={(e) => setDate(e.target.value)}
+                                className="p-2 border rounded-lg flex-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                            />
+                            <select
+                                value={slot}
+                                onChange={(e) => setSlot(e.target.value)}
+                                className="p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+                                title="Slot"
+                            >
+                                <option value="">All slots</option>
+                                {Array.from({ length: slotsPerDay }, (_, i) => i + 1).map((n) => (
+                                    <option key={n} value={n}>
+                                        Slot {n}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
                     ) : mode === "monthly" ? (
                         <div className="flex gap-2">
                             <input
@@ -330,120 +475,231 @@ export default function HodAttendance() {
                                 placeholder="YYYY"
                             />
                         </div>
+                    ) : mode === "range" ? (
+                        <DateRangePicker from={range.from} to={range.to} onChange={setRange} />
                     ) : null}
 
-                    <div className="flex gap-2">
-                        <button
-                            onClick={handleFetchClick}
-                            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 active:scale-[0.99]"
-                        >
-                            Fetch
-                        </button>
-                        <button
-                            onClick={handleExportClick}
-                            className="flex items-center gap-2 px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:opacity-50 active:scale-[0.99]"
-                        >
-                            <Download size={18} /> Export CSV
-                        </button>
-                    </div>
+                    {!reportMode && (
+                        <div className="flex gap-2">
+                            <button
+                                onClick={handleFetchClick}
+                                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 active:scale-[0.99]"
+                            >
+                                Fetch
+                            </button>
+                            <button
+                                onClick={handleExportClick}
+                                className="flex items-center gap-2 px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:opacity-50 active:scale-[0.99]"
+                            >
+                                <Download size={18} /> Export CSV
+                            </button>
+                        </div>
+                    )}
                 </div>
 
-                {/* Filters */}
-                <div className="mt-4 flex flex-col sm:flex-row gap-3">
-                    <div className="relative flex-1">
-                        <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
-                        <input
-                            type="text"
-                            value={search}
-                            onChange={(e) => setSearch(e.target.value)}
-                            placeholder="Search by name or enrollment..."
-                            className="w-full pl-9 pr-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
-                        />
+                {/* Analytics / defaulters have their own controls and fetching */}
+                {mode === "analytics" ? (
+                    <div className="mt-6">
+                        <AttendanceAnalytics classes={classes} selectedClass={selectedClass} />
+                    </div>
+                ) : mode === "defaulters" ? (
+                    <div className="mt-6">
+                        <DefaulterReport classes={classes} selectedClass={selectedClass} />
+                    </div>
+                ) : (
+                <>
+                    {/* Filters */}
+                    <div className="mt-4 flex flex-col sm:flex-row gap-3">
+                        <div className="relative flex-1">
+                            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+                            <input
+                                type="text"
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                placeholder="Search by name or enrollment..."
+                                className="w-full pl-9 pr-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+                            />
+                        </div>
+                        {mode === "daily" && (
+                            <div className="flex items-center gap-2">
+                                <div className="flex border rounded-lg overflow-hidden">
+                                    <button
+                                        onClick={() => setDailyView("pivot")}
+                                        className={`px-3 py-2 flex items-center gap-1 ${pivotView ? "bg-purple-600 text-white" : "hover:bg-gray-50"}`}
+                                        title="Students × slots"
+                                    >
+                                        <Table2 size={16} /> Grid
+                                    </button>
+                                    <button
+                                        onClick={() => setDailyView("list")}
+                                        className={`px-3 py-2 flex items-center gap-1 ${!pivotView ? "bg-purple-600 text-white" : "hover:bg-gray-50"}`}
+                                        title="One row per record"
+                                    >
+                                        <Rows3 size={16} /> List
+                                    </button>
+                                </div>
+                                <label className="flex items-center gap-1 text-sm text-gray-600" title="Lecture slots in a day">
+                                    Slots/day
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max="12"
+                                        value={slotsPerDay}
+                                        onChange={(e) => {
+                                            const n = Number(e.target.value);
+                                            if (Number.isInteger(n) && n > 0 && n <= 12) {
+                                                setSlotsPerDay(n);
+                                                saveSlotsPerDay(n);
+                                            }
+                                        }}
+                                        className="p-2 border rounded-lg w-16 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                                    />
+                                </label>
+                            </div>
+                        )}
+                        {!summaryMode && !pivotView && (
+                            <select
+                                value={statusFilter}
+                                onChange={(e) => setStatusFilter(e.target.value)}
+                                className="flex items-center gap-2 p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+                            >
+                                <option value="all">All Status</option>
+                                <option value="present">Present ✅</option>
+                                <option value="absent">Absent ❌</option>
+                                <option value="excused">Excused 🩺</option>
+                            </select>
+                        )}
+                        {summaryMode && (
+                            <label className="flex items-center gap-2 text-sm text-gray-600">
+                                <input
+                                    type="checkbox"
+                                    checked={excludeExcused}
+                                    onChange={(e) => {
+                                        setExcludeExcused(e.target.checked);
+                                        saveExcludeExcused(e.target.checked);
+                                    }}
+                                />
+                                Leave excused absences out of %
+                            </label>
+                        )}
                     </div>
-                    {mode !== "monthly" && (
-                        <select
-                            value={statusFilter}
-                            onChange={(e) => setStatusFilter(e.target.value)}
-                            className="flex items-center gap-2 p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
-                        >
-                            <option value="all">All Status</option>
-                            <option value="present">Present ✅</option>
-                            <option value="absent">Absent ❌</option>
-                        </select>
-                    )}
-                </div>
 
-                {/* Results */}
-                <div className="mt-6">
-                    {loading ? (
-                        <div className="flex items-center gap-2 text-gray-600">
-                            <Loader2 className="animate-spin" size={18} />
-                            Loading...
+                    {/* Bulk correction */}
+                    {correctable && selectedRecords.length > 0 && (
+                        <div className="mt-4 flex flex-wrap items-center gap-3 bg-purple-50 border border-purple-200 rounded-lg px-4 py-2">
+                            <span className="text-sm text-purple-800 font-medium">
+                                {selectedRecords.length} selected
+                            </span>
+                            <button
+                                onClick={() => setCorrecting(selectedRecords)}
+                                className="flex items-center gap-1 px-3 py-1 rounded-lg bg-purple-600 text-white text-sm hover:bg-purple-700"
+                            >
+                                <Pencil size={14} /> Correct selected
+                            </button>
+                            <button
+                                onClick={() => setSelected(new Set())}
+                                className="px-3 py-1 rounded-lg border text-sm hover:bg-white"
+                            >
+                                Clear
+                            </button>
                         </div>
-                    ) : !filteredRecords.length ? (
-                        <p className="text-gray-500">No records found</p>
-                    ) : (
-                        <>
-                            {/* Mobile Cards */}
-                            <div className="grid sm:hidden gap-4">
-                                {mode === "daily"
-                                    ? filteredRecords.map((r) => (
-                                        <div key={r.id} className="bg-white border rounded-xl p-4 shadow-sm">
-                                            <Row label="Slot" value={r.slotNumber ?? ""} />
-                                            <Row label="Student" value={r.studentName ?? ""} />
-                                            <Row label="Enrollment" value={r.enrollmentNumber ?? ""} />
-                                            <Row
-                                                label="Status"
-                                                value={r.isPresent ? "Present ✅" : "Absent ❌"}
-                                                valueClass={r.isPresent ? "text-green-600" : "text-red-600"}
-                                            />
-                                            <Row label="Marked By" value={r.markedBy ?? ""} />
-                                        </div>
-                                    ))
-                                    : mode === "monthly"
-                                        ? filteredRecords.map((r, idx) => (
-                                            <div key={idx} className="bg-white border rounded-xl p-4 shadow-sm">
-                                                <Row label="Name" value={r.name ?? ""} />
-                                                <Row label="Enrollment" value={r.enrollmentNumber ?? ""} />
-                                                <Row label="Total Classes" value={r.totalClasses ?? 0} />
-                                                <Row label="Presents" value={r.presents ?? 0} />
-                                                <Row label="Absents" value={r.absents ?? 0} />
-                                                <Row label="Percentage" value={`${r.percentage ?? 0}%`} />
-                                            </div>
-                                        ))
-                                        : filteredRecords.map((r, idx) => (
-                                            <div key={idx} className="bg-white border rounded-xl p-4 shadow-sm">
-                                                <Row
-                                                    label="Date"
-                                                    value={r.date ? new Date(r.date).toLocaleDateString("en-GB") : ""}
-                                                />
+                    )}
+
+                    {/* Results */}
+                    <div className="mt-6">
+                        {loading ? (
+                            <div className="flex items-center gap-2 text-gray-600">
+                                <Loader2 className="animate-spin" size={18} />
+                                Loading...
+                            </div>
+                        ) : pivotView ? (
+                            !records.length ? (
+                                <p className="text-gray-500">No records found</p>
+                            ) : (
+                                <DailySlotPivot
+                                    records={records}
+                                    roster={selectedClassObj?.students || []}
+                                    slotsPerDay={slotsPerDay}
+                                    onlySlot={slot}
+                                    search={search}
+                                />
+                            )
+                        ) : !filteredRecords.length ? (
+                            <p className="text-gray-500">No records found</p>
+                        ) : (
+                            <>
+                                {/* Mobile Cards */}
+                                <div className="grid sm:hidden gap-4">
+                                    {mode === "daily"
+                                        ? filteredRecords.map((r) => (
+                                            <div key={r.id} className="bg-white border rounded-xl p-4 shadow-sm">
                                                 <Row label="Slot" value={r.slotNumber ?? ""} />
-                                                <Row label="Student" value={r.studentName ?? ""} />
+                                                <Row label="Student" value={<StudentLink record={r} name={r.studentName} />} />
                                                 <Row label="Enrollment" value={r.enrollmentNumber ?? ""} />
                                                 <Row
                                                     label="Status"
-                                                    value={r.isPresent ? "Present ✅" : "Absent ❌"}
-                                                    valueClass={r.isPresent ? "text-green-600" : "text-red-600"}
+                                                    value={r.isPresent ? "Present ✅" : r.excused ? "Excused 🩺" : "Absent ❌"}
+                                                    valueClass={r.isPresent ? "text-green-600" : r.excused ? "text-amber-600" : "text-red-600"}
                                                 />
                                                 <Row label="Marked By" value={r.markedBy ?? ""} />
+                                                <MobileCorrection record={r} correction={correction} />
                                             </div>
-                                        ))}
-                            </div>
-
-                            {/* Desktop Table */}
-                            <div className="hidden sm:block overflow-x-auto">
-                                {mode === "daily" ? (
-                                    <TableDaily records={filteredRecords} />
-                                ) : mode === "monthly" ? (
-                                    <TableMonthly records={filteredRecords} />
-                                ) : (
-                                    <TableFull records={filteredRecords} />
-                                )}
-                            </div>
-                        </>
-                    )}
-                </div>
+                                        ))
+                                        : summaryMode
+                                            ? filteredRecords.map((r, idx) => (
+                                                <div key={idx} className="bg-white border rounded-xl p-4 shadow-sm">
+                                                    <Row label="Name" value={<StudentLink record={r} name={r.name} />} />
+                                                    <Row label="Enrollment" value={r.enrollmentNumber ?? ""} />
+                                                    <Row label="Total Classes" value={r.totalClasses ?? 0} />
+                                                    <Row label="Presents" value={r.presents ?? 0} />
+                                                    <Row label="Absents" value={r.absents ?? 0} />
+                                                    <Row label="Excused" value={r.excused ?? 0} />
+                                                    <Row label="Percentage" value={`${r.percentage ?? 0}%`} />
+                                                </div>
+                                            ))
+                                            : filteredRecords.map((r, idx) => (
+                                                <div key={idx} className="bg-white border rounded-xl p-4 shadow-sm">
+                                                    <Row
+                                                        label="Date"
+                                                        value={r.dateMs == null ? "" : new Date(r.dateMs).toLocaleDateString("en-GB")}
+                                                    />
+                                                    <Row label="Slot" value={r.slotNumber ?? ""} />
+                                                    <Row label="Student" value={<StudentLink record={r} name={r.studentName} />} />
+                                                    <Row label="Enrollment" value={r.enrollmentNumber ?? ""} />
+                                                    <Row
+                                                        label="Status"
+                                                        value={r.isPresent ? "Present ✅" : r.excused ? "Excused 🩺" : "Absent ❌"}
+                                                        valueClass={r.isPresent ? "text-green-600" : r.excused ? "text-amber-600" : "text-red-600"}
+                                                    />
+                                                    <Row label="Marked By" value={r.markedBy ?? ""} />
+                                                    <MobileCorrection record={r} correction={correction} />
+                                                </div>
+                                            ))}
+                                </div>
+
+                                {/* Desktop Table */}
+                                <div className="hidden sm:block overflow-x-auto">
+                                    {mode === "daily" ? (
+                                        <TableDaily records={filteredRecords} correction={correction} />
+                                    ) : summaryMode ? (
+                                        <TableMonthly records={filteredRecords} />
+                                    ) : (
+                                        <TableFull records={filteredRecords} correction={correction} />
+                                    )}
+                                </div>
+                            </>
+                        )}
+                    </div>
+                </>
+                )}
             </div>
+
+            <AttendanceCorrectionModal
+                open={Boolean(correcting)}
+                records={correcting || []}
+                onClose={() => setCorrecting(null)}
+                onSubmit={handleCorrect}
+            />
         </div>
     );
 }
@@ -462,6 +718,125 @@ function Td({ children, className = "" }) {
     return <td className={`px-3 py-2 text-sm border border-gray-200 ${className}`}>{children}</td>;
 }
 
+// Student name linking to their profile when the record carries the student id
+function StudentLink({ record, name }) {
+    const id = recordStudentId(record);
+    if (!id) return name ?? "";
+    return (
+        <Link to={`/hod/students/${id}`} className="text-purple-700 hover:underline">
+            {name ?? ""}
+        </Link>
+    );
+}
+
+// Status cell, with a button to the record's history once it has been corrected
+function StatusCell({ record, correction }) {
+    const edits = record.corrections?.length || 0;
+    return (
+        <Td className={record.isPresent ? "text-green-600 font-semibold" : "text-red-600 font-semibold"}>
+            {record.isPresent ? "Present" : "Absent"}
+            {record.excused && (
+                <span
+                    className="ml-2 text-xs font-normal px-2 py-0.5 rounded-full bg-amber-50 text-amber-700 border border-amber-200"
+                    title={record.leave.note || undefined}
+                >
+                    🩺 Excused · {leaveType(record.leave.type).label}
+                </span>
+            )}
+            {edits > 0 && (
+                <button
+                    onClick={() => correction.onHistory(record._id)}
+                    aria-expanded={correction.historyOpen === record._id}
+                    className="ml-2 inline-flex items-center gap-1 text-xs font-normal px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 hover:bg-amber-200"
+                    title="Change history"
+                >
+                    <History size={12} /> edited{edits > 1 ? ` ×${edits}` : ""}
+                </button>
+            )}
+        </Td>
+    );
+}
+
+function SelectCell({ record, correction }) {
+    return (
+        <Td>
+            <input
+                type="checkbox"
+                checked={correction.selected.has(record._id)}
+                onChange={() => correction.onToggle(record._id)}
+                aria-label={`Select ${record.studentName || record.enrollmentNumber}, slot ${record.slotNumber ?? ""}`}
+            />
+        </Td>
+    );
+}
+
+function SelectAllTh({ correction }) {
+    return (
+        <Th>
+            <input
+                type="checkbox"
+                checked={correction.allSelected}
+                onChange={correction.onToggleAll}
+                aria-label="Select all shown"
+            />
+        </Th>
+    );
+}
+
+function EditCell({ record, correction }) {
+    return (
+        <Td>
+            <button
+                onClick={() => correction.onCorrect(record)}
+                className="inline-flex items-center gap-1 text-purple-700 hover:underline"
+                aria-label={`Correct ${record.studentName || record.enrollmentNumber}, slot ${record.slotNumber ?? ""}`}
+            >
+                <Pencil size={14} /> Correct
+            </button>
+        </Td>
+    );
+}
+
+function HistoryRow({ record, correction, colSpan }) {
+    if (correction.historyOpen !== record._id) return null;
+    return (
+        <tr className="bg-amber-50/50">
+            <td colSpan={colSpan} className="px-4 py-3 border border-gray-200">
+                <CorrectionHistory corrections={record.corrections} />
+            </td>
+        </tr>
+    );
+}
+
+function MobileCorrection({ record, correction }) {
+    const edits = record.corrections?.length || 0;
+    return (
+        <>
+            <div className="flex gap-3 pt-2 mt-1 border-t">
+                <button
+                    onClick={() => correction.onCorrect(record)}
+                    className="flex items-center gap-1 text-sm text-purple-700"
+                >
+                    <Pencil size={14} /> Correct
+                </button>
+                {edits > 0 && (
+                    <button
+                        onClick={() => correction.onHistory(record._id)}
+                        className="flex items-center gap-1 text-sm text-amber-700"
+                    >
+                        <History size={14} /> History ({edits})
+                    </button>
+                )}
+            </div>
+            {correction.historyOpen === record._id && (
+                <div className="mt-2">
+                    <CorrectionHistory corrections={record.corrections} />
+                </div>
+            )}
+        </>
+    );
+}
+
 function Row({ label, value, valueClass = "" }) {
     return (
         <div className="flex justify-between gap-3 py-1">
@@ -473,29 +848,34 @@ function Row({ label, value, valueClass = "" }) {
 
 /* ---------- Tables ---------- */
 
-function TableDaily({ records }) {
+function TableDaily({ records, correction }) {
     return (
         <table className="min-w-full border rounded-lg overflow-hidden">
             <thead className="bg-purple-100 text-purple-800">
                 <tr>
+                    <SelectAllTh correction={correction} />
                     <Th>Slot</Th>
                     <Th>Student</Th>
                     <Th>Enrollment</Th>
                     <Th>Status</Th>
                     <Th>Marked By</Th>
+                    <Th>Action</Th>
                 </tr>
             </thead>
             <tbody>
                 {records.map((r) => (
-                    <tr key={r.id} className="text-center border-b hover:bg-gray-50">
-                        <Td>{r.slotNumber ?? ""}</Td>
-                        <Td>{r.studentName ?? ""}</Td>
-                        <Td>{r.enrollmentNumber ?? ""}</Td>
-                        <Td className={r.isPresent ? "text-green-600 font-semibold" : "text-red-600 font-semibold"}>
-                            {r.isPresent ? "Present" : "Absent"}
-                        </Td>
-                        <Td>{r.markedBy ?? ""}</Td>
-                    </tr>
+                    <Fragment key={r._id}>
+                        <tr className="text-center border-b hover:bg-gray-50">
+                            <SelectCell record={r} correction={correction} />
+                            <Td>{r.slotNumber ?? ""}</Td>
+                            <Td><StudentLink record={r} name={r.studentName} /></Td>
+                            <Td>{r.enrollmentNumber ?? ""}</Td>
+                            <StatusCell record={r} correction={correction} />
+                            <Td>{r.markedBy ?? ""}</Td>
+                            <EditCell record={r} correction={correction} />
+                        </tr>
+                        <HistoryRow record={r} correction={correction} colSpan={7} />
+                    </Fragment>
                 ))}
             </tbody>
         </table>
@@ -512,6 +892,7 @@ function TableMonthly({ records }) {
                     <Th>Total Classes</Th>
                     <Th>Presents</Th>
                     <Th>Absents</Th>
+                    <Th>Excused</Th>
                     <Th>Percentage</Th>
                 </tr>
             </thead>
@@ -519,10 +900,11 @@ function TableMonthly({ records }) {
                 {records.map((r, idx) => (
                     <tr key={idx} className="text-center border-b hover:bg-gray-50">
                         <Td>{r.enrollmentNumber ?? ""}</Td>
-                        <Td>{r.name ?? ""}</Td>
+                        <Td><StudentLink record={r} name={r.name} /></Td>
                         <Td>{r.totalClasses ?? 0}</Td>
                         <Td className="text-green-700 font-medium">{r.presents ?? 0}</Td>
                         <Td className="text-red-600 font-medium">{r.absents ?? 0}</Td>
+                        <Td className="text-amber-600 font-medium">{r.excused ?? 0}</Td>
                         <Td>{`${r.percentage ?? 0}%`}</Td>
                     </tr>
                 ))}
@@ -531,43 +913,38 @@ function TableMonthly({ records }) {
     );
 }
 
-function TableFull({ records }) {
+function TableFull({ records, correction }) {
     return (
         <table className="min-w-full border rounded-lg overflow-hidden">
             <thead className="bg-purple-100 text-purple-800">
                 <tr>
+                    <SelectAllTh correction={correction} />
                     <Th>Date</Th>
                     <Th>Slot</Th>
                     <Th>Student</Th>
                     <Th>Enrollment</Th>
                     <Th>Status</Th>
                     <Th>Marked By</Th>
+                    <Th>Action</Th>
                 </tr>
             </thead>
             <tbody>
-                {records.map((r, idx) => (
-                    <tr key={idx} className="text-center border-b hover:bg-gray-50">
-                        <Td>
-                            {r.date
-                                ? new Date(r.date).toLocaleDateString("en-GB")
-                                : r.dateMs
-                                    ? new Date(r.dateMs).toLocaleDateString("en-GB")
-                                    : ""}
-                        </Td>
-                        <Td>{r.slotNumber ?? ""}</Td>
-                        <Td>{r.studentName ?? ""}</Td>
-                        <Td>{r.enrollmentNumber ?? ""}</Td>
-                        <Td
-                            className={
-                                r.isPresent
-                                    ? "text-green-600 font-semibold"
-                                    : "text-red-600 font-semibold"
-                            }
-                        >
-                            {r.isPresent ? "Present" : "Absent"}
-                        </Td>
-                        <Td>{r.markedByName ?? r.markedBy ?? ""}</Td>
-                    </tr>
+                {records.map((r) => (
+                    <Fragment key={r._id}>
+                        <tr className="text-center border-b hover:bg-gray-50">
+                            <SelectCell record={r} correction={correction} />
+                            <Td>
+                                {r.dateMs == null ? "" : new Date(r.dateMs).toLocaleDateString("en-GB")}
+                            </Td>
+                            <Td>{r.slotNumber ?? ""}</Td>
+                            <Td><StudentLink record={r} name={r.studentName} /></Td>
+                            <Td>{r.enrollmentNumber ?? ""}</Td>
+                            <StatusCell record={r} correction={correction} />
+                            <Td>{r.markedBy}</Td>
+                            <EditCell record={r} correction={correction} />
+                        </tr>
+                        <HistoryRow record={r} correction={correction} colSpan={8} />
+                    </Fragment>
                 ))}
             </tbody>
         </table>
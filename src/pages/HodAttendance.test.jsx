@@ -0,0 +1,136 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { fireEvent, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import * as XLSX from "xlsx";
+import HodAttendance from "./HodAttendance";
+import API, {
+  createLeave,
+  getAttendanceByDate,
+  getClassAttendance,
+  getClasses,
+  getMonthlyAttendanceSummary,
+} from "../services/api";
+import { loginAsDemoHod } from "../test/mockServer";
+import { renderWithProviders } from "../test/render";
+import { pct } from "../utils/attendanceStats";
+
+// keep the export in memory instead of "downloading" it
+vi.mock("xlsx", async (importOriginal) => ({ ...(await importOriginal()), writeFile: vi.fn() }));
+
+describe("HodAttendance corrections", () => {
+  let user;
+  let cls;
+  let lecture;
+
+  beforeEach(async () => {
+    user = userEvent.setup();
+    await loginAsDemoHod();
+    [cls] = await getClasses();
+    const [first] = await getClassAttendance(cls._id);
+    lecture = await getAttendanceByDate(cls._id, { date: first.date, slotNumber: first.slotNumber });
+  });
+
+  // daily list of the seeded lecture
+  const openLecture = async () => {
+    const { container } = renderWithProviders(<HodAttendance />);
+    await screen.findByRole("option", { name: `${cls.className} (${cls.division})` });
+    await user.selectOptions(screen.getByDisplayValue("-- Select Class --"), cls._id);
+    fireEvent.change(container.querySelector('input[type="date"]'), { target: { value: lecture[0].date } });
+    await user.selectOptions(screen.getByTitle("Slot"), String(lecture[0].slotNumber));
+    await user.click(screen.getByRole("button", { name: "Fetch" }));
+    await user.click(await screen.findByRole("button", { name: /List/ }));
+  };
+
+  it("corrects one record with a reason and shows its history", async () => {
+    const [rec] = lecture;
+    await openLecture();
+
+    await user.click(screen.getByRole("button", { name: `Correct ${rec.studentName}, slot ${rec.slotNumber}` }));
+    const dialog = screen.getByRole("dialog", { name: "Correct attendance" });
+    const save = within(dialog).getByRole("button", { name: "Save correction" });
+    expect(save).toBeDisabled(); // no reason yet
+    await user.type(within(dialog).getByPlaceholderText("Why is this record being changed?"), "Sat in the wrong row");
+    await user.click(save);
+
+    expect(await screen.findByText(`✅ 1 record marked ${rec.isPresent ? "absent" : "present"}`)).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: /edited/ }));
+    expect(within(screen.getByRole("table")).getByText("“Sat in the wrong row”")).toBeInTheDocument();
+
+    const [after] = await getAttendanceByDate(cls._id, { date: rec.date, slotNumber: rec.slotNumber });
+    expect(after.isPresent).toBe(!rec.isPresent);
+  });
+
+  it("marks a whole slot present in one go", async () => {
+    await openLecture();
+
+    await user.click(screen.getByRole("checkbox", { name: "Select all shown" }));
+    await user.click(screen.getByRole("button", { name: /Correct selected/ }));
+    const dialog = screen.getByRole("dialog", { name: "Correct attendance" });
+    expect(within(dialog).getByText(`${lecture.length} records selected`)).toBeInTheDocument();
+    await user.click(within(dialog).getByRole("button", { name: "Mark present" }));
+    await user.click(within(dialog).getByRole("button", { name: "Lab / network outage" }));
+    await user.click(within(dialog).getByRole("button", { name: "Save correction" }));
+
+    const absent = lecture.filter((r) => !r.isPresent).length;
+    expect(await screen.findByText(`✅ ${absent} record${absent === 1 ? "" : "s"} marked present`)).toBeInTheDocument();
+    const after = await getAttendanceByDate(cls._id, { date: lecture[0].date, slotNumber: lecture[0].slotNumber });
+    expect(after.every((r) => r.isPresent)).toBe(true);
+  });
+
+  it("shows absences on leave as excused and can leave them out of the percentage", async () => {
+    const absence = (await getClassAttendance(cls._id)).find((r) => !r.isPresent);
+    const when = new Date(absence.date);
+    const period = { month: when.getMonth() + 1, year: when.getFullYear() };
+    await createLeave({ studentId: absence.studentId, from: absence.date.slice(0, 10), type: "medical" });
+    const row = (await getMonthlyAttendanceSummary(cls._id, period)).summary.find((r) => r.studentId === absence.studentId);
+    expect(row.excused).toBeGreaterThan(0);
+
+    const { container } = renderWithProviders(<HodAttendance />);
+    await screen.findByRole("option", { name: `${cls.className} (${cls.division})` });
+    await user.selectOptions(screen.getByDisplayValue("-- Select Class --"), cls._id);
+    await user.selectOptions(screen.getByDisplayValue("Daily"), "monthly");
+    fireEvent.change(screen.getByPlaceholderText("MM"), { target: { value: String(period.month) } });
+    fireEvent.change(screen.getByPlaceholderText("YYYY"), { target: { value: String(period.year) } });
+    await user.click(screen.getByRole("button", { name: "Fetch" }));
+
+    const cells = async () => {
+      const tr = (await within(container.querySelector("table")).findByText(row.name)).closest("tr");
+      return within(tr).getAllByRole("cell").map((td) => td.textContent);
+    };
+    expect((await cells()).slice(-2)).toEqual([String(row.excused), `${row.percentage}%`]);
+
+    await user.click(screen.getByRole("checkbox", { name: "Leave excused absences out of %" }));
+    const adjusted = pct(row.presents, row.totalClasses - row.excused);
+    expect((await cells()).slice(-2)).toEqual([String(row.excused), `${adjusted}%`]);
+
+    await user.click(screen.getByRole("button", { name: /Export/ }));
+    const [wb] = XLSX.writeFile.mock.lastCall;
+    const [headers, ...rows] = XLSX.utils.sheet_to_json(wb.Sheets.Attendance, { header: 1 });
+    expect(headers.slice(-2)).toEqual(["Excused", "Percentage (excused not counted)"]);
+    expect(rows.find((r) => r[1] === row.name).slice(-2)).toEqual([row.excused, adjusted]);
+  });
+
+  describe("without a leave endpoint", () => {
+    const originalAdapter = API.defaults.adapter;
+
+    beforeEach(() => {
+      API.defaults.adapter = (config) => {
+        if (!config.url.startsWith("/leaves")) return originalAdapter(config);
+        const err = new Error("Request failed with status code 404");
+        err.response = { status: 404, data: { error: "Not found" }, config };
+        return Promise.reject(err);
+      };
+    });
+
+    afterEach(() => {
+      API.defaults.adapter = originalAdapter;
+    });
+
+    it("still shows the lecture, just without excused absences", async () => {
+      await openLecture();
+
+      expect(screen.getByRole("button", { name: `Correct ${lecture[0].studentName}, slot ${lecture[0].slotNumber}` })).toBeInTheDocument();
+      expect(screen.queryByText("⚠️ Failed to fetch attendance")).not.toBeInTheDocument();
+    });
+  });
+});
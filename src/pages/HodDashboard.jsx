@@ -1,52 +1,24 @@
 // src/pages/HodDashboard.jsx
 import { useAuth } from "../context/AuthContext";
 import { LogOut, User, Menu, X } from "lucide-react";
-import { useEffect, useState } from "react";
-import { getProfessors, getClasses, getStudents } from "../services/api";
+import { useState } from "react";
+import { professorsQuery, classesQuery, studentsPageQuery } from "../services/api";
+import { useQuery } from "../services/queryCache";
 import { useNavigate } from "react-router-dom";
 
+const NONE = [];
+
 export default function HodDashboard() {
   const { hod, logout } = useAuth();
   const navigate = useNavigate();
 
-  const [professors, setProfessors] = useState([]);
-  const [classes, setClasses] = useState([]);
-  const [students, setStudents] = useState([]);
+  // Shared with the list pages through the query cache
+  const { data: professors = NONE } = useQuery(professorsQuery);
+  const { data: classes = NONE } = useQuery(classesQuery);
+  // one-row page: only the total is needed for the tile
+  const { data: students } = useQuery(studentsPageQuery({ page: 1, limit: 1 }));
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
-  useEffect(() => {
-    fetchProfessors();
-    fetchClasses();
-    fetchStudents();
-  }, []);
-
-  const fetchProfessors = async () => {
-    try {
-      const res = await getProfessors();
-      setProfessors(res.data?.professors || []);
-    } catch (err) {
-      console.error("Error fetching professors", err);
-    }
-  };
-
-  const fetchClasses = async () => {
-    try {
-      const list = await getClasses();
-      setClasses(list);
-    } catch (err) {
-      console.error("Error fetching classes", err);
-    }
-  };
-
-  const fetchStudents = async () => {
-    try {
-      const studs = await getStudents();
-      setStudents(studs);
-    } catch (err) {
-      console.error("Error fetching students", err);
-    }
-  };
-
   return (
     <div className="min-h-screen flex flex-col bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50">
       <div className="flex-grow max-w-6xl mx-auto p-6 w-full">
@@ -177,7 +149,7 @@ export default function HodDashboard() {
           >
             <div className="text-4xl mb-2">🧑‍🎓</div>
             <h2 className="text-xl font-bold text-gray-800">Students</h2>
-            <p className="text-gray-500">{students.length} enrolled</p>
+            <p className="text-gray-500">{students?.total ?? 0} enrolled</p>
           </div>
 
           <div
@@ -205,6 +177,38 @@ export default function HodDashboard() {
             <h2 className="text-xl font-bold text-gray-800">Attendance</h2>
             <p className="text-gray-500">View class/student attendance</p>
           </div>
+          <div
+            onClick={() => navigate("/hod/attendance/mark")}
+            className="cursor-pointer bg-white rounded-2xl shadow-lg p-6 text-center hover:scale-105 transition"
+          >
+            <div className="text-4xl mb-2">📝</div>
+            <h2 className="text-xl font-bold text-gray-800">Take Attendance</h2>
+            <p className="text-gray-500">Record a lecture without the app</p>
+          </div>
+          <div
+            onClick={() => navigate("/hod/leaves")}
+            className="cursor-pointer bg-white rounded-2xl shadow-lg p-6 text-center hover:scale-105 transition"
+          >
+            <div className="text-4xl mb-2">🩺</div>
+            <h2 className="text-xl font-bold text-gray-800">Leaves</h2>
+            <p className="text-gray-500">Medical and other approved leave</p>
+          </div>
+          <div
+            onClick={() => navigate("/hod/trash")}
+            className="cursor-pointer bg-white rounded-2xl shadow-lg p-6 text-center hover:scale-105 transition"
+          >
+            <div className="text-4xl mb-2">🗑️</div>
+            <h2 className="text-xl font-bold text-gray-800">Trash</h2>
+            <p className="text-gray-500">Restore deleted records</p>
+          </div>
+          <div
+            onClick={() => navigate("/hod/audit")}
+            className="cursor-pointer bg-white rounded-2xl shadow-lg p-6 text-center hover:scale-105 transition"
+          >
+            <div className="text-4xl mb-2">📜</div>
+            <h2 className="text-xl font-bold text-gray-800">Audit Log</h2>
+            <p className="text-gray-500">Who changed what, and when</p>
+          </div>
 
         </div>
       </div>
@@ -1,11 +1,14 @@
 import { useState } from "react";
 import { useAuth } from "../context/AuthContext";
 import { Eye, EyeOff, UserRoundCheck } from "lucide-react"; // <-- icons
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
+import { isMockApiEnabled, DEMO_HOD } from "../services/mock";
+import { afterLoginPath } from "../utils/authRedirect";
 
 export default function HodLogin() {
   const { login } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
   const [loading, setLoading] = useState(false);
@@ -27,7 +30,8 @@ export default function HodLogin() {
       const message = res?.data?.message || "🎉 Login successful!";
       setOk(message);
   
-      setTimeout(() => navigate("/hod/dashboard"), 800);
+      // back to the page that asked for a login (see ProtectedRoute)
+      setTimeout(() => navigate(afterLoginPath(location.state), { replace: true }), 800);
     } catch (err) {
       // AuthContext.login already alerts server message; still set error UI
       const msg = err?.response?.data?.error || "Login failed ❌";
@@ -53,6 +57,23 @@ export default function HodLogin() {
           Welcome back! Access your attendance dashboard.
         </p>
 
+        {isMockApiEnabled() && (
+          <div className="mt-6 bg-amber-50 text-amber-800 text-sm p-3 rounded-xl border border-amber-200">
+            🧪 Demo mode — sign in as <strong>{DEMO_HOD.username}</strong> /{" "}
+            <strong>{DEMO_HOD.password}</strong>
+            <button
+              type="button"
+              onClick={() => {
+                setUsername(DEMO_HOD.username);
+                setPassword(DEMO_HOD.password);
+              }}
+              className="ml-2 text-indigo-600 font-semibold hover:underline"
+            >
+              Fill in
+            </button>
+          </div>
+        )}
+
         {/* Alerts */}
         {error && (
           <div className="mt-6 bg-red-50 text-red-700 text-sm p-3 rounded-xl border border-red-100">
@@ -120,6 +141,12 @@ export default function HodLogin() {
           <a href="/hod/register" className="text-indigo-600 font-semibold hover:underline">
             Register here ✨
           </a>
+          <p className="mt-2">
+            Professor?{" "}
+            <a href="/professor/login" className="text-indigo-600 font-semibold hover:underline">
+              Sign in to the professor portal
+            </a>
+          </p>
         </div>
 
         {/* Decorative footer (emoji instead of image) */}
@@ -0,0 +1,46 @@
+// src/pages/HodMarkAttendance.jsx
+// Take a lecture's attendance from the dashboard, for when the app on the
+// professor's phone is not available. Overwriting a recorded lecture is flagged.
+import { Link, useSearchParams } from "react-router-dom";
+import { ArrowLeft, Loader2 } from "lucide-react";
+import AttendanceMarker from "../components/AttendanceMarker";
+import { classesQuery, getAttendanceByDate, markAttendance } from "../services/api";
+import { useQuery } from "../services/queryCache";
+
+const NONE = [];
+
+export default function HodMarkAttendance() {
+  const [params] = useSearchParams();
+  const { data: classes = NONE, isLoading, error } = useQuery(classesQuery);
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50">
+      <div className="mb-6">
+        <Link to="/hod/attendance" className="text-sm text-purple-600 hover:underline flex items-center gap-1">
+          <ArrowLeft size={14} /> Attendance
+        </Link>
+        <h1 className="text-2xl font-bold text-purple-700">📝 Take Attendance</h1>
+        <p className="text-sm text-gray-500">Record a lecture for any class. Every student has to be marked before saving.</p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border p-4">
+        {isLoading ? (
+          <div className="flex items-center gap-2 text-gray-500">
+            <Loader2 className="animate-spin" size={18} /> Loading classes...
+          </div>
+        ) : error ? (
+          <div className="bg-red-50 text-red-700 p-4 rounded-xl border border-red-100">
+            Failed to load classes: {error.response?.data?.error || error.message}
+          </div>
+        ) : (
+          <AttendanceMarker
+            classes={classes}
+            initialClassId={params.get("classId") || ""}
+            loadLecture={getAttendanceByDate}
+            submit={markAttendance}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
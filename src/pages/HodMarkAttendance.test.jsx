@@ -0,0 +1,65 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { fireEvent, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import HodMarkAttendance from "./HodMarkAttendance";
+import { getAttendanceByDate, getClassAttendance, getClasses } from "../services/api";
+import { loginAsDemoHod } from "../test/mockServer";
+import { renderWithProviders } from "../test/render";
+
+// a weekday before the seeded attendance starts, so nothing is recorded on it
+const FREE_DAY = "2020-01-06";
+
+describe("HodMarkAttendance", () => {
+  let user;
+  let cls;
+
+  beforeEach(async () => {
+    user = userEvent.setup();
+    await loginAsDemoHod();
+    [cls] = await getClasses();
+  });
+
+  const open = () => renderWithProviders(<HodMarkAttendance />, { route: `/hod/attendance/mark?classId=${cls._id}` });
+
+  const pickLecture = async (date, slot) => {
+    fireEvent.change(await screen.findByLabelText("Date"), { target: { value: date } });
+    fireEvent.change(screen.getByLabelText("Slot"), { target: { value: String(slot) } });
+  };
+
+  it("records a new lecture once every student is marked", async () => {
+    open();
+    await pickLecture(FREE_DAY, 1);
+
+    const save = await screen.findByRole("button", { name: "Save attendance" });
+    expect(save).toBeDisabled();
+    await user.click(screen.getByRole("button", { name: /Mark all present/ }));
+    const [first] = cls.students.slice().sort((a, b) => a.enrollmentNumber.localeCompare(b.enrollmentNumber));
+    await user.click(screen.getByRole("button", { name: `${first.name} absent` }));
+    await user.click(save);
+
+    expect(await screen.findByText(`✅ Attendance saved for ${cls.students.length} students`)).toBeInTheDocument();
+    const records = await getAttendanceByDate(cls._id, { date: FREE_DAY, slotNumber: 1 });
+    expect(records).toHaveLength(cls.students.length);
+    expect(records.filter((r) => !r.isPresent).map((r) => r.studentId)).toEqual([first._id]);
+  });
+
+  it("flags changes to a recorded lecture and overwrites only after confirming", async () => {
+    const [seeded] = await getClassAttendance(cls._id);
+    const student = cls.students.find((s) => s._id === seeded.studentId);
+    open();
+    await pickLecture(seeded.date, seeded.slotNumber);
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(/already recorded by/);
+    const flip = seeded.isPresent ? "absent" : "present";
+    await user.click(screen.getByRole("button", { name: `${student.name} ${flip}` }));
+    const row = screen.getByText(student.enrollmentNumber).closest("li");
+    expect(within(row).getByText(`was ${seeded.isPresent ? "Present" : "Absent"}`)).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Overwrite attendance" }));
+    await user.click(await screen.findByRole("button", { name: "Overwrite" }));
+
+    expect(await screen.findByText(/Attendance saved \(\d+ updated, 0 new\)/)).toBeInTheDocument();
+    const records = await getAttendanceByDate(cls._id, { date: seeded.date, slotNumber: seeded.slotNumber });
+    expect(records.find((r) => r.studentId === student._id).isPresent).toBe(!seeded.isPresent);
+  });
+});
@@ -0,0 +1,306 @@
+// src/pages/LeavesPage.jsx
+// Approved leave per student (medical, personal, official duty...). Absences
+// that fall inside a leave show as excused on /hod/attendance, and summaries
+// can leave them out of the percentage.
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { ArrowLeft, Edit, Loader2, PlusCircle, Search, Trash2, XCircle } from "lucide-react";
+import { useConfirm } from "../components/ConfirmProvider";
+import { createLeave, deleteLeave, leavesQuery, studentsQuery, updateLeave } from "../services/api";
+import { useQuery } from "../services/queryCache";
+import { toDayKey } from "../utils/attendanceStats";
+import { LEAVE_TYPES, leaveDays, leaveType } from "../utils/leaves";
+
+const NONE = [];
+
+const emptyForm = () => {
+  const today = toDayKey(new Date());
+  return { studentId: "", from: today, to: today, type: "medical", note: "" };
+};
+
+const formatDay = (day) => (day ? new Date(`${day}T00:00:00`).toLocaleDateString("en-GB") : "");
+
+export default function LeavesPage() {
+  const confirm = useConfirm();
+  const { data: leaves = NONE, isLoading, error: loadError } = useQuery(leavesQuery);
+  const { data: students = NONE } = useQuery(studentsQuery);
+
+  const [form, setForm] = useState(emptyForm);
+  const [editId, setEditId] = useState(null);
+  const [studentSearch, setStudentSearch] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const [search, setSearch] = useState("");
+  const [typeFilter, setTypeFilter] = useState("");
+
+  const studentOptions = useMemo(() => {
+    const q = studentSearch.trim().toLowerCase();
+    const list = q
+      ? students.filter((s) => s.name.toLowerCase().includes(q) || s.enrollmentNumber.toLowerCase().includes(q))
+      : students;
+    // keep the chosen student listed while searching for another
+    const chosen = students.find((s) => s._id === form.studentId);
+    return chosen && !list.includes(chosen) ? [chosen, ...list] : list;
+  }, [students, studentSearch, form.studentId]);
+
+  const shown = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return leaves.filter(
+      (l) =>
+        (!typeFilter || l.type === typeFilter) &&
+        (!q ||
+          l.studentName.toLowerCase().includes(q) ||
+          l.enrollmentNumber.toLowerCase().includes(q) ||
+          l.note.toLowerCase().includes(q))
+    );
+  }, [leaves, search, typeFilter]);
+
+  const setField = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+
+  const resetForm = () => {
+    setForm(emptyForm());
+    setEditId(null);
+    setStudentSearch("");
+    setError("");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.studentId) {
+      toast.error("⚠️ Please pick a student");
+      return;
+    }
+    if (form.to && form.from > form.to) {
+      toast.error("⚠️ Leave cannot end before it starts");
+      return;
+    }
+    setSaving(true);
+    setError("");
+    try {
+      const payload = { ...form, to: form.to || form.from, note: form.note.trim() };
+      if (editId) {
+        await updateLeave(editId, payload);
+        toast.success("✅ Leave updated");
+      } else {
+        await createLeave(payload);
+        toast.success("✅ Leave recorded");
+      }
+      resetForm();
+    } catch (err) {
+      console.error("Error saving leave", err);
+      const backendMsg = err.response?.data?.error;
+      const finalMsg = backendMsg ? `Failed to save leave: ${backendMsg}` : "Failed to save leave";
+      setError(finalMsg);
+      toast.error(finalMsg);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (leave) => {
+    setEditId(leave._id);
+    setForm({ studentId: leave.studentId, from: leave.from, to: leave.to, type: leave.type, note: leave.note });
+    setStudentSearch("");
+    setError("");
+    window.scrollTo?.({ top: 0, behavior: "smooth" });
+  };
+
+  const handleDelete = async (leave) => {
+    const ok = await confirm({
+      title: "Delete leave?",
+      message: `${leave.studentName}'s ${leaveType(leave.type).label.toLowerCase()} leave (${formatDay(leave.from)} – ${formatDay(
+        leave.to
+      )}) will be removed. Absences on those days will count again.`,
+      confirmText: "Delete",
+      tone: "danger",
+    });
+    if (!ok) return;
+    try {
+      await deleteLeave(leave._id);
+      if (editId === leave._id) resetForm();
+      toast.success("🗑️ Leave deleted");
+    } catch (err) {
+      console.error("Error deleting leave", err);
+      const backendMsg = err.response?.data?.error;
+      toast.error(backendMsg ? `Failed to delete leave: ${backendMsg}` : "Failed to delete leave");
+    }
+  };
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50">
+      <div className="mb-6">
+        <Link to="/hod/dashboard" className="text-sm text-purple-600 hover:underline flex items-center gap-1">
+          <ArrowLeft size={14} /> Dashboard
+        </Link>
+        <h1 className="text-2xl font-bold text-purple-700">🩺 Leaves</h1>
+        <p className="text-sm text-gray-500">
+          Approved leave per student. Absences on these days show as excused in attendance summaries and exports.
+        </p>
+      </div>
+
+      {/* Form */}
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border p-4 mb-6 space-y-3">
+        <h2 className="font-semibold text-gray-800">{editId ? "Edit leave" : "Record leave"}</h2>
+        {error && <div className="bg-red-50 text-red-700 text-sm p-3 rounded-xl border border-red-100">{error}</div>}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div className="flex flex-col gap-2">
+            <div className="relative">
+              <Search className="absolute left-3 top-2.5 text-gray-400" size={16} />
+              <input
+                value={studentSearch}
+                onChange={(e) => setStudentSearch(e.target.value)}
+                placeholder="Find student by name or enrollment..."
+                className="border rounded-lg pl-9 pr-3 py-2 w-full"
+              />
+            </div>
+            <select value={form.studentId} onChange={setField("studentId")} aria-label="Student" className="border rounded-lg px-3 py-2">
+              <option value="">-- Select Student --</option>
+              {studentOptions.map((s) => (
+                <option key={s._id} value={s._id}>
+                  {s.enrollmentNumber} · {s.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <label className="flex flex-col text-sm text-gray-700">
+              From
+              <input type="date" value={form.from} onChange={setField("from")} required className="border rounded-lg px-3 py-2 mt-1" />
+            </label>
+            <label className="flex flex-col text-sm text-gray-700">
+              To
+              <input type="date" value={form.to} min={form.from} onChange={setField("to")} className="border rounded-lg px-3 py-2 mt-1" />
+            </label>
+            <label className="flex flex-col text-sm text-gray-700 col-span-2">
+              Type
+              <select value={form.type} onChange={setField("type")} className="border rounded-lg px-3 py-2 mt-1">
+                {LEAVE_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>
+                    {t.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+        <label className="flex flex-col text-sm text-gray-700">
+          Note
+          <textarea
+            value={form.note}
+            onChange={setField("note")}
+            rows={2}
+            maxLength={1000}
+            placeholder="e.g. certificate number, who approved it"
+            className="border rounded-lg px-3 py-2 mt-1"
+          />
+        </label>
+        <div className="flex justify-end gap-2">
+          {editId && (
+            <button type="button" onClick={resetForm} className="px-4 py-2 rounded-lg border hover:bg-gray-50 flex items-center gap-1">
+              <XCircle size={16} /> Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 flex items-center gap-2 disabled:opacity-60"
+          >
+            {saving ? <Loader2 className="animate-spin" size={16} /> : <PlusCircle size={16} />}
+            {editId ? "Update leave" : "Save leave"}
+          </button>
+        </div>
+      </form>
+
+      {/* List */}
+      <div className="bg-white rounded-xl shadow-sm border p-4">
+        <div className="flex flex-col sm:flex-row gap-3 mb-4">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-2.5 text-gray-400" size={16} />
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search student or note..."
+              className="border rounded-lg pl-9 pr-3 py-2 w-full"
+            />
+          </div>
+          <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} aria-label="Type" className="border rounded-lg px-3 py-2">
+            <option value="">All types</option>
+            {LEAVE_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center gap-2 text-gray-500">
+            <Loader2 className="animate-spin" size={18} /> Loading leaves...
+          </div>
+        ) : loadError ? (
+          <div className="bg-red-50 text-red-700 p-4 rounded-xl border border-red-100">
+            Failed to load leaves: {loadError.response?.data?.error || loadError.message}
+          </div>
+        ) : !shown.length ? (
+          <p className="text-center text-gray-500 py-6">{leaves.length ? "No leaves match." : "No leave recorded yet."}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="p-3">Student</th>
+                  <th className="p-3">Type</th>
+                  <th className="p-3">Dates</th>
+                  <th className="p-3">Days</th>
+                  <th className="p-3">Note</th>
+                  <th className="p-3" />
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((l) => (
+                  <tr key={l._id} className="border-t">
+                    <td className="p-3">
+                      <Link to={`/hod/students/${l.studentId}`} className="text-purple-700 hover:underline">
+                        {l.studentName || "Removed student"}
+                      </Link>
+                      <p className="text-xs font-mono text-gray-500">{l.enrollmentNumber}</p>
+                    </td>
+                    <td className="p-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${leaveType(l.type).badge}`}>
+                        {leaveType(l.type).label}
+                      </span>
+                    </td>
+                    <td className="p-3 whitespace-nowrap">
+                      {formatDay(l.from)}
+                      {l.to !== l.from && ` – ${formatDay(l.to)}`}
+                    </td>
+                    <td className="p-3">{leaveDays(l)}</td>
+                    <td className="p-3 text-gray-600 max-w-xs">{l.note || "—"}</td>
+                    <td className="p-3 whitespace-nowrap text-right">
+                      <button
+                        onClick={() => handleEdit(l)}
+                        className="p-1 text-purple-700 hover:bg-purple-50 rounded"
+                        aria-label={`Edit leave of ${l.studentName}`}
+                      >
+                        <Edit size={16} />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(l)}
+                        className="p-1 text-red-600 hover:bg-red-50 rounded"
+                        aria-label={`Delete leave of ${l.studentName}`}
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
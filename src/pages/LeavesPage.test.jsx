@@ -0,0 +1,49 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import LeavesPage from "./LeavesPage";
+import { getLeaves, getStudents } from "../services/api";
+import { loginAsDemoHod } from "../test/mockServer";
+import { renderWithProviders } from "../test/render";
+
+describe("LeavesPage", () => {
+  let user;
+
+  beforeEach(async () => {
+    user = userEvent.setup();
+    await loginAsDemoHod();
+  });
+
+  it("records a leave for a student", async () => {
+    const student = (await getStudents()).at(-1);
+    renderWithProviders(<LeavesPage />);
+    expect(await screen.findByText("Viral fever; doctor's certificate submitted")).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText("Student"), student._id);
+    await user.clear(screen.getByLabelText("From"));
+    await user.type(screen.getByLabelText("From"), "2024-03-04");
+    await user.clear(screen.getByLabelText("To"));
+    await user.type(screen.getByLabelText("To"), "2024-03-05");
+    await user.selectOptions(screen.getAllByRole("combobox", { name: "Type" })[0], "official");
+    await user.type(screen.getByLabelText("Note"), "Inter-college sports meet");
+    await user.click(screen.getByRole("button", { name: "Save leave" }));
+
+    expect(await screen.findByText("✅ Leave recorded")).toBeInTheDocument();
+    const row = (await screen.findByText("Inter-college sports meet")).closest("tr");
+    expect(within(row).getByText(student.name)).toBeInTheDocument();
+    expect(within(row).getByText("Official duty")).toBeInTheDocument();
+    expect(within(row).getByText("2")).toBeInTheDocument();
+    expect(await getLeaves({ studentId: student._id })).toHaveLength(1);
+  });
+
+  it("deletes a leave after confirmation", async () => {
+    const [leave] = await getLeaves();
+    renderWithProviders(<LeavesPage />);
+
+    await user.click(await screen.findByRole("button", { name: `Delete leave of ${leave.studentName}` }));
+    await user.click(screen.getByRole("button", { name: "Delete" }));
+
+    expect(await screen.findByText("No leave recorded yet.")).toBeInTheDocument();
+    expect(await getLeaves()).toEqual([]);
+  });
+});
@@ -0,0 +1,238 @@
+// src/pages/ProfessorClassPage.jsx
+// Professor portal: one assigned class — its students with their attendance
+// over a date range, and the lecture-by-lecture history. Taking attendance
+// opens ProfessorMarkAttendance with the class preselected.
+import { useMemo, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { ArrowLeft, ChevronDown, ChevronRight, ClipboardCheck, Loader2, Search } from "lucide-react";
+import DateRangePicker from "../components/DateRangePicker";
+import { myClassesQuery, myClassAttendanceQuery } from "../services/professorApi";
+import { useQuery } from "../services/queryCache";
+import {
+  classDisplay,
+  filterByDateRange,
+  pct,
+  percentColor,
+  summarizeByStudent,
+} from "../utils/attendanceStats";
+
+const NONE = [];
+
+const TABS = [
+  { key: "students", label: "Students" },
+  { key: "lectures", label: "Lecture history" },
+];
+
+// One row per lecture held (date + slot), newest first
+const groupLectures = (records) => {
+  const map = new Map();
+  records.forEach((r) => {
+    const key = `${r.date}#${r.slotNumber ?? ""}`;
+    if (!map.has(key)) {
+      map.set(key, { key, date: r.date, slotNumber: r.slotNumber, markedBy: r.markedBy, present: 0, absentees: [] });
+    }
+    const lecture = map.get(key);
+    if (r.isPresent) lecture.present += 1;
+    else lecture.absentees.push(r);
+  });
+  return Array.from(map.values()).sort(
+    (a, b) => b.date.localeCompare(a.date) || Number(b.slotNumber || 0) - Number(a.slotNumber || 0)
+  );
+};
+
+export default function ProfessorClassPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const { data: classes = NONE, isLoading: classesLoading } = useQuery(myClassesQuery);
+  const cls = classes.find((c) => c._id === id);
+  const { data: records = NONE, isLoading: recordsLoading, error } = useQuery(myClassAttendanceQuery(id), {
+    enabled: Boolean(cls),
+  });
+
+  const [tab, setTab] = useState("students");
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [search, setSearch] = useState("");
+  const [openLecture, setOpenLecture] = useState(null);
+
+  const inRange = useMemo(() => filterByDateRange(records, range.from, range.to), [records, range]);
+
+  // every student on the roster, with their totals in the range (none yet: no row in the summary)
+  const roster = useMemo(() => {
+    const totals = new Map(summarizeByStudent(inRange).map((s) => [s.studentId, s]));
+    const q = search.trim().toLowerCase();
+    return (cls?.students || [])
+      .map((s) => ({ ...s, totals: totals.get(s._id) || null }))
+      .filter((s) => !q || s.name.toLowerCase().includes(q) || s.enrollmentNumber.toLowerCase().includes(q))
+      .sort((a, b) => a.enrollmentNumber.localeCompare(b.enrollmentNumber));
+  }, [cls, inRange, search]);
+
+  const lectures = useMemo(() => groupLectures(inRange), [inRange]);
+  const overall = pct(inRange.filter((r) => r.isPresent).length, inRange.length);
+
+  if (classesLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center gap-2 text-gray-500">
+        <Loader2 className="animate-spin" size={20} /> Loading class...
+      </div>
+    );
+  }
+
+  if (!cls) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-4 p-6 text-center">
+        <p className="text-gray-600">This class does not exist or is not assigned to you.</p>
+        <button
+          onClick={() => navigate("/professor/dashboard")}
+          className="px-4 py-2 rounded-lg bg-teal-600 text-white font-semibold hover:bg-teal-700"
+        >
+          Back to my classes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-teal-50 via-sky-50 to-indigo-50">
+      <div className="max-w-6xl mx-auto p-6">
+        <button
+          onClick={() => navigate("/professor/dashboard")}
+          className="flex items-center gap-1 text-teal-700 hover:underline mb-4"
+        >
+          <ArrowLeft size={18} /> My classes
+        </button>
+
+        <div className="bg-white shadow-md rounded-2xl p-6 mb-6 flex flex-wrap items-start justify-between gap-6">
+          <div>
+            <p className="text-xs text-gray-400">{cls.classId}</p>
+            <h1 className="text-2xl font-bold text-gray-800">{classDisplay(cls)}</h1>
+            <p className="text-gray-500">
+              {cls.students.length} students • {lectures.length} lectures
+              {inRange.length > 0 && (
+                <>
+                  {" "}
+                  • <span style={{ color: percentColor(overall) }} className="font-semibold">{overall}%</span> attendance
+                </>
+              )}
+            </p>
+          </div>
+          <div className="w-full sm:w-auto flex flex-col items-stretch sm:items-end gap-3">
+            <button
+              onClick={() => navigate(`/professor/mark?classId=${cls._id}`)}
+              className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-teal-600 text-white font-semibold hover:bg-teal-700"
+            >
+              <ClipboardCheck size={18} /> Take attendance
+            </button>
+            <DateRangePicker from={range.from} to={range.to} onChange={setRange} />
+          </div>
+        </div>
+
+        <div className="flex gap-2 mb-4" role="tablist">
+          {TABS.map((t) => (
+            <button
+              key={t.key}
+              role="tab"
+              aria-selected={tab === t.key}
+              onClick={() => setTab(t.key)}
+              className={`px-4 py-2 rounded-lg font-medium ${
+                tab === t.key ? "bg-teal-600 text-white" : "bg-white text-teal-700 hover:bg-teal-50"
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        {error ? (
+          <div className="bg-red-50 text-red-700 p-4 rounded-xl border border-red-100">
+            Failed to load attendance: {error.response?.data?.error || error.message}
+          </div>
+        ) : recordsLoading ? (
+          <div className="flex items-center gap-2 text-gray-500">
+            <Loader2 className="animate-spin" size={18} /> Loading attendance...
+          </div>
+        ) : tab === "students" ? (
+          <div className="bg-white rounded-2xl shadow p-4">
+            <div className="relative mb-4 max-w-sm">
+              <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search name or enrollment..."
+                className="w-full pl-9 pr-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-400"
+              />
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Enrollment</th>
+                    <th className="py-2 pr-4">Name</th>
+                    <th className="py-2 pr-4">Attended</th>
+                    <th className="py-2">Attendance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {roster.map((s) => (
+                    <tr key={s._id} className="border-b last:border-0">
+                      <td className="py-2 pr-4 font-mono text-gray-600">{s.enrollmentNumber}</td>
+                      <td className="py-2 pr-4 text-gray-800">{s.name}</td>
+                      <td className="py-2 pr-4 text-gray-600">
+                        {s.totals ? `${s.totals.presents} / ${s.totals.totalClasses}` : "—"}
+                      </td>
+                      <td className="py-2">
+                        {s.totals ? (
+                          <span className="font-semibold" style={{ color: percentColor(s.totals.percentage) }}>
+                            {s.totals.percentage}%
+                          </span>
+                        ) : (
+                          <span className="text-gray-400">No lectures</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {roster.length === 0 && <p className="text-center text-gray-500 py-6">No students match.</p>}
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-2xl shadow divide-y">
+            {lectures.length === 0 && <p className="text-center text-gray-500 py-6">No lectures recorded in this range.</p>}
+            {lectures.map((l) => {
+              const total = l.present + l.absentees.length;
+              const open = openLecture === l.key;
+              return (
+                <div key={l.key}>
+                  <button
+                    type="button"
+                    onClick={() => setOpenLecture(open ? null : l.key)}
+                    aria-expanded={open}
+                    className="w-full flex items-center justify-between gap-4 px-4 py-3 text-left hover:bg-teal-50"
+                  >
+                    <span className="flex items-center gap-2">
+                      {open ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                      <span className="font-medium text-gray-800">{l.date}</span>
+                      <span className="text-gray-500">Slot {l.slotNumber ?? "—"}</span>
+                      {l.markedBy && <span className="text-gray-400 text-sm">by {l.markedBy}</span>}
+                    </span>
+                    <span className="font-semibold" style={{ color: percentColor(pct(l.present, total)) }}>
+                      {l.present} / {total} present
+                    </span>
+                  </button>
+                  {open && (
+                    <div className="px-10 pb-3 text-sm text-gray-600">
+                      {l.absentees.length === 0
+                        ? "Everyone was present."
+                        : `Absent: ${l.absentees.map((r) => `${r.studentName} (${r.enrollmentNumber})`).join(", ")}`}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
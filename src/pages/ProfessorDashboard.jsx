@@ -0,0 +1,107 @@
+// src/pages/ProfessorDashboard.jsx
+// Professor portal home: the classes the HOD assigned to the signed-in
+// professor. Attendance can be taken here too when the app is not at hand.
+import { useNavigate } from "react-router-dom";
+import { BookOpen, ClipboardCheck, Loader2, LogOut, Users } from "lucide-react";
+import { useProfessorAuth } from "../context/useProfessorAuth";
+import { myClassesQuery } from "../services/professorApi";
+import { useQuery } from "../services/queryCache";
+import { classDisplay } from "../utils/attendanceStats";
+
+const NONE = [];
+
+export default function ProfessorDashboard() {
+  const { professor, logout } = useProfessorAuth();
+  const navigate = useNavigate();
+  const { data: classes = NONE, isLoading, error } = useQuery(myClassesQuery);
+
+  const studentCount = new Set(classes.flatMap((c) => c.studentIds)).size;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-teal-50 via-sky-50 to-indigo-50">
+      <div className="max-w-6xl mx-auto p-6">
+        {/* Top Bar */}
+        <div className="bg-white shadow-md rounded-2xl p-4 mb-6 flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h1 className="text-xl sm:text-2xl font-bold text-teal-700">👩‍🏫 Professor Portal</h1>
+            <p className="text-gray-500 text-sm">👋 Welcome, {professor?.name || professor?.username || ""}</p>
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate("/professor/mark")}
+              disabled={!classes.length}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg bg-teal-600 text-white font-medium hover:bg-teal-700 disabled:opacity-50"
+            >
+              <ClipboardCheck size={18} /> Take attendance
+            </button>
+            <button
+              onClick={logout}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gradient-to-r from-red-500 to-pink-500 text-white font-medium hover:from-red-600 hover:to-pink-600 shadow-md hover:shadow-lg transition-all"
+            >
+              <LogOut size={18} /> Logout
+            </button>
+          </div>
+        </div>
+
+        {/* Totals */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 mb-8">
+          <div className="bg-white rounded-2xl shadow-lg p-6 flex items-center gap-4">
+            <BookOpen className="text-teal-600" size={32} />
+            <div>
+              <p className="text-2xl font-bold text-gray-800">{classes.length}</p>
+              <p className="text-gray-500">Assigned classes</p>
+            </div>
+          </div>
+          <div className="bg-white rounded-2xl shadow-lg p-6 flex items-center gap-4">
+            <Users className="text-indigo-600" size={32} />
+            <div>
+              <p className="text-2xl font-bold text-gray-800">{studentCount}</p>
+              <p className="text-gray-500">Students across them</p>
+            </div>
+          </div>
+        </div>
+
+        <h2 className="text-lg font-bold text-gray-800 mb-4">My classes</h2>
+
+        {isLoading ? (
+          <div className="flex items-center gap-2 text-gray-500">
+            <Loader2 className="animate-spin" size={18} /> Loading classes...
+          </div>
+        ) : error ? (
+          <div className="bg-red-50 text-red-700 p-4 rounded-xl border border-red-100">
+            Failed to load your classes: {error.response?.data?.error || error.message}
+          </div>
+        ) : classes.length === 0 ? (
+          <div className="bg-white rounded-2xl shadow p-8 text-center text-gray-500">
+            No classes are assigned to you yet. Your HOD assigns classes from the dashboard.
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+            {classes.map((c) => (
+              <button
+                key={c._id}
+                type="button"
+                onClick={() => navigate(`/professor/classes/${c._id}`)}
+                className="text-left bg-white rounded-2xl shadow-lg p-6 hover:scale-[1.02] hover:shadow-xl transition"
+              >
+                <p className="text-xs text-gray-400">{c.classId}</p>
+                <h3 className="text-lg font-bold text-gray-800">{classDisplay(c)}</h3>
+                <p className="text-gray-500 mt-2">{c.studentIds.length} students</p>
+                {c.professors.length > 1 && (
+                  <p className="text-sm text-gray-400 mt-1">
+                    With{" "}
+                    {c.professors
+                      .filter((p) => p._id !== professor?._id)
+                      .map((p) => p.name)
+                      .filter(Boolean)
+                      .join(", ")}
+                  </p>
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
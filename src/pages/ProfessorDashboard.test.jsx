@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+import { ToastContainer } from "react-toastify";
+import ProfessorDashboard from "./ProfessorDashboard";
+import ProfessorClassPage from "./ProfessorClassPage";
+import ProfessorLogin from "./ProfessorLogin";
+import ProtectedRoute from "../components/ProtectedRoute";
+import GuestRoute from "../components/GuestRoute";
+import { ProfessorAuthProvider } from "../context/ProfessorAuthContext";
+import { getMyClasses } from "../services/professorApi";
+import { loginAsDemoProfessor } from "../test/mockServer";
+
+const guard = (element) => (
+  <ProtectedRoute portal="professor" roles={["professor"]} loginPath="/professor/login" home="/professor/dashboard">
+    {element}
+  </ProtectedRoute>
+);
+
+// The portal's routes as App.jsx declares them
+const renderPortal = (route) =>
+  render(
+    <ProfessorAuthProvider>
+      <MemoryRouter initialEntries={[route]}>
+        <Routes>
+          <Route path="/professor/dashboard" element={guard(<ProfessorDashboard />)} />
+          <Route path="/professor/classes/:id" element={guard(<ProfessorClassPage />)} />
+          <Route
+            path="/professor/login"
+            element={
+              <GuestRoute portal="professor" fallback="/professor/dashboard">
+                <ProfessorLogin />
+              </GuestRoute>
+            }
+          />
+        </Routes>
+      </MemoryRouter>
+      <ToastContainer autoClose={false} />
+    </ProfessorAuthProvider>
+  );
+
+describe("Professor portal", () => {
+  it("lists the assigned classes and opens one", async () => {
+    const user = userEvent.setup();
+    await loginAsDemoProfessor();
+    const [cls] = await getMyClasses();
+    renderPortal("/professor/dashboard");
+
+    expect(await screen.findByText("Assigned classes")).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: /Take attendance/ })).toBeInTheDocument();
+    await user.click(await screen.findByRole("button", { name: new RegExp(cls.classId) }));
+
+    const student = cls.students[0];
+    const row = (await screen.findByText(student.enrollmentNumber)).closest("tr");
+    expect(within(row).getByText(student.name)).toBeInTheDocument();
+    expect(within(row).getByText(/%$/)).toBeInTheDocument();
+
+    await user.click(screen.getByRole("tab", { name: "Lecture history" }));
+    expect((await screen.findAllByText(/present$/)).length).toBeGreaterThan(0);
+  });
+
+  it("sends a signed-out professor to the portal login and back to the class", async () => {
+    const user = userEvent.setup();
+    await loginAsDemoProfessor();
+    const [cls] = await getMyClasses();
+    localStorage.removeItem("professorToken");
+    renderPortal(`/professor/classes/${cls._id}`);
+
+    await user.click(await screen.findByText("Fill in"));
+    await user.click(screen.getByRole("button", { name: /Login$/ }));
+
+    expect(await screen.findByRole("tab", { name: "Students" })).toBeInTheDocument();
+    expect(screen.getByText(cls.classId)).toBeInTheDocument();
+  });
+
+  it("does not show classes that are not assigned", async () => {
+    await loginAsDemoProfessor();
+    renderPortal("/professor/classes/not-mine");
+
+    expect(await screen.findByText("This class does not exist or is not assigned to you.")).toBeInTheDocument();
+  });
+});
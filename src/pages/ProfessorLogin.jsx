@@ -0,0 +1,147 @@
+import { useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { Eye, EyeOff, GraduationCap } from "lucide-react";
+import { useProfessorAuth } from "../context/useProfessorAuth";
+import { isMockApiEnabled, DEMO_PROFESSOR } from "../services/mock";
+import { afterLoginPath } from "../utils/authRedirect";
+
+export default function ProfessorLogin() {
+  const { login } = useProfessorAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [ok, setOk] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+    setOk("");
+
+    try {
+      const res = await login({ username, password });
+      setOk(res?.data?.message || "🎉 Login successful!");
+      // back to the page that asked for a login (see ProtectedRoute)
+      setTimeout(() => navigate(afterLoginPath(location.state, "/professor/dashboard"), { replace: true }), 800);
+    } catch (err) {
+      // ProfessorAuthContext.login already toasts the server message
+      setError(err?.response?.data?.error || "Login failed ❌");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-teal-50 via-sky-50 to-indigo-50 p-6">
+      <div className="relative bg-white/90 backdrop-blur shadow-2xl rounded-3xl w-full max-w-md p-8 ring-1 ring-teal-100">
+        <div className="absolute -top-6 left-1/2 -translate-x-1/2 bg-white shadow-lg rounded-full p-4 ring-1 ring-teal-100">
+          <GraduationCap className="w-12 h-12 text-teal-600" />
+        </div>
+
+        <h2 className="text-3xl font-extrabold text-center text-teal-700 mt-6">
+          👩‍🏫 Professor Login
+        </h2>
+        <p className="text-center text-gray-500 mt-2">
+          See your classes, students and attendance history.
+        </p>
+
+        {isMockApiEnabled() && (
+          <div className="mt-6 bg-amber-50 text-amber-800 text-sm p-3 rounded-xl border border-amber-200">
+            🧪 Demo mode — sign in as <strong>{DEMO_PROFESSOR.username}</strong> /{" "}
+            <strong>{DEMO_PROFESSOR.password}</strong>
+            <button
+              type="button"
+              onClick={() => {
+                setUsername(DEMO_PROFESSOR.username);
+                setPassword(DEMO_PROFESSOR.password);
+              }}
+              className="ml-2 text-teal-600 font-semibold hover:underline"
+            >
+              Fill in
+            </button>
+          </div>
+        )}
+
+        {/* Alerts */}
+        {error && (
+          <div className="mt-6 bg-red-50 text-red-700 text-sm p-3 rounded-xl border border-red-100">
+            {error}
+          </div>
+        )}
+        {ok && (
+          <div className="mt-6 bg-green-50 text-green-700 text-sm p-3 rounded-xl border border-green-100">
+            {ok}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="mt-6 space-y-4">
+          <div>
+            <label htmlFor="professor-username" className="block text-gray-700 font-medium mb-1">
+              👤 Username
+            </label>
+            <input
+              id="professor-username"
+              type="text"
+              className="w-full px-4 py-2.5 rounded-xl border border-gray-200 focus:ring-2 focus:ring-teal-400 focus:border-teal-400 outline-none"
+              placeholder="Username given by your HOD"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              required
+            />
+          </div>
+
+          <div>
+            <label htmlFor="professor-password" className="block text-gray-700 font-medium mb-1">
+              🔑 Password
+            </label>
+            <div className="relative">
+              <input
+                id="professor-password"
+                type={showPassword ? "text" : "password"}
+                className="w-full px-4 py-2.5 rounded-xl border border-gray-200 focus:ring-2 focus:ring-teal-400 focus:border-teal-400 outline-none pr-12"
+                placeholder="Enter your password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                required
+              />
+              <button
+                type="button"
+                onClick={() => setShowPassword(!showPassword)}
+                className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-500 hover:text-gray-700"
+                aria-label={showPassword ? "Hide password" : "Show password"}
+              >
+                {showPassword ? <Eye size={20} /> : <EyeOff size={20} />}
+              </button>
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full py-3 rounded-xl font-semibold text-white bg-teal-600 hover:bg-teal-700 active:scale-[0.99] transition disabled:opacity-60"
+          >
+            {loading ? "⏳ Logging in..." : "🚀 Login"}
+          </button>
+        </form>
+
+        <div className="mt-6 text-center text-sm text-gray-600">
+          Head of department?{" "}
+          <a href="/hod/login" className="text-teal-600 font-semibold hover:underline">
+            HOD login
+          </a>
+        </div>
+
+        <div className="mt-8 flex items-center justify-center gap-2 text-xs text-gray-400">
+          <span className="text-base">📝</span>
+          <span>Student Attendance System • Professor portal</span>
+        </div>
+      </div>
+    </div>
+  );
+}
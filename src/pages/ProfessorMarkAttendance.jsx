@@ -0,0 +1,53 @@
+// src/pages/ProfessorMarkAttendance.jsx
+// Professor portal: take a lecture's attendance for one of the assigned
+// classes (?classId= preselects it) — the fallback when the app can't be used.
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { ArrowLeft, Loader2 } from "lucide-react";
+import AttendanceMarker from "../components/AttendanceMarker";
+import { getMyLectureAttendance, markMyAttendance, myClassesQuery } from "../services/professorApi";
+import { invalidateQueries, useQuery } from "../services/queryCache";
+
+const NONE = [];
+
+export default function ProfessorMarkAttendance() {
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const { data: classes = NONE, isLoading, error } = useQuery(myClassesQuery);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-teal-50 via-sky-50 to-indigo-50">
+      <div className="max-w-5xl mx-auto p-6">
+        <button
+          onClick={() => navigate("/professor/dashboard")}
+          className="flex items-center gap-1 text-teal-700 hover:underline mb-4"
+        >
+          <ArrowLeft size={18} /> My classes
+        </button>
+        <h1 className="text-2xl font-bold text-teal-700 mb-1">📝 Take Attendance</h1>
+        <p className="text-sm text-gray-500 mb-6">Mark every student, then save. Lectures already recorded can be corrected here.</p>
+
+        <div className="bg-white rounded-2xl shadow-md p-6">
+          {isLoading ? (
+            <div className="flex items-center gap-2 text-gray-500">
+              <Loader2 className="animate-spin" size={18} /> Loading classes...
+            </div>
+          ) : error ? (
+            <div className="bg-red-50 text-red-700 p-4 rounded-xl border border-red-100">
+              Failed to load your classes: {error.response?.data?.error || error.message}
+            </div>
+          ) : classes.length === 0 ? (
+            <p className="text-center text-gray-500 py-6">No classes are assigned to you yet.</p>
+          ) : (
+            <AttendanceMarker
+              classes={classes}
+              initialClassId={params.get("classId") || ""}
+              loadLecture={getMyLectureAttendance}
+              submit={markMyAttendance}
+              onSaved={() => invalidateQueries("portal:attendance")}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
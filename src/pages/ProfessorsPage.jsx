@@ -2,12 +2,23 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import {
   addProfessor,
-  getProfessors,
+  professorsQuery,
   updateProfessor,
-  deleteProfessor,
   bulkUploadProfessors, // ✅ added
-  batchDeleteProfessorsClient, // ✅ added
+  classesQuery,
 } from "../services/api";
+import { fetchQuery, peekQuery } from "../services/queryCache";
+import {
+  optimisticUpdate,
+  pendingItem,
+  isPending,
+  appendItem,
+  replaceItem,
+  patchByIds,
+  putItems,
+  removeIds,
+} from "../services/optimistic";
+import { queueDelete, isUndone, UNDO_WINDOW_MS } from "../services/deleteQueue";
 import {
   PlusCircle,
   Edit,
@@ -26,13 +37,22 @@ import {
   CheckSquare,
   Square,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  Download,
 } from "lucide-react";
 import { toast } from "react-toastify";
 import { useConfirm } from "../components/ConfirmProvider";
+import ImportWizard from "../components/ImportWizard";
+import BulkUploadResults from "../components/BulkUploadResults";
+import ExportMenu from "../components/ExportMenu";
+import UndoToast from "../components/UndoToast";
+import VirtualList from "../components/VirtualList";
+import { downloadImportTemplate } from "../utils/importTemplates";
+import { normalizeBulkUploadResult } from "../utils/bulkUploadResults";
+import { exportRows, pickExportRows, indexClassMembers, professorExportColumns } from "../utils/exporters";
 
 export default function ProfessorsPage() {
-  const [professors, setProfessors] = useState([]);
+  const [professors, setProfessors] = useState(() => peekQuery(professorsQuery) ?? []);
   const [loading, setLoading] = useState(false);
   const [form, setForm] = useState({ name: "", username: "", password: "" });
   const [editId, setEditId] = useState(null);
@@ -56,9 +76,11 @@ export default function ProfessorsPage() {
 
   // Bulk upload / delete states
   const [bulkFile, setBulkFile] = useState(null);
+  const [fileInputKey, setFileInputKey] = useState(0); // bump to clear the file input
+  const [importOpen, setImportOpen] = useState(false);
+  const [uploadResult, setUploadResult] = useState(null); // per-row report after an upload
   const [bulkUploading, setBulkUploading] = useState(false);
   const [selectedIds, setSelectedIds] = useState(() => new Set());
-  const [bulkDeleting, setBulkDeleting] = useState(false);
 
   const headerCheckboxRef = useRef(null);
   const confirm = useConfirm();
@@ -69,11 +91,9 @@ export default function ProfessorsPage() {
 
   const fetchProfessors = async () => {
     try {
-      setLoading(true);
+      setLoading(!peekQuery(professorsQuery)); // cached list stays on screen while it refreshes
       setError("");
-      const res = await getProfessors();
-      // getProfessors returns the axios response; original code used res.data...
-      setProfessors(res?.data?.professors || []);
+      setProfessors(await fetchQuery(professorsQuery));
     } catch (err) {
       console.error(err);
       setError("⚠️ Failed to load professors");
@@ -102,12 +122,20 @@ export default function ProfessorsPage() {
 
   const handleAddProfessor = async (e) => {
     e.preventDefault();
+    const draft = form;
+    const placeholder = pendingItem({ name: draft.name, username: draft.username });
+    setForm({ name: "", username: "", password: "" });
     try {
       setAdding(true);
-      await addProfessor(form);
+      await optimisticUpdate({
+        setState: setProfessors,
+        query: professorsQuery,
+        apply: appendItem(placeholder),
+        revert: removeIds([placeholder._id]),
+        request: () => addProfessor(draft),
+        settle: (prof) => replaceItem(placeholder._id, prof),
+      });
       toast.success("✅ Professor added");
-      setForm({ name: "", username: "", password: "" });
-      await fetchProfessors();
     } catch (err) {
       console.error("add error", err);
       const backendMsg = err.response?.data?.error;
@@ -117,6 +145,7 @@ export default function ProfessorsPage() {
 
       setError(finalMsg);
       toast.error(finalMsg);
+      setForm(draft);
     } finally {
       setAdding(false);
     }
@@ -127,6 +156,8 @@ export default function ProfessorsPage() {
       setSavingId(id);
       const prof = professors.find((p) => p._id === id);
       if (!prof) throw new Error("Professor not found");
+      // the card already holds the edited values; the cache still has the saved ones
+      const saved = peekQuery(professorsQuery)?.find((p) => p._id === id);
 
       // build update payload
       const updatePayload = { name: prof.name, username: prof.username };
@@ -134,12 +165,15 @@ export default function ProfessorsPage() {
         updatePayload.password = prof.password;
       }
 
-      await updateProfessor(id, updatePayload);
-      toast.success("✅ Professor updated");
-
-      // reset
       setEditId(null);
-      await fetchProfessors();
+      await optimisticUpdate({
+        setState: setProfessors,
+        query: professorsQuery,
+        apply: patchByIds([id], { name: prof.name, username: prof.username, password: undefined }),
+        revert: putItems(saved ? [saved] : []),
+        request: () => updateProfessor(id, updatePayload),
+      });
+      toast.success("✅ Professor updated");
     } catch (err) {
       console.error("update error", err);
       const backendMsg = err.response?.data?.error;
@@ -158,23 +192,37 @@ export default function ProfessorsPage() {
     const prof = professors.find((p) => p._id === id);
     const ok = await confirm({
       title: "Delete Professor",
-      message: `Are you sure you want to delete "${prof?.name || "this professor"}"? This action cannot be undone.`,
+      message: `Are you sure you want to delete "${prof?.name || "this professor"}"? You'll have a few seconds to undo.`,
       confirmText: "Delete",
       cancelText: "Cancel",
       tone: "danger",
     });
     if (!ok) return;
 
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      next.delete(id);
+      return next;
+    });
+    const pending = queueDelete("professors", [id], { records: prof ? [prof] : [] });
+    toast.info(<UndoToast message={`Deleting "${prof?.name || "professor"}"…`} onUndo={pending.undo} />, {
+      autoClose: UNDO_WINDOW_MS,
+      closeOnClick: false,
+    });
     try {
-      await deleteProfessor(id);
-      toast.success("🗑️ Professor deleted");
-      await fetchProfessors();
-      setSelectedIds((prev) => {
-        const next = new Set(prev);
-        next.delete(id);
-        return next;
+      await optimisticUpdate({
+        setState: setProfessors,
+        query: professorsQuery,
+        apply: removeIds([id]),
+        revert: putItems(prof ? [prof] : []),
+        request: () => pending.promise,
       });
+      toast.success("🗑️ Professor deleted");
     } catch (err) {
+      if (isUndone(err)) {
+        toast.info("↩️ Professor restored");
+        return;
+      }
       console.error("delete error", err);
       const backendMsg = err.response?.data?.error;
       const finalMsg = backendMsg
@@ -187,22 +235,33 @@ export default function ProfessorsPage() {
   };
 
   // Bulk upload handler
-  const handleBulkUpload = async () => {
+  const handleOpenImport = () => {
     if (!bulkFile) {
       toast.error("📂 Please select an Excel file first!");
       return;
     }
+    setImportOpen(true);
+  };
 
+  const closeImport = () => {
+    setImportOpen(false);
+    setBulkFile(null);
+    setFileInputKey((k) => k + 1);
+  };
+
+  // Called by the import wizard with a file containing only the cleaned rows
+  const handleBulkUpload = async (file, { rows, rejected }) => {
     try {
       setBulkUploading(true);
-      const res = await bulkUploadProfessors(bulkFile);
+      const res = await bulkUploadProfessors(file);
+      setUploadResult(normalizeBulkUploadResult(res, { entity: "professors", rows, rejected }));
       const totalProcessed = res.totalProcessed ?? 0;
       const inserted = res.inserted ?? res.insertedDetails?.length ?? res.insertedDetails ? res.insertedDetails.length : 0;
       const skipped = res.skipped ?? res.skippedDetails?.length ?? 0;
       const errors = res.errors?.length ?? 0;
 
       toast.success(`✅ ${inserted} added, ${skipped} skipped, ${errors} errors.`);
-      setBulkFile(null);
+      closeImport();
       await fetchProfessors();
     } catch (err) {
       console.error("Bulk professor upload failed", err);
@@ -300,6 +359,26 @@ export default function ProfessorsPage() {
 
   const clearSelection = () => setSelectedIds(new Set());
 
+  // Export the filtered/sorted list (or just the selection) with assigned classes
+  const handleExport = async ({ format, scope }) => {
+    const rows = pickExportRows(filtered, professors, selectedIds, scope);
+    if (!rows.length) {
+      toast.error("⚠️ No professors to export");
+      return;
+    }
+    try {
+      const classes = await fetchQuery(classesQuery);
+      exportRows(rows, professorExportColumns(indexClassMembers(classes)), {
+        format,
+        baseName: scope === "selected" ? "professors_selected" : "professors",
+        sheetName: "Professors",
+      });
+    } catch (err) {
+      console.error("Error exporting professors:", err);
+      toast.error("Failed to export professors");
+    }
+  };
+
   // ===== Bulk delete handler =====
   const handleBulkDeleteSelected = async () => {
     const ids = Array.from(selectedIds);
@@ -311,37 +390,39 @@ export default function ProfessorsPage() {
     const ok = await confirm({
       title: `Delete ${ids.length} selected ${ids.length === 1 ? "professor" : "professors"}`,
       message:
-        "This will remove the professors and pull them from classes. This action cannot be undone.",
+        "This will remove the professors and pull them from classes. You'll have a few seconds to undo.",
       confirmText: "Delete",
       cancelText: "Cancel",
       tone: "danger",
     });
     if (!ok) return;
 
+    const removed = professors.filter((p) => ids.includes(String(p._id)));
+    const noun = ids.length === 1 ? "professor" : "professors";
+    clearSelection();
+    const pending = queueDelete("professors", ids, { records: removed });
+    toast.info(<UndoToast message={`Deleting ${ids.length} ${noun}…`} onUndo={pending.undo} />, {
+      autoClose: UNDO_WINDOW_MS,
+      closeOnClick: false,
+    });
     try {
-      setBulkDeleting(true);
-      const { success, failed } = await batchDeleteProfessorsClient(ids, {
-        onProgress: ({ done, total }) => {
-          // we don't display progress UI now, but could wire to a toast/progress bar
-        },
+      await optimisticUpdate({
+        setState: setProfessors,
+        query: professorsQuery,
+        apply: removeIds(ids),
+        revert: putItems(removed),
+        request: () => pending.promise,
       });
-
-      if (success.length) {
-        toast.success(`🗑️ Deleted ${success.length} ${success.length === 1 ? "professor" : "professors"}.`);
-      }
-      if (failed.length) {
-        toast.error(`⚠️ Failed to delete ${failed.length} item(s).`);
-        console.error("Bulk delete failed items:", failed);
-      }
-
-      clearSelection();
-      await fetchProfessors();
+      toast.success(`🗑️ Deleted ${ids.length} ${noun}.`);
     } catch (err) {
+      if (isUndone(err)) {
+        setSelectedIds(new Set(ids));
+        toast.info(`↩️ Restored ${ids.length} ${noun}`);
+        return;
+      }
       console.error("Bulk delete error:", err);
       const backendMsg = err?.response?.data?.error;
       toast.error(backendMsg ? `Bulk delete failed: ${backendMsg}` : "Bulk delete failed");
-    } finally {
-      setBulkDeleting(false);
     }
   };
 
@@ -365,6 +446,7 @@ export default function ProfessorsPage() {
         <div className="flex flex-col md:flex-row gap-3 md:items-center">
           {/* File Input */}
           <input
+            key={fileInputKey}
             type="file"
             accept=".xlsx, .xls, .csv"
             onChange={(e) => setBulkFile(e.target.files[0])}
@@ -374,7 +456,7 @@ export default function ProfessorsPage() {
 
           {/* Upload Button */}
           <button
-            onClick={handleBulkUpload}
+            onClick={handleOpenImport}
             className="w-full md:w-auto px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 flex items-center justify-center gap-2 disabled:opacity-60"
             disabled={bulkUploading}
           >
@@ -383,9 +465,18 @@ export default function ProfessorsPage() {
                 <Loader2 className="animate-spin" size={16} /> Uploading...
               </>
             ) : (
-              "Upload"
+              "Import..."
             )}
           </button>
+
+          {/* Template download (built client-side) */}
+          <button
+            onClick={() => downloadImportTemplate("professors")}
+            className="w-full md:w-auto px-4 py-2 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 flex items-center justify-center gap-2"
+            title="Download an .xlsx template with the correct headers"
+          >
+            <Download size={16} /> Download template
+          </button>
         </div>
 
         {/* Toggle Helper Text */}
@@ -451,6 +542,8 @@ export default function ProfessorsPage() {
                 </li>
                 <li>
                   Column headers are <em>case-insensitive</em> (e.g., <code>Name</code>, <code>USERNAME</code> are valid).
+                  Other headers (e.g. <code>Faculty Login</code>) can be matched by hand in the import wizard,
+                  which remembers your mapping for next time.
                 </li>
                 <li>
                   Each row represents one professor. Empty rows are skipped automatically.
@@ -621,12 +714,19 @@ export default function ProfessorsPage() {
           <button
             onClick={handleBulkDeleteSelected}
             className="px-3 py-2 rounded-lg text-white bg-red-600 hover:bg-red-700 flex items-center justify-center gap-2 disabled:opacity-60 w-full sm:w-auto"
-            disabled={!selectedIds.size || bulkDeleting}
+            disabled={!selectedIds.size}
             title="Delete selected"
           >
-            {bulkDeleting ? <Loader2 className="animate-spin" size={16} /> : <Trash2 size={16} />}
-            {bulkDeleting ? "Deleting..." : `Delete Selected (${selectedIds.size})`}
+            <Trash2 size={16} />
+            {`Delete Selected (${selectedIds.size})`}
           </button>
+
+          <ExportMenu
+            filteredCount={filtered.length}
+            selectedCount={selectedIds.size}
+            onExport={handleExport}
+            disabled={loading}
+          />
         </div>
       </div>
 
@@ -640,13 +740,20 @@ export default function ProfessorsPage() {
       ) : filtered.length === 0 ? (
         <p className="text-gray-600 text-center">📭 No professors match your filters</p>
       ) : (
-        <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-          {filtered.map((prof) => {
+        <VirtualList
+          items={filtered}
+          itemHeight={200}
+          minItemWidth={300}
+          gap={24}
+          height={720}
+          className="p-1 -m-1"
+          renderItem={(prof) => {
             const isSelected = selectedIds.has(String(prof._id));
             return (
               <div
-                key={prof._id}
-                className="relative bg-white shadow-md rounded-xl p-5 border hover:shadow-lg transition"
+                className={`relative bg-white shadow-md rounded-xl p-5 border hover:shadow-lg transition h-full overflow-hidden ${
+                  isPending(prof) ? "opacity-60 pointer-events-none" : ""
+                }`}
               >
                 {/* selection checkbox top-right */}
                 <div className="absolute right-3 top-3">
@@ -782,9 +889,26 @@ export default function ProfessorsPage() {
                 </div>
               </div>
             );
-          })}
-        </div>
+          }}
+        />
       )}
+
+      {/* Bulk import wizard */}
+      <ImportWizard
+        open={importOpen}
+        entity="professors"
+        file={bulkFile}
+        records={professors}
+        onClose={closeImport}
+        onUpload={handleBulkUpload}
+      />
+
+      {/* Per-row results of the last upload */}
+      <BulkUploadResults
+        entity="professors"
+        result={uploadResult}
+        onClose={() => setUploadResult(null)}
+      />
     </div>
   );
 }
@@ -0,0 +1,318 @@
+// src/pages/StudentProfilePage.jsx
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { getStudentById, getStudentAttendance, classesQuery } from "../services/api";
+import { fetchQuery } from "../services/queryCache";
+import {
+  ArrowLeft,
+  Calendar,
+  Download,
+  Flame,
+  Loader2,
+  BookOpen,
+} from "lucide-react";
+import { toast } from "react-toastify";
+import AttendanceCalendar from "../components/AttendanceCalendar";
+import BarChart from "../components/charts/BarChart";
+import {
+  absenceStreaks,
+  breakdownByClass,
+  classDisplay,
+  dailyStatus,
+  percentColor,
+  pct,
+  recordDate,
+  sortChronologically,
+} from "../utils/attendanceStats";
+import { exportRows } from "../utils/exporters";
+
+export default function StudentProfilePage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [student, setStudent] = useState(null);
+  const [classes, setClasses] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [classFilter, setClassFilter] = useState(""); // history table filter
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const [stu, cls, att] = await Promise.all([
+          getStudentById(id),
+          fetchQuery(classesQuery).catch(() => []),
+          getStudentAttendance(id).catch((err) => {
+            console.error("Error fetching student attendance:", err);
+            toast.error("⚠️ Failed to fetch attendance");
+            return [];
+          }),
+        ]);
+        if (cancelled) return;
+        setStudent(stu);
+        setClasses(cls);
+        setRecords(att);
+      } catch (err) {
+        console.error("Error loading student:", err);
+        const backendMsg = err.response?.data?.error;
+        const finalMsg = backendMsg ? `Failed to load student: ${backendMsg}` : "Failed to load student";
+        if (!cancelled) setError(finalMsg);
+        toast.error(finalMsg);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  // classes this student is assigned to (populated class.students)
+  const assignedClasses = useMemo(
+    () =>
+      classes.filter((c) => c.studentIds.includes(String(id))),
+    [classes, id]
+  );
+
+  const classById = useMemo(() => new Map(classes.map((c) => [String(c._id), c])), [classes]);
+
+  const labelFor = useCallback(
+    (classId) => {
+      const cls = classById.get(classId);
+      return cls ? classDisplay(cls) : "Unknown class";
+    },
+    [classById]
+  );
+
+  const ordered = useMemo(() => sortChronologically(records), [records]);
+  const days = useMemo(() => dailyStatus(records), [records]);
+  const perClass = useMemo(() => breakdownByClass(records, labelFor), [records, labelFor]);
+  const streaks = useMemo(() => absenceStreaks(records), [records]);
+  const presentCount = records.filter((r) => r.isPresent).length;
+  const overall = pct(presentCount, records.length);
+  const lastDate = useMemo(
+    () => (ordered.length ? recordDate(ordered[ordered.length - 1]) : null),
+    [ordered]
+  );
+
+  const history = useMemo(() => {
+    const list = ordered.slice().reverse(); // newest first
+    return classFilter ? list.filter((r) => r.classId === classFilter) : list;
+  }, [ordered, classFilter]);
+
+  const handleExport = (format) => {
+    if (!history.length) {
+      toast.error("⚠️ No records to export");
+      return;
+    }
+    exportRows(
+      history,
+      [
+        { header: "Date", value: (r) => recordDate(r)?.toLocaleDateString("en-GB") ?? "" },
+        { header: "Slot", value: (r) => r.slotNumber ?? "" },
+        { header: "Class", value: (r) => labelFor(r.classId) },
+        { header: "Status", value: (r) => (r.isPresent ? "Present" : "Absent") },
+        { header: "Marked By", value: (r) => r.markedBy },
+      ],
+      {
+        format,
+        baseName: `attendance_${student?.enrollmentNumber || id}`,
+        sheetName: "Attendance",
+      }
+    );
+  };
+
+  const fmt = (d) => (d ? d.toLocaleDateString("en-GB") : "");
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50">
+      <button
+        onClick={() => navigate(-1)}
+        className="mb-4 flex items-center gap-1 text-purple-700 hover:underline"
+      >
+        <ArrowLeft size={16} /> Back
+      </button>
+
+      {loading ? (
+        <div className="flex items-center justify-center">
+          <Loader2 className="animate-spin text-purple-600" size={32} />
+          <span className="ml-2">Loading student...</span>
+        </div>
+      ) : error || !student ? (
+        <div className="bg-red-100 text-red-700 p-3 rounded-lg">{error || "Student not found"}</div>
+      ) : (
+        <div className="max-w-6xl mx-auto space-y-6">
+          {/* Details */}
+          <div className="bg-white rounded-2xl shadow-md p-6 flex flex-col md:flex-row md:items-center gap-6">
+            <div className="text-5xl">🧑‍🎓</div>
+            <div className="flex-1">
+              <h1 className="text-2xl font-extrabold text-purple-700">{student.name}</h1>
+              <p className="text-sm text-gray-500">🆔 {student.enrollmentNumber}</p>
+              <div className="mt-3 flex flex-wrap gap-2">
+                <span className="px-3 py-1 bg-purple-100 text-purple-700 rounded-full text-sm">
+                  🎓 Semester {student.semester}
+                </span>
+                {student.division && (
+                  <span className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-sm">
+                    🏷️ {student.division}
+                  </span>
+                )}
+              </div>
+            </div>
+            <div className="grid grid-cols-3 gap-3 text-center">
+              <div className="px-4 py-3 rounded-xl bg-purple-50">
+                <div className="text-2xl font-bold" style={{ color: percentColor(overall) }}>
+                  {records.length ? `${overall}%` : "—"}
+                </div>
+                <div className="text-xs text-gray-500">Overall</div>
+              </div>
+              <div className="px-4 py-3 rounded-xl bg-purple-50">
+                <div className="text-2xl font-bold text-gray-800">
+                  {presentCount}/{records.length}
+                </div>
+                <div className="text-xs text-gray-500">Lectures attended</div>
+              </div>
+              <div className="px-4 py-3 rounded-xl bg-purple-50">
+                <div
+                  className={`text-2xl font-bold flex items-center justify-center gap-1 ${
+                    streaks.current >= 3 ? "text-red-600" : "text-gray-800"
+                  }`}
+                >
+                  <Flame size={18} /> {streaks.current}
+                </div>
+                <div className="text-xs text-gray-500">Absences in a row</div>
+              </div>
+            </div>
+          </div>
+
+          {streaks.current > 0 && (
+            <div
+              className={`p-3 rounded-lg text-sm ${
+                streaks.current >= 3 ? "bg-red-100 text-red-700" : "bg-yellow-50 text-yellow-800"
+              }`}
+            >
+              Absent for the last {streaks.current} lecture{streaks.current === 1 ? "" : "s"} (since{" "}
+              {fmt(streaks.currentSince)}).
+              {streaks.longest > streaks.current &&
+                ` Longest run: ${streaks.longest} (${fmt(streaks.longestFrom)} – ${fmt(streaks.longestTo)}).`}
+            </div>
+          )}
+
+          <div className="grid gap-6 lg:grid-cols-2">
+            {/* Assigned classes + per-class breakdown */}
+            <div className="bg-white rounded-2xl shadow-md p-6">
+              <h2 className="text-lg font-semibold text-purple-700 mb-3 flex items-center gap-2">
+                <BookOpen size={18} /> Classes
+              </h2>
+              {assignedClasses.length ? (
+                <div className="flex flex-wrap gap-2 mb-4">
+                  {assignedClasses.map((c) => (
+                    <span key={c._id} className="px-3 py-1 bg-indigo-100 text-indigo-700 rounded-full text-sm">
+                      {c.classId ? `${c.classId} - ` : ""}
+                      {classDisplay(c)}
+                    </span>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500 mb-4">Not assigned to any class.</p>
+              )}
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Attendance by class</h3>
+              <BarChart
+                data={perClass.map((c) => ({
+                  label: c.label,
+                  value: c.pct,
+                  title: `${c.label}: ${c.pct}% (${c.present}/${c.total})`,
+                }))}
+                colorFor={percentColor}
+              />
+            </div>
+
+            {/* Calendar */}
+            <div className="bg-white rounded-2xl shadow-md p-6">
+              <h2 className="text-lg font-semibold text-purple-700 mb-3 flex items-center gap-2">
+                <Calendar size={18} /> Attendance calendar
+              </h2>
+              <AttendanceCalendar days={days} initialMonth={lastDate} />
+            </div>
+          </div>
+
+          {/* History */}
+          <div className="bg-white rounded-2xl shadow-md p-6">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-3">
+              <h2 className="text-lg font-semibold text-purple-700">History</h2>
+              <div className="flex flex-wrap gap-2">
+                <select
+                  value={classFilter}
+                  onChange={(e) => setClassFilter(e.target.value)}
+                  className="p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400"
+                >
+                  <option value="">All classes</option>
+                  {perClass.map((c) => (
+                    <option key={c.classId} value={c.classId}>
+                      {c.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleExport("xlsx")}
+                  className="flex items-center gap-2 px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:opacity-50"
+                  disabled={!history.length}
+                >
+                  <Download size={18} /> Export Excel
+                </button>
+                <button
+                  onClick={() => handleExport("csv")}
+                  className="px-4 py-2 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                  disabled={!history.length}
+                >
+                  CSV
+                </button>
+              </div>
+            </div>
+
+            {!history.length ? (
+              <p className="text-gray-500">No records found</p>
+            ) : (
+              <div className="overflow-x-auto max-h-[480px]">
+                <table className="min-w-full border rounded-lg overflow-hidden text-sm">
+                  <thead className="bg-purple-100 text-purple-800 sticky top-0">
+                    <tr>
+                      {["Date", "Slot", "Class", "Status", "Marked By"].map((h) => (
+                        <th key={h} className="px-3 py-2 text-left font-semibold border border-gray-200">
+                          {h}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {history.map((r, i) => (
+                      <tr key={r._id || r.id || i} className="border-b hover:bg-gray-50">
+                        <td className="px-3 py-2 border border-gray-200">{fmt(recordDate(r))}</td>
+                        <td className="px-3 py-2 border border-gray-200">{r.slotNumber ?? ""}</td>
+                        <td className="px-3 py-2 border border-gray-200">{labelFor(r.classId)}</td>
+                        <td
+                          className={`px-3 py-2 border border-gray-200 font-semibold ${
+                            r.isPresent ? "text-green-600" : "text-red-600"
+                          }`}
+                        >
+                          {r.isPresent ? "Present" : "Absent"}
+                        </td>
+                        <td className="px-3 py-2 border border-gray-200">
+                          {r.markedBy}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
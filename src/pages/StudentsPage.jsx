@@ -1,19 +1,41 @@
 // src/pages/StudentPage.jsx
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
+  studentsQuery,
+  studentsPageQuery,
   getStudents,
   getStudentById,
   updateStudent,
-  deleteStudent,
   bulkUploadStudents,
   batchUpdateStudentsClient,
-  batchDeleteStudentsClient,
   addStudent,
+  classesQuery,
 } from "../services/api";
+import { fetchQuery, usePagedQuery } from "../services/queryCache";
+import {
+  optimisticUpdate,
+  pendingItem,
+  isPending,
+  appendItem,
+  replaceItem,
+  patchByIds,
+  putItems,
+  removeIds,
+} from "../services/optimistic";
+import { queueDelete, isUndone, UNDO_WINDOW_MS } from "../services/deleteQueue";
 import { toast } from "react-toastify";
+import { Link } from "react-router-dom";
 import { useConfirm } from "../components/ConfirmProvider";
 import BatchUpdateModal from "../components/BatchUpdateModal";
 import BatchProgress from "../components/BatchProgress";
+import ImportWizard from "../components/ImportWizard";
+import UndoToast from "../components/UndoToast";
+import VirtualList from "../components/VirtualList";
+import BulkUploadResults from "../components/BulkUploadResults";
+import ExportMenu from "../components/ExportMenu";
+import { downloadImportTemplate } from "../utils/importTemplates";
+import { normalizeBulkUploadResult } from "../utils/bulkUploadResults";
+import { exportRows, pickExportRows, indexClassMembers, studentExportColumns } from "../utils/exporters";
 import {
   XCircle,
   Search,
@@ -27,14 +49,20 @@ import {
   CheckSquare,
   Square,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  Download,
 } from "lucide-react";
 
+const PAGE_SIZE = 60; // students fetched per server page
+const SORT_FIELDS = { name: "name", enrollment: "enrollmentNumber", semester: "semester" };
+
 export default function StudentPage() {
-  const [students, setStudents] = useState([]);
   const [selectedStudent, setSelectedStudent] = useState(null); // inline editor model
-  const [loading, setLoading] = useState(false);
   const [bulkFile, setBulkFile] = useState(null);
+  const [fileInputKey, setFileInputKey] = useState(0); // bump to clear the file input
+  const [importOpen, setImportOpen] = useState(false); // import wizard (mapping + preview)
+  const [uploadResult, setUploadResult] = useState(null); // per-row report after an upload
+  const [importRecords, setImportRecords] = useState([]); // every student, for the wizard's duplicate checks
 
   const [newStudent, setNewStudent] = useState({
     name: "",
@@ -56,43 +84,56 @@ export default function StudentPage() {
   const [editingId, setEditingId] = useState(null); // id currently being fetched for edit
   const [saving, setSaving] = useState(false); // save in progress
 
-  // filters / search / sort
+  // filters / search / sort (applied by the server)
   const [searchName, setSearchName] = useState("");
   const [searchEnrollment, setSearchEnrollment] = useState("");
   const [filterSemester, setFilterSemester] = useState("");
   const [sortBy, setSortBy] = useState("name"); // name | enrollment | semester
   const [filterDivision, setFilterDivision] = useState("");
-  const [visibleCount, setVisibleCount] = useState(12); // show first 12 by default
 
   const [uploading, setUploading] = useState(false);
   const [batchUpdating, setBatchUpdating] = useState(false);
-  const [bulkDeleting, setBulkDeleting] = useState(false);
   const [sortOrder, setSortOrder] = useState("asc"); // asc | desc
   const [error, setError] = useState("");
 
   const confirm = useConfirm();
   const headerCheckboxRef = useRef(null);
 
-  // Fetch all students
-  const fetchStudents = async () => {
-    setLoading(true);
-    try {
-      const data = await getStudents();
-      // getStudents returns either array or response; handle both
-      const arr = Array.isArray(data) ? data : data?.data?.students || data?.students || data?.data || [];
-      setStudents(arr);
-    } catch (err) {
-      console.error("Error fetching students:", err);
-      toast.error("Failed to fetch students");
-      setStudents([]);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // GET /students params for the current filters (empty ones left out)
+  const filters = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries({
+          name: searchName.trim(),
+          enrollmentNumber: searchEnrollment.trim(),
+          semester: filterSemester,
+          division: filterDivision,
+          sortBy: SORT_FIELDS[sortBy],
+          sortOrder,
+        }).filter(([, v]) => v !== "")
+      ),
+    [searchName, searchEnrollment, filterSemester, filterDivision, sortBy, sortOrder]
+  );
+
+  // Students matching the filters, a server page at a time
+  const {
+    items: students,
+    setItems: setStudents,
+    total,
+    facets,
+    hasMore,
+    isLoading: loading,
+    isFetching,
+    error: loadError,
+    loadMore,
+    refresh,
+  } = usePagedQuery(studentsPageQuery, filters, { pageSize: PAGE_SIZE });
 
   useEffect(() => {
-    fetchStudents();
-  }, []);
+    if (!loadError) return;
+    console.error("Error fetching students:", loadError);
+    toast.error("Failed to fetch students");
+  }, [loadError]);
 
   // keep selection trimmed to available ids
   useEffect(() => {
@@ -116,18 +157,29 @@ export default function StudentPage() {
       return;
     }
 
+    // show the card straight away; it stays greyed out until the server confirms
+    const draft = newStudent;
+    const placeholder = pendingItem({ ...draft, semester: Number(draft.semester), division: draft.division || "" });
+    setNewStudent({ name: "", enrollmentNumber: "", semester: "", division: "" });
     try {
       setAdding(true);
-      await addStudent(newStudent);
+      await optimisticUpdate({
+        setState: setStudents,
+        query: studentsQuery,
+        refresh,
+        apply: appendItem(placeholder),
+        revert: removeIds([placeholder._id]),
+        request: () => addStudent(draft),
+        settle: (student) => replaceItem(placeholder._id, student),
+      });
       toast.success("✅ Student added!");
-      setNewStudent({ name: "", enrollmentNumber: "", semester: "", division: "" });
-      await fetchStudents();
     } catch (err) {
       console.error("Error adding student:", err);
       const backendMsg = err.response?.data?.error;
       const finalMsg = backendMsg ? `Failed to add student: ${backendMsg}` : "Failed to add student";
       setError(finalMsg);
       toast.error(finalMsg);
+      setNewStudent(draft); // give the form back so nothing has to be retyped
     } finally {
       setAdding(false);
     }
@@ -138,9 +190,7 @@ export default function StudentPage() {
     try {
       setEditingId(id);
       setSelectedStudent(null);
-      const student = await getStudentById(id);
-      const s = student?.student || student;
-      setSelectedStudent(s);
+      setSelectedStudent(await getStudentById(id));
     } catch (err) {
       console.error("Error fetching student:", err);
       const backendMsg = err.response?.data?.error;
@@ -155,23 +205,34 @@ export default function StudentPage() {
   // Handle update (inline)
   const handleUpdate = async () => {
     if (!selectedStudent || !selectedStudent._id) return;
+    const draft = selectedStudent;
+    const previous = students.find((s) => s._id === draft._id);
+    const fields = {
+      name: draft.name,
+      enrollmentNumber: draft.enrollmentNumber,
+      semester: draft.semester,
+      division: draft.division,
+    };
+    setSelectedStudent(null);
     try {
       setSaving(true);
-      await updateStudent(selectedStudent._id, {
-        name: selectedStudent.name,
-        enrollmentNumber: selectedStudent.enrollmentNumber,
-        semester: selectedStudent.semester,
-        division: selectedStudent.division,
+      await optimisticUpdate({
+        setState: setStudents,
+        query: studentsQuery,
+        refresh,
+        apply: patchByIds([draft._id], { ...fields, semester: Number(fields.semester) }),
+        revert: putItems(previous ? [previous] : []),
+        request: () => updateStudent(draft._id, fields),
+        settle: (student) => putItems([student]),
       });
       toast.success("✅ Student updated!");
-      setSelectedStudent(null);
-      await fetchStudents();
     } catch (err) {
       console.error("Error updating student:", err);
       const backendMsg = err.response?.data?.error;
       const finalMsg = backendMsg ? `Failed to update student: ${backendMsg}` : "Failed to update student";
       setError(finalMsg);
       toast.error(finalMsg);
+      setSelectedStudent(draft); // reopen the editor with the unsaved changes
     } finally {
       setSaving(false);
     }
@@ -182,24 +243,39 @@ export default function StudentPage() {
     const student = students.find((s) => s._id === id);
     const ok = await confirm({
       title: "Delete Student",
-      message: `Are you sure you want to delete "${student?.name || "this student"}"? This action cannot be undone.`,
+      message: `Are you sure you want to delete "${student?.name || "this student"}"? You'll have a few seconds to undo.`,
       confirmText: "Delete",
       cancelText: "Cancel",
       tone: "danger",
     });
     if (!ok) return;
 
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      next.delete(String(id));
+      return next;
+    });
+    if (selectedStudent && selectedStudent._id === id) setSelectedStudent(null);
+    const pending = queueDelete("students", [id], { records: student ? [student] : [] });
+    toast.info(<UndoToast message={`Deleting "${student?.name || "student"}"…`} onUndo={pending.undo} />, {
+      autoClose: UNDO_WINDOW_MS,
+      closeOnClick: false,
+    });
     try {
-      await deleteStudent(id);
-      toast.success("🗑️ Student deleted!");
-      setSelectedIds((prev) => {
-        const next = new Set(prev);
-        next.delete(String(id));
-        return next;
+      await optimisticUpdate({
+        setState: setStudents,
+        query: studentsQuery,
+        refresh,
+        apply: removeIds([id]),
+        revert: putItems(student ? [student] : []),
+        request: () => pending.promise,
       });
-      if (selectedStudent && selectedStudent._id === id) setSelectedStudent(null);
-      await fetchStudents();
+      toast.success("🗑️ Student deleted!");
     } catch (err) {
+      if (isUndone(err)) {
+        toast.info("↩️ Student restored");
+        return;
+      }
       console.error("Error deleting student:", err);
       const backendMsg = err.response?.data?.error;
       const finalMsg = backendMsg ? `Failed to delete student: ${backendMsg}` : "Failed to delete student";
@@ -208,21 +284,40 @@ export default function StudentPage() {
     }
   };
 
-  // Handle bulk upload
-  const handleBulkUpload = async () => {
+  // Open the import wizard (header mapping + row preview happen in the browser)
+  const handlePreviewUpload = async () => {
     if (!bulkFile) {
       toast.error("📂 Please select an Excel file first!");
       return;
     }
+    // duplicate checks need every student, not just the pages loaded here
+    try {
+      setImportRecords(await fetchQuery(studentsQuery));
+    } catch (err) {
+      console.error("Error fetching students for import:", err);
+      setImportRecords(students);
+    }
+    setImportOpen(true);
+  };
+
+  const closeImport = () => {
+    setImportOpen(false);
+    setBulkFile(null);
+    setFileInputKey((k) => k + 1);
+  };
+
+  // Upload the cleaned rows handed back by the wizard
+  const handleBulkUpload = async (file, { rows, rejected }) => {
     try {
       setUploading(true);
-      const res = await bulkUploadStudents(bulkFile);
-      console.log("Bulk upload result:", res);
+      const res = await bulkUploadStudents(file);
+      setUploadResult(normalizeBulkUploadResult(res, { entity: "students", rows, rejected }));
       const totalUploaded = res?.totalUploaded ?? res?.inserted ?? (Array.isArray(res) ? res.length : 0);
-      toast.success(`✅ Bulk upload finished. ${totalUploaded} added.`);
-      setBulkFile(null);
-      await fetchStudents();
-      console.log("Bulk upload result:", res);
+      toast.success(
+        `✅ Bulk upload finished. ${totalUploaded} added${rejected.length ? `, ${rejected.length} flagged row(s) left out` : ""}.`
+      );
+      closeImport();
+      await refresh();
     } catch (err) {
       console.error("Error bulk uploading:", err);
       const backendMsg = err.response?.data?.error;
@@ -246,10 +341,28 @@ export default function StudentPage() {
     setProgressOpen(true);
     setBatchUpdating(true);
 
+    // same fields batchUpdateStudentsClient will send
+    const patch = {};
+    if (updates.semester !== "" && updates.semester != null && !Number.isNaN(Number(updates.semester))) {
+      patch.semester = Number(updates.semester);
+    }
+    if (updates.division != null && String(updates.division).trim() !== "") patch.division = String(updates.division);
+    const before = students.filter((s) => selectedIds.has(String(s._id)));
+
     try {
-      const res = await batchUpdateStudentsClient(ids, updates, {
-        concurrency: 5,
-        onProgress: ({ done, total }) => setProgress({ done, total }),
+      const res = await optimisticUpdate({
+        setState: setStudents,
+        query: studentsQuery,
+        refresh,
+        apply: patchByIds(ids, patch),
+        revert: putItems(before),
+        request: () =>
+          batchUpdateStudentsClient(ids, updates, {
+            concurrency: 5,
+            onProgress: ({ done, total }) => setProgress({ done, total }),
+          }),
+        // rows the server refused go back to how they were
+        settle: ({ failed }) => failed.length && putItems(before.filter((s) => failed.some((f) => f.id === String(s._id)))),
       });
 
       if (res.failed.length === 0) {
@@ -260,7 +373,6 @@ export default function StudentPage() {
       }
       setBatchModalOpen(false);
       setSelectedIds(new Set());
-      await fetchStudents();
     } catch (err) {
       console.error("Batch update error", err);
       toast.error("Batch update failed");
@@ -280,73 +392,50 @@ export default function StudentPage() {
     const ok = await confirm({
       title: `Delete ${ids.length} selected ${ids.length === 1 ? "student" : "students"}`,
       message:
-        "This will permanently delete selected students. This action cannot be undone.",
+        "This will permanently delete selected students. You'll have a few seconds to undo.",
       confirmText: "Delete",
       cancelText: "Cancel",
       tone: "danger",
     });
     if (!ok) return;
 
-    setProgress({ done: 0, total: ids.length });
-    setProgressOpen(true);
-    setBulkDeleting(true);
+    const removed = students.filter((s) => selectedIds.has(String(s._id)));
+    setSelectedIds(new Set());
+    const pending = queueDelete("students", ids, { records: removed });
+    toast.info(<UndoToast message={`Deleting ${ids.length} students…`} onUndo={pending.undo} />, {
+      autoClose: UNDO_WINDOW_MS,
+      closeOnClick: false,
+    });
 
     try {
-      const res = await batchDeleteStudentsClient(ids, {
-        onProgress: ({ done, total }) => setProgress({ done, total }),
+      await optimisticUpdate({
+        setState: setStudents,
+        query: studentsQuery,
+        refresh,
+        apply: removeIds(ids),
+        revert: putItems(removed),
+        request: () => pending.promise,
       });
-
-      if (res.failed.length === 0) {
-        toast.success(`Deleted ${res.success.length} students 🗑️`);
-      } else {
-        toast.warn(`Deleted ${res.success.length}, failed ${res.failed.length}. Check console for details.`);
-        console.table(res.failed);
-      }
-      setSelectedIds(new Set());
-      await fetchStudents();
+      toast.success(`Deleted ${ids.length} students 🗑️`);
     } catch (err) {
+      if (isUndone(err)) {
+        setSelectedIds(new Set(ids));
+        toast.info(`↩️ Restored ${ids.length} students`);
+        return;
+      }
       console.error("Batch delete error", err);
-      toast.error("Batch delete failed");
-    } finally {
-      setBulkDeleting(false);
+      const backendMsg = err.response?.data?.error;
+      toast.error(backendMsg ? `Batch delete failed: ${backendMsg}` : "Batch delete failed");
     }
   };
 
-  // Combined filtering + sorting
-  const filteredStudents = useMemo(() => {
-    let arr = students.filter((s) => {
-      if (searchName && !(s.name || "").toLowerCase().includes(searchName.toLowerCase())) return false;
-      if (searchEnrollment && !((s.enrollmentNumber || "").toLowerCase().includes(searchEnrollment.toLowerCase())))
-        return false;
-      if (filterSemester && Number(s.semester) !== Number(filterSemester)) return false;
-      if (filterDivision && (s.division || "") !== filterDivision) return false;
-      return true;
-    });
-
-    arr.sort((a, b) => {
-      let cmp = 0;
-      if (sortBy === "name") {
-        cmp = (a.name || "").localeCompare(b.name || "");
-      } else if (sortBy === "enrollment") {
-        cmp = (a.enrollmentNumber || "").localeCompare(b.enrollmentNumber || "");
-      } else if (sortBy === "semester") {
-        cmp = Number(a.semester || 0) - Number(b.semester || 0);
-      }
-      return sortOrder === "asc" ? cmp : -cmp;
-    });
-
-    return arr;
-  }, [students, searchName, searchEnrollment, filterSemester, filterDivision, sortBy, sortOrder]);
-
-  const visibleStudents = useMemo(() => filteredStudents.slice(0, visibleCount), [filteredStudents, visibleCount]);
-
   const divisionOptions = useMemo(() => {
-    const set = new Set(students.map((s) => s.division).filter(Boolean));
+    const set = new Set([...facets.divisions, filterDivision].filter(Boolean));
     return ["", ...Array.from(set).sort()];
-  }, [students]);
+  }, [facets, filterDivision]);
 
-  // Selection helpers (mirror Professors page)
-  const filteredIds = useMemo(() => filteredStudents.map((c) => String(c._id)), [filteredStudents]);
+  // Selection helpers (mirror Professors page); "visible" means loaded so far
+  const filteredIds = useMemo(() => students.map((c) => String(c._id)), [students]);
 
   const allOnPageSelected = useMemo(() => {
     if (!filteredIds.length) return false;
@@ -386,6 +475,27 @@ export default function StudentPage() {
 
   const clearSelection = () => setSelectedIds(new Set());
 
+  // Export every student matching the filters (or just the selection) with assigned classes
+  const handleExport = async ({ format, scope }) => {
+    try {
+      const matching = scope === "selected" ? students : await getStudents(filters);
+      const rows = pickExportRows(matching, students, selectedIds, scope);
+      if (!rows.length) {
+        toast.error("⚠️ No students to export");
+        return;
+      }
+      const classes = await fetchQuery(classesQuery);
+      exportRows(rows, studentExportColumns(indexClassMembers(classes)), {
+        format,
+        baseName: scope === "selected" ? "students_selected" : "students",
+        sheetName: "Students",
+      });
+    } catch (err) {
+      console.error("Error exporting students:", err);
+      toast.error("Failed to export students");
+    }
+  };
+
   return (
     <div className="p-6 min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50">
       <h1 className="text-3xl font-extrabold text-purple-700 mb-6 flex items-center gap-2">📚 Student Management</h1>
@@ -410,6 +520,7 @@ export default function StudentPage() {
         <div className="flex flex-col md:flex-row gap-3 md:items-center">
           {/* File Input */}
           <input
+            key={fileInputKey}
             type="file"
             accept=".xlsx, .xls, .csv"
             onChange={(e) => setBulkFile(e.target.files[0])}
@@ -417,9 +528,9 @@ export default function StudentPage() {
             disabled={uploading}
           />
 
-          {/* Upload Button */}
+          {/* Import Button (upload happens from the wizard) */}
           <button
-            onClick={handleBulkUpload}
+            onClick={handlePreviewUpload}
             className="w-full md:w-auto px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 flex items-center justify-center gap-2 disabled:opacity-60"
             disabled={uploading}
           >
@@ -428,9 +539,18 @@ export default function StudentPage() {
                 <Loader2 className="animate-spin" size={16} /> Uploading...
               </>
             ) : (
-              "Upload"
+              "Import..."
             )}
           </button>
+
+          {/* Template download (built client-side) */}
+          <button
+            onClick={() => downloadImportTemplate("students")}
+            className="w-full md:w-auto px-4 py-2 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 flex items-center justify-center gap-2"
+            title="Download an .xlsx template with the correct headers"
+          >
+            <Download size={16} /> Download template
+          </button>
         </div>
 
         {/* Toggle Helper Text */}
@@ -504,6 +624,8 @@ export default function StudentPage() {
                 <li>
                   Column headers are <em>case-insensitive</em>. Example:{" "}
                   <code>ENROLLMENTNO</code> or <code>Roll</code> are both valid.
+                  Other headers (e.g. <code>Roll No.</code>) can be matched by hand in the
+                  import wizard, which remembers your mapping for next time.
                 </li>
                 <li>
                   Each row represents <strong>one student</strong>.
@@ -518,6 +640,11 @@ export default function StudentPage() {
                   Duplicate enrollment numbers under the same HOD are automatically
                   skipped.
                 </li>
+                <li>
+                  The file is checked in your browser first: rows with a missing name,
+                  a non-numeric semester, or a duplicate/existing enrollment are flagged
+                  and left out of the upload until fixed.
+                </li>
               </ul>
             </div>
           )}
@@ -651,8 +778,8 @@ export default function StudentPage() {
 
         {/* ✅ Info text */}
         <div className="mt-2 text-sm text-gray-600 text-center md:text-left">
-          Showing <span className="font-semibold">{filteredStudents.length}</span> of{" "}
-          <span className="font-semibold">{Array.isArray(students) ? students.length : 0}</span> students
+          Showing <span className="font-semibold">{students.length}</span> of{" "}
+          <span className="font-semibold">{total}</span> matching students
         </div>
 
         {/* ✅ Bulk toolbar (responsive wrap) */}
@@ -660,7 +787,7 @@ export default function StudentPage() {
           <button
             onClick={toggleSelectAllOnPage}
             className="px-3 py-2 border rounded-lg hover:bg-gray-50 flex items-center gap-2 w-full sm:w-auto justify-center"
-            disabled={!filteredStudents.length}
+            disabled={!students.length}
             title={allOnPageSelected ? "Unselect all visible" : "Select all visible"}
           >
             {allOnPageSelected ? <CheckSquare size={16} /> : <Square size={16} />}
@@ -686,12 +813,19 @@ export default function StudentPage() {
 
           <button
             onClick={handleBatchDelete}
-            disabled={selectedIds.size === 0 || bulkDeleting}
+            disabled={selectedIds.size === 0}
             className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center gap-2 disabled:opacity-60 w-full sm:w-auto justify-center"
           >
-            {bulkDeleting ? <Loader2 className="animate-spin" size={16} /> : <Trash2 size={16} />}
+            <Trash2 size={16} />
             <span className="ml-1">Delete Selected ({selectedIds.size})</span>
           </button>
+
+          <ExportMenu
+            filteredCount={total}
+            selectedCount={selectedIds.size}
+            onExport={handleExport}
+            disabled={loading}
+          />
         </div>
       </div>
 
@@ -702,134 +836,162 @@ export default function StudentPage() {
           <Loader2 className="animate-spin text-purple-600" size={32} />
           <span className="ml-2">Loading Students...</span>
         </div>
-      ) : filteredStudents.length === 0 ? (
+      ) : students.length === 0 ? (
         <div className="text-center text-gray-500 text-lg py-12">
           🚫 No students found
         </div>
       ) : (
-        <>
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-            {visibleStudents.map((s) => {
-              const sid = String(s._id);
-              const isSelected = selectedIds.has(sid);
-              const isEditing = selectedStudent && selectedStudent._id === s._id;
-              const isFetchingThis = editingId === s._id;
-
-              return (
-                <div key={s._id} className="bg-white rounded-2xl shadow-md p-6 hover:shadow-xl transition relative">
-                  {/* selection checkbox top-right */}
-                  <div className="absolute right-3 top-3">
+        <VirtualList
+          items={students}
+          itemHeight={250}
+          minItemWidth={300}
+          gap={24}
+          height={760}
+          className="p-1 -m-1"
+          resetKey={JSON.stringify(filters)}
+          onEndReached={hasMore ? loadMore : undefined}
+          footer={
+            isFetching &&
+            hasMore && (
+              <div className="flex items-center justify-center py-4 text-gray-500">
+                <Loader2 className="animate-spin mr-2" size={16} /> Loading more students...
+              </div>
+            )
+          }
+          renderItem={(s) => {
+            const sid = String(s._id);
+            const isSelected = selectedIds.has(sid);
+            const isEditing = selectedStudent && selectedStudent._id === s._id;
+            const isFetchingThis = editingId === s._id;
+
+            return (
+              <div
+                className={`bg-white rounded-2xl shadow-md p-6 hover:shadow-xl transition relative h-full overflow-hidden ${
+                  isPending(s) ? "opacity-60 pointer-events-none" : ""
+                }`}
+              >
+                {/* selection checkbox top-right */}
+                <div className="absolute right-3 top-3">
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    onChange={() => toggleSelectOne(s._id)}
+                    aria-label={`Select ${s.name}`}
+                  />
+                </div>
+
+                {isEditing ? (
+                  <>
                     <input
-                      type="checkbox"
-                      checked={isSelected}
-                      onChange={() => toggleSelectOne(s._id)}
-                      aria-label={`Select ${s.name}`}
+                      type="text"
+                      value={selectedStudent.name}
+                      onChange={(e) => setSelectedStudent((st) => ({ ...st, name: e.target.value }))}
+                      className="w-full border p-2 rounded mb-2"
                     />
-                  </div>
-
-                  {isEditing ? (
-                    <>
+                    <input
+                      type="text"
+                      value={selectedStudent.enrollmentNumber}
+                      onChange={(e) => setSelectedStudent((st) => ({ ...st, enrollmentNumber: e.target.value }))}
+                      className="w-full border p-2 rounded mb-2"
+                      placeholder="Enrollment Number"
+                      disabled={saving}
+                    />
+                    <div className="flex gap-2 mb-2">
                       <input
-                        type="text"
-                        value={selectedStudent.name}
-                        onChange={(e) => setSelectedStudent((st) => ({ ...st, name: e.target.value }))}
-                        className="w-full border p-2 rounded mb-2"
+                        type="number"
+                        value={selectedStudent.semester ?? ""}
+                        onChange={(e) => setSelectedStudent((st) => ({ ...st, semester: e.target.value }))}
+                        className="border p-2 rounded flex-1"
+                        placeholder="Semester"
+                        disabled={saving}
                       />
                       <input
                         type="text"
-                        value={selectedStudent.enrollmentNumber}
-                        onChange={(e) => setSelectedStudent((st) => ({ ...st, enrollmentNumber: e.target.value }))}
-                        className="w-full border p-2 rounded mb-2"
-                        placeholder="Enrollment Number"
+                        value={selectedStudent.division || ""}
+                        onChange={(e) => setSelectedStudent((st) => ({ ...st, division: e.target.value }))}
+                        className="border p-2 rounded flex-1"
+                        placeholder="Division"
                         disabled={saving}
                       />
-                      <div className="flex gap-2 mb-2">
-                        <input
-                          type="number"
-                          value={selectedStudent.semester}
-                          onChange={(e) => setSelectedStudent((st) => ({ ...st, semester: e.target.value }))}
-                          className="border p-2 rounded flex-1"
-                          placeholder="Semester"
-                          disabled={saving}
-                        />
-                        <input
-                          type="text"
-                          value={selectedStudent.division || ""}
-                          onChange={(e) => setSelectedStudent((st) => ({ ...st, division: e.target.value }))}
-                          className="border p-2 rounded flex-1"
-                          placeholder="Division"
-                          disabled={saving}
-                        />
-                      </div>
-                      <div className="flex gap-3">
-                        <button
-                          className="flex-1 px-3 py-2 bg-green-600 text-white rounded-lg"
-                          onClick={handleUpdate}
-                          disabled={saving}
-                        >
-                          {saving ? "Saving..." : "💾 Save"}
-                        </button>
-                        <button
-                          className="flex-1 px-3 py-2 bg-gray-400 text-white rounded-lg"
-                          onClick={() => setSelectedStudent(null)}
-                          disabled={saving}
-                        >
-                          Cancel
-                        </button>
-                      </div>
-                    </>
-                  ) : (
-                    <>
-                      <div className="text-4xl mb-2">🧑‍🎓</div>
-                      <h3 className="text-lg font-bold text-gray-800">{s.name}</h3>
-                      <p className="text-sm text-gray-500">🆔 {s.enrollmentNumber}</p>
-                      <div className="mt-3 flex flex-wrap gap-2">
-                        <span className="px-3 py-1 bg-purple-100 text-purple-700 rounded-full text-sm">
-                          🎓 Semester {s.semester}
+                    </div>
+                    <div className="flex gap-3">
+                      <button
+                        className="flex-1 px-3 py-2 bg-green-600 text-white rounded-lg"
+                        onClick={handleUpdate}
+                        disabled={saving}
+                      >
+                        {saving ? "Saving..." : "💾 Save"}
+                      </button>
+                      <button
+                        className="flex-1 px-3 py-2 bg-gray-400 text-white rounded-lg"
+                        onClick={() => setSelectedStudent(null)}
+                        disabled={saving}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="text-4xl mb-2">🧑‍🎓</div>
+                    <h3 className="text-lg font-bold text-gray-800">
+                      <Link to={`/hod/students/${s._id}`} className="hover:text-purple-700 hover:underline">
+                        {s.name}
+                      </Link>
+                    </h3>
+                    <p className="text-sm text-gray-500">🆔 {s.enrollmentNumber}</p>
+                    <div className="mt-3 flex flex-wrap gap-2">
+                      <span className="px-3 py-1 bg-purple-100 text-purple-700 rounded-full text-sm">
+                        🎓 Semester {s.semester}
+                      </span>
+                      {s.division && (
+                        <span className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-sm">
+                          🏷️ {s.division}
                         </span>
-                        {s.division && (
-                          <span className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-sm">
-                            🏷️ {s.division}
-                          </span>
-                        )}
-                      </div>
-
-                      <div className="mt-4 flex gap-3">
-                        <button
-                          className="flex-1 px-3 py-2 bg-yellow-500 text-white rounded-lg"
-                          onClick={() => handleEdit(s._id)}
-                          disabled={isFetchingThis || saving}
-                        >
-                          {isFetchingThis ? <Loader2 className="animate-spin" size={14} /> : "✏️ Edit"}
-                        </button>
-                        <button
-                          className="flex-1 px-3 py-2 bg-red-600 text-white rounded-lg"
-                          onClick={() => handleDelete(s._id)}
-                          disabled={saving || isFetchingThis}
-                        >
-                          🗑️ Delete
-                        </button>
-                      </div>
-                    </>
-                  )}
-                </div>
-              );
-            })}
-          </div>
-
-          {visibleCount < filteredStudents.length && (
-            <div className="mt-6 flex justify-center">
-              <button
-                onClick={() => setVisibleCount((prev) => prev + 12)}
-                className="px-6 py-2 bg-indigo-600 text-white rounded-xl shadow hover:bg-indigo-700 transition"
-              >
-                Show More ({filteredStudents.length - visibleCount} remaining)
-              </button>
-            </div>
-          )}
-        </>
+                      )}
+                    </div>
+
+                    <div className="mt-4 flex gap-3">
+                      <button
+                        className="flex-1 px-3 py-2 bg-yellow-500 text-white rounded-lg"
+                        onClick={() => handleEdit(s._id)}
+                        disabled={isFetchingThis || saving}
+                      >
+                        {isFetchingThis ? <Loader2 className="animate-spin" size={14} /> : "✏️ Edit"}
+                      </button>
+                      <button
+                        className="flex-1 px-3 py-2 bg-red-600 text-white rounded-lg"
+                        onClick={() => handleDelete(s._id)}
+                        disabled={saving || isFetchingThis}
+                      >
+                        🗑️ Delete
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            );
+          }}
+        />
       )}
 
+      {/* Bulk import wizard */}
+      <ImportWizard
+        open={importOpen}
+        entity="students"
+        file={bulkFile}
+        records={importRecords}
+        onClose={closeImport}
+        onUpload={handleBulkUpload}
+      />
+
+      {/* Per-row results of the last upload */}
+      <BulkUploadResults
+        entity="students"
+        result={uploadResult}
+        onClose={() => setUploadResult(null)}
+      />
+
       {/* Batch modal + progress overlays */}
       <BatchUpdateModal
         open={batchModalOpen}
@@ -0,0 +1,180 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { act, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import StudentsPage from "./StudentsPage";
+import API, { getStudents } from "../services/api";
+import { flushPendingDeletes } from "../services/deleteQueue";
+import { loginAsDemoHod } from "../test/mockServer";
+import { renderWithProviders } from "../test/render";
+
+// The card (grid cell) holding a student's name
+const cardOf = (name) => screen.getByRole("link", { name }).closest("div.bg-white");
+
+const showOnly = async (user, name) => {
+  const search = screen.getByPlaceholderText("Search by name...");
+  await user.clear(search);
+  await user.type(search, name);
+  await waitFor(() => expect(screen.getAllByRole("link")).toHaveLength(1));
+};
+
+describe("StudentsPage", () => {
+  let user;
+  let seeded;
+  let unique; // seeded students whose name no one else shares
+
+  beforeEach(async () => {
+    user = userEvent.setup();
+    await loginAsDemoHod();
+    seeded = await getStudents();
+    unique = seeded.filter((s) => seeded.filter((x) => x.name === s.name).length === 1);
+  });
+
+  it("loads students from the server and only renders the cards in view", async () => {
+    renderWithProviders(<StudentsPage />);
+
+    const cards = await screen.findAllByRole("checkbox", { name: /^Select / });
+    expect(cards.length).toBeGreaterThan(0);
+    expect(cards.length).toBeLessThan(seeded.length);
+    expect(
+      screen.getByText((_, el) => el.textContent === `Showing ${seeded.length} of ${seeded.length} matching students`)
+    ).toBeInTheDocument();
+  });
+
+  it("asks the server for the filtered, sorted page", async () => {
+    const get = vi.spyOn(API, "get");
+    renderWithProviders(<StudentsPage />);
+    await screen.findAllByRole("link");
+
+    await user.selectOptions(screen.getByTitle("Filter by division"), "B");
+    await user.selectOptions(screen.getByTitle("Sort by"), "enrollment");
+
+    await waitFor(() =>
+      expect(get).toHaveBeenLastCalledWith("/students", {
+        params: { division: "B", sortBy: "enrollmentNumber", sortOrder: "asc", page: 1, limit: 60 },
+      })
+    );
+    const shown = seeded.filter((s) => s.division === "B").length;
+    await screen.findByText((_, el) => el.textContent === `Showing ${shown} of ${shown} matching students`);
+  });
+
+  it("adds a student", async () => {
+    renderWithProviders(<StudentsPage />);
+    await screen.findAllByRole("link");
+
+    await user.type(screen.getByPlaceholderText("👤 Name"), "Zoya Test");
+    await user.type(screen.getByPlaceholderText("🆔 Roll Number"), "TEST001");
+    await user.type(screen.getByPlaceholderText("🎓 Semester"), "2");
+    await user.click(screen.getByRole("button", { name: "➕ Add Student" }));
+
+    expect(await screen.findByText("✅ Student added!")).toBeInTheDocument();
+    await showOnly(user, "Zoya");
+    expect(within(cardOf("Zoya Test")).getByText("🆔 TEST001")).toBeInTheDocument();
+    expect((await getStudents()).some((s) => s.enrollmentNumber === "TEST001")).toBe(true);
+  });
+
+  it("shows the server error when the enrollment number is taken", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    renderWithProviders(<StudentsPage />);
+    await screen.findAllByRole("link");
+
+    await user.type(screen.getByPlaceholderText("👤 Name"), "Copy Cat");
+    await user.type(screen.getByPlaceholderText("🆔 Roll Number"), seeded[0].enrollmentNumber);
+    await user.type(screen.getByPlaceholderText("🎓 Semester"), "3");
+    await user.click(screen.getByRole("button", { name: "➕ Add Student" }));
+
+    expect(
+      await screen.findAllByText("Failed to add student: Student with this enrollment number already exists")
+    ).not.toHaveLength(0);
+  });
+
+  it("refuses to add a student with missing fields", async () => {
+    renderWithProviders(<StudentsPage />);
+    await screen.findAllByRole("link");
+
+    await user.click(screen.getByRole("button", { name: "➕ Add Student" }));
+
+    expect(await screen.findByText("⚠️ Please fill in Name, Enrollment, and Semester")).toBeInTheDocument();
+    expect(await getStudents()).toHaveLength(seeded.length);
+  });
+
+  it("edits a student inline", async () => {
+    const target = unique[0];
+    renderWithProviders(<StudentsPage />);
+    await screen.findAllByRole("link");
+    await showOnly(user, target.name);
+
+    await user.click(within(cardOf(target.name)).getByRole("button", { name: "✏️ Edit" }));
+    const division = await screen.findByPlaceholderText("Division");
+    await user.clear(division);
+    await user.type(division, "Z");
+    await user.click(screen.getByRole("button", { name: "💾 Save" }));
+
+    expect(await screen.findByText("✅ Student updated!")).toBeInTheDocument();
+    expect(await within(cardOf(target.name)).findByText("🏷️ Z")).toBeInTheDocument();
+  });
+
+  it("deletes a student after confirmation", async () => {
+    const target = unique[1];
+    renderWithProviders(<StudentsPage />);
+    await screen.findAllByRole("link");
+    await showOnly(user, target.name);
+
+    await user.click(within(cardOf(target.name)).getByRole("button", { name: "🗑️ Delete" }));
+    expect(screen.getByText("Delete Student")).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: "Delete" }));
+    await act(() => flushPendingDeletes());
+
+    expect(await screen.findByText("🗑️ Student deleted!")).toBeInTheDocument();
+    const remaining = await getStudents();
+    expect(remaining).toHaveLength(seeded.length - 1);
+    expect(remaining.some((s) => s._id === target._id)).toBe(false);
+  });
+
+  it("keeps the student when the deletion is cancelled", async () => {
+    const target = unique[2];
+    renderWithProviders(<StudentsPage />);
+    await screen.findAllByRole("link");
+    await showOnly(user, target.name);
+
+    await user.click(within(cardOf(target.name)).getByRole("button", { name: "🗑️ Delete" }));
+    await user.click(screen.getByRole("button", { name: "Cancel" }));
+
+    expect(screen.queryByText("Delete Student")).not.toBeInTheDocument();
+    expect(await getStudents()).toHaveLength(seeded.length);
+  });
+
+  it("puts the student back when the server rejects the deletion", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const target = unique[3];
+    renderWithProviders(<StudentsPage />);
+    await screen.findAllByRole("link");
+    await showOnly(user, target.name);
+
+    vi.spyOn(API, "delete").mockRejectedValueOnce({ response: { data: { error: "Server busy" } } });
+    await user.click(within(cardOf(target.name)).getByRole("button", { name: "🗑️ Delete" }));
+    await user.click(screen.getByRole("button", { name: "Delete" }));
+    await act(() => flushPendingDeletes());
+
+    expect(await screen.findAllByText("Failed to delete student: Server busy")).not.toHaveLength(0);
+    expect(cardOf(target.name)).toBeInTheDocument();
+    expect(await getStudents()).toHaveLength(seeded.length);
+  });
+
+  it("restores the student when the delete is undone", async () => {
+    const target = unique[4];
+    renderWithProviders(<StudentsPage />);
+    await screen.findAllByRole("link");
+    await showOnly(user, target.name);
+
+    await user.click(within(cardOf(target.name)).getByRole("button", { name: "🗑️ Delete" }));
+    await user.click(screen.getByRole("button", { name: "Delete" }));
+    await waitFor(() => expect(screen.queryByRole("link", { name: target.name })).not.toBeInTheDocument());
+
+    await user.click(await screen.findByRole("button", { name: "Undo" }));
+
+    expect(await screen.findByText("↩️ Student restored")).toBeInTheDocument();
+    expect(cardOf(target.name)).toBeInTheDocument();
+    await act(() => flushPendingDeletes());
+    expect(await getStudents()).toHaveLength(seeded.length);
+  });
+});
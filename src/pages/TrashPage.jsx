@@ -0,0 +1,205 @@
+// src/pages/TrashPage.jsx
+import { useMemo, useState, useSyncExternalStore } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { ArrowLeft, Loader2, RotateCcw, Search, Trash2, XCircle } from "lucide-react";
+import { useConfirm } from "../components/ConfirmProvider";
+import {
+  getTrash,
+  subscribeTrash,
+  removeFromTrash,
+  clearTrash,
+  restoreFromTrash,
+  trashLabel,
+} from "../services/trash";
+
+const KINDS = [
+  { value: "", label: "All" },
+  { value: "students", label: "🧑‍🎓 Students" },
+  { value: "professors", label: "👩‍🏫 Professors" },
+  { value: "classes", label: "🏫 Classes" },
+];
+
+const KIND_ICON = { students: "🧑‍🎓", professors: "👩‍🏫", classes: "🏫" };
+
+const details = ({ kind, record, classes }) => {
+  if (kind === "classes") {
+    return `${record.classId ? `${record.classId} · ` : ""}${record.studentIds.length} students · ${record.professorIds.length} professors`;
+  }
+  const who = kind === "students" ? `🆔 ${record.enrollmentNumber} · Sem ${record.semester ?? "-"}` : `@${record.username}`;
+  return classes.length ? `${who} · in ${classes.map((c) => c.label).join(", ")}` : who;
+};
+
+export default function TrashPage() {
+  const trash = useSyncExternalStore(subscribeTrash, getTrash);
+  const [kind, setKind] = useState("");
+  const [search, setSearch] = useState("");
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState("");
+  const confirm = useConfirm();
+
+  const counts = useMemo(
+    () => trash.reduce((acc, e) => ({ ...acc, [e.kind]: (acc[e.kind] || 0) + 1 }), {}),
+    [trash]
+  );
+
+  const visible = useMemo(() => {
+    const s = search.trim().toLowerCase();
+    return trash.filter(
+      (e) =>
+        (!kind || e.kind === kind) &&
+        (!s || `${trashLabel(e)} ${details(e)}`.toLowerCase().includes(s))
+    );
+  }, [trash, kind, search]);
+
+  const handleRestore = async (entry) => {
+    setRestoringId(entry.id);
+    try {
+      const { skipped } = await restoreFromTrash(entry);
+      toast.success(`♻️ Restored "${trashLabel(entry)}"`);
+      if (skipped.length) {
+        toast.warn(`Not reconnected (no longer there): ${skipped.join(", ")}`);
+      }
+      if (entry.kind === "professors") {
+        toast.info("The restored professor has the default password again");
+      }
+    } catch (err) {
+      console.error("Restore failed", err);
+      const backendMsg = err.response?.data?.error;
+      const finalMsg = backendMsg ? `Failed to restore: ${backendMsg}` : "Failed to restore";
+      setError(finalMsg);
+      toast.error(finalMsg);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const handleForget = async (entry) => {
+    const ok = await confirm({
+      title: "Remove from Trash",
+      message: `"${trashLabel(entry)}" will no longer be restorable. This action cannot be undone.`,
+      confirmText: "Remove",
+      cancelText: "Cancel",
+      tone: "danger",
+    });
+    if (ok) removeFromTrash([entry.id]);
+  };
+
+  const handleEmpty = async () => {
+    const ok = await confirm({
+      title: "Empty Trash",
+      message: `All ${trash.length} deleted records will no longer be restorable. This action cannot be undone.`,
+      confirmText: "Empty Trash",
+      cancelText: "Cancel",
+      tone: "danger",
+    });
+    if (ok) {
+      clearTrash();
+      toast.info("🗑️ Trash emptied");
+    }
+  };
+
+  return (
+    <div className="p-6 min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div>
+          <Link to="/hod/dashboard" className="text-sm text-purple-600 hover:underline flex items-center gap-1">
+            <ArrowLeft size={14} /> Dashboard
+          </Link>
+          <h1 className="text-2xl font-bold text-purple-700">🗑️ Trash</h1>
+          <p className="text-sm text-gray-500">
+            Deleted students, professors and classes are kept in this browser for your account until restored or removed.
+          </p>
+        </div>
+        <button
+          onClick={handleEmpty}
+          disabled={!trash.length}
+          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center gap-2 disabled:opacity-60"
+        >
+          <Trash2 size={16} /> Empty Trash
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center justify-between bg-red-100 text-red-700 p-3 rounded-lg">
+          <span className="flex items-center gap-2">
+            <XCircle size={18} />
+            {error}
+          </span>
+          <button onClick={() => setError("")} className="text-red-700 hover:text-red-900">
+            ✖
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-sm border p-4 mb-4 flex flex-col md:flex-row gap-3 md:items-center">
+        <div className="flex flex-wrap gap-2">
+          {KINDS.map((k) => (
+            <button
+              key={k.value}
+              onClick={() => setKind(k.value)}
+              className={`px-3 py-1.5 rounded-lg text-sm border ${
+                kind === k.value ? "bg-purple-600 text-white border-purple-600" : "hover:bg-purple-50"
+              }`}
+            >
+              {k.label} ({k.value ? counts[k.value] || 0 : trash.length})
+            </button>
+          ))}
+        </div>
+        <div className="relative md:ml-auto md:w-72">
+          <Search className="absolute left-3 top-2.5 text-gray-400" size={16} />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search deleted records..."
+            className="border rounded-lg pl-9 pr-3 py-2 w-full"
+          />
+        </div>
+      </div>
+
+      {visible.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm border p-10 text-center text-gray-500">
+          {trash.length ? "Nothing matches your filters." : "Trash is empty."}
+        </div>
+      ) : (
+        <ul className="space-y-2">
+          {visible.map((entry) => (
+            <li
+              key={entry.id}
+              className="bg-white rounded-xl shadow-sm border p-4 flex flex-col sm:flex-row sm:items-center gap-3"
+            >
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-800">
+                  {KIND_ICON[entry.kind]} {trashLabel(entry)}
+                </p>
+                <p className="text-sm text-gray-500 truncate">{details(entry)}</p>
+                <p className="text-xs text-gray-400">Deleted {new Date(entry.deletedAt).toLocaleString()}</p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleRestore(entry)}
+                  disabled={restoringId !== null}
+                  className="px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center gap-1 disabled:opacity-60"
+                >
+                  {restoringId === entry.id ? (
+                    <Loader2 className="animate-spin" size={14} />
+                  ) : (
+                    <RotateCcw size={14} />
+                  )}
+                  Restore
+                </button>
+                <button
+                  onClick={() => handleForget(entry)}
+                  disabled={restoringId === entry.id}
+                  className="px-3 py-1.5 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-60"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import TrashPage from "./TrashPage";
+import { getStudents } from "../services/api";
+import { flushPendingDeletes, queueDelete } from "../services/deleteQueue";
+import { getTrash } from "../services/trash";
+import { loginAsDemoHod } from "../test/mockServer";
+import { renderWithProviders } from "../test/render";
+
+describe("TrashPage", () => {
+  let user;
+  let deleted;
+
+  beforeEach(async () => {
+    user = userEvent.setup();
+    await loginAsDemoHod();
+    deleted = (await getStudents()).slice(0, 2);
+    queueDelete("students", deleted.map((s) => s._id), { records: deleted });
+    await flushPendingDeletes();
+  });
+
+  it("lists deleted records and restores one", async () => {
+    renderWithProviders(<TrashPage />);
+    expect(screen.getByRole("button", { name: "🧑‍🎓 Students (2)" })).toBeInTheDocument();
+
+    const [restore] = screen.getAllByRole("button", { name: "Restore" });
+    await user.click(restore);
+
+    expect(await screen.findByText(`♻️ Restored "${deleted[0].name}"`)).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "🧑‍🎓 Students (1)" })).toBeInTheDocument();
+    expect((await getStudents()).some((s) => s.enrollmentNumber === deleted[0].enrollmentNumber)).toBe(true);
+  });
+
+  it("empties the trash after confirmation", async () => {
+    renderWithProviders(<TrashPage />);
+
+    await user.click(screen.getByRole("button", { name: "Empty Trash" }));
+    await user.click(screen.getAllByRole("button", { name: "Empty Trash" }).at(-1));
+
+    expect(await screen.findByText("Trash is empty.")).toBeInTheDocument();
+    expect(getTrash()).toEqual([]);
+  });
+});
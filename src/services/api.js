@@ -1,8 +1,27 @@
 import axios from "axios";
+import { isMockApiEnabled, mockAdapter } from "./mock";
+import {
+  pickList,
+  pickOne,
+  toStudent,
+  toProfessor,
+  toClass,
+  toAttendanceRecord,
+  toMonthlySummary,
+  toPage,
+  queryStudents,
+  toMarkResult,
+  toLeave,
+} from "./models";
+import { invalidateQueries, queryKey } from "./queryCache";
+import { installAudit } from "./audit";
+import { installSession } from "./session";
 
 // ====================== AXIOS INSTANCE ======================
+// In mock mode requests never leave the browser (see services/mock)
 const API = axios.create({
   baseURL: import.meta.env.VITE_API_URL,
+  ...(isMockApiEnabled() ? { adapter: mockAdapter } : {}),
 });
 
 // Attach token automatically
@@ -14,12 +33,38 @@ API.interceptors.request.use((config) => {
   return config;
 });
 
+// Cached collections (see CACHED QUERIES below) a successful write can change.
+// Students and professors are embedded in populated classes, so those writes
+// invalidate "classes" as well.
+const INVALIDATES = [
+  [/^\/students/, ["students", "classes"]],
+  [/^\/professors/, ["professors", "classes"]],
+  [/^\/classes/, ["classes"]],
+  [/^\/leaves/, ["leaves"]],
+];
+
+API.interceptors.response.use((res) => {
+  const { method, url = "" } = res.config;
+  if (method !== "get") {
+    const hit = INVALIDATES.find(([pattern]) => pattern.test(url));
+    if (hit) invalidateQueries(...hit[1]);
+  }
+  return res;
+});
+
+// 401s: one silent token refresh and a replay, else the session ends (services/session)
+installSession(API);
+
+// Every write is recorded in the audit log (services/audit, /hod/audit)
+installAudit(API);
+
 // ====================== HOD APIs ======================
 export const registerHod = (data) => API.post("/hods/register", data);
 export const verifyOtp = (data) => API.post("/hods/verify-otp", data);
 export const resendOtp = (data) => API.post("/hods/resend-otp", data); // { email }
 export const loginHod = (data) => API.post("/hods/login", data);
 export const getHodProfile = () => API.get("/hods/profile");
+export const refreshHodToken = () => API.post("/hods/refresh-token"); // { token }
 
 // Update HOD profile (triggers OTP if sensitive fields)
 export const updateHod = (data) => API.put("/hods/update", data);
@@ -36,9 +81,25 @@ export const confirmDeleteHod = (data) =>
   API.post("/hods/confirm-delete", data); // { otp }
 
 // ====================== PROFESSOR APIs ======================
-export const addProfessor = (profData) => API.post("/professors", profData);
-export const getProfessors = () => API.get("/professors");
-export const getProfessorById = (id) => API.get(`/professors/${id}`);
+// Read and create helpers resolve to the models declared in services/models.js
+
+/** @returns {Promise<import("./models").Professor>} */
+export const addProfessor = async (profData) => {
+  const res = await API.post("/professors", profData);
+  return toProfessor(pickOne(res.data, "professor"));
+};
+
+/** @returns {Promise<import("./models").Professor[]>} */
+export const getProfessors = async () => {
+  const res = await API.get("/professors");
+  return pickList(res.data, "professors").map(toProfessor);
+};
+
+/** @returns {Promise<import("./models").Professor>} */
+export const getProfessorById = async (id) => {
+  const res = await API.get(`/professors/${id}`);
+  return toProfessor(pickOne(res.data, "professor"));
+};
 export const deleteProfessor = (id) => API.delete(`/professors/${id}`);
 export const updateProfessor = (id, profData) =>
   API.put(`/professors/${id}`, profData);
@@ -56,8 +117,8 @@ export const bulkUploadProfessors = async (file) => {
   return res.data?.data || res.data;
 };
 
-// Bulk delete professors in one API call
-export const deleteProfessorsBulk = async (professorIds) => {
+// Bulk delete professors in one API call; `records` (if on hand) go to the audit log as the before state
+export const deleteProfessorsBulk = async (professorIds, { records } = {}) => {
   const ids = Array.from(new Set((professorIds || []).map(String)));
   if (ids.length === 0) {
     // keep consistent return shape as other helpers
@@ -66,6 +127,7 @@ export const deleteProfessorsBulk = async (professorIds) => {
   const res = await API.delete("/professors/bulk", {
     headers: { "Content-Type": "application/json" },
     data: { professorIds: ids },
+    auditBefore: records,
   });
   return res.data?.data || res.data;
 };
@@ -91,18 +153,25 @@ export const batchDeleteProfessorsClient = async (professorIds, { onProgress } =
 
 // ====================== CLASS APIs ======================
 // Create new class
-export const createClass = (classData) => API.post("/classes", classData);
+/** @returns {Promise<import("./models").Class>} */
+export const createClass = async (classData) => {
+  const res = await API.post("/classes", classData);
+  return toClass(pickOne(res.data, "class"));
+};
 
 // Get all classes (HOD → populated)
+/** @returns {Promise<import("./models").Class[]>} */
 export const getClasses = async () => {
   const res = await API.get("/classes?populate=true");
-  return (
-    res.data?.data || res.data?.classes || res.data?.data?.classes || []
-  );
+  return pickList(res.data, "classes").map(toClass);
 };
 
 // Get specific class by ID
-export const getClassById = (id) => API.get(`/classes/${id}`);
+/** @returns {Promise<import("./models").Class>} */
+export const getClassById = async (id) => {
+  const res = await API.get(`/classes/${id}`);
+  return toClass(pickOne(res.data, "class"));
+};
 
 // Update class details
 export const updateClass = (id, classData) =>
@@ -112,10 +181,11 @@ export const updateClass = (id, classData) =>
 export const deleteClass = (id) => API.delete(`/classes/${id}`);
 
 // ✅ Bulk delete classes in one API call (matches DELETE /classes/bulk)
-export const deleteClassesBulk = async (classIds) => {
+export const deleteClassesBulk = async (classIds, { records } = {}) => {
   const res = await API.delete("/classes/bulk", {
     headers: { "Content-Type": "application/json" },
     data: { classIds: Array.from(new Set((classIds || []).map(String))) },
+    auditBefore: records,
   });
   // Return the useful payload regardless of server shape
   return res.data?.data || res.data;
@@ -166,30 +236,37 @@ export const bulkUploadStudents = async (file) => {
 // Add a single student
 export const addStudent = async (studentData) => {
   const res = await API.post("/students", studentData);
-  return res.data.data?.student || res.data.student;
+  return toStudent(pickOne(res.data, "student"));
 };
 
 // Get all students (with optional filters)
+/** @returns {Promise<import("./models").Student[]>} */
 export const getStudents = async (params = {}) => {
   const res = await API.get("/students", { params });
+  return pickList(res.data, "students").map(toStudent);
+};
 
-  if (Array.isArray(res.data?.data)) return res.data.data;
-  if (Array.isArray(res.data?.students)) return res.data.students;
-  if (Array.isArray(res.data?.data?.students)) return res.data.data.students;
-
-  return [];
+// One page of students, filtered and sorted on the server.
+// params: search, name, enrollmentNumber, startsWith, semester, division,
+// sortBy (name | enrollmentNumber | semester), sortOrder (asc | desc), page, limit
+/** @returns {Promise<import("./models").Page<import("./models").Student>>} */
+export const getStudentsPage = async (params = {}) => {
+  const res = await API.get("/students", { params });
+  return toPage(res.data, "students", toStudent, params, queryStudents);
 };
 
 // Get student by ID
+/** @returns {Promise<import("./models").Student>} */
 export const getStudentById = async (id) => {
   const res = await API.get(`/students/${id}`);
-  return res.data.data?.student || res.data.student;
+  return toStudent(pickOne(res.data, "student"));
 };
 
 // Update student
+/** @returns {Promise<import("./models").Student>} */
 export const updateStudent = async (id, studentData) => {
   const res = await API.put(`/students/${id}`, studentData);
-  return res.data.data?.student || res.data.student;
+  return toStudent(pickOne(res.data, "student"));
 };
 
 // Delete student
@@ -291,10 +368,11 @@ export const batchDeleteStudentsClient = async (
 };
 
 // Bulk delete students in one API call
-export const deleteStudentsBulk = async (studentIds) => {
+export const deleteStudentsBulk = async (studentIds, { records } = {}) => {
   const res = await API.delete("/students", {
     headers: { "Content-Type": "application/json" },
     data: { studentIds },
+    auditBefore: records,
   });
   return res.data.data || res.data;
 };
@@ -337,13 +415,8 @@ export const bulkUploadClasses = async (file) => {
 
 // ====================== ATTENDANCE (READ-ONLY) APIs ======================
 
-// Helper to safely unwrap various response shapes you’ve been using
-const _pluckRecords = (res) =>
-  res?.data?.data?.records ??
-  res?.data?.records ??
-  res?.data?.data ??
-  res?.data ??
-  [];
+// Every attendance read resolves to AttendanceRecord[] (see services/models.js)
+const toRecords = (res) => pickList(res.data, "records").map(toAttendanceRecord);
 
 /**
  * Get attendance of a class on a specific day (and optional slot)
@@ -352,7 +425,7 @@ const _pluckRecords = (res) =>
  */
 export const getAttendanceByDate = async (classId, params = {}) => {
   const res = await API.get(`/attendance/${classId}`, { params });
-  return _pluckRecords(res);
+  return toRecords(res);
 };
 
 /**
@@ -361,18 +434,17 @@ export const getAttendanceByDate = async (classId, params = {}) => {
  */
 export const getClassAttendance = async (classId, params = {}) => {
   const res = await API.get(`/attendance/class/${classId}`, { params });
-  return _pluckRecords(res);
+  return toRecords(res);
 };
 
 /**
  * Monthly summary for a class (requires ?month=1..12 & ?year=YYYY)
  * GET /attendance/summary/:classId
- * Returns { month, year, classId, summary: [...] }
+ * @returns {Promise<import("./models").MonthlySummary>}
  */
 export const getMonthlyAttendanceSummary = async (classId, params = {}) => {
   const res = await API.get(`/attendance/summary/${classId}`, { params });
-  // Keep entire payload because you’ll likely need month/year + summary
-  return res?.data?.data ?? res?.data;
+  return toMonthlySummary(res.data?.data ?? res.data, { ...params, classId });
 };
 
 /**
@@ -381,8 +453,88 @@ export const getMonthlyAttendanceSummary = async (classId, params = {}) => {
  */
 export const getStudentAttendance = async (studentId, params = {}) => {
   const res = await API.get(`/attendance/student/${studentId}`, { params });
-  return _pluckRecords(res);
+  return toRecords(res);
+};
+
+// ====================== ATTENDANCE MARKING ======================
+
+/**
+ * Record one lecture's attendance
+ * POST /attendance { classId, date: "YYYY-MM-DD", slotNumber, records: [{ studentId, isPresent }], overwrite }
+ * A lecture that already has records is only replaced with `overwrite: true`;
+ * otherwise the server answers 409.
+ * @returns {Promise<import("./models").MarkResult>}
+ */
+export const markAttendance = async (payload) => {
+  const res = await API.post("/attendance", payload);
+  return toMarkResult(res.data);
 };
 
+// ====================== ATTENDANCE CORRECTIONS ======================
+// Flip a marked record's status. `reason` is required and is kept in the
+// record's `corrections` history together with who changed it and when.
+
+/**
+ * PUT /attendance/:recordId { isPresent, reason }
+ * @returns {Promise<import("./models").AttendanceRecord>} the corrected record
+ */
+export const correctAttendance = async (recordId, { isPresent, reason }) => {
+  const res = await API.put(`/attendance/${recordId}`, { isPresent, reason });
+  return toAttendanceRecord(pickOne(res.data, "record"));
+};
+
+/**
+ * PUT /attendance/bulk { recordIds, isPresent, reason } — records already in
+ * that state are left as they are.
+ * @returns {Promise<{ records: import("./models").AttendanceRecord[], corrected: number }>}
+ */
+export const correctAttendanceBulk = async (recordIds, { isPresent, reason }) => {
+  const res = await API.put("/attendance/bulk", { recordIds, isPresent, reason });
+  return { records: toRecords(res), corrected: Number(res.data?.data?.corrected ?? 0) };
+};
+
+// ====================== LEAVES ======================
+// Approved leave per student; absences on those days are excused in summaries
+
+/**
+ * GET /leaves — filters: { studentId, classId, from, to } (leaves overlapping from..to)
+ * @returns {Promise<import("./models").Leave[]>}
+ */
+export const getLeaves = async (params = {}) => {
+  const res = await API.get("/leaves", { params });
+  return pickList(res.data, "leaves").map(toLeave);
+};
+
+/**
+ * POST /leaves { studentId, from, to, type, note }
+ * @returns {Promise<import("./models").Leave>}
+ */
+export const createLeave = async (data) => {
+  const res = await API.post("/leaves", data);
+  return toLeave(pickOne(res.data, "leave"));
+};
+
+/** @returns {Promise<import("./models").Leave>} */
+export const updateLeave = async (id, data) => {
+  const res = await API.put(`/leaves/${id}`, data);
+  return toLeave(pickOne(res.data, "leave"));
+};
+
+export const deleteLeave = (id) => API.delete(`/leaves/${id}`);
+
+// ====================== CACHED QUERIES ======================
+// Descriptors for services/queryCache (useQuery / fetchQuery). Pages read the
+// shared collections through these so navigating between them is instant.
+export const classesQuery = { key: "classes", fetcher: getClasses, persist: true };
+export const studentsQuery = { key: "students", fetcher: () => getStudents(), persist: true };
+// not persisted: the list may carry professors' passwords (ProfessorsPage shows them)
+export const professorsQuery = { key: "professors", fetcher: getProfessors, persist: false };
+export const leavesQuery = { key: "leaves", fetcher: () => getLeaves(), persist: true };
+
+/** One server page of students; keys share the "students" prefix so writes invalidate them too */
+export const studentsPageQuery = (params) => ({
+  key: queryKey("students", params),
+  fetcher: () => getStudentsPage(params),
+});
 
 export default API;
@@ -0,0 +1,359 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import API, {
+  getStudents,
+  getClasses,
+  getProfessors,
+  getStudentById,
+  getClassAttendance,
+  getMonthlyAttendanceSummary,
+  getAttendanceByDate,
+  correctAttendance,
+  correctAttendanceBulk,
+  getLeaves,
+  createLeave,
+  updateLeave,
+  deleteLeave,
+  batchUpdateStudentsClient,
+} from "./api";
+import { loginAsDemoHod } from "../test/mockServer";
+
+// Answer requests from a function instead of the mock backend:
+// respond(config) -> { status?, data } (may be async)
+// The audit log's own "before" reads (skipAudit) get an empty answer and are not counted.
+const originalAdapter = API.defaults.adapter;
+let calls;
+
+const stubServer = (respond) => {
+  calls = [];
+  API.defaults.adapter = async (config) => {
+    if (config.skipAudit) return { data: {}, status: 200, statusText: "", headers: {}, config, request: {} };
+    calls.push(config);
+    const { status = 200, data } = await respond(config);
+    const response = { data, status, statusText: "", headers: {}, config, request: {} };
+    if (status >= 400) {
+      const err = new Error(`Request failed with status code ${status}`);
+      err.response = response;
+      throw err;
+    }
+    return response;
+  };
+};
+
+afterEach(() => {
+  API.defaults.adapter = originalAdapter;
+});
+
+describe("getStudents", () => {
+  const students = [{ _id: "s1", name: "A", enrollmentNumber: 101, semester: "3" }];
+  const expected = [{ _id: "s1", name: "A", enrollmentNumber: "101", semester: 3, division: "" }];
+
+  it.each([
+    ["{ data: [...] }", { success: true, data: students }],
+    ["{ students: [...] }", { students }],
+    ["{ data: { students } }", { data: { students } }],
+  ])("reads %s", async (_, body) => {
+    stubServer(() => ({ data: body }));
+    await expect(getStudents()).resolves.toEqual(expected);
+  });
+
+  it("returns [] for unexpected shapes", async () => {
+    stubServer(() => ({ data: { message: "ok" } }));
+    await expect(getStudents()).resolves.toEqual([]);
+  });
+
+  it("passes filters as query params", async () => {
+    stubServer(() => ({ data: { data: [] } }));
+    await getStudents({ semester: 3, division: "A" });
+    expect(calls[0].url).toBe("/students");
+    expect(calls[0].params).toEqual({ semester: 3, division: "A" });
+  });
+});
+
+describe("getClasses", () => {
+  const classes = [{ _id: "c1", classId: "CLS-1", className: "BSc IT", division: "A", students: ["s1"] }];
+  const expected = [
+    {
+      _id: "c1",
+      classId: "CLS-1",
+      className: "BSc IT",
+      division: "A",
+      students: [{ _id: "s1", name: "", enrollmentNumber: "", semester: null, division: "" }],
+      professors: [],
+      studentIds: ["s1"],
+      professorIds: [],
+    },
+  ];
+
+  it("asks for populated classes", async () => {
+    stubServer(() => ({ data: { data: classes } }));
+    await getClasses();
+    expect(calls[0].url).toBe("/classes?populate=true");
+  });
+
+  it.each([
+    ["{ data: [...] }", { success: true, data: classes }],
+    ["{ classes: [...] }", { classes }],
+    ["{ data: { classes } }", { data: { classes } }],
+  ])("reads %s", async (_, body) => {
+    stubServer(() => ({ data: body }));
+    await expect(getClasses()).resolves.toEqual(expected);
+  });
+
+  it("returns [] for unexpected shapes", async () => {
+    stubServer(() => ({ data: { data: { total: 0 } } }));
+    await expect(getClasses()).resolves.toEqual([]);
+  });
+});
+
+describe("getProfessors", () => {
+  it("returns Professor models instead of the axios response", async () => {
+    stubServer(() => ({ data: { success: true, professors: [{ _id: "p1", name: "Dr. X", username: "drx", __v: 0 }] } }));
+    await expect(getProfessors()).resolves.toEqual([{ _id: "p1", name: "Dr. X", username: "drx" }]);
+  });
+});
+
+describe("getStudentById", () => {
+  it.each([
+    ["{ data: { student } }", { data: { student: { _id: "s1", name: "A" } } }],
+    ["{ student }", { student: { _id: "s1", name: "A" } }],
+  ])("reads %s", async (_, body) => {
+    stubServer(() => ({ data: body }));
+    await expect(getStudentById("s1")).resolves.toMatchObject({ _id: "s1", name: "A" });
+  });
+});
+
+describe("attendance reads", () => {
+  const raw = { _id: "r1", studentId: { _id: "s1", name: "A" }, date: "05/03/2025", slotNumber: "2", isPresent: true };
+
+  it.each([
+    ["{ data: { records } }", { data: { records: [raw] } }],
+    ["{ records }", { records: [raw] }],
+    ["{ data: [...] }", { data: [raw] }],
+    ["a bare array", [raw]],
+  ])("unwraps %s into AttendanceRecord models", async (_, body) => {
+    stubServer(() => ({ data: body }));
+    const [rec] = await getClassAttendance("c1");
+    expect(rec).toMatchObject({ _id: "r1", studentId: "s1", studentName: "A", date: "2025-03-05", slotNumber: 2 });
+  });
+
+  it("returns [] for an empty body", async () => {
+    stubServer(() => ({ data: {} }));
+    await expect(getClassAttendance("c1")).resolves.toEqual([]);
+  });
+
+  it("reads the monthly summary with its period", async () => {
+    stubServer(() => ({ data: { data: { summary: [{ studentId: "s1", name: "A", totalClasses: 4, presents: 3 }] } } }));
+    const res = await getMonthlyAttendanceSummary("c1", { month: 3, year: 2025 });
+    expect(res).toEqual({
+      month: 3,
+      year: 2025,
+      classId: "c1",
+      summary: [
+        { studentId: "s1", name: "A", enrollmentNumber: "", totalClasses: 4, presents: 3, absents: 1, excused: 0, percentage: 75 },
+      ],
+    });
+  });
+});
+
+describe("public readers against the mock API", () => {
+  beforeEach(loginAsDemoHod);
+
+  it("reads populated classes", async () => {
+    const classes = await getClasses();
+    expect(classes.length).toBeGreaterThan(0);
+    const [cls] = classes;
+    expect(cls.studentIds).toHaveLength(cls.students.length);
+    expect(cls.students[0]).toMatchObject({ _id: cls.studentIds[0], name: expect.any(String) });
+  });
+
+  it("reads a class's history and one lecture of it", async () => {
+    const [cls] = await getClasses();
+    const history = await getClassAttendance(cls._id);
+    expect(history.length).toBeGreaterThan(0);
+
+    const [first] = history;
+    const lecture = await getAttendanceByDate(cls._id, { date: first.date, slotNumber: first.slotNumber });
+    expect(lecture.length).toBeGreaterThan(0);
+    expect(lecture.every((r) => r.date === first.date && r.slotNumber === first.slotNumber)).toBe(true);
+    expect(lecture.map((r) => r._id)).toContain(first._id);
+  });
+});
+
+describe("attendance corrections (mock API)", () => {
+  let lecture;
+
+  beforeEach(async () => {
+    await loginAsDemoHod();
+    const [cls] = await getClasses();
+    const [first] = await getClassAttendance(cls._id);
+    lecture = await getAttendanceByDate(cls._id, { date: first.date, slotNumber: first.slotNumber });
+  });
+
+  it("flips one record and keeps who, when and why", async () => {
+    const [rec] = lecture;
+    const saved = await correctAttendance(rec._id, { isPresent: !rec.isPresent, reason: "Marked wrongly" });
+
+    expect(saved.isPresent).toBe(!rec.isPresent);
+    expect(saved.corrections).toEqual([
+      { at: expect.any(String), by: "demo.hod", from: rec.isPresent, to: !rec.isPresent, reason: "Marked wrongly" },
+    ]);
+  });
+
+  it("refuses a correction without a reason or without a change", async () => {
+    const [rec] = lecture;
+    await expect(correctAttendance(rec._id, { isPresent: !rec.isPresent, reason: "  " })).rejects.toMatchObject({
+      response: { status: 400, data: { error: "A reason is required to correct attendance" } },
+    });
+    await expect(correctAttendance(rec._id, { isPresent: rec.isPresent, reason: "x" })).rejects.toMatchObject({
+      response: { status: 400 },
+    });
+  });
+
+  it("corrects a whole slot, leaving records already in that state alone", async () => {
+    const absent = lecture.filter((r) => !r.isPresent).length;
+    const { records, corrected } = await correctAttendanceBulk(
+      lecture.map((r) => r._id),
+      { isPresent: true, reason: "Lab outage" }
+    );
+
+    expect(corrected).toBe(absent);
+    expect(records.every((r) => r.isPresent)).toBe(true);
+    expect(records.filter((r) => r.corrections.length)).toHaveLength(absent);
+  });
+});
+
+describe("leaves (mock API)", () => {
+  beforeEach(loginAsDemoHod);
+
+  it("records, edits and deletes a student's leave", async () => {
+    const [student] = await getStudents();
+    const leave = await createLeave({ studentId: student._id, from: "2024-03-04", to: "2024-03-06", type: "Medical", note: " Fever " });
+
+    expect(leave).toMatchObject({
+      studentId: student._id,
+      studentName: student.name,
+      from: "2024-03-04",
+      to: "2024-03-06",
+      type: "medical",
+      note: "Fever",
+    });
+    expect((await getLeaves({ studentId: student._id })).map((l) => l._id)).toContain(leave._id);
+
+    const moved = await updateLeave(leave._id, { to: "2024-03-08" });
+    expect(moved).toMatchObject({ from: "2024-03-04", to: "2024-03-08", type: "medical" });
+
+    await deleteLeave(leave._id);
+    expect((await getLeaves()).map((l) => l._id)).not.toContain(leave._id);
+  });
+
+  it("rejects a leave that ends before it starts or has an unknown type", async () => {
+    const [student] = await getStudents();
+    await expect(createLeave({ studentId: student._id, from: "2024-03-06", to: "2024-03-04", type: "medical" })).rejects.toMatchObject({
+      response: { status: 400, data: { error: "Leave cannot end before it starts" } },
+    });
+    await expect(createLeave({ studentId: student._id, from: "2024-03-06", type: "holiday" })).rejects.toMatchObject({
+      response: { status: 400 },
+    });
+  });
+
+  it("counts absences on leave days as excused in the monthly summary", async () => {
+    const [cls] = await getClasses();
+    const absence = (await getClassAttendance(cls._id)).find((r) => !r.isPresent);
+    const { studentId } = absence;
+    const when = new Date(absence.date);
+    const day = `${when.getFullYear()}-${String(when.getMonth() + 1).padStart(2, "0")}-${String(when.getDate()).padStart(2, "0")}`;
+    const period = { month: when.getMonth() + 1, year: when.getFullYear() };
+    const excusedOf = async () =>
+      (await getMonthlyAttendanceSummary(cls._id, period)).summary.find((r) => r.studentId === studentId).excused;
+
+    const before = await excusedOf();
+    const absentThatDay = (await getAttendanceByDate(cls._id, { date: day })).filter(
+      (r) => r.studentId === studentId && !r.isPresent
+    ).length;
+    const leave = await createLeave({ studentId, from: day, type: "official" });
+
+    expect(await excusedOf()).toBe(before + absentThatDay);
+    await deleteLeave(leave._id);
+    expect(await excusedOf()).toBe(before);
+  });
+});
+
+describe("batchUpdateStudentsClient", () => {
+  let inFlight;
+  let maxInFlight;
+
+  beforeEach(() => {
+    inFlight = 0;
+    maxInFlight = 0;
+  });
+
+  // PUT /students/:id that takes a few ms; ids listed in `failing` get a 400
+  const slowServer = (failing = []) =>
+    stubServer(async (config) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((r) => setTimeout(r, 5));
+      inFlight -= 1;
+      const id = config.url.split("/").pop();
+      if (failing.includes(id)) return { status: 400, data: { error: `bad ${id}` } };
+      return { data: { data: { student: { _id: id } } } };
+    });
+
+  const ids = (n) => Array.from({ length: n }, (_, i) => `s${i + 1}`);
+
+  it("never runs more than `concurrency` requests at once", async () => {
+    slowServer();
+    const res = await batchUpdateStudentsClient(ids(12), { semester: 4 }, { concurrency: 3 });
+    expect(maxInFlight).toBe(3);
+    expect(res.success).toHaveLength(12);
+    expect(calls).toHaveLength(12);
+  });
+
+  it("works through a queue shorter than the worker count", async () => {
+    slowServer();
+    const res = await batchUpdateStudentsClient(ids(2), { semester: 4 }, { concurrency: 5 });
+    expect(maxInFlight).toBe(2);
+    expect(res.success.sort()).toEqual(["s1", "s2"]);
+  });
+
+  it("sends each id once, even when duplicated", async () => {
+    slowServer();
+    await batchUpdateStudentsClient(["s1", "s2", "s1", "s2"], { division: "B" });
+    expect(calls.map((c) => c.url).sort()).toEqual(["/students/s1", "/students/s2"]);
+  });
+
+  it("reports progress for every finished request", async () => {
+    slowServer(["s2"]);
+    const onProgress = vi.fn();
+    await batchUpdateStudentsClient(ids(4), { semester: 2 }, { concurrency: 2, onProgress });
+    expect(onProgress).toHaveBeenCalledTimes(4);
+    expect(onProgress.mock.calls.map(([p]) => p.done)).toEqual([1, 2, 3, 4]);
+    expect(onProgress).toHaveBeenLastCalledWith({ done: 4, total: 4 });
+  });
+
+  it("collects failures with the server error and keeps going", async () => {
+    slowServer(["s2", "s4"]);
+    const res = await batchUpdateStudentsClient(ids(5), { semester: 2 }, { concurrency: 2 });
+    expect(res.success.sort()).toEqual(["s1", "s3", "s5"]);
+    expect(res.failed).toEqual(
+      expect.arrayContaining([
+        { id: "s2", error: { error: "bad s2" } },
+        { id: "s4", error: { error: "bad s4" } },
+      ])
+    );
+  });
+
+  it("only sends semester (as a number) and division", async () => {
+    slowServer();
+    await batchUpdateStudentsClient(["s1"], { semester: "5", division: "C", name: "nope" });
+    expect(JSON.parse(calls[0].data)).toEqual({ semester: 5, division: "C" });
+  });
+
+  it("rejects updates with nothing allowed in them", async () => {
+    slowServer();
+    await expect(batchUpdateStudentsClient(["s1"], { name: "x", division: " " })).rejects.toThrow(
+      /Only 'semester' and 'division'/
+    );
+    expect(calls).toHaveLength(0);
+  });
+});
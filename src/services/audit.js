@@ -0,0 +1,346 @@
+// src/services/audit.js
+// Audit trail of everything the HOD changes. installAudit() hooks the axios
+// instance in api.js: every non-GET request is recorded with its entity,
+// action, the record(s) before and after, who did it and when, and whether
+// it succeeded. Entries live in localStorage, one log per HOD account
+// (newest first, capped), and are shown on /hod/audit.
+//
+// "Before" values of a single record are read from the server just before
+// the write goes out: the query cache cannot be trusted for this because
+// optimistic updates have already changed it. Bulk writes would need the
+// whole collection, so they use the records the caller passes as
+// `auditBefore` in the request config, else whatever the query cache still
+// holds, else no before state. Passwords, OTPs and tokens are never stored.
+//
+// Sync (optional): with VITE_AUDIT_SYNC_URL set, unsynced entries are POSTed
+// there as { entries } shortly after they are recorded.
+import { pickOne, toStudent, toProfessor, toClass, toLeave } from "./models";
+import { peekQuery } from "./queryCache";
+
+const STORAGE_KEY = "auditLog";
+const MAX_ENTRIES = 2000;
+const SYNC_DELAY_MS = 2000;
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} id
+ * @property {string} at            ISO timestamp
+ * @property {string} actor         HOD username ("" if unknown)
+ * @property {string} entity        "student" | "professor" | "class" | "attendance" | "leave" | "hod" | "session" | "other"
+ * @property {string} action        e.g. "create", "update", "delete", "assign students"
+ * @property {string[]} targetIds
+ * @property {string} label         display name of the target(s)
+ * @property {Object|Object[]|null} before
+ * @property {Object|Object[]|null} after
+ * @property {"success"|"failed"} status
+ * @property {string} [error]
+ * @property {string} method
+ * @property {string} url
+ * @property {boolean} synced
+ */
+
+// ---------------------------------------------------------------- storage
+
+let actor = "";
+let entries = null; // the current actor's log
+const listeners = new Set();
+
+// "auditLog:<username>"; entries made before anyone signs in go under "auditLog"
+const storageKey = (account) => (account ? `${STORAGE_KEY}:${account}` : STORAGE_KEY);
+
+const readStored = (account) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(account))) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeStored = (account, list) => {
+  try {
+    if (list.length) localStorage.setItem(storageKey(account), JSON.stringify(list));
+    else localStorage.removeItem(storageKey(account));
+  } catch {
+    // storage full: keep the in-memory log for this tab
+  }
+};
+
+/** @returns {AuditEntry[]} newest first, for the signed-in HOD */
+export const getAuditLog = () => {
+  if (!entries) entries = readStored(actor);
+  return entries;
+};
+
+const save = (next) => {
+  entries = next;
+  writeStored(actor, next);
+  listeners.forEach((fn) => fn());
+};
+
+export const subscribeAuditLog = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/** Drop the signed-in HOD's log (tests, or after a full export) */
+export const clearAuditLog = () => save([]);
+
+/** Who the following entries are attributed to, and whose log is shown (AuthContext sets it from the profile) */
+export const setAuditActor = (name) => {
+  if ((name || "") === actor) return;
+  actor = name || "";
+  entries = null;
+  listeners.forEach((fn) => fn());
+};
+
+// ---------------------------------------------------------------- what a request means
+
+const SECRET = /password|otp|token/i;
+
+const sanitize = (value) => {
+  if (typeof FormData !== "undefined" && value instanceof FormData) return null; // uploaded files are not kept
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([k]) => !SECRET.test(k))
+      .map(([k, v]) => [k, sanitize(v)])
+  );
+};
+
+// compact, comparable views of each entity (no populated members)
+const VIEWS = {
+  student: (x) => {
+    const s = toStudent(x);
+    return { _id: s._id, name: s.name, enrollmentNumber: s.enrollmentNumber, semester: s.semester, division: s.division };
+  },
+  professor: (x) => {
+    const p = toProfessor(x);
+    return { _id: p._id, name: p.name, username: p.username };
+  },
+  class: (x) => {
+    const c = toClass(x);
+    return { _id: c._id, classId: c.classId, className: c.className, division: c.division, studentIds: c.studentIds, professorIds: c.professorIds };
+  },
+  leave: (x) => {
+    const l = toLeave(x);
+    return { _id: l._id, studentId: l.studentId, studentName: l.studentName, type: l.type, from: l.from, to: l.to, note: l.note };
+  },
+};
+
+const COLLECTION = { student: "students", professor: "professors", class: "classes", leave: "leaves" };
+
+const ids = (list) => (Array.isArray(list) ? list.map(String) : []);
+
+/**
+ * [method, path pattern, entity, action, targetIds(match, body), lookup]
+ * lookup: how to read the "before" state — "one" (GET /collection/:id, for
+ * assignments the class itself) or "many" (the target ids among the records
+ * already on hand, see readBeforeMany). First match wins, so literal paths go first.
+ */
+const RULES = [
+  ["post", /^\/hods\/login$/, "session", "login", () => []],
+  ["post", /^\/hods\/register$/, "hod", "register", () => []],
+  ["post", /^\/hods\/verify-otp$/, "hod", "verify email", () => []],
+  ["post", /^\/hods\/resend-otp$/, "hod", "resend otp", () => []],
+  ["put", /^\/hods\/update$/, "hod", "update profile", () => []],
+  ["post", /^\/hods\/verify-update-otp$/, "hod", "confirm profile update", () => []],
+  ["post", /^\/hods\/delete-request$/, "hod", "request account deletion", () => []],
+  ["post", /^\/hods\/confirm-delete$/, "hod", "delete account", () => []],
+
+  ["post", /^\/professors\/bulk-upload$/, "professor", "import", () => []],
+  ["delete", /^\/professors\/bulk$/, "professor", "delete", (m, b) => ids(b?.professorIds), "many"],
+  ["post", /^\/professors$/, "professor", "create", () => []],
+  ["put", /^\/professors\/([^/]+)$/, "professor", "update", (m) => [m[1]], "one"],
+  ["delete", /^\/professors\/([^/]+)$/, "professor", "delete", (m) => [m[1]], "one"],
+
+  ["post", /^\/classes\/bulk-upload$/, "class", "import", () => []],
+  ["delete", /^\/classes\/bulk$/, "class", "delete", (m, b) => ids(b?.classIds), "many"],
+  ["post", /^\/classes$/, "class", "create", () => []],
+  ["post", /^\/classes\/([^/]+)\/students$/, "class", "assign students", (m) => [m[1]], "one"],
+  ["delete", /^\/classes\/([^/]+)\/students$/, "class", "remove students", (m) => [m[1]], "one"],
+  ["post", /^\/classes\/([^/]+)\/professors$/, "class", "assign professors", (m) => [m[1]], "one"],
+  ["delete", /^\/classes\/([^/]+)\/professors$/, "class", "remove professors", (m) => [m[1]], "one"],
+  ["put", /^\/classes\/([^/]+)$/, "class", "update", (m) => [m[1]], "one"],
+  ["delete", /^\/classes\/([^/]+)$/, "class", "delete", (m) => [m[1]], "one"],
+
+  ["post", /^\/attendance$/, "attendance", "mark", (m, b) => (b?.classId ? [String(b.classId)] : [])],
+  ["put", /^\/attendance\/bulk$/, "attendance", "correct", (m, b) => ids(b?.recordIds)],
+  ["put", /^\/attendance\/([^/]+)$/, "attendance", "correct", (m) => [m[1]]],
+
+  ["post", /^\/leaves$/, "leave", "create", () => []],
+  ["put", /^\/leaves\/([^/]+)$/, "leave", "update", (m) => [m[1]], "one"],
+  ["delete", /^\/leaves\/([^/]+)$/, "leave", "delete", (m) => [m[1]], "one"],
+
+  ["post", /^\/students\/bulk-upload$/, "student", "import", () => []],
+  ["delete", /^\/students$/, "student", "delete", (m, b) => ids(b?.studentIds), "many"],
+  ["post", /^\/students$/, "student", "create", () => []],
+  ["put", /^\/students\/([^/]+)$/, "student", "update", (m) => [m[1]], "one"],
+  ["delete", /^\/students\/([^/]+)$/, "student", "delete", (m) => [m[1]], "one"],
+];
+
+const parseBody = (data) => {
+  if (typeof data !== "string") return data;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+};
+
+/** Entity/action/targets for a request config; exported for tests */
+export const describeRequest = ({ method = "get", url = "", data }) => {
+  const path = url.split("?")[0];
+  const body = parseBody(data);
+  for (const [m, pattern, entity, action, targets, lookup] of RULES) {
+    const match = m === method && pattern.exec(path);
+    if (match) return { entity, action, targetIds: targets(match, body), lookup, body };
+  }
+  return { entity: "other", action: method, targetIds: [], lookup: null, body };
+};
+
+// bulk targets: the caller's records (config.auditBefore), else the cached collection
+const readBeforeMany = ({ entity, targetIds }, given) => {
+  const wanted = new Set(targetIds);
+  const known = given?.length ? given : peekQuery({ key: COLLECTION[entity] });
+  if (!Array.isArray(known)) return null;
+  const found = known.map(VIEWS[entity]).filter((x) => wanted.has(x._id));
+  return found.length ? found : null;
+};
+
+const readBefore = async (instance, info, given) => {
+  const { entity, targetIds, lookup } = info;
+  if (!lookup || !targetIds.length) return null;
+  if (lookup === "many") return readBeforeMany(info, given);
+  const res = await instance.get(`/${COLLECTION[entity]}/${targetIds[0]}`, { skipAudit: true });
+  return VIEWS[entity](pickOne(res.data, entity));
+};
+
+// after: the saved record when the server sends one back, else the request body; null for deletes
+const readAfter = ({ entity, action, body }, res) => {
+  if (action === "delete") return null;
+  const one = VIEWS[entity] && pickOne(res?.data, entity);
+  if (one?._id) return VIEWS[entity](one);
+  return body ?? null;
+};
+
+const labelOf = (entity, records) =>
+  records
+    .filter(Boolean)
+    .map((r) =>
+      entity === "class"
+        ? [r.className, r.division].filter(Boolean).join(" ")
+        : entity === "attendance"
+          ? r.date && `${r.date} · slot ${r.slotNumber}` // corrections only carry record ids
+          : entity === "leave"
+            ? r.studentName && `${r.studentName} · ${r.from}${r.to !== r.from ? ` to ${r.to}` : ""}`
+            : r.name || r.username
+    )
+    .filter(Boolean)
+    .join(", ");
+
+let seq = 0;
+
+const record = (config, { res, error }) => {
+  const info = config.audit;
+  if (info.recorded) return; // a replayed request (services/session) passes here twice
+  info.recorded = true;
+  const after = readAfter(info, res);
+  const named = info.before ? [info.before].flat() : [after]; // a rename is listed under the old name
+  const entry = {
+    id: `${Date.now()}-${++seq}`,
+    at: new Date().toISOString(),
+    actor: actor || (info.entity === "session" ? String(info.body?.username ?? "") : ""),
+    entity: info.entity,
+    action: info.action,
+    targetIds: info.targetIds.length ? info.targetIds : after?._id ? [after._id] : [],
+    label: labelOf(info.entity, named) || (info.entity === "session" ? String(info.body?.username ?? "") : ""),
+    before: info.before,
+    after,
+    status: error ? "failed" : "success",
+    ...(error ? { error: error.response?.data?.error || error.message || "Request failed" } : {}),
+    method: config.method.toUpperCase(),
+    url: config.url,
+    synced: false,
+  };
+  if (!actor && entry.actor) {
+    // signing in: the entry opens the log of the account it is for
+    writeStored(entry.actor, [entry, ...readStored(entry.actor)].slice(0, MAX_ENTRIES));
+  } else {
+    save([entry, ...getAuditLog()].slice(0, MAX_ENTRIES));
+  }
+  scheduleSync();
+};
+
+// ---------------------------------------------------------------- sync
+
+let syncInstance = null;
+let syncTimer = null;
+
+const syncUrl = () => import.meta.env.VITE_AUDIT_SYNC_URL || "";
+export const isAuditSyncEnabled = () => Boolean(syncUrl());
+
+const scheduleSync = () => {
+  if (!isAuditSyncEnabled() || syncTimer) return;
+  syncTimer = setTimeout(() => {
+    syncTimer = null;
+    syncAuditLog().catch((err) => console.warn("Audit sync failed; will retry with the next change", err));
+  }, SYNC_DELAY_MS);
+};
+
+/** Send unsynced entries to VITE_AUDIT_SYNC_URL. Resolves with how many were sent. */
+export const syncAuditLog = async () => {
+  if (!isAuditSyncEnabled() || !syncInstance) return 0;
+  const pending = getAuditLog().filter((e) => !e.synced);
+  if (!pending.length) return 0;
+  await syncInstance.post(syncUrl(), { entries: pending.map((e) => ({ ...e, synced: undefined })) }, { skipAudit: true });
+  const sent = new Set(pending.map((e) => e.id));
+  save(getAuditLog().map((e) => (sent.has(e.id) ? { ...e, synced: true } : e)));
+  return pending.length;
+};
+
+// ---------------------------------------------------------------- wiring
+
+/** Attach the audit interceptors to an axios instance (api.js does this once) */
+export function installAudit(instance) {
+  syncInstance = instance;
+
+  instance.interceptors.request.use(async (config) => {
+    if (config.skipAudit || !config.method || config.method === "get") return config;
+    const info = describeRequest(config);
+    let before = null;
+    try {
+      before = await readBefore(instance, info, config.auditBefore);
+    } catch {
+      // the target may already be gone; the write itself will say so
+    }
+    config.audit = { ...info, body: sanitize(info.body), before };
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (res) => {
+      if (res.config?.audit) record(res.config, { res });
+      return res;
+    },
+    (error) => {
+      if (error.config?.audit) record(error.config, { error });
+      return Promise.reject(error);
+    }
+  );
+}
+
+// ---------------------------------------------------------------- display helpers
+
+/**
+ * Field-level changes between before and after for single-record entries:
+ * [{ field, from, to }]. Lists (bulk deletes) and missing sides give [].
+ */
+export const auditChanges = ({ before, after }) => {
+  if (!before || !after || Array.isArray(before) || Array.isArray(after)) return [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  fields.delete("_id");
+  return [...fields]
+    .filter((f) => JSON.stringify(before[f]) !== JSON.stringify(after[f]))
+    .map((f) => ({ field: f, from: before[f], to: after[f] }));
+};
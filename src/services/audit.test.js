@@ -0,0 +1,139 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { auditChanges, describeRequest, getAuditLog, setAuditActor, syncAuditLog } from "./audit";
+import API, {
+  addStudent,
+  getStudents,
+  updateStudent,
+  deleteStudentsBulk,
+  assignStudentsToClass,
+  getClasses,
+  studentsQuery,
+} from "./api";
+import { fetchQuery } from "./queryCache";
+import { loginAsDemoHod } from "../test/mockServer";
+
+describe("describeRequest", () => {
+  it("maps routes to entity, action and targets", () => {
+    expect(describeRequest({ method: "put", url: "/students/s1" })).toMatchObject({
+      entity: "student",
+      action: "update",
+      targetIds: ["s1"],
+    });
+    expect(describeRequest({ method: "delete", url: "/classes/bulk", data: '{"classIds":["c1","c2"]}' })).toMatchObject({
+      entity: "class",
+      action: "delete",
+      targetIds: ["c1", "c2"],
+    });
+    expect(describeRequest({ method: "post", url: "/classes/c1/professors" })).toMatchObject({
+      entity: "class",
+      action: "assign professors",
+    });
+    expect(describeRequest({ method: "post", url: "/attendance", data: '{"classId":"c1","records":[]}' })).toMatchObject({
+      entity: "attendance",
+      action: "mark",
+      targetIds: ["c1"],
+    });
+    expect(describeRequest({ method: "put", url: "/attendance/bulk", data: '{"recordIds":["r1","r2"]}' })).toMatchObject({
+      entity: "attendance",
+      action: "correct",
+      targetIds: ["r1", "r2"],
+    });
+    expect(describeRequest({ method: "patch", url: "/somewhere" })).toMatchObject({ entity: "other", action: "patch" });
+  });
+});
+
+describe("audit trail", () => {
+  let seeded;
+
+  beforeEach(async () => {
+    await loginAsDemoHod();
+    setAuditActor("demo.hod");
+    seeded = await getStudents();
+  });
+
+  afterEach(() => {
+    setAuditActor(null);
+    vi.unstubAllEnvs();
+  });
+
+  it("records the login without the password", () => {
+    const [login] = getAuditLog();
+    expect(login).toMatchObject({ entity: "session", action: "login", status: "success", actor: "demo.hod" });
+    expect(JSON.stringify(login)).not.toMatch(/Demo@1234/);
+  });
+
+  it("records updates with before and after values", async () => {
+    const target = seeded[0];
+    await updateStudent(target._id, { division: "Q" });
+
+    const [entry] = getAuditLog();
+    expect(entry).toMatchObject({ entity: "student", action: "update", targetIds: [target._id], label: target.name });
+    expect(auditChanges(entry)).toEqual([{ field: "division", from: target.division, to: "Q" }]);
+    expect(entry.at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(getAuditLog().some((e) => e.method === "GET")).toBe(false);
+  });
+
+  it("records creates, bulk deletes and assignments", async () => {
+    const created = await addStudent({ name: "Audit Me", enrollmentNumber: "AUD001", semester: 2 });
+    await assignStudentsToClass((await getClasses())[0]._id, [created._id]);
+    await deleteStudentsBulk([seeded[0]._id, seeded[1]._id], { records: seeded.slice(0, 2) });
+
+    const [del, assign, create] = getAuditLog();
+    expect(create).toMatchObject({ action: "create", targetIds: [created._id], before: null });
+    expect(create.after).toMatchObject({ name: "Audit Me", enrollmentNumber: "AUD001" });
+    expect(assign.action).toBe("assign students");
+    expect(assign.before.studentIds).not.toContain(created._id);
+    expect(assign.after.studentIds).toContain(created._id);
+    expect(del).toMatchObject({ action: "delete", after: null });
+    expect(del.before.map((s) => s._id).sort()).toEqual([seeded[0]._id, seeded[1]._id].sort());
+  });
+
+  it("records failed requests with the server's error", async () => {
+    await expect(addStudent({ name: "Dup", enrollmentNumber: seeded[0].enrollmentNumber, semester: 1 })).rejects.toThrow();
+
+    const [entry] = getAuditLog();
+    expect(entry).toMatchObject({ status: "failed", error: "Student with this enrollment number already exists" });
+  });
+
+  it("syncs unsynced entries once when a sync URL is configured", async () => {
+    expect(await syncAuditLog()).toBe(0); // off by default
+
+    vi.stubEnv("VITE_AUDIT_SYNC_URL", "/audit/logs");
+    await updateStudent(seeded[0]._id, { semester: 5 });
+    const unsynced = getAuditLog().filter((e) => !e.synced).length;
+
+    await expect(syncAuditLog()).resolves.toBe(unsynced);
+    expect(getAuditLog().every((e) => e.synced)).toBe(true);
+    await expect(syncAuditLog()).resolves.toBe(0);
+    const res = await API.get("/audit/logs");
+    expect(res.data.entries).toHaveLength(unsynced);
+  });
+
+  it("takes a bulk delete's before state from the records on hand, never a full download", async () => {
+    const gets = [];
+    const spy = API.interceptors.request.use((config) => {
+      if (config.method === "get") gets.push(config.url);
+      return config;
+    });
+
+    await deleteStudentsBulk([seeded[0]._id]);
+    expect(getAuditLog()[0]).toMatchObject({ action: "delete", before: null });
+
+    await fetchQuery(studentsQuery);
+    gets.length = 0;
+    await deleteStudentsBulk([seeded[1]._id]);
+    expect(getAuditLog()[0].before).toEqual([expect.objectContaining({ _id: seeded[1]._id, name: seeded[1].name })]);
+    expect(gets).toEqual([]);
+    API.interceptors.request.eject(spy);
+  });
+
+  it("keeps a separate log per account", async () => {
+    await updateStudent(seeded[0]._id, { semester: 4 });
+    const mine = getAuditLog().length;
+
+    setAuditActor("other.hod");
+    expect(getAuditLog()).toEqual([]);
+    setAuditActor("demo.hod");
+    expect(getAuditLog()).toHaveLength(mine);
+  });
+});
@@ -0,0 +1,197 @@
+// src/services/deleteQueue.js
+// Soft-delete queue: a confirmed delete is held for UNDO_WINDOW_MS behind an
+// "Undo" toast and only then sent to the bulk delete endpoint. Pages remove
+// the rows straight away (see services/optimistic) and put them back if the
+// delete is undone or fails.
+//
+// When `records` are passed they are snapshotted for the recycle bin
+// (services/trash) just before sending, and kept there once the server
+// confirms the delete. The audit log takes them as the before state.
+//
+// Closing the tab: the browser asks before leaving while deletes are waiting,
+// and anything still queued is sent on the way out. Queued deletes are also
+// mirrored to localStorage (with the HOD's account id, never the token), so
+// one that never reached the server is sent with the current session the
+// next time the app starts for that account. Logging out cancels them.
+import { deleteStudentsBulk, deleteProfessorsBulk, deleteClassesBulk } from "./api";
+import { snapshotForTrash, addToTrash } from "./trash";
+import { decodeToken, getStoredToken } from "./session";
+
+export const UNDO_WINDOW_MS = 5000;
+const STORAGE_KEY = "pendingDeletes";
+
+const SENDERS = {
+  students: deleteStudentsBulk,
+  professors: deleteProfessorsBulk,
+  classes: deleteClassesBulk,
+};
+
+/**
+ * queue: id -> { id, kind, ids, records, account, dueAt, timer, sending, stored, resolve, reject }
+ * Entries leave the queue once sent (or undone).
+ */
+const queue = new Map();
+let seq = 0;
+
+const readStored = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeStored = (list) => {
+  try {
+    if (list.length) localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    else localStorage.removeItem(STORAGE_KEY);
+    return true;
+  } catch {
+    // storage unavailable: the in-memory queue still works for this tab
+    return false;
+  }
+};
+
+const store = ({ id, kind, ids, records, account, dueAt }) =>
+  writeStored([...readStored(), { id, kind, ids, records, account, dueAt }]);
+const unstore = (id) => writeStored(readStored().filter((e) => e.id !== id));
+
+/**
+ * Take a stored delete for this tab to send: false if it is no longer there,
+ * i.e. another tab has already taken (and sent) it.
+ */
+const claim = (id) => {
+  const stored = readStored();
+  if (!stored.some((e) => e.id === id)) return false;
+  writeStored(stored.filter((e) => e.id !== id));
+  return true;
+};
+
+// the signed-in HOD, from the session token's payload ("" when signed out)
+const currentAccount = () => {
+  const payload = decodeToken(getStoredToken());
+  return String(payload?.id ?? payload?._id ?? payload?.sub ?? "");
+};
+
+/** Rejection reason of a delete the user took back */
+export const isUndone = (err) => Boolean(err?.undone);
+
+const undoneError = () => Object.assign(new Error("Delete undone"), { undone: true });
+
+// snapshot (while memberships still exist), delete, then keep the snapshot
+const deleteAndTrash = async ({ kind, ids, records }) => {
+  const trashed = records?.length ? await snapshotForTrash(kind, records) : [];
+  const result = await SENDERS[kind](ids, { records });
+  addToTrash(trashed);
+  return result;
+};
+
+const send = async (entry) => {
+  clearTimeout(entry.timer);
+  entry.sending = true;
+  try {
+    // another tab restarting the app may have resumed it already
+    if (entry.stored && !readStored().some((e) => e.id === entry.id)) {
+      entry.resolve({});
+      return;
+    }
+    const result = await deleteAndTrash(entry);
+    entry.resolve(result);
+  } catch (err) {
+    entry.reject(err);
+  } finally {
+    queue.delete(entry.id);
+    unstore(entry.id);
+  }
+};
+
+/**
+ * Queue a delete of `ids` ("students" | "professors" | "classes").
+ * - records: the models being deleted, for the recycle bin
+ * Returns { promise, undo }:
+ * - promise resolves with the bulk endpoint's result once sent, or rejects
+ *   with its error; an undone delete rejects with an error `isUndone` spots
+ * - undo() cancels it; returns false if the request has already gone out
+ */
+export function queueDelete(kind, ids, { delay = UNDO_WINDOW_MS, records = [] } = {}) {
+  const entry = {
+    id: `${Date.now()}-${++seq}`,
+    kind,
+    ids: Array.from(new Set(ids.map(String))),
+    records,
+    account: currentAccount(),
+    dueAt: Date.now() + delay,
+    sending: false,
+  };
+  const promise = new Promise((resolve, reject) => {
+    entry.resolve = resolve;
+    entry.reject = reject;
+  });
+  entry.timer = setTimeout(() => send(entry), delay);
+  queue.set(entry.id, entry);
+  entry.stored = store(entry);
+
+  const undo = () => {
+    if (entry.sending || !queue.has(entry.id)) return false;
+    clearTimeout(entry.timer);
+    queue.delete(entry.id);
+    unstore(entry.id);
+    entry.reject(undoneError());
+    return true;
+  };
+  return { promise, undo };
+}
+
+/** Number of deletes still inside their undo window */
+export const pendingDeleteCount = () => [...queue.values()].filter((e) => !e.sending).length;
+
+/** Send every waiting delete now */
+export const flushPendingDeletes = () =>
+  Promise.allSettled([...queue.values()].filter((e) => !e.sending).map(send));
+
+/** Undo every waiting delete (logout, switching accounts) */
+export const cancelPendingDeletes = () => {
+  queue.forEach((entry) => {
+    if (entry.sending) return;
+    clearTimeout(entry.timer);
+    queue.delete(entry.id);
+    entry.reject(undoneError());
+  });
+  writeStored([]);
+};
+
+/**
+ * Send deletes a previous page load queued but never confirmed (tab closed
+ * mid-window or before the request finished), with the current session.
+ * Only the signed-in account's entries whose window is over are sent, so
+ * another open tab keeps its undo; each is claimed first, so two tabs
+ * starting together never send the same one twice. Entries of other
+ * accounts (or older ones that kept a token) are dropped.
+ */
+export const resumePendingDeletes = async () => {
+  const account = currentAccount();
+  const now = Date.now();
+  const stored = readStored();
+  writeStored(stored.filter((e) => account && e.account === account));
+
+  const mine = stored
+    .filter((e) => account && e.account === account && !queue.has(e.id) && e.dueAt <= now && SENDERS[e.kind])
+    .filter((e) => claim(e.id));
+  const results = await Promise.allSettled(mine.map(deleteAndTrash));
+  results.forEach((r, i) => {
+    if (r.status === "rejected") console.error(`Queued ${mine[i].kind} delete failed`, r.reason);
+  });
+  return mine.length;
+};
+
+if (typeof window !== "undefined") {
+  window.addEventListener("beforeunload", (e) => {
+    if (!pendingDeleteCount()) return;
+    e.preventDefault();
+    e.returnValue = ""; // older browsers need this to show the prompt
+  });
+  // leaving anyway: start the requests; localStorage covers any that get cut off
+  window.addEventListener("pagehide", () => {
+    flushPendingDeletes();
+  });
+}
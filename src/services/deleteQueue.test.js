@@ -0,0 +1,108 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  UNDO_WINDOW_MS,
+  cancelPendingDeletes,
+  isUndone,
+  pendingDeleteCount,
+  queueDelete,
+  resumePendingDeletes,
+} from "./deleteQueue";
+import API, { getStudents } from "./api";
+import { decodeToken } from "./session";
+import { loginAsDemoHod } from "../test/mockServer";
+
+describe("deleteQueue", () => {
+  let seeded;
+
+  beforeEach(async () => {
+    await loginAsDemoHod();
+    seeded = await getStudents();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("sends the bulk delete only once the undo window is over", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    const del = vi.spyOn(API, "delete");
+    const { promise } = queueDelete("students", [seeded[0]._id]);
+
+    expect(pendingDeleteCount()).toBe(1);
+    expect(JSON.parse(localStorage.getItem("pendingDeletes"))).toHaveLength(1);
+    vi.advanceTimersByTime(UNDO_WINDOW_MS - 1);
+    expect(del).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    await promise;
+    expect(del).toHaveBeenCalledWith("/students", expect.objectContaining({ data: { studentIds: [seeded[0]._id] } }));
+    expect(await getStudents()).toHaveLength(seeded.length - 1);
+    expect(localStorage.getItem("pendingDeletes")).toBeNull();
+  });
+
+  it("never sends an undone delete", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    const del = vi.spyOn(API, "delete");
+    const { promise, undo } = queueDelete("professors", ["p1"]);
+
+    expect(undo()).toBe(true);
+    await expect(promise).rejects.toSatisfy(isUndone);
+    vi.advanceTimersByTime(UNDO_WINDOW_MS);
+    expect(del).not.toHaveBeenCalled();
+    expect(undo()).toBe(false);
+    expect(localStorage.getItem("pendingDeletes")).toBeNull();
+  });
+
+  it("cancels everything still waiting", async () => {
+    const a = queueDelete("students", ["1"]);
+    const b = queueDelete("classes", ["2"]);
+    cancelPendingDeletes();
+
+    await expect(a.promise).rejects.toSatisfy(isUndone);
+    await expect(b.promise).rejects.toSatisfy(isUndone);
+    expect(pendingDeleteCount()).toBe(0);
+  });
+
+  it("resends deletes a closed tab left behind for the same account", async () => {
+    const account = decodeToken(localStorage.getItem("hodToken")).id;
+    const past = Date.now() - 1;
+    localStorage.setItem(
+      "pendingDeletes",
+      JSON.stringify([
+        { id: "old", kind: "students", ids: [seeded[0]._id], account, dueAt: past },
+        { id: "other", kind: "students", ids: [seeded[1]._id], account: "someone-else", dueAt: past },
+        { id: "waiting", kind: "students", ids: [seeded[2]._id], account, dueAt: Date.now() + 60_000 },
+      ])
+    );
+
+    await expect(resumePendingDeletes()).resolves.toBe(1);
+    const ids = (await getStudents()).map((s) => s._id);
+    expect(ids).not.toContain(seeded[0]._id);
+    expect(ids).toContain(seeded[1]._id);
+    expect(ids).toContain(seeded[2]._id); // another tab's undo window is still open
+    expect(JSON.parse(localStorage.getItem("pendingDeletes")).map((e) => e.id)).toEqual(["waiting"]);
+  });
+
+  it("stores the account, never the session token", () => {
+    const { promise } = queueDelete("students", [seeded[0]._id]);
+    promise.catch(() => {}); // cancelled below
+
+    const [stored] = JSON.parse(localStorage.getItem("pendingDeletes"));
+    expect(stored.account).toBe(decodeToken(localStorage.getItem("hodToken")).id);
+    expect(localStorage.getItem("pendingDeletes")).not.toContain(localStorage.getItem("hodToken"));
+    cancelPendingDeletes();
+  });
+
+  it("sends a left-behind delete once when two tabs resume together", async () => {
+    const del = vi.spyOn(API, "delete");
+    const account = decodeToken(localStorage.getItem("hodToken")).id;
+    localStorage.setItem(
+      "pendingDeletes",
+      JSON.stringify([{ id: "old", kind: "students", ids: [seeded[0]._id], account, dueAt: Date.now() - 1 }])
+    );
+
+    const sent = await Promise.all([resumePendingDeletes(), resumePendingDeletes()]);
+    expect(sent.sort()).toEqual([0, 1]);
+    expect(del).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,101 @@
+// src/services/mock/adapter.js
+// axios adapter that answers requests from the in-browser mock database
+// instead of the network. Loaded lazily by ./index.js only when mock mode is on.
+import { AxiosError } from "axios";
+import { getDb } from "./db";
+import { matchRoute } from "./routes";
+import { HttpError, readToken } from "./helpers";
+
+// a little latency so spinners and disabled states still show up
+const LATENCY_MS = import.meta.env.MODE === "test" ? 0 : 150;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const parseBody = (data) => {
+  if (typeof data !== "string") return data ?? {};
+  try {
+    return JSON.parse(data);
+  } catch {
+    return {};
+  }
+};
+
+const authHeader = (headers) =>
+  (typeof headers?.get === "function" ? headers.get("Authorization") : headers?.Authorization) || "";
+
+// HOD tokens carry the HOD's id, professor tokens the professor's (whose HOD
+// then scopes the data). Resolves { hod, professor } for the route's roles.
+const authenticate = (db, headers, roles) => {
+  const token = String(authHeader(headers)).replace(/^Bearer\s+/i, "");
+  const payload = token ? readToken(token) : null;
+  let hod = null;
+  let professor = null;
+  if (payload?.role === "hod") {
+    hod = db.hods.find((h) => h._id === payload.id) || null;
+  } else if (payload?.role === "professor") {
+    professor = db.professors.find((p) => p._id === payload.id) || null;
+    hod = professor ? db.hods.find((h) => h._id === professor.hod) || null : null;
+  }
+  if (!hod) throw new HttpError(401, "Not authorized, token failed");
+  if (!roles.includes(payload.role)) throw new HttpError(403, "Not allowed for your role");
+  return { hod, professor };
+};
+
+const settle = (config, status, data) => {
+  const response = {
+    data: JSON.parse(JSON.stringify(data)), // callers must not share objects with the db
+    status,
+    statusText: status < 400 ? "OK" : "Error",
+    headers: { "content-type": "application/json" },
+    config,
+    request: { mock: true },
+  };
+  const validate = config.validateStatus || ((s) => s >= 200 && s < 300);
+  if (validate(status)) return response;
+  throw new AxiosError(
+    data?.error || `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+};
+
+export default async function mockAdapter(config) {
+  if (LATENCY_MS) await sleep(LATENCY_MS);
+
+  const url = new URL(config.url || "/", "http://mock.local");
+  const method = String(config.method || "get").toUpperCase();
+  const query = {
+    ...Object.fromEntries(url.searchParams),
+    ...Object.fromEntries(
+      Object.entries(config.params || {}).filter(([, v]) => v != null).map(([k, v]) => [k, String(v)])
+    ),
+  };
+
+  const match = matchRoute(method, url.pathname);
+  if (!match) {
+    return settle(config, 404, { success: false, error: `Mock API: no route for ${method} ${url.pathname}` });
+  }
+
+  try {
+    const db = await getDb();
+    const { hod, professor } = match.auth ? authenticate(db, config.headers, match.roles) : {};
+    const { status, data } = await match.handler({
+      db,
+      hod: hod || null,
+      professor: professor || null,
+      params: match.params,
+      query,
+      body: parseBody(config.data),
+    });
+    return settle(config, status, data);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return settle(config, err.status, { success: false, error: err.message, message: err.message });
+    }
+    if (err instanceof AxiosError) throw err;
+    console.error("Mock API handler failed", err);
+    return settle(config, 500, { success: false, error: err?.message || "Mock API error" });
+  }
+}
@@ -0,0 +1,102 @@
+// src/services/mock/db.js
+// Storage for the mock API: every collection is one array kept in memory and
+// written back to IndexedDB after each mutation, so demo data survives reloads.
+// Falls back to memory only when IndexedDB is unavailable (tests, private mode).
+import { buildSeed } from "./seed";
+
+const DB_NAME = "attendance-mock-api";
+const STORE = "collections";
+export const COLLECTIONS = ["hods", "professors", "classes", "students", "attendance", "leaves", "otps", "auditLogs"];
+
+let state = null; // { hods: [], professors: [], ... }
+let loading = null;
+
+const hasIndexedDb = () => typeof indexedDB !== "undefined" && indexedDB !== null;
+
+const openDb = () =>
+  new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// Run one transaction against the collections store
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const readAll = async () => {
+  if (!hasIndexedDb()) return null;
+  const out = {};
+  await withStore("readonly", (store) => {
+    COLLECTIONS.forEach((name) => {
+      const req = store.get(name);
+      req.onsuccess = () => {
+        if (Array.isArray(req.result)) out[name] = req.result;
+      };
+    });
+  });
+  return Object.keys(out).length ? out : null;
+};
+
+const writeCollections = async (names) => {
+  if (!hasIndexedDb() || !state) return;
+  await withStore("readwrite", (store) => {
+    names.forEach((name) => store.put(state[name] || [], name));
+  });
+};
+
+/**
+ * The live collections. Loaded from IndexedDB on first use and seeded when empty.
+ */
+export const getDb = async () => {
+  if (state) return state;
+  if (!loading) {
+    loading = (async () => {
+      let stored = null;
+      try {
+        stored = await readAll();
+      } catch (err) {
+        console.warn("Mock API: IndexedDB unavailable, using memory only", err);
+      }
+      if (stored) {
+        state = Object.fromEntries(COLLECTIONS.map((n) => [n, stored[n] || []]));
+      } else {
+        state = buildSeed();
+        await writeCollections(COLLECTIONS).catch(() => {});
+      }
+      return state;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+};
+
+/** Persist the named collections after a mutation. */
+export const persist = async (...names) => {
+  try {
+    await writeCollections(names.length ? names : COLLECTIONS);
+  } catch (err) {
+    console.warn("Mock API: failed to persist", names, err);
+  }
+};
+
+/** Throw away all mock data and start again from the seed. */
+export const resetMockDb = async () => {
+  state = buildSeed();
+  await persist();
+  return state;
+};
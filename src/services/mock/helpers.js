@@ -0,0 +1,87 @@
+// src/services/mock/helpers.js
+// Small pieces shared by the mock seed and route handlers.
+
+let counter = Math.floor(Math.random() * 0xffffff);
+
+// 24-hex id shaped like a Mongo ObjectId, so pages see familiar _id values
+export const newId = () => {
+  counter = (counter + 1) % 0xffffff;
+  const time = Math.floor(Date.now() / 1000).toString(16).padStart(8, "0");
+  const rand = Math.floor(Math.random() * 0xffffffffff).toString(16).padStart(10, "0");
+  return `${time}${rand}${counter.toString(16).padStart(6, "0")}`;
+};
+
+// Local calendar day as YYYY-MM-DD
+export const dayKey = (d) => {
+  const x = new Date(d);
+  return `${x.getFullYear()}-${String(x.getMonth() + 1).padStart(2, "0")}-${String(x.getDate()).padStart(2, "0")}`;
+};
+
+export const MOCK_OTP = "123456";
+
+// Login of the seeded HOD (shown on the login page in mock mode)
+export const DEMO_HOD = {
+  username: "demo.hod",
+  password: "Demo@1234",
+  email: "hod@demo-college.edu",
+};
+export const DEFAULT_PROFESSOR_PASSWORD = "Temp@1234";
+
+// A seeded professor (shown on the professor portal login in mock mode)
+export const DEMO_PROFESSOR = {
+  username: "asha.mehta",
+  password: DEFAULT_PROFESSOR_PASSWORD,
+};
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const b64url = (str) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(str)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const fromB64url = (str) =>
+  new TextDecoder().decode(
+    Uint8Array.from(atob(str.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0))
+  );
+
+const TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+/**
+ * JWT-shaped token (unsigned) so anything decoding `exp`/`role` works the
+ * same against the mock as against the real server.
+ */
+export const signToken = (payload, ttl = TOKEN_TTL_SECONDS) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: "none", typ: "JWT" }));
+  const body = b64url(JSON.stringify({ ...payload, iat: now, exp: now + ttl }));
+  return `${header}.${body}.mock`;
+};
+
+export const readToken = (token) => {
+  try {
+    const payload = JSON.parse(fromB64url(String(token).split(".")[1] || ""));
+    if (!payload.exp || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+// Deterministic PRNG for the seed (same demo data on every reset)
+export const seededRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
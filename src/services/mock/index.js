@@ -0,0 +1,50 @@
+// src/services/mock/index.js
+// Switch for the in-browser mock API. Turned on by VITE_USE_MOCK_API=true,
+// or per browser with ?mock=1 / ?mock=0 (remembered in localStorage). The
+// per-browser switch only works in dev servers and builds made with
+// VITE_USE_MOCK_API, so a crafted ?mock=1 link cannot put users of a real
+// deployment on fake data.
+// The adapter, seed and routes are only downloaded when mock mode is on.
+
+import { clearQueryCache } from "../queryCache";
+
+const STORAGE_KEY = "useMockApi";
+
+/** Whether this build lets ?mock= and localStorage choose the backend */
+export const canSwitchMockApi = () => Boolean(import.meta.env.DEV) || import.meta.env.VITE_USE_MOCK_API === "true";
+
+export const isMockApiEnabled = () => {
+  if (!canSwitchMockApi()) return false;
+  try {
+    const fromUrl = new URLSearchParams(window.location.search).get("mock");
+    if (fromUrl === "1" || fromUrl === "0") localStorage.setItem(STORAGE_KEY, fromUrl);
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored === "1" || stored === "0") return stored === "1";
+  } catch {
+    // no window/localStorage: fall through to the build-time flag
+  }
+  return import.meta.env.VITE_USE_MOCK_API === "true";
+};
+
+// Tokens and cached data from one backend mean nothing to the other, so switching logs out
+export const setMockApiEnabled = (enabled) => {
+  if (!canSwitchMockApi()) return;
+  localStorage.setItem(STORAGE_KEY, enabled ? "1" : "0");
+  localStorage.removeItem("hodToken");
+  localStorage.removeItem("professorToken");
+  clearQueryCache();
+  window.location.assign(window.location.pathname);
+};
+
+export const mockAdapter = async (config) => {
+  const { default: adapter } = await import("./adapter");
+  return adapter(config);
+};
+
+export const resetMockData = async () => {
+  const { resetMockDb } = await import("./db");
+  await resetMockDb();
+  clearQueryCache();
+};
+
+export { DEMO_HOD, DEMO_PROFESSOR, MOCK_OTP } from "./helpers";
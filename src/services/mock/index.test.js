@@ -0,0 +1,28 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { isMockApiEnabled } from "./index";
+
+describe("isMockApiEnabled", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    window.history.replaceState(null, "", "/");
+  });
+
+  it("follows ?mock= in builds that allow switching", () => {
+    window.history.replaceState(null, "", "/?mock=0");
+    expect(isMockApiEnabled()).toBe(false);
+    window.history.replaceState(null, "", "/");
+    expect(isMockApiEnabled()).toBe(false); // remembered
+
+    window.history.replaceState(null, "", "/?mock=1");
+    expect(isMockApiEnabled()).toBe(true);
+  });
+
+  it("ignores ?mock= and a stored choice in a production build", () => {
+    vi.stubEnv("DEV", false);
+    vi.stubEnv("VITE_USE_MOCK_API", "false");
+    localStorage.setItem("useMockApi", "1");
+    window.history.replaceState(null, "", "/?mock=1");
+
+    expect(isMockApiEnabled()).toBe(false);
+  });
+});
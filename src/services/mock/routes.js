@@ -0,0 +1,1003 @@
+// src/services/mock/routes.js
+// Route table for the mock API. Each handler receives
+// { db, hod, professor, params, query, body } and returns { status, data };
+// response bodies follow the shapes the real server sends so pages need no
+// special cases. `professor` is set for professor-portal tokens, `hod` is
+// always the department the data belongs to.
+import {
+  newId,
+  dayKey,
+  HttpError,
+  signToken,
+  MOCK_OTP,
+  DEFAULT_PROFESSOR_PASSWORD,
+} from "./helpers";
+import { persist } from "./db";
+import { readSpreadsheet, resolveHeaders, applyMapping } from "../../utils/spreadsheet";
+import {
+  STUDENT_IMPORT_FIELDS,
+  PROFESSOR_IMPORT_FIELDS,
+  CLASS_IMPORT_FIELDS,
+} from "../../utils/importSchemas";
+
+const routes = [];
+
+/**
+ * Register a handler. `path` uses Express-style `:params`.
+ * Routes are matched in registration order, so literal paths come first.
+ * - auth: a valid token is required; roles: whose tokens are accepted
+ */
+const route = (method, path, handler, { auth = true, roles = ["hod"] } = {}) => {
+  const keys = [];
+  const pattern = path.replace(/:(\w+)/g, (_, k) => {
+    keys.push(k);
+    return "([^/]+)";
+  });
+  routes.push({ method, regex: new RegExp(`^${pattern}/?$`), keys, handler, auth, roles });
+};
+
+export const matchRoute = (method, pathname) => {
+  for (const r of routes) {
+    if (r.method !== method) continue;
+    const m = r.regex.exec(pathname);
+    if (m) {
+      const params = Object.fromEntries(r.keys.map((k, i) => [k, decodeURIComponent(m[i + 1])]));
+      return { ...r, params };
+    }
+  }
+  return null;
+};
+
+const reply = (data, status = 200) => ({ status, data: { success: true, ...data } });
+
+const required = (body, fields) => {
+  const missing = fields.filter((f) => String(body?.[f] ?? "").trim() === "");
+  if (missing.length) throw new HttpError(400, `Missing required field(s): ${missing.join(", ")}`);
+};
+
+const same = (a, b) => String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+
+const uniqueIds = (ids) => Array.from(new Set((ids || []).map(String)));
+
+// ---------------------------------------------------------------- views
+
+const omit = (obj, keys) => Object.fromEntries(Object.entries(obj).filter(([k]) => !keys.includes(k)));
+
+const publicHod = (hod) => omit(hod, ["password", "altPassword", "pendingUpdates"]);
+
+const studentView = (s) => ({ ...s });
+
+const professorView = (p) => ({ ...p });
+
+const classView = (db, c, populate) => {
+  if (!populate) return { ...c };
+  const students = c.students
+    .map((id) => db.students.find((s) => s._id === id))
+    .filter(Boolean)
+    .map(studentView);
+  const professors = c.professors
+    .map((id) => db.professors.find((p) => p._id === id))
+    .filter(Boolean)
+    .map((p) => omit(p, ["password"]));
+  return { ...c, students, professors };
+};
+
+// ---------------------------------------------------------------- lookups
+
+const ownedStudents = (db, hod) => db.students.filter((s) => s.hod === hod._id);
+const ownedProfessors = (db, hod) => db.professors.filter((p) => p.hod === hod._id);
+const ownedClasses = (db, hod) => db.classes.filter((c) => c.hod === hod._id);
+
+const findOwned = (list, hod, id, label) => {
+  const item = list.find((x) => x._id === id && x.hod === hod._id);
+  if (!item) throw new HttpError(404, `${label} not found`);
+  return item;
+};
+
+// ---------------------------------------------------------------- OTP
+
+const issueOtp = (db, email, purpose) => {
+  db.otps = db.otps.filter((o) => !(same(o.email, email) && o.purpose === purpose));
+  db.otps.push({ email, purpose, otp: MOCK_OTP, expiresAt: Date.now() + 10 * 60 * 1000 });
+};
+
+const consumeOtp = (db, email, purpose, otp) => {
+  const entry = db.otps.find((o) => same(o.email, email) && o.purpose === purpose);
+  if (!entry || entry.expiresAt < Date.now()) throw new HttpError(400, "OTP expired or not requested");
+  if (String(otp).trim() !== entry.otp) throw new HttpError(400, "Invalid OTP");
+  db.otps = db.otps.filter((o) => o !== entry);
+};
+
+const otpMessage = (email) => `OTP sent to ${email} (mock API: use ${MOCK_OTP})`;
+
+const hodToken = (hod) => signToken({ id: hod._id, role: "hod" });
+const professorToken = (professor) => signToken({ id: professor._id, role: "professor", hod: professor.hod });
+
+// ---------------------------------------------------------------- bulk upload
+
+const readUpload = async (body, fields) => {
+  const file = typeof body?.get === "function" ? body.get("file") : null;
+  if (!file) throw new HttpError(400, "No file uploaded");
+  const { headers, rows } = await readSpreadsheet(file);
+  return applyMapping(rows, resolveHeaders(headers, fields), fields);
+};
+
+const detail = (row, extra) => {
+  const { __row, ...data } = row;
+  return { row: __row, ...data, ...extra };
+};
+
+// ================================================================ HOD
+
+route(
+  "POST",
+  "/hods/register",
+  async ({ db, body }) => {
+    required(body, ["collegeName", "username", "password", "email"]);
+    if (db.hods.some((h) => same(h.username, body.username))) throw new HttpError(400, "Username already taken");
+    if (db.hods.some((h) => same(h.email, body.email) && h.isVerified)) {
+      throw new HttpError(400, "Email already registered");
+    }
+    db.hods = db.hods.filter((h) => !(same(h.email, body.email) && !h.isVerified));
+    db.hods.push({
+      _id: newId(),
+      collegeName: body.collegeName,
+      username: body.username,
+      password: body.password,
+      altPassword: body.altPassword || "",
+      email: body.email,
+      isVerified: false,
+      createdAt: new Date().toISOString(),
+    });
+    issueOtp(db, body.email, "register");
+    await persist("hods", "otps");
+    return reply({ message: `Registered successfully. ${otpMessage(body.email)}` }, 201);
+  },
+  { auth: false }
+);
+
+route(
+  "POST",
+  "/hods/verify-otp",
+  async ({ db, body }) => {
+    required(body, ["email", "otp"]);
+    const hod = db.hods.find((h) => same(h.email, body.email));
+    if (!hod) throw new HttpError(404, "HOD not found");
+    consumeOtp(db, body.email, "register", body.otp);
+    hod.isVerified = true;
+    await persist("hods", "otps");
+    return reply({ message: "🎉 OTP Verified! You’re logged in.", token: hodToken(hod), hod: publicHod(hod) });
+  },
+  { auth: false }
+);
+
+route(
+  "POST",
+  "/hods/resend-otp",
+  async ({ db, body }) => {
+    required(body, ["email"]);
+    const hod = db.hods.find((h) => same(h.email, body.email));
+    if (!hod) throw new HttpError(404, "HOD not found");
+    if (hod.isVerified) throw new HttpError(400, "Account already verified");
+    issueOtp(db, body.email, "register");
+    await persist("otps");
+    return reply({ message: otpMessage(body.email) });
+  },
+  { auth: false }
+);
+
+route(
+  "POST",
+  "/hods/login",
+  async ({ db, body }) => {
+    required(body, ["username", "password"]);
+    const hod = db.hods.find((h) => same(h.username, body.username) || same(h.email, body.username));
+    if (!hod || hod.password !== body.password) throw new HttpError(401, "Invalid username or password");
+    if (!hod.isVerified) throw new HttpError(403, "Please verify your email first");
+    return reply({ message: "🎉 Login successful!", token: hodToken(hod), hod: publicHod(hod) });
+  },
+  { auth: false }
+);
+
+route("GET", "/hods/profile", async ({ hod }) => reply({ hod: publicHod(hod) }));
+
+// a fresh token for a session that is still valid (expired tokens must log in again)
+route("POST", "/hods/refresh-token", async ({ hod }) => reply({ message: "Token refreshed", token: hodToken(hod) }));
+
+route("PUT", "/hods/update", async ({ db, hod, body }) => {
+  const direct = {};
+  const sensitive = {};
+  ["username", "collegeName"].forEach((k) => {
+    if (body?.[k] != null && body[k] !== "") direct[k] = body[k];
+  });
+  ["email", "password", "altPassword"].forEach((k) => {
+    if (body?.[k] != null && body[k] !== "") sensitive[k] = body[k];
+  });
+
+  if (Object.keys(direct).length && Object.keys(sensitive).length) {
+    throw new HttpError(400, "Cannot update normal and sensitive fields together");
+  }
+  if (direct.username && db.hods.some((h) => h !== hod && same(h.username, direct.username))) {
+    throw new HttpError(400, "Username already taken");
+  }
+  if (Object.keys(direct).length) {
+    Object.assign(hod, direct);
+    await persist("hods");
+    return reply({ message: "✅ Profile updated successfully.", hod: publicHod(hod) });
+  }
+  if (Object.keys(sensitive).length) {
+    hod.pendingUpdates = sensitive;
+    const email = sensitive.email || hod.email;
+    issueOtp(db, email, "update");
+    await persist("hods", "otps");
+    return reply({ message: otpMessage(email), email });
+  }
+  throw new HttpError(400, "No changes provided");
+});
+
+route("POST", "/hods/verify-update-otp", async ({ db, hod, body }) => {
+  required(body, ["otp"]);
+  if (!hod.pendingUpdates) throw new HttpError(400, "No pending update");
+  consumeOtp(db, hod.pendingUpdates.email || hod.email, "update", body.otp);
+  Object.assign(hod, hod.pendingUpdates);
+  delete hod.pendingUpdates;
+  await persist("hods", "otps");
+  return reply({ message: "✅ Update verified.", hod: publicHod(hod) });
+});
+
+route("POST", "/hods/delete-request", async ({ db, hod }) => {
+  issueOtp(db, hod.email, "delete");
+  await persist("otps");
+  return reply({ message: otpMessage(hod.email) });
+});
+
+route("POST", "/hods/confirm-delete", async ({ db, hod, body }) => {
+  required(body, ["otp"]);
+  consumeOtp(db, hod.email, "delete", body.otp);
+  db.hods = db.hods.filter((h) => h !== hod);
+  db.professors = db.professors.filter((p) => p.hod !== hod._id);
+  db.students = db.students.filter((s) => s.hod !== hod._id);
+  db.classes = db.classes.filter((c) => c.hod !== hod._id);
+  db.attendance = db.attendance.filter((a) => a.hod !== hod._id);
+  db.leaves = db.leaves.filter((l) => l.hod !== hod._id);
+  await persist();
+  return reply({ message: "Account deleted" });
+});
+
+// ================================================================ PROFESSOR PORTAL
+// Professors sign in to /professor/* with their own credentials and only see
+// the classes (and their students and attendance) the HOD assigned to them.
+
+const PROFESSOR = { roles: ["professor"] };
+
+const assignedClasses = (db, professor) =>
+  db.classes.filter((c) => c.hod === professor.hod && c.professors.includes(professor._id));
+
+route(
+  "POST",
+  "/professors/login",
+  async ({ db, body }) => {
+    required(body, ["username", "password"]);
+    const professor = db.professors.find((p) => same(p.username, body.username));
+    if (!professor || professor.password !== body.password) throw new HttpError(401, "Invalid username or password");
+    if (!db.hods.some((h) => h._id === professor.hod)) throw new HttpError(403, "Your department is no longer active");
+    return reply({
+      message: "🎉 Login successful!",
+      token: professorToken(professor),
+      professor: omit(professor, ["password"]),
+    });
+  },
+  { auth: false }
+);
+
+route("GET", "/professors/me", async ({ professor }) => reply({ professor: omit(professor, ["password"]) }), PROFESSOR);
+
+route(
+  "GET",
+  "/professors/me/classes",
+  async ({ db, professor }) => reply({ data: assignedClasses(db, professor).map((c) => classView(db, c, true)) }),
+  PROFESSOR
+);
+
+// ================================================================ PROFESSORS
+
+route("GET", "/professors", async ({ db, hod }) => reply({ professors: ownedProfessors(db, hod).map(professorView) }));
+
+route("POST", "/professors", async ({ db, hod, body }) => {
+  required(body, ["name", "username"]);
+  if (db.professors.some((p) => same(p.username, body.username))) {
+    throw new HttpError(400, "Username already exists");
+  }
+  const professor = {
+    _id: newId(),
+    name: String(body.name).trim(),
+    username: String(body.username).trim(),
+    password: body.password || DEFAULT_PROFESSOR_PASSWORD,
+    hod: hod._id,
+    createdAt: new Date().toISOString(),
+  };
+  db.professors.push(professor);
+  await persist("professors");
+  return reply({ message: "Professor added", professor: professorView(professor) }, 201);
+});
+
+route("DELETE", "/professors/bulk", async ({ db, hod, body }) => {
+  const ids = new Set(uniqueIds(body?.professorIds));
+  if (!ids.size) throw new HttpError(400, "professorIds must be a non-empty array");
+  const before = db.professors.length;
+  db.professors = db.professors.filter((p) => !(ids.has(p._id) && p.hod === hod._id));
+  ownedClasses(db, hod).forEach((c) => {
+    c.professors = c.professors.filter((id) => !ids.has(id));
+  });
+  await persist("professors", "classes");
+  return reply({
+    message: "Professors deleted",
+    data: { totalRequested: ids.size, totalDeleted: before - db.professors.length },
+  });
+});
+
+route("POST", "/professors/bulk-upload", async ({ db, hod, body }) => {
+  const rows = await readUpload(body, PROFESSOR_IMPORT_FIELDS);
+  const insertedDetails = [];
+  const skippedDetails = [];
+  const errors = [];
+  rows.forEach((row) => {
+    if (!row.name || !row.username) {
+      errors.push(detail(row, { reason: "Name and username are required" }));
+    } else if (db.professors.some((p) => same(p.username, row.username))) {
+      skippedDetails.push(detail(row, { reason: "Username already exists" }));
+    } else {
+      const professor = {
+        _id: newId(),
+        name: row.name,
+        username: row.username,
+        password: row.password || DEFAULT_PROFESSOR_PASSWORD,
+        hod: hod._id,
+        createdAt: new Date().toISOString(),
+      };
+      db.professors.push(professor);
+      insertedDetails.push(detail(row, { _id: professor._id }));
+    }
+  });
+  await persist("professors");
+  return reply({
+    message: "Bulk upload completed",
+    data: {
+      totalProcessed: rows.length,
+      inserted: insertedDetails.length,
+      skipped: skippedDetails.length,
+      insertedDetails,
+      skippedDetails,
+      errors,
+    },
+  });
+});
+
+route("GET", "/professors/:id", async ({ db, hod, params }) =>
+  reply({ professor: professorView(findOwned(db.professors, hod, params.id, "Professor")) })
+);
+
+route("PUT", "/professors/:id", async ({ db, hod, params, body }) => {
+  const professor = findOwned(db.professors, hod, params.id, "Professor");
+  if (body?.username && db.professors.some((p) => p !== professor && same(p.username, body.username))) {
+    throw new HttpError(400, "Username already exists");
+  }
+  ["name", "username", "password"].forEach((k) => {
+    if (body?.[k] != null && String(body[k]).trim() !== "") professor[k] = String(body[k]).trim();
+  });
+  await persist("professors");
+  return reply({ message: "Professor updated", professor: professorView(professor) });
+});
+
+route("DELETE", "/professors/:id", async ({ db, hod, params }) => {
+  const professor = findOwned(db.professors, hod, params.id, "Professor");
+  db.professors = db.professors.filter((p) => p !== professor);
+  ownedClasses(db, hod).forEach((c) => {
+    c.professors = c.professors.filter((id) => id !== professor._id);
+  });
+  await persist("professors", "classes");
+  return reply({ message: "Professor deleted" });
+});
+
+// ================================================================ CLASSES
+
+const nextClassId = (db) => {
+  const max = db.classes.reduce((m, c) => Math.max(m, Number(String(c.classId).replace(/\D/g, "")) || 0), 100);
+  return `CLS-${max + 1}`;
+};
+
+const createClassRecord = (db, hod, className, division) => {
+  const cls = {
+    _id: newId(),
+    classId: nextClassId(db),
+    className: String(className).trim(),
+    division: String(division).trim(),
+    students: [],
+    professors: [],
+    hod: hod._id,
+    createdAt: new Date().toISOString(),
+  };
+  db.classes.push(cls);
+  return cls;
+};
+
+const classExists = (db, hod, className, division, except) =>
+  ownedClasses(db, hod).some(
+    (c) => c !== except && same(c.className, className) && same(c.division, division)
+  );
+
+route("GET", "/classes", async ({ db, hod, query }) =>
+  reply({ data: ownedClasses(db, hod).map((c) => classView(db, c, query.populate === "true")) })
+);
+
+route("POST", "/classes", async ({ db, hod, body }) => {
+  required(body, ["className", "division"]);
+  if (classExists(db, hod, body.className, body.division)) {
+    throw new HttpError(400, "Class with this name and division already exists");
+  }
+  const cls = createClassRecord(db, hod, body.className, body.division);
+  await persist("classes");
+  return reply({ message: "Class created", class: classView(db, cls, false) }, 201);
+});
+
+route("DELETE", "/classes/bulk", async ({ db, hod, body }) => {
+  const ids = new Set(uniqueIds(body?.classIds));
+  if (!ids.size) throw new HttpError(400, "classIds must be a non-empty array");
+  const before = db.classes.length;
+  db.classes = db.classes.filter((c) => !(ids.has(c._id) && c.hod === hod._id));
+  db.attendance = db.attendance.filter((a) => !ids.has(a.classId));
+  await persist("classes", "attendance");
+  return reply({
+    message: "Classes deleted",
+    data: { totalRequested: ids.size, totalDeleted: before - db.classes.length },
+  });
+});
+
+route("POST", "/classes/bulk-upload", async ({ db, hod, body }) => {
+  const rows = await readUpload(body, CLASS_IMPORT_FIELDS);
+  const insertedDetails = [];
+  const skippedDetails = [];
+  const errors = [];
+  rows.forEach((row) => {
+    if (!row.className || !row.division) {
+      errors.push(detail(row, { reason: "Class name and division are required" }));
+    } else if (classExists(db, hod, row.className, row.division)) {
+      skippedDetails.push(detail(row, { reason: "Class already exists" }));
+    } else {
+      const cls = createClassRecord(db, hod, row.className, row.division);
+      insertedDetails.push(detail(row, { _id: cls._id, classId: cls.classId }));
+    }
+  });
+  await persist("classes");
+  return reply({
+    message: "Bulk upload completed",
+    totalUploaded: insertedDetails.length,
+    totalSkipped: skippedDetails.length,
+    insertedDetails,
+    skippedDetails,
+    errors,
+  });
+});
+
+route("GET", "/classes/:id", async ({ db, hod, params }) =>
+  reply({ class: classView(db, findOwned(db.classes, hod, params.id, "Class"), true) })
+);
+
+route("PUT", "/classes/:id", async ({ db, hod, params, body }) => {
+  const cls = findOwned(db.classes, hod, params.id, "Class");
+  const className = body?.className ?? cls.className;
+  const division = body?.division ?? cls.division;
+  if (classExists(db, hod, className, division, cls)) {
+    throw new HttpError(400, "Class with this name and division already exists");
+  }
+  cls.className = String(className).trim();
+  cls.division = String(division).trim();
+  await persist("classes");
+  return reply({ message: "Class updated", class: classView(db, cls, false) });
+});
+
+route("DELETE", "/classes/:id", async ({ db, hod, params }) => {
+  const cls = findOwned(db.classes, hod, params.id, "Class");
+  db.classes = db.classes.filter((c) => c !== cls);
+  db.attendance = db.attendance.filter((a) => a.classId !== cls._id);
+  await persist("classes", "attendance");
+  return reply({ message: "Class deleted" });
+});
+
+// assignment endpoints: POST adds, DELETE removes ids from class.students / class.professors
+const assignment = (field, label, source) => {
+  const bodyKey = `${field.slice(0, -1)}Ids`; // studentIds | professorIds
+
+  route("POST", `/classes/:id/${field}`, async ({ db, hod, params, body }) => {
+    const cls = findOwned(db.classes, hod, params.id, "Class");
+    const ids = uniqueIds(body?.[bodyKey]);
+    if (!ids.length) throw new HttpError(400, `${bodyKey} must be a non-empty array`);
+    const owned = new Set(source(db, hod).map((x) => x._id));
+    const unknown = ids.filter((id) => !owned.has(id));
+    if (unknown.length) throw new HttpError(400, `Unknown ${label}(s): ${unknown.join(", ")}`);
+    cls[field] = Array.from(new Set([...cls[field], ...ids]));
+    await persist("classes");
+    return reply({ message: `${label}s assigned`, class: classView(db, cls, true) });
+  });
+
+  route("DELETE", `/classes/:id/${field}`, async ({ db, hod, params, body }) => {
+    const cls = findOwned(db.classes, hod, params.id, "Class");
+    const ids = new Set(uniqueIds(body?.[bodyKey]));
+    if (!ids.size) throw new HttpError(400, `${bodyKey} must be a non-empty array`);
+    cls[field] = cls[field].filter((id) => !ids.has(id));
+    await persist("classes");
+    return reply({ message: `${label}s removed`, class: classView(db, cls, true) });
+  });
+};
+
+assignment("students", "Student", ownedStudents);
+assignment("professors", "Professor", ownedProfessors);
+
+// ================================================================ STUDENTS
+
+const studentIssue = (db, hod, s, except) => {
+  const sem = Number(s.semester);
+  if (!Number.isInteger(sem) || sem < 1 || sem > 8) return "Semester must be between 1 and 8";
+  if (ownedStudents(db, hod).some((x) => x !== except && same(x.enrollmentNumber, s.enrollmentNumber))) {
+    return "Student with this enrollment number already exists";
+  }
+  return null;
+};
+
+const createStudentRecord = (db, hod, s) => {
+  const student = {
+    _id: newId(),
+    name: String(s.name).trim(),
+    enrollmentNumber: String(s.enrollmentNumber).trim(),
+    semester: Number(s.semester),
+    division: String(s.division ?? "").trim(),
+    hod: hod._id,
+    createdAt: new Date().toISOString(),
+  };
+  db.students.push(student);
+  return student;
+};
+
+const removeStudents = (db, hod, ids) => {
+  const before = db.students.length;
+  db.students = db.students.filter((s) => !(ids.has(s._id) && s.hod === hod._id));
+  ownedClasses(db, hod).forEach((c) => {
+    c.students = c.students.filter((id) => !ids.has(id));
+  });
+  return before - db.students.length;
+};
+
+const STUDENT_SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  enrollmentNumber: (a, b) => String(a.enrollmentNumber).localeCompare(String(b.enrollmentNumber)),
+  semester: (a, b) => Number(a.semester || 0) - Number(b.semester || 0),
+};
+
+// Filters: search (name or enrollment), name, enrollmentNumber, startsWith,
+// semester, division. Sorting: sortBy + sortOrder. With page and/or limit the
+// reply is one page plus { pagination, facets } instead of the whole list.
+route("GET", "/students", async ({ db, hod, query }) => {
+  const has = (field, value) => String(field ?? "").toLowerCase().includes(String(value).trim().toLowerCase());
+  const search = String(query.search ?? "").trim();
+  const startsWith = String(query.startsWith ?? "").trim().toLowerCase();
+  const owned = ownedStudents(db, hod);
+  const list = owned.filter(
+    (s) =>
+      (!query.semester || String(s.semester) === String(query.semester)) &&
+      (!query.division || same(s.division, query.division)) &&
+      (!search || has(s.name, search) || has(s.enrollmentNumber, search)) &&
+      (!query.name || has(s.name, query.name)) &&
+      (!query.enrollmentNumber || has(s.enrollmentNumber, query.enrollmentNumber)) &&
+      (!startsWith ||
+        (startsWith === "0-9"
+          ? /^\d/.test(s.name || s.enrollmentNumber)
+          : [s.name, String(s.enrollmentNumber)].some((v) => v.toLowerCase().startsWith(startsWith))))
+  );
+  const compare = STUDENT_SORTS[query.sortBy];
+  if (compare) {
+    const dir = query.sortOrder === "desc" ? -1 : 1;
+    list.sort((a, b) => dir * compare(a, b));
+  }
+  if (query.page == null && query.limit == null) return reply({ data: list.map(studentView) });
+
+  const limit = Math.min(Math.max(Number(query.limit) || 50, 1), 500);
+  const totalPages = Math.max(Math.ceil(list.length / limit), 1);
+  const page = Math.min(Math.max(Number(query.page) || 1, 1), totalPages);
+  const distinct = (values) => [...new Set(values.filter((v) => v !== "" && v != null))].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return reply({
+    data: list.slice((page - 1) * limit, page * limit).map(studentView),
+    pagination: { total: list.length, page, limit, totalPages },
+    facets: { semesters: distinct(owned.map((s) => s.semester)), divisions: distinct(owned.map((s) => s.division)) },
+  });
+});
+
+route("POST", "/students", async ({ db, hod, body }) => {
+  required(body, ["name", "enrollmentNumber", "semester"]);
+  const issue = studentIssue(db, hod, body);
+  if (issue) throw new HttpError(400, issue);
+  const student = createStudentRecord(db, hod, body);
+  await persist("students");
+  return reply({ message: "Student added", data: { student: studentView(student) } }, 201);
+});
+
+route("DELETE", "/students", async ({ db, hod, body }) => {
+  const ids = new Set(uniqueIds(body?.studentIds));
+  if (!ids.size) throw new HttpError(400, "studentIds must be a non-empty array");
+  const totalDeleted = removeStudents(db, hod, ids);
+  await persist("students", "classes");
+  return reply({ message: "Students deleted", data: { totalRequested: ids.size, totalDeleted } });
+});
+
+route("POST", "/students/bulk-upload", async ({ db, hod, body }) => {
+  const rows = await readUpload(body, STUDENT_IMPORT_FIELDS);
+  const insertedDetails = [];
+  const skippedDetails = [];
+  const errors = [];
+  rows.forEach((row) => {
+    if (!row.name || !row.enrollmentNumber || !row.semester) {
+      errors.push(detail(row, { reason: "Name, enrollment number and semester are required" }));
+      return;
+    }
+    const issue = studentIssue(db, hod, row);
+    if (issue && issue.includes("already exists")) {
+      skippedDetails.push(detail(row, { reason: issue }));
+    } else if (issue) {
+      errors.push(detail(row, { reason: issue }));
+    } else {
+      const student = createStudentRecord(db, hod, row);
+      insertedDetails.push(detail(row, { _id: student._id }));
+    }
+  });
+  await persist("students");
+  return reply({
+    message: "Bulk upload completed",
+    totalUploaded: insertedDetails.length,
+    totalSkipped: skippedDetails.length,
+    insertedDetails,
+    skippedDetails,
+    errors,
+  });
+});
+
+route("GET", "/students/:id", async ({ db, hod, params }) =>
+  reply({ data: { student: studentView(findOwned(db.students, hod, params.id, "Student")) } })
+);
+
+route("PUT", "/students/:id", async ({ db, hod, params, body }) => {
+  const student = findOwned(db.students, hod, params.id, "Student");
+  const next = { ...student, ...body };
+  const issue = studentIssue(db, hod, next, student);
+  if (issue) throw new HttpError(400, issue);
+  ["name", "enrollmentNumber", "division"].forEach((k) => {
+    if (body?.[k] != null) student[k] = String(body[k]).trim();
+  });
+  if (body?.semester != null && body.semester !== "") student.semester = Number(body.semester);
+  // keep denormalised names on attendance in step
+  db.attendance.forEach((a) => {
+    if (a.studentId === student._id) {
+      a.studentName = student.name;
+      a.enrollmentNumber = student.enrollmentNumber;
+    }
+  });
+  await persist("students", "attendance");
+  return reply({ message: "Student updated", data: { student: studentView(student) } });
+});
+
+route("DELETE", "/students/:id", async ({ db, hod, params }) => {
+  const student = findOwned(db.students, hod, params.id, "Student");
+  removeStudents(db, hod, new Set([student._id]));
+  await persist("students", "classes");
+  return reply({ message: "Student deleted" });
+});
+
+// ================================================================ ATTENDANCE
+
+// ?date=YYYY-MM-DD | ?dateMs, plus ?slotNumber
+const matchesDay = (query) => {
+  const day = query.date ? String(query.date).slice(0, 10) : query.dateMs ? dayKey(Number(query.dateMs)) : null;
+  const slot = query.slotNumber != null && query.slotNumber !== "" ? Number(query.slotNumber) : null;
+  return (a) => (!day || a.date === day) && (slot == null || a.slotNumber === slot);
+};
+
+const byDateSlot = (a, b) =>
+  a.date.localeCompare(b.date) ||
+  a.slotNumber - b.slotNumber ||
+  String(a.enrollmentNumber).localeCompare(String(b.enrollmentNumber));
+
+const records = (list) => reply({ data: { records: list.slice().sort(byDateSlot) } });
+
+// (studentId, "YYYY-MM-DD") -> the HOD's leave covering that day, if any
+const leaveLookup = (db, hod) => {
+  const byStudent = new Map();
+  db.leaves
+    .filter((l) => l.hod === hod._id)
+    .forEach((l) => byStudent.set(l.studentId, [...(byStudent.get(l.studentId) || []), l]));
+  return (studentId, date) => (byStudent.get(studentId) || []).find((l) => l.from <= date && date <= l.to) || null;
+};
+
+// HODs reach every class of theirs; professors only the ones assigned to them
+const HODS_AND_PROFESSORS = { roles: ["hod", "professor"] };
+
+const findClassFor = (db, { hod, professor }, id) => {
+  const cls = findOwned(db.classes, hod, id, "Class");
+  if (professor && !cls.professors.includes(professor._id)) {
+    throw new HttpError(403, "You are not assigned to this class");
+  }
+  return cls;
+};
+
+route(
+  "GET",
+  "/attendance/class/:classId",
+  async ({ db, hod, professor, params, query }) => {
+    findClassFor(db, { hod, professor }, params.classId);
+    return records(db.attendance.filter((a) => a.classId === params.classId).filter(matchesDay(query)));
+  },
+  HODS_AND_PROFESSORS
+);
+
+route("GET", "/attendance/summary/:classId", async ({ db, hod, professor, params, query }) => {
+  const cls = findClassFor(db, { hod, professor }, params.classId);
+  const month = Number(query.month);
+  const year = Number(query.year);
+  if (!(month >= 1 && month <= 12) || !year) throw new HttpError(400, "month (1-12) and year are required");
+  const prefix = `${year}-${String(month).padStart(2, "0")}`;
+
+  const onLeave = leaveLookup(db, hod);
+  const rows = new Map();
+  db.attendance
+    .filter((a) => a.classId === cls._id && a.date.startsWith(prefix))
+    .forEach((a) => {
+      const row =
+        rows.get(a.studentId) ||
+        rows
+          .set(a.studentId, {
+            studentId: a.studentId,
+            name: a.studentName,
+            enrollmentNumber: a.enrollmentNumber,
+            totalClasses: 0,
+            presents: 0,
+            absents: 0,
+            excused: 0,
+          })
+          .get(a.studentId);
+      row.totalClasses += 1;
+      if (a.isPresent) row.presents += 1;
+      else {
+        row.absents += 1;
+        if (onLeave(a.studentId, a.date)) row.excused += 1;
+      }
+    });
+
+  const summary = Array.from(rows.values())
+    .map((r) => ({ ...r, percentage: Number(((r.presents / r.totalClasses) * 100).toFixed(2)) }))
+    .sort((a, b) => String(a.enrollmentNumber).localeCompare(String(b.enrollmentNumber)));
+
+  return reply({ data: { month, year, classId: cls._id, summary } });
+}, HODS_AND_PROFESSORS);
+
+route(
+  "GET",
+  "/attendance/student/:studentId",
+  async ({ db, hod, professor, params, query }) => {
+    findOwned(db.students, hod, params.studentId, "Student");
+    // a professor sees the student's record in their own classes only
+    const readable = professor ? new Set(assignedClasses(db, professor).map((c) => c._id)) : null;
+    if (readable && !db.classes.some((c) => readable.has(c._id) && c.students.includes(params.studentId))) {
+      throw new HttpError(403, "This student is not in any of your classes");
+    }
+    return records(
+      db.attendance
+        .filter((a) => a.studentId === params.studentId)
+        .filter((a) => !readable || readable.has(a.classId))
+        .filter((a) => !query.classId || a.classId === query.classId)
+        .filter(matchesDay(query))
+    );
+  },
+  HODS_AND_PROFESSORS
+);
+
+route(
+  "GET",
+  "/attendance/:classId",
+  async ({ db, hod, professor, params, query }) => {
+    findClassFor(db, { hod, professor }, params.classId);
+    if (!query.date && !query.dateMs) throw new HttpError(400, "date or dateMs is required");
+    return records(db.attendance.filter((a) => a.classId === params.classId).filter(matchesDay(query)));
+  },
+  HODS_AND_PROFESSORS
+);
+
+// Every change to a record's status after it was marked is kept on the record
+// itself, oldest first: { at, by, from, to, reason }.
+const changeStatus = (record, isPresent, { by, reason }) => {
+  const at = new Date().toISOString();
+  record.corrections = [...(record.corrections || []), { at, by, from: record.isPresent, to: isPresent, reason }];
+  record.isPresent = isPresent;
+  record.updatedAt = at;
+};
+
+// Record one lecture (class + day + slot). Replacing a lecture that already
+// has records needs `overwrite: true`, so two people marking the same lecture
+// do not silently undo each other.
+route(
+  "POST",
+  "/attendance",
+  async ({ db, hod, professor, body }) => {
+    required(body, ["classId", "slotNumber"]);
+    const cls = findClassFor(db, { hod, professor }, String(body.classId));
+    const date = body.date ? String(body.date).slice(0, 10) : body.dateMs ? dayKey(Number(body.dateMs)) : "";
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new HttpError(400, "date (YYYY-MM-DD) or dateMs is required");
+    if (date > dayKey(new Date())) throw new HttpError(400, "Cannot mark attendance for a future date");
+    const slotNumber = Number(body.slotNumber);
+    if (!Number.isInteger(slotNumber) || slotNumber < 1) throw new HttpError(400, "slotNumber must be a positive number");
+    const marks = Array.isArray(body.records) ? body.records : [];
+    if (!marks.length) throw new HttpError(400, "records must be a non-empty array");
+    const strangers = marks.filter((m) => !cls.students.includes(String(m?.studentId)));
+    if (strangers.length) throw new HttpError(400, `${strangers.length} student(s) are not assigned to this class`);
+
+    const lecture = db.attendance.filter((a) => a.classId === cls._id && a.date === date && a.slotNumber === slotNumber);
+    if (lecture.length && !body.overwrite) {
+      throw new HttpError(409, "Attendance for this lecture is already recorded");
+    }
+
+    const [y, m, d] = date.split("-").map(Number);
+    const dateMs = new Date(y, m - 1, d).getTime();
+    const markedBy = professor ? professor.name : hod.username;
+    let inserted = 0;
+    let updated = 0;
+    marks.forEach(({ studentId, isPresent }) => {
+      const existing = lecture.find((a) => a.studentId === String(studentId));
+      if (existing) {
+        if (existing.isPresent !== Boolean(isPresent)) {
+          changeStatus(existing, Boolean(isPresent), { by: markedBy, reason: "Lecture re-recorded" });
+        }
+        Object.assign(existing, { markedBy, markedByName: markedBy, updatedAt: new Date().toISOString() });
+        updated += 1;
+        return;
+      }
+      const student = db.students.find((s) => s._id === String(studentId));
+      db.attendance.push({
+        _id: newId(),
+        classId: cls._id,
+        studentId: student._id,
+        studentName: student.name,
+        enrollmentNumber: student.enrollmentNumber,
+        date,
+        dateMs,
+        slotNumber,
+        isPresent: Boolean(isPresent),
+        markedBy,
+        markedByName: markedBy,
+        professorId: professor?._id ?? null,
+        hod: hod._id,
+      });
+      inserted += 1;
+    });
+    await persist("attendance");
+    return reply({ message: "Attendance saved", data: { inserted, updated } }, inserted ? 201 : 200);
+  },
+  HODS_AND_PROFESSORS
+);
+
+// Corrections (HOD only): flip isPresent on existing records. A reason is
+// required and lands in the record's history.
+const correctionFrom = (body) => {
+  if (typeof body?.isPresent !== "boolean") throw new HttpError(400, "isPresent must be true or false");
+  const reason = String(body?.reason ?? "").trim();
+  if (!reason) throw new HttpError(400, "A reason is required to correct attendance");
+  if (reason.length > 500) throw new HttpError(400, "Reason must be at most 500 characters");
+  return { isPresent: body.isPresent, reason };
+};
+
+// { recordIds, isPresent, reason } -> records already in that state are left alone
+route("PUT", "/attendance/bulk", async ({ db, hod, body }) => {
+  const recordIds = Array.isArray(body?.recordIds) ? body.recordIds.map(String) : [];
+  if (!recordIds.length) throw new HttpError(400, "recordIds must be a non-empty array");
+  const { isPresent, reason } = correctionFrom(body);
+  const list = recordIds.map((id) => findOwned(db.attendance, hod, id, "Attendance record"));
+
+  const changed = list.filter((r) => r.isPresent !== isPresent);
+  changed.forEach((r) => changeStatus(r, isPresent, { by: hod.username, reason }));
+  await persist("attendance");
+  return reply({
+    message: `${changed.length} record(s) corrected`,
+    data: { records: list, corrected: changed.length },
+  });
+});
+
+route("PUT", "/attendance/:recordId", async ({ db, hod, params, body }) => {
+  const record = findOwned(db.attendance, hod, params.recordId, "Attendance record");
+  const { isPresent, reason } = correctionFrom(body);
+  if (record.isPresent === isPresent) {
+    throw new HttpError(400, `This record is already marked ${isPresent ? "present" : "absent"}`);
+  }
+  changeStatus(record, isPresent, { by: hod.username, reason });
+  await persist("attendance");
+  return reply({ message: "Attendance corrected", data: { record } });
+});
+
+// ================================================================ LEAVES
+
+// Approved leave per student: { studentId, from, to (YYYY-MM-DD, inclusive), type, note }.
+// Absences on those days count as excused in the monthly summary.
+const LEAVE_TYPES = ["medical", "personal", "official", "other"];
+
+const leaveView = (db, leave) => {
+  const student = db.students.find((s) => s._id === leave.studentId);
+  return { ...leave, studentName: student?.name ?? "", enrollmentNumber: student?.enrollmentNumber ?? "" };
+};
+
+const leaveFields = (db, hod, body, current = {}) => {
+  const next = { ...current, ...body };
+  const studentId = String(next.studentId ?? "");
+  findOwned(db.students, hod, studentId, "Student");
+  const from = String(next.from ?? "").slice(0, 10);
+  const to = String(next.to || from).slice(0, 10);
+  if (![from, to].every((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))) throw new HttpError(400, "from and to must be dates (YYYY-MM-DD)");
+  if (from > to) throw new HttpError(400, "Leave cannot end before it starts");
+  const type = String(next.type ?? "").trim().toLowerCase();
+  if (!LEAVE_TYPES.includes(type)) throw new HttpError(400, `type must be one of: ${LEAVE_TYPES.join(", ")}`);
+  const note = String(next.note ?? "").trim();
+  if (note.length > 1000) throw new HttpError(400, "Note must be at most 1000 characters");
+  return { studentId, from, to, type, note };
+};
+
+// ?studentId, ?classId (students of that class), ?from & ?to (leaves overlapping the range)
+route("GET", "/leaves", async ({ db, hod, query }) => {
+  const cls = query.classId ? findOwned(db.classes, hod, String(query.classId), "Class") : null;
+  const leaves = db.leaves
+    .filter((l) => l.hod === hod._id)
+    .filter((l) => !query.studentId || l.studentId === String(query.studentId))
+    .filter((l) => !cls || cls.students.includes(l.studentId))
+    .filter((l) => (!query.from || l.to >= query.from) && (!query.to || l.from <= query.to))
+    .sort((a, b) => b.from.localeCompare(a.from));
+  return reply({ data: { leaves: leaves.map((l) => leaveView(db, l)) } });
+});
+
+route("GET", "/leaves/:id", async ({ db, hod, params }) =>
+  reply({ data: { leave: leaveView(db, findOwned(db.leaves, hod, params.id, "Leave")) } })
+);
+
+route("POST", "/leaves", async ({ db, hod, body }) => {
+  const leave = {
+    _id: newId(),
+    ...leaveFields(db, hod, body),
+    createdAt: new Date().toISOString(),
+    createdBy: hod.username,
+    hod: hod._id,
+  };
+  db.leaves.push(leave);
+  await persist("leaves");
+  return reply({ message: "Leave recorded", leave: leaveView(db, leave) }, 201);
+});
+
+route("PUT", "/leaves/:id", async ({ db, hod, params, body }) => {
+  const leave = findOwned(db.leaves, hod, params.id, "Leave");
+  Object.assign(leave, leaveFields(db, hod, body, leave), { updatedAt: new Date().toISOString() });
+  await persist("leaves");
+  return reply({ message: "Leave updated", leave: leaveView(db, leave) });
+});
+
+route("DELETE", "/leaves/:id", async ({ db, hod, params }) => {
+  const leave = findOwned(db.leaves, hod, params.id, "Leave");
+  db.leaves = db.leaves.filter((l) => l !== leave);
+  await persist("leaves");
+  return reply({ message: "Leave deleted" });
+});
+
+// ================================================================ AUDIT
+
+// sync target for services/audit (VITE_AUDIT_SYNC_URL=/audit/logs); entries are kept once per id
+route("POST", "/audit/logs", async ({ db, hod, body }) => {
+  const incoming = Array.isArray(body?.entries) ? body.entries : [];
+  const known = new Set(db.auditLogs.map((e) => e.id));
+  const added = incoming.filter((e) => e?.id && !known.has(e.id)).map((e) => ({ ...e, hod: hod._id }));
+  db.auditLogs.push(...added);
+  await persist("auditLogs");
+  return reply({ message: "Audit entries stored", data: { received: incoming.length, stored: added.length } }, 201);
+});
+
+route("GET", "/audit/logs", async ({ db, hod }) =>
+  reply({ entries: db.auditLogs.filter((e) => e.hod === hod._id).map((e) => omit(e, ["hod"])) })
+);
@@ -0,0 +1,149 @@
+// src/services/mock/seed.js
+// Demo department used by the mock API: one HOD, a handful of professors,
+// four classes with assigned students, and about six weeks of attendance.
+import { newId, dayKey, seededRandom, DEFAULT_PROFESSOR_PASSWORD, DEMO_HOD } from "./helpers";
+
+const FIRST_NAMES = [
+  "Aarav", "Diya", "Kabir", "Ananya", "Rohan", "Isha", "Vivaan", "Meera", "Arjun", "Sara",
+  "Aditya", "Kavya", "Reyansh", "Nisha", "Dev", "Pooja", "Yash", "Riya", "Kunal", "Tanvi",
+];
+const LAST_NAMES = ["Sharma", "Patel", "Iyer", "Khan", "Mehta", "Gupta", "Nair", "Joshi", "Rao", "Desai"];
+
+const PROFESSORS = [
+  ["Dr. Asha Mehta", "asha.mehta"],
+  ["Prof. Rajiv Menon", "rajiv.menon"],
+  ["Dr. Farah Qureshi", "farah.qureshi"],
+  ["Prof. Vikram Singh", "vikram.singh"],
+  ["Dr. Leena Kulkarni", "leena.kulkarni"],
+];
+
+const CLASSES = [
+  { className: "BSc IT", division: "A", semester: 3 },
+  { className: "BSc IT", division: "B", semester: 3 },
+  { className: "BSc CS", division: "A", semester: 5 },
+  { className: "MSc IT", division: "A", semester: 1 },
+];
+
+const STUDENTS_PER_CLASS = 12;
+const SLOTS_PER_DAY = 4;
+const WEEKS_OF_ATTENDANCE = 6;
+
+export const buildSeed = (today = new Date()) => {
+  const rand = seededRandom(20240601);
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const createdAt = new Date(today.getFullYear(), today.getMonth() - 2, 1).toISOString();
+
+  const hod = {
+    _id: newId(),
+    ...DEMO_HOD,
+    altPassword: "Demo@5678",
+    collegeName: "Demo College of Engineering",
+    isVerified: true,
+    createdAt,
+  };
+
+  const professors = PROFESSORS.map(([name, username]) => ({
+    _id: newId(),
+    name,
+    username,
+    password: DEFAULT_PROFESSOR_PASSWORD,
+    hod: hod._id,
+    createdAt,
+  }));
+
+  const students = [];
+  const classes = CLASSES.map((c, ci) => {
+    const members = Array.from({ length: STUDENTS_PER_CLASS }, (_, i) => {
+      const s = {
+        _id: newId(),
+        name: `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`,
+        enrollmentNumber: `${today.getFullYear() - Math.ceil(c.semester / 2)}${c.className.replace(/\W/g, "")}${c.division}${String(i + 1).padStart(3, "0")}`,
+        semester: c.semester,
+        division: c.division,
+        hod: hod._id,
+        createdAt,
+      };
+      students.push(s);
+      return s._id;
+    });
+    return {
+      _id: newId(),
+      classId: `CLS-${String(101 + ci)}`,
+      className: c.className,
+      division: c.division,
+      students: members,
+      professors: [professors[ci % professors.length]._id, professors[(ci + 1) % professors.length]._id],
+      hod: hod._id,
+      createdAt,
+    };
+  });
+
+  // a few unassigned students for the assignment pages
+  for (let i = 0; i < 4; i++) {
+    students.push({
+      _id: newId(),
+      name: `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`,
+      enrollmentNumber: `${today.getFullYear()}NEW${String(i + 1).padStart(3, "0")}`,
+      semester: 1,
+      division: "",
+      hod: hod._id,
+      createdAt,
+    });
+  }
+
+  const studentById = new Map(students.map((s) => [s._id, s]));
+  const profById = new Map(professors.map((p) => [p._id, p]));
+
+  // each student gets a "habit" so the defaulter list and charts have variety
+  const habit = new Map(students.map((s) => [s._id, 0.55 + rand() * 0.43]));
+
+  const attendance = [];
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - WEEKS_OF_ATTENDANCE * 7);
+  for (let d = new Date(start); d <= today; d.setDate(d.getDate() + 1)) {
+    if (d.getDay() === 0 || d.getDay() === 6) continue;
+    const date = dayKey(d);
+    const dateMs = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    classes.forEach((cls) => {
+      for (let slot = 1; slot <= SLOTS_PER_DAY; slot++) {
+        if (rand() < 0.08) continue; // lecture not held / not recorded
+        const prof = profById.get(cls.professors[slot % cls.professors.length]);
+        cls.students.forEach((sid) => {
+          const s = studentById.get(sid);
+          attendance.push({
+            _id: newId(),
+            classId: cls._id,
+            studentId: sid,
+            studentName: s.name,
+            enrollmentNumber: s.enrollmentNumber,
+            date,
+            dateMs,
+            slotNumber: slot,
+            isPresent: rand() < habit.get(sid),
+            markedBy: prof.name,
+            markedByName: prof.name,
+            professorId: prof._id,
+            hod: hod._id,
+          });
+        });
+      }
+    });
+  }
+
+  // one student was on medical leave for three days last week
+  const leaveStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 7 - ((today.getDay() + 6) % 7));
+  const leaves = [
+    {
+      _id: newId(),
+      studentId: classes[0].students[0],
+      from: dayKey(leaveStart),
+      to: dayKey(new Date(leaveStart.getFullYear(), leaveStart.getMonth(), leaveStart.getDate() + 2)),
+      type: "medical",
+      note: "Viral fever; doctor's certificate submitted",
+      createdAt: leaveStart.toISOString(),
+      createdBy: hod.username,
+      hod: hod._id,
+    },
+  ];
+
+  return { hods: [hod], professors, classes, students, attendance, leaves, otps: [], auditLogs: [] };
+};
@@ -0,0 +1,337 @@
+// src/services/models.js
+// One place that knows how the server wraps and names things. The helpers in
+// api.js pass every response through these mappers, so pages always receive
+// the shapes declared below no matter which envelope the backend used.
+
+import { recordDate, toDayKey } from "../utils/attendanceStats";
+
+/**
+ * @typedef {Object} Student
+ * @property {string} _id
+ * @property {string} name
+ * @property {string} enrollmentNumber   always a string (leading zeros kept)
+ * @property {number|null} semester
+ * @property {string} division           "" when not set
+ */
+
+/**
+ * @typedef {Object} Professor
+ * @property {string} _id
+ * @property {string} name
+ * @property {string} username
+ * @property {string} [password]         only when the server includes it
+ */
+
+/**
+ * @typedef {Object} Class
+ * @property {string} _id
+ * @property {string} classId            human-readable id, e.g. "CLS-101"
+ * @property {string} className
+ * @property {string} division
+ * @property {Student[]} students        id-only stubs (empty name) when not populated
+ * @property {Professor[]} professors    id-only stubs (empty name) when not populated
+ * @property {string[]} studentIds
+ * @property {string[]} professorIds
+ */
+
+/**
+ * @typedef {Object} AttendanceRecord
+ * @property {string} _id
+ * @property {string} classId
+ * @property {string} studentId
+ * @property {string} studentName
+ * @property {string} enrollmentNumber
+ * @property {string} date               local day, YYYY-MM-DD ("" if unknown)
+ * @property {number|null} dateMs        local midnight of `date`
+ * @property {number|null} slotNumber
+ * @property {boolean} isPresent
+ * @property {string} markedBy           display name of whoever marked it
+ * @property {AttendanceCorrection[]} corrections  status changes after marking, oldest first
+ */
+
+/**
+ * @typedef {Object} AttendanceCorrection
+ * @property {string} at                 ISO timestamp
+ * @property {string} by                 who changed it
+ * @property {boolean} from              isPresent before
+ * @property {boolean} to                isPresent after
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} AttendanceSummaryRow
+ * @property {string} studentId
+ * @property {string} name
+ * @property {string} enrollmentNumber
+ * @property {number} totalClasses
+ * @property {number} presents
+ * @property {number} absents
+ * @property {number} excused            absences on days the student was on approved leave
+ * @property {number} percentage
+ */
+
+/**
+ * @typedef {Object} MonthlySummary
+ * @property {number} month
+ * @property {number} year
+ * @property {string} classId
+ * @property {AttendanceSummaryRow[]} summary
+ */
+
+/**
+ * Approved leave of one student over a range of days
+ * @typedef {Object} Leave
+ * @property {string} _id
+ * @property {string} studentId
+ * @property {string} studentName
+ * @property {string} enrollmentNumber
+ * @property {string} from               first day, YYYY-MM-DD
+ * @property {string} to                 last day (inclusive), YYYY-MM-DD
+ * @property {string} type               "medical" | "personal" | "official" | "other"
+ * @property {string} note
+ * @property {string} createdBy
+ */
+
+/**
+ * @typedef {Object} MarkResult
+ * @property {number} inserted           records created for the lecture
+ * @property {number} updated            existing records overwritten
+ */
+
+/**
+ * One page of a server-paged list
+ * @template T
+ * @typedef {Object} Page
+ * @property {T[]} items
+ * @property {number} total              matching records across all pages
+ * @property {number} page               1-based
+ * @property {number} limit
+ * @property {number} totalPages
+ * @property {boolean} last              nothing after this page
+ * @property {{ semesters: number[], divisions: string[] }} facets   filter options over the whole collection
+ *   (over these items only when the server sends none)
+ */
+
+// ---------------------------------------------------------------- envelopes
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * First array found at body, body.data, body[key] or body.data[key] — the
+ * backend has used all four. Returns [] when nothing list-like came back.
+ */
+export const pickList = (body, key) =>
+  [body, body?.data, body?.[key], body?.data?.[key]].find(Array.isArray) || [];
+
+/**
+ * The single entity under `key` ({ student }, { data: { student } }) or the
+ * (data-unwrapped) body itself when the server returned the entity bare.
+ */
+export const pickOne = (body, key) =>
+  body?.data?.[key] ?? body?.[key] ?? (isObject(body?.data) ? body.data : body) ?? null;
+
+// ---------------------------------------------------------------- helpers
+
+const idOf = (v) => (v == null ? "" : String(v._id ?? v.id ?? v));
+
+const str = (v) => (v == null ? "" : String(v).trim());
+
+const numOrNull = (v) => (v === "" || v == null || isNaN(Number(v)) ? null : Number(v));
+
+// ---------------------------------------------------------------- mappers
+
+/** @returns {Student} */
+export const toStudent = (raw) => {
+  const s = raw?.student && isObject(raw.student) ? raw.student : raw;
+  if (!isObject(s)) return { _id: idOf(s), name: "", enrollmentNumber: "", semester: null, division: "" };
+  return {
+    _id: idOf(s),
+    name: str(s.name ?? s.studentName),
+    enrollmentNumber: str(s.enrollmentNumber ?? s.enrollment),
+    semester: numOrNull(s.semester),
+    division: str(s.division),
+  };
+};
+
+/** @returns {Professor} */
+export const toProfessor = (raw) => {
+  const p = raw?.professor && isObject(raw.professor) ? raw.professor : raw;
+  if (!isObject(p)) return { _id: idOf(p), name: "", username: "" };
+  return {
+    _id: idOf(p),
+    name: str(p.name),
+    username: str(p.username),
+    ...(p.password ? { password: String(p.password) } : {}),
+  };
+};
+
+/** @returns {Class} */
+export const toClass = (raw) => {
+  const c = raw?.class && isObject(raw.class) ? raw.class : raw;
+  const students = (c?.students || []).map(toStudent);
+  const professors = (c?.professors || []).map(toProfessor);
+  return {
+    _id: idOf(c),
+    classId: str(c?.classId),
+    className: str(c?.className),
+    division: str(c?.division),
+    students,
+    professors,
+    studentIds: students.map((s) => s._id),
+    professorIds: professors.map((p) => p._id),
+  };
+};
+
+/** @returns {AttendanceRecord} */
+export const toAttendanceRecord = (r) => {
+  const day = recordDate(r);
+  const student = isObject(r?.studentId) ? r.studentId : isObject(r?.student) ? r.student : null;
+  return {
+    _id: idOf(r?._id ?? r?.id ?? ""),
+    classId: idOf(r?.classId ?? r?.class),
+    studentId: idOf(r?.studentId ?? r?.student),
+    studentName: str(r?.studentName ?? student?.name ?? r?.name),
+    enrollmentNumber: str(r?.enrollmentNumber ?? student?.enrollmentNumber),
+    date: day ? toDayKey(day) : "",
+    dateMs: day ? day.getTime() : null,
+    slotNumber: numOrNull(r?.slotNumber),
+    isPresent: r?.isPresent === true || r?.isPresent === "true" || r?.status === "present",
+    markedBy: str(r?.markedByName ?? (isObject(r?.markedBy) ? r.markedBy.name : r?.markedBy)),
+    corrections: (Array.isArray(r?.corrections) ? r.corrections : []).map(toCorrection),
+  };
+};
+
+/** @returns {AttendanceCorrection} */
+export const toCorrection = (c) => ({
+  at: str(c?.at ?? c?.createdAt),
+  by: str(isObject(c?.by) ? c.by.name || c.by.username : c?.by),
+  from: c?.from === true,
+  to: c?.to === true,
+  reason: str(c?.reason),
+});
+
+/** @returns {AttendanceSummaryRow} */
+export const toSummaryRow = (s) => {
+  const totalClasses = Number(s?.totalClasses ?? s?.total ?? 0);
+  const presents = Number(s?.presents ?? s?.present ?? 0);
+  return {
+    studentId: idOf(s?.studentId ?? s?.student ?? s?._id),
+    name: str(s?.name ?? s?.studentName ?? s?.studentId?.name),
+    enrollmentNumber: str(s?.enrollmentNumber ?? s?.studentId?.enrollmentNumber),
+    totalClasses,
+    presents,
+    absents: Number(s?.absents ?? s?.absent ?? totalClasses - presents),
+    excused: Number(s?.excused ?? 0),
+    percentage: Number(s?.percentage ?? (totalClasses ? ((presents / totalClasses) * 100).toFixed(2) : 0)),
+  };
+};
+
+/** @returns {MonthlySummary} */
+export const toMonthlySummary = (body, { month, year, classId } = {}) => ({
+  month: Number(body?.month ?? month),
+  year: Number(body?.year ?? year),
+  classId: idOf(body?.classId ?? classId),
+  summary: (Array.isArray(body) ? body : body?.summary || []).map(toSummaryRow),
+});
+
+/** Distinct semesters and divisions of the given students, sorted */
+const facetsOf = (items = []) => ({
+  semesters: [...new Set(items.map((i) => i?.semester).filter((n) => n != null && n !== ""))].sort((a, b) => a - b),
+  divisions: [...new Set(items.map((i) => str(i?.division)).filter(Boolean))].sort(),
+});
+
+const STUDENT_SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  enrollmentNumber: (a, b) => a.enrollmentNumber.localeCompare(b.enrollmentNumber),
+  semester: (a, b) => (a.semester ?? 0) - (b.semester ?? 0),
+};
+
+/**
+ * The GET /students filters and sort applied in the browser, for a server
+ * that ignored them: search (name or enrollment), name, enrollmentNumber,
+ * startsWith ("0-9" for digits), semester, division, sortBy + sortOrder.
+ * @param {Student[]} students
+ * @returns {Student[]}
+ */
+export const queryStudents = (students, { search, name, enrollmentNumber, startsWith, semester, division, sortBy, sortOrder } = {}) => {
+  const has = (field, value) => field.toLowerCase().includes(String(value).trim().toLowerCase());
+  const initial = String(startsWith ?? "").trim().toLowerCase();
+  const list = students.filter(
+    (s) =>
+      (!search || has(s.name, search) || has(s.enrollmentNumber, search)) &&
+      (!name || has(s.name, name)) &&
+      (!enrollmentNumber || has(s.enrollmentNumber, enrollmentNumber)) &&
+      (!initial ||
+        (initial === "0-9"
+          ? /^\d/.test(s.name || s.enrollmentNumber)
+          : [s.name, s.enrollmentNumber].some((v) => v.toLowerCase().startsWith(initial)))) &&
+      (!semester || String(s.semester) === String(semester)) &&
+      (!division || s.division.toLowerCase() === String(division).trim().toLowerCase())
+  );
+  const compare = STUDENT_SORTS[sortBy];
+  if (!compare) return list;
+  const dir = sortOrder === "desc" ? -1 : 1;
+  return list.sort((a, b) => dir * compare(a, b));
+};
+
+/**
+ * A paged list reply: items under `key` (see pickList) and the counts under
+ * body.pagination, body.meta or the body itself. A server that ignored the
+ * paging params comes back as a single page holding everything, and so does
+ * a page shorter than the limit asked for: either way it is the last one.
+ * Such a server may have ignored the filters too, so without pagination data
+ * `applyQuery(items, params)` (e.g. queryStudents) filters and sorts them here.
+ * Without body.facets the filter options are read off the items.
+ * @returns {Page<any>}
+ */
+export const toPage = (body, key, mapItem, params = {}, applyQuery) => {
+  const { page = 1, limit } = params;
+  const received = pickList(body, key).map(mapItem);
+  const meta = [body?.pagination, body?.meta, body?.data?.pagination, body].find((m) => m?.total != null);
+  const items = !meta && applyQuery ? applyQuery(received, params) : received;
+  const total = Number(meta?.total ?? items.length);
+  const size = Number(meta?.limit ?? limit ?? items.length) || 1;
+  const current = Number(meta?.page ?? page);
+  const totalPages = meta ? Number(meta.totalPages ?? Math.max(Math.ceil(total / size), 1)) : 1;
+  const facets = body?.facets ?? body?.data?.facets ?? facetsOf(received);
+  return {
+    items,
+    total,
+    page: current,
+    limit: size,
+    totalPages,
+    last: !meta || items.length < size || current >= totalPages,
+    facets: {
+      semesters: (facets.semesters || []).map(Number).filter((n) => !isNaN(n)),
+      divisions: (facets.divisions || []).map(str).filter(Boolean),
+    },
+  };
+};
+
+/** @returns {Leave} */
+export const toLeave = (raw) => {
+  const l = raw?.leave && isObject(raw.leave) ? raw.leave : raw;
+  const student = isObject(l?.studentId) ? l.studentId : isObject(l?.student) ? l.student : null;
+  const day = (v) => {
+    const d = v ? recordDate({ date: v }) : null;
+    return d ? toDayKey(d) : "";
+  };
+  const from = day(l?.from ?? l?.startDate);
+  return {
+    _id: idOf(l),
+    studentId: idOf(l?.studentId ?? l?.student),
+    studentName: str(l?.studentName ?? student?.name),
+    enrollmentNumber: str(l?.enrollmentNumber ?? student?.enrollmentNumber),
+    from,
+    to: day(l?.to ?? l?.endDate) || from,
+    type: str(l?.type).toLowerCase() || "other",
+    note: str(l?.note),
+    createdBy: str(l?.createdBy),
+  };
+};
+
+/** @returns {MarkResult} */
+export const toMarkResult = (body) => {
+  const data = body?.data ?? body;
+  return { inserted: Number(data?.inserted ?? 0), updated: Number(data?.updated ?? 0) };
+};
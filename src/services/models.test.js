@@ -0,0 +1,204 @@
+import { describe, expect, it } from "vitest";
+import {
+  pickList,
+  pickOne,
+  queryStudents,
+  toAttendanceRecord,
+  toClass,
+  toProfessor,
+  toPage,
+  toStudent,
+  toSummaryRow,
+} from "./models";
+
+describe("pickList", () => {
+  const items = [{ _id: "a" }];
+
+  it.each([
+    ["a bare array", items],
+    ["{ data: [...] }", { data: items }],
+    ["{ students: [...] }", { students: items }],
+    ["{ data: { students } }", { data: { students: items } }],
+  ])("finds the list in %s", (_, body) => {
+    expect(pickList(body, "students")).toBe(items);
+  });
+
+  it("falls back to an empty list", () => {
+    expect(pickList(undefined, "students")).toEqual([]);
+    expect(pickList({ data: { total: 0 } }, "students")).toEqual([]);
+  });
+});
+
+describe("pickOne", () => {
+  it("prefers the named entity, then the data object, then the body", () => {
+    expect(pickOne({ data: { student: { _id: "a" } } }, "student")).toEqual({ _id: "a" });
+    expect(pickOne({ student: { _id: "b" } }, "student")).toEqual({ _id: "b" });
+    expect(pickOne({ success: true, data: { _id: "c" } }, "student")).toEqual({ _id: "c" });
+    expect(pickOne({ _id: "d" }, "student")).toEqual({ _id: "d" });
+  });
+});
+
+describe("toStudent", () => {
+  it("normalizes types and fills defaults", () => {
+    expect(toStudent({ _id: 7, name: " Asha ", enrollmentNumber: 23001, semester: "4" })).toEqual({
+      _id: "7",
+      name: "Asha",
+      enrollmentNumber: "23001",
+      semester: 4,
+      division: "",
+    });
+  });
+
+  it("unwraps { student } assignment entries and id-only members", () => {
+    expect(toStudent({ student: { _id: "s1", name: "A" } })).toMatchObject({ _id: "s1", name: "A" });
+    expect(toStudent("s2")).toEqual({ _id: "s2", name: "", enrollmentNumber: "", semester: null, division: "" });
+  });
+});
+
+describe("toProfessor", () => {
+  it("keeps the password only when the server sent one", () => {
+    expect(toProfessor({ _id: "p1", name: "X", username: "x" })).toEqual({ _id: "p1", name: "X", username: "x" });
+    expect(toProfessor({ _id: "p1", name: "X", username: "x", password: "pw" }).password).toBe("pw");
+  });
+});
+
+describe("toClass", () => {
+  it("maps members and exposes their ids", () => {
+    const cls = toClass({
+      _id: "c1",
+      classId: "CLS-1",
+      className: "BSc IT",
+      division: "A",
+      students: [{ _id: "s1", name: "A" }, "s2"],
+      professors: [{ _id: "p1", name: "X" }],
+    });
+    expect(cls.studentIds).toEqual(["s1", "s2"]);
+    expect(cls.professorIds).toEqual(["p1"]);
+    expect(cls.students[1]).toMatchObject({ _id: "s2", name: "" });
+  });
+});
+
+describe("toAttendanceRecord", () => {
+  it("reads dd/MM/yyyy dates and populated refs", () => {
+    const rec = toAttendanceRecord({
+      _id: "r1",
+      classId: { _id: "c1", className: "BSc IT" },
+      studentId: { _id: "s1", name: "A", enrollmentNumber: "E1" },
+      date: "05/03/2025",
+      slotNumber: "3",
+      isPresent: false,
+      markedBy: { _id: "p1", name: "Dr. X" },
+    });
+    expect(rec).toEqual({
+      _id: "r1",
+      classId: "c1",
+      studentId: "s1",
+      studentName: "A",
+      enrollmentNumber: "E1",
+      date: "2025-03-05",
+      dateMs: new Date(2025, 2, 5).getTime(),
+      slotNumber: 3,
+      isPresent: false,
+      markedBy: "Dr. X",
+      corrections: [],
+    });
+  });
+
+  it("keeps the correction history", () => {
+    const rec = toAttendanceRecord({
+      isPresent: true,
+      corrections: [{ at: "2025-03-06T09:00:00.000Z", by: { username: "hod" }, from: false, to: true, reason: "Lab outage" }],
+    });
+    expect(rec.corrections).toEqual([
+      { at: "2025-03-06T09:00:00.000Z", by: "hod", from: false, to: true, reason: "Lab outage" },
+    ]);
+  });
+
+  it("falls back to dateMs and markedByName", () => {
+    const ms = new Date(2025, 0, 9, 14, 30).getTime();
+    const rec = toAttendanceRecord({ dateMs: ms, markedBy: "p1", markedByName: "Dr. Y", isPresent: true });
+    expect(rec).toMatchObject({ date: "2025-01-09", dateMs: new Date(2025, 0, 9).getTime(), markedBy: "Dr. Y" });
+  });
+});
+
+describe("toSummaryRow", () => {
+  it("derives absents and percentage when missing", () => {
+    expect(toSummaryRow({ studentId: "s1", name: "A", totalClasses: 8, presents: 6 })).toMatchObject({
+      absents: 2,
+      percentage: 75,
+    });
+  });
+});
+
+describe("toPage", () => {
+  it("reads items, counts and facets from a paged reply", () => {
+    const page = toPage(
+      {
+        data: [{ _id: "a", name: " Asha ", semester: "3" }],
+        pagination: { total: 41, page: 2, limit: 20, totalPages: 3 },
+        facets: { semesters: ["3", 5], divisions: ["A", ""] },
+      },
+      "students",
+      toStudent
+    );
+    expect(page).toMatchObject({ total: 41, page: 2, limit: 20, totalPages: 3 });
+    expect(page.items[0]).toMatchObject({ name: "Asha", semester: 3 });
+    expect(page.facets).toEqual({ semesters: [3, 5], divisions: ["A"] });
+  });
+
+  it("treats an unpaged reply as one page holding everything", () => {
+    const page = toPage({ students: [{ _id: "a" }, { _id: "b" }] }, "students", toStudent, { page: 1, limit: 50 });
+    expect(page).toMatchObject({ total: 2, page: 1, limit: 50, totalPages: 1 });
+    expect(page.facets).toEqual({ semesters: [], divisions: [] });
+  });
+
+  it("filters and sorts an unpaged reply itself, keeping facets over everything", () => {
+    const students = [
+      { _id: "a", name: "Zoya", enrollmentNumber: "E3", semester: 5, division: "A" },
+      { _id: "b", name: "Aman", enrollmentNumber: "E1", semester: 3, division: "B" },
+      { _id: "c", name: "Meera", enrollmentNumber: "E2", semester: 5, division: "a" },
+    ];
+    const page = toPage({ students }, "students", toStudent, { semester: "5", division: "A", sortBy: "name", limit: 60 }, queryStudents);
+    expect(page.items.map((s) => s._id)).toEqual(["c", "a"]);
+    expect(page).toMatchObject({ total: 2, last: true });
+    expect(page.facets).toEqual({ semesters: [3, 5], divisions: ["A", "B", "a"] });
+
+    const paged = toPage({ data: students, pagination: { total: 3 } }, "students", toStudent, { semester: "5" }, queryStudents);
+    expect(paged.items).toHaveLength(3); // the server's word
+  });
+
+  it("ends the list at a short or unpaged reply and reads facets off the items", () => {
+    const students = [
+      { _id: "a", semester: 5, division: "B" },
+      { _id: "b", semester: "3", division: "A" },
+      { _id: "c", semester: 5, division: "A" },
+    ];
+    const unpaged = toPage({ students }, "students", toStudent, { page: 1, limit: 2 });
+    expect(unpaged).toMatchObject({ total: 3, totalPages: 1, last: true });
+    expect(unpaged.facets).toEqual({ semesters: [3, 5], divisions: ["A", "B"] });
+
+    const short = toPage({ data: students, pagination: { total: 99, page: 1 } }, "students", toStudent, { limit: 10 });
+    expect(short.last).toBe(true);
+    const full = toPage({ data: students, pagination: { total: 99, page: 1 } }, "students", toStudent, { limit: 3 });
+    expect(full.last).toBe(false);
+  });
+});
+
+describe("queryStudents", () => {
+  const students = [
+    { name: "Zoya", enrollmentNumber: "E3", semester: 5, division: "A" },
+    { name: "Aman", enrollmentNumber: "21B", semester: 3, division: "B" },
+    { name: "", enrollmentNumber: "7X", semester: null, division: "" },
+  ].map(toStudent);
+
+  it("searches name or enrollment and filters by initial", () => {
+    expect(queryStudents(students, { search: "zo" }).map((s) => s.name)).toEqual(["Zoya"]);
+    expect(queryStudents(students, { search: "21b" }).map((s) => s.name)).toEqual(["Aman"]);
+    expect(queryStudents(students, { startsWith: "0-9" }).map((s) => s.enrollmentNumber)).toEqual(["7X"]);
+  });
+
+  it("sorts by the field and order asked for", () => {
+    expect(queryStudents(students, { sortBy: "semester", sortOrder: "desc" }).map((s) => s.semester)).toEqual([5, 3, null]);
+    expect(queryStudents(students, { sortBy: "enrollmentNumber" }).map((s) => s.enrollmentNumber)).toEqual(["21B", "7X", "E3"]);
+  });
+});
@@ -0,0 +1,109 @@
+// src/services/optimistic.js
+// Optimistic writes for the list pages: the change shows up at once, is
+// undone if the request fails, and the list is refetched quietly afterwards
+// so server-side details (ids, populated members) catch up.
+import { fetchQuery, setQueryData } from "./queryCache";
+
+/**
+ * Run `request` with `apply` already shown.
+ * - setState: setter for the page's copy of the list
+ * - query: cache descriptor holding the same list (kept in step, then reconciled)
+ * - apply(list) / revert(list): pure list updates; `revert` must undo `apply`
+ *   even if the list changed in between, so prefer id-based helpers below
+ * - request(): the API call; on failure `revert` runs and the error is rethrown
+ *   for the page to report as usual
+ * - settle(result): optional list update once the request succeeds, e.g. swap
+ *   a placeholder for the saved record or put back rows a batch call rejected
+ * - refresh(): optional; reconciles instead of refetching `query` into
+ *   setState, for pages that only hold some server pages of the list
+ * Resolves with the request's result.
+ */
+export async function optimisticUpdate({ setState, query, apply, revert, request, settle, refresh }) {
+  const update = (fn) => {
+    setState(fn);
+    if (query) setQueryData(query.key, (cached) => (cached === undefined ? cached : fn(cached)));
+  };
+
+  update(apply);
+  let result;
+  try {
+    result = await request();
+  } catch (err) {
+    update(revert);
+    throw err;
+  }
+  const settled = settle?.(result);
+  if (settled) update(settled);
+
+  // api.js has invalidated the collection, so this refetches in the background
+  if (refresh) {
+    refresh();
+  } else if (query) {
+    fetchQuery(query)
+      .then(setState)
+      .catch((err) => console.error("Background refresh failed", err));
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------- list helpers
+
+let tempSeq = 0;
+
+/** Placeholder row for an add that the server has not confirmed yet */
+export const pendingItem = (fields) => ({ ...fields, _id: `pending-${++tempSeq}`, _pending: true });
+
+export const isPending = (item) => Boolean(item?._pending);
+
+export const appendItem = (item) => (list) => [...list, item];
+
+export const patchByIds = (ids, patch) => {
+  const hit = new Set(ids.map(String));
+  return (list) => list.map((x) => (hit.has(String(x._id)) ? { ...x, ...patch } : x));
+};
+
+/** Replace items by id with the given versions, appending any that are missing (undo of a delete) */
+export const putItems = (items) => (list) => {
+  const byId = new Map(items.map((x) => [String(x._id), x]));
+  const present = new Set(list.map((x) => String(x._id)));
+  return [
+    ...list.map((x) => byId.get(String(x._id)) ?? x),
+    ...items.filter((x) => !present.has(String(x._id))),
+  ];
+};
+
+/** Swap one item (e.g. a pending placeholder) for another */
+export const replaceItem = (id, item) => (list) => list.map((x) => (String(x._id) === String(id) ? item : x));
+
+export const removeIds = (ids) => {
+  const drop = new Set(ids.map(String));
+  return (list) => list.filter((x) => !drop.has(String(x._id)));
+};
+
+// ---------------------------------------------------------------- class membership
+
+const ID_FIELD = { students: "studentIds", professors: "professorIds" };
+
+const withMembers = (cls, field, members) => ({
+  ...cls,
+  [field]: members,
+  [ID_FIELD[field]]: members.map((m) => String(m._id)),
+});
+
+/** Add member models to one class's `students` or `professors` */
+export const addMembers = (classId, field, members) => (list) =>
+  list.map((c) => {
+    if (String(c._id) !== String(classId)) return c;
+    const have = new Set(c[field].map((m) => String(m._id)));
+    return withMembers(c, field, [...c[field], ...members.filter((m) => !have.has(String(m._id)))]);
+  });
+
+export const removeMembers = (classId, field, ids) => {
+  const drop = new Set(ids.map(String));
+  return (list) =>
+    list.map((c) =>
+      String(c._id) === String(classId)
+        ? withMembers(c, field, c[field].filter((m) => !drop.has(String(m._id))))
+        : c
+    );
+};
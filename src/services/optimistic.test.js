@@ -0,0 +1,117 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  addMembers,
+  appendItem,
+  isPending,
+  optimisticUpdate,
+  patchByIds,
+  pendingItem,
+  putItems,
+  removeIds,
+  removeMembers,
+  replaceItem,
+} from "./optimistic";
+import { peekQuery, setQueryData } from "./queryCache";
+
+// Minimal stand-in for a useState setter
+const localState = (initial) => {
+  let value = initial;
+  const setState = vi.fn((next) => {
+    value = typeof next === "function" ? next(value) : next;
+  });
+  return { setState, get: () => value };
+};
+
+const a = { _id: "1", name: "A" };
+const b = { _id: "2", name: "B" };
+
+describe("optimisticUpdate", () => {
+  it("shows the change before the request lands and reconciles afterwards", async () => {
+    const local = localState([a]);
+    const fetcher = vi.fn().mockResolvedValue([a, { _id: "9", name: "C" }]);
+    const query = { key: "items", fetcher };
+    setQueryData("items", [a]);
+
+    let finish;
+    const request = () => new Promise((resolve) => (finish = resolve));
+    const placeholder = pendingItem({ name: "C" });
+    const done = optimisticUpdate({
+      setState: local.setState,
+      query,
+      apply: appendItem(placeholder),
+      revert: removeIds([placeholder._id]),
+      request,
+      settle: (saved) => replaceItem(placeholder._id, saved),
+    });
+
+    expect(local.get()).toEqual([a, placeholder]);
+    expect(peekQuery(query)).toEqual([a, placeholder]);
+
+    finish({ _id: "9", name: "C" });
+    await expect(done).resolves.toEqual({ _id: "9", name: "C" });
+    expect(local.get()).toEqual([a, { _id: "9", name: "C" }]);
+    await vi.waitFor(() => expect(fetcher).toHaveBeenCalled());
+  });
+
+  it("lets paged lists reconcile through refresh instead of the query", async () => {
+    const local = localState([a]);
+    const fetcher = vi.fn();
+    const refresh = vi.fn();
+
+    await optimisticUpdate({
+      setState: local.setState,
+      query: { key: "items", fetcher },
+      apply: patchByIds(["1"], { name: "Z" }),
+      revert: putItems([a]),
+      request: () => Promise.resolve(),
+      refresh,
+    });
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(local.get()).toEqual([{ _id: "1", name: "Z" }]);
+  });
+
+  it("reverts and rethrows when the request fails", async () => {
+    const local = localState([a, b]);
+    setQueryData("items", [a, b]);
+    const fail = new Error("nope");
+
+    await expect(
+      optimisticUpdate({
+        setState: local.setState,
+        query: { key: "items", fetcher: vi.fn() },
+        apply: removeIds(["2"]),
+        revert: putItems([b]),
+        request: () => Promise.reject(fail),
+      })
+    ).rejects.toBe(fail);
+
+    expect(local.get()).toEqual([a, b]);
+    expect(peekQuery({ key: "items" })).toEqual([a, b]);
+  });
+});
+
+describe("list helpers", () => {
+  it("patches, removes and restores by id", () => {
+    expect(patchByIds(["1"], { name: "Z" })([a, b])).toEqual([{ _id: "1", name: "Z" }, b]);
+    expect(removeIds(["1"])([a, b])).toEqual([b]);
+    expect(putItems([a, { _id: "2", name: "B2" }])([b])).toEqual([{ _id: "2", name: "B2" }, a]);
+  });
+
+  it("marks placeholders as pending", () => {
+    const p = pendingItem({ name: "X" });
+    expect(isPending(p)).toBe(true);
+    expect(isPending(a)).toBe(false);
+    expect(pendingItem({})._id).not.toBe(p._id);
+  });
+
+  it("keeps class member ids in step with members", () => {
+    const cls = { _id: "c1", students: [a], studentIds: ["1"], professors: [], professorIds: [] };
+    const [added] = addMembers("c1", "students", [a, b])([cls]);
+    expect(added.studentIds).toEqual(["1", "2"]);
+    const [removed] = removeMembers("c1", "students", ["1"])([added]);
+    expect(removed.students).toEqual([b]);
+    expect(removed.studentIds).toEqual(["2"]);
+  });
+});
@@ -0,0 +1,61 @@
+// src/services/permissions.js
+// Who may open what. A session's role comes from the `role` claim of its JWT
+// (a token without one belongs to the portal that issued it); each role is
+// granted a fixed set of permissions. Routes declare what they need in
+// App.jsx and ProtectedRoute enforces it; pages can ask `can(permission)`
+// from useAuth() / useProfessorAuth() to hide actions the same way.
+import { decodeToken } from "./session";
+
+export const ROLES = {
+  HOD: "hod",
+  PROFESSOR: "professor",
+};
+
+export const PERMISSIONS = {
+  DASHBOARD: "dashboard:view",
+  STUDENTS: "students:manage",
+  PROFESSORS: "professors:manage",
+  CLASSES: "classes:manage",
+  ATTENDANCE: "attendance:view",
+  // taking a lecture's attendance; for professors the server limits it to assigned classes
+  MARK_ATTENDANCE: "attendance:mark",
+  LEAVES: "leaves:manage",
+  TRASH: "trash:manage",
+  AUDIT: "audit:view",
+  PROFILE: "profile:manage",
+  // professor portal: only what the HOD assigned to them
+  ASSIGNED_CLASSES: "classes:view-assigned",
+  ASSIGNED_ATTENDANCE: "attendance:view-assigned",
+};
+
+const GRANTS = {
+  [ROLES.HOD]: [
+    PERMISSIONS.DASHBOARD,
+    PERMISSIONS.STUDENTS,
+    PERMISSIONS.PROFESSORS,
+    PERMISSIONS.CLASSES,
+    PERMISSIONS.ATTENDANCE,
+    PERMISSIONS.MARK_ATTENDANCE,
+    PERMISSIONS.LEAVES,
+    PERMISSIONS.TRASH,
+    PERMISSIONS.AUDIT,
+    PERMISSIONS.PROFILE,
+  ],
+  [ROLES.PROFESSOR]: [PERMISSIONS.ASSIGNED_CLASSES, PERMISSIONS.ASSIGNED_ATTENDANCE, PERMISSIONS.MARK_ATTENDANCE],
+};
+
+/** Role of the session behind `token` (`fallback` when it has no role claim), or null when signed out */
+export const roleOf = (token, fallback = ROLES.HOD) => {
+  if (!token) return null;
+  return decodeToken(token)?.role || fallback;
+};
+
+/** Does `role` hold `permission`? */
+export const hasPermission = (role, permission) => Boolean(GRANTS[role]?.includes(permission));
+
+/**
+ * Route guard check: `role` is one of `roles` (any role when omitted) and
+ * holds every one of `permissions`.
+ */
+export const isAllowed = (role, { roles, permissions = [] } = {}) =>
+  Boolean(role) && (!roles?.length || roles.includes(role)) && permissions.every((p) => hasPermission(role, p));
@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { hasPermission, isAllowed, roleOf, PERMISSIONS } from "./permissions";
+import { signToken } from "./mock/helpers";
+
+describe("permissions", () => {
+  it("reads the role from the token, defaulting to HOD", () => {
+    expect(roleOf(signToken({ id: "1", role: "hod" }))).toBe("hod");
+    expect(roleOf(signToken({ id: "1", role: "auditor" }))).toBe("auditor");
+    expect(roleOf("opaque-token")).toBe("hod");
+    expect(roleOf("opaque-token", "professor")).toBe("professor");
+    expect(roleOf(null)).toBeNull();
+  });
+
+  it("checks roles and every required permission", () => {
+    expect(hasPermission("hod", PERMISSIONS.AUDIT)).toBe(true);
+    expect(hasPermission("auditor", PERMISSIONS.AUDIT)).toBe(false);
+    expect(isAllowed("hod", { roles: ["hod"], permissions: [PERMISSIONS.STUDENTS, PERMISSIONS.CLASSES] })).toBe(true);
+    expect(isAllowed("hod", { permissions: [PERMISSIONS.STUDENTS, "payroll:manage"] })).toBe(false);
+    expect(isAllowed("hod", { roles: ["auditor"] })).toBe(false);
+    expect(isAllowed(null)).toBe(false);
+  });
+
+  it("keeps professors to their assigned classes", () => {
+    expect(isAllowed("professor", { roles: ["professor"], permissions: [PERMISSIONS.ASSIGNED_ATTENDANCE] })).toBe(true);
+    expect(hasPermission("professor", PERMISSIONS.STUDENTS)).toBe(false);
+    expect(hasPermission("hod", PERMISSIONS.ASSIGNED_CLASSES)).toBe(false);
+    expect(hasPermission("professor", PERMISSIONS.MARK_ATTENDANCE)).toBe(true);
+    expect(hasPermission("hod", PERMISSIONS.MARK_ATTENDANCE)).toBe(true);
+    expect(hasPermission("professor", PERMISSIONS.LEAVES)).toBe(false);
+  });
+});
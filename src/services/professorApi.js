@@ -0,0 +1,99 @@
+// src/services/professorApi.js
+// API of the professor portal (/professor/*). Professors sign in with their
+// own credentials and their token lives under its own key, so one browser can
+// hold a HOD and a professor session side by side. The HOD-only machinery on
+// the instance in api.js (audit log, silent refresh, cache invalidation) is
+// not involved: the portal reads and takes attendance, and the server scopes
+// every answer to the classes the HOD assigned to the signed-in professor.
+import axios from "axios";
+import { isMockApiEnabled, mockAdapter } from "./mock";
+import { pickList, pickOne, toProfessor, toClass, toAttendanceRecord, toMarkResult } from "./models";
+import { queryKey } from "./queryCache";
+
+export const PROFESSOR_TOKEN_KEY = "professorToken";
+
+export const getProfessorToken = () => localStorage.getItem(PROFESSOR_TOKEN_KEY);
+
+const API = axios.create({
+  baseURL: import.meta.env.VITE_API_URL,
+  ...(isMockApiEnabled() ? { adapter: mockAdapter } : {}),
+});
+
+API.interceptors.request.use((config) => {
+  const token = getProfessorToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// ---------------------------------------------------------------- session end
+
+const listeners = new Set();
+
+/** listener() runs when the server stops accepting the professor token */
+export const subscribeProfessorSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// a 401 on anything but the login itself means the session is over
+API.interceptors.response.use(undefined, (error) => {
+  const path = String(error.config?.url || "").split("?")[0];
+  if (error.response?.status === 401 && path !== "/professors/login" && getProfessorToken()) {
+    localStorage.removeItem(PROFESSOR_TOKEN_KEY);
+    listeners.forEach((fn) => fn());
+    error.sessionExpired = true; // callers can skip their own "failed" toast
+  }
+  return Promise.reject(error);
+});
+
+// ====================== PROFESSOR SESSION ======================
+export const loginProfessor = (data) => API.post("/professors/login", data); // { token, professor }
+
+/** @returns {Promise<import("./models").Professor>} */
+export const getMyProfile = async () => {
+  const res = await API.get("/professors/me");
+  return toProfessor(pickOne(res.data, "professor"));
+};
+
+// ====================== ASSIGNED CLASSES ======================
+// Classes the HOD assigned to the signed-in professor (students populated)
+/** @returns {Promise<import("./models").Class[]>} */
+export const getMyClasses = async () => {
+  const res = await API.get("/professors/me/classes");
+  return pickList(res.data, "classes").map(toClass);
+};
+
+// ====================== ATTENDANCE ======================
+// Same endpoints as the HOD's (see api.js); the server only answers for assigned classes
+/** @returns {Promise<import("./models").AttendanceRecord[]>} */
+export const getMyClassAttendance = async (classId, params = {}) => {
+  const res = await API.get(`/attendance/class/${classId}`, { params });
+  return pickList(res.data, "records").map(toAttendanceRecord);
+};
+
+// One lecture (?date=YYYY-MM-DD&slotNumber=n)
+/** @returns {Promise<import("./models").AttendanceRecord[]>} */
+export const getMyLectureAttendance = async (classId, params = {}) => {
+  const res = await API.get(`/attendance/${classId}`, { params });
+  return pickList(res.data, "records").map(toAttendanceRecord);
+};
+
+// Record a lecture; same payload and 409-unless-overwrite rule as markAttendance in api.js
+/** @returns {Promise<import("./models").MarkResult>} */
+export const markMyAttendance = async (payload) => {
+  const res = await API.post("/attendance", payload);
+  return toMarkResult(res.data);
+};
+
+// ====================== CACHED QUERIES ======================
+// Keys share the "portal" prefix, apart from the HOD's collections
+export const myClassesQuery = { key: "portal:classes", fetcher: getMyClasses };
+
+export const myClassAttendanceQuery = (classId) => ({
+  key: queryKey("portal:attendance", { classId }),
+  fetcher: () => getMyClassAttendance(classId),
+});
+
+export default API;
@@ -0,0 +1,105 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  getMyClasses,
+  getMyClassAttendance,
+  getMyLectureAttendance,
+  getMyProfile,
+  getProfessorToken,
+  loginProfessor,
+  markMyAttendance,
+  subscribeProfessorSession,
+} from "./professorApi";
+import API, { getClasses } from "./api";
+import { DEMO_PROFESSOR } from "./mock";
+import { decodeToken } from "./session";
+import { loginAsDemoHod, loginAsDemoProfessor } from "../test/mockServer";
+
+describe("professor portal API", () => {
+  it("signs in with a professor token kept apart from the HOD's", async () => {
+    const token = await loginAsDemoProfessor();
+
+    expect(decodeToken(token).role).toBe("professor");
+    expect(getProfessorToken()).toBe(token);
+    expect(localStorage.getItem("hodToken")).toBeNull();
+    expect((await getMyProfile()).username).toBe(DEMO_PROFESSOR.username);
+  });
+
+  it("rejects wrong credentials", async () => {
+    await expect(loginProfessor({ username: DEMO_PROFESSOR.username, password: "nope" })).rejects.toMatchObject({
+      response: { status: 401 },
+    });
+  });
+
+  it("only returns the classes and attendance the HOD assigned", async () => {
+    await loginAsDemoHod();
+    const all = await getClasses();
+    await loginAsDemoProfessor();
+    const { _id: me } = await getMyProfile();
+
+    const mine = await getMyClasses();
+    expect(mine.map((c) => c._id)).toEqual(all.filter((c) => c.professorIds.includes(me)).map((c) => c._id));
+    expect(mine[0].students.length).toBeGreaterThan(0);
+
+    const records = await getMyClassAttendance(mine[0]._id);
+    expect(records.length).toBeGreaterThan(0);
+    expect(records.every((r) => r.classId === mine[0]._id)).toBe(true);
+
+    const other = all.find((c) => !c.professorIds.includes(me));
+    await expect(getMyClassAttendance(other._id)).rejects.toMatchObject({ response: { status: 403 } });
+  });
+
+  it("records a lecture and only overwrites it when asked", async () => {
+    await loginAsDemoProfessor();
+    const [cls] = await getMyClasses();
+    const lecture = { classId: cls._id, date: "2020-01-06", slotNumber: 2 };
+    const records = cls.students.map((s) => ({ studentId: s._id, isPresent: true }));
+
+    await expect(markMyAttendance({ ...lecture, records })).resolves.toEqual({ inserted: records.length, updated: 0 });
+    const flipped = records.map((r, i) => ({ ...r, isPresent: i !== 0 }));
+    await expect(markMyAttendance({ ...lecture, records: flipped })).rejects.toMatchObject({ response: { status: 409 } });
+    await expect(markMyAttendance({ ...lecture, records: flipped, overwrite: true })).resolves.toEqual({
+      inserted: 0,
+      updated: records.length,
+    });
+
+    const saved = await getMyLectureAttendance(cls._id, { date: lecture.date, slotNumber: 2 });
+    expect(saved.filter((r) => !r.isPresent).map((r) => r.studentId)).toEqual([records[0].studentId]);
+    const { name } = await getMyProfile();
+    expect(saved.every((r) => r.markedBy === name)).toBe(true);
+  });
+
+  it("cannot mark a class that is not assigned", async () => {
+    await loginAsDemoHod();
+    const all = await getClasses();
+    await loginAsDemoProfessor();
+    const { _id: me } = await getMyProfile();
+    const other = all.find((c) => !c.professorIds.includes(me));
+
+    await expect(
+      markMyAttendance({
+        classId: other._id,
+        date: "2020-01-06",
+        slotNumber: 1,
+        records: [{ studentId: other.studentIds[0], isPresent: true }],
+      })
+    ).rejects.toMatchObject({ response: { status: 403 } });
+  });
+
+  it("cannot use the HOD endpoints", async () => {
+    const token = await loginAsDemoProfessor();
+    await expect(API.get("/students", { headers: { Authorization: `Bearer ${token}` } })).rejects.toMatchObject({
+      response: { status: 403 },
+    });
+  });
+
+  it("ends the session when the server stops accepting the token", async () => {
+    localStorage.setItem("professorToken", "expired.token.value");
+    const ended = vi.fn();
+    const unsubscribe = subscribeProfessorSession(ended);
+
+    await expect(getMyClasses()).rejects.toMatchObject({ sessionExpired: true });
+    expect(ended).toHaveBeenCalledTimes(1);
+    expect(getProfessorToken()).toBeNull();
+    unsubscribe();
+  });
+});
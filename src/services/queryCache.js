@@ -0,0 +1,319 @@
+// src/services/queryCache.js
+// Shared client-side cache for the collections every page reads (classes,
+// students, professors). Reads are stale-while-revalidate: cached data is
+// handed out immediately and refetched in the background once older than
+// `staleTime`. Concurrent reads of the same key share one request, and
+// api.js invalidates the affected keys after every successful write.
+//
+// A query is a plain descriptor: { key, fetcher, persist?, staleTime? }
+// (api.js exports the shared ones). Two ways to read it:
+// - useQuery(query)             – read-only views subscribe and re-render on updates
+// - fetchQuery / peekQuery      – pages that keep an editable local copy seed it
+//                                 from the cache and await fresh data themselves
+// - usePagedQuery(makeQuery, …) – server-paged lists, loaded a page at a time
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from "react";
+
+export const DEFAULT_STALE_TIME = 30_000;
+const STORAGE_PREFIX = "queryCache:";
+
+/**
+ * entries: key -> {
+ *   state: { data, error, updatedAt, isFetching }   (replaced on every change)
+ *   promise, fetcher, persist, generation, listeners: Set<fn>
+ * }
+ * updatedAt 0 marks data as stale (never fetched, or invalidated);
+ * generation counts invalidations so in-flight results can tell they are outdated.
+ */
+const entries = new Map();
+
+const readPersisted = (key) => {
+  try {
+    const raw = sessionStorage.getItem(STORAGE_PREFIX + key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const writePersisted = (key, state) => {
+  try {
+    sessionStorage.setItem(STORAGE_PREFIX + key, JSON.stringify({ data: state.data, updatedAt: state.updatedAt }));
+  } catch {
+    // storage full or unavailable: the in-memory cache still works
+  }
+};
+
+const entryFor = (key) => {
+  if (!entries.has(key)) {
+    const saved = readPersisted(key);
+    entries.set(key, {
+      state: { data: saved?.data, error: null, updatedAt: saved?.updatedAt || 0, isFetching: false },
+      promise: null,
+      fetcher: null,
+      persist: Boolean(saved),
+      generation: 0,
+      listeners: new Set(),
+    });
+  }
+  return entries.get(key);
+};
+
+const update = (entry, key, patch) => {
+  entry.state = { ...entry.state, ...patch };
+  if (entry.persist && "data" in patch) writePersisted(key, entry.state);
+  entry.listeners.forEach((fn) => fn());
+};
+
+const isStale = (entry, staleTime) => !entry.state.updatedAt || Date.now() - entry.state.updatedAt > staleTime;
+
+// "students" matches "students" and "students:{...}" (parameterised variants)
+const matches = (key, prefix) => key === prefix || key.startsWith(`${prefix}:`);
+
+/** Cache key for a fetcher that takes params, e.g. queryKey("students", { semester: 3 }) */
+export const queryKey = (name, params) =>
+  params && Object.keys(params).length ? `${name}:${JSON.stringify(params)}` : name;
+
+/**
+ * Resolve a query, calling its fetcher only when the cached data is stale
+ * (or `force` is set). A request already in flight for the key is reused.
+ * - query.persist: also keep the result in sessionStorage for this tab
+ */
+export const fetchQuery = (query, { force = false } = {}) => {
+  const { key, fetcher, persist, staleTime = DEFAULT_STALE_TIME } = query;
+  const entry = entryFor(key);
+  entry.fetcher = fetcher;
+  if (persist === false && entry.persist) sessionStorage.removeItem(STORAGE_PREFIX + key); // stored by an older build
+  if (persist != null) entry.persist = persist;
+
+  if (entry.promise) return entry.promise;
+  if (!force && !isStale(entry, staleTime) && entry.state.data !== undefined) {
+    return Promise.resolve(entry.state.data);
+  }
+
+  const generation = entry.generation;
+  update(entry, key, { isFetching: true });
+  entry.promise = Promise.resolve()
+    .then(fetcher)
+    .then(
+      (data) => {
+        entry.promise = null;
+        // invalidated while in flight: keep the data but treat it as stale
+        const invalidated = entry.generation !== generation;
+        update(entry, key, { data, error: null, updatedAt: invalidated ? 0 : Date.now(), isFetching: false });
+        if (invalidated && entry.listeners.size) fetchQuery({ key, fetcher: entry.fetcher }).catch(() => {});
+        return data;
+      },
+      (error) => {
+        entry.promise = null;
+        update(entry, key, { error, isFetching: false });
+        throw error;
+      }
+    );
+  return entry.promise;
+};
+
+/** Cached data for a query (possibly stale), or undefined */
+export const peekQuery = (query) => entryFor(query.key).state.data;
+
+/**
+ * Replace cached data, e.g. for an optimistic update. `updater` may be a
+ * function of the old data. Freshness is left alone, so a stale entry still
+ * refetches on the next read.
+ */
+export const setQueryData = (key, updater) => {
+  const entry = entryFor(key);
+  const data = typeof updater === "function" ? updater(entry.state.data) : updater;
+  update(entry, key, { data });
+};
+
+/**
+ * Mark every key under the given prefixes stale. Keys that a mounted
+ * useQuery is watching are refetched straight away.
+ */
+export const invalidateQueries = (...prefixes) => {
+  entries.forEach((entry, key) => {
+    if (!prefixes.some((p) => matches(key, p))) return;
+    entry.generation += 1;
+    entry.state = { ...entry.state, updatedAt: 0 };
+    if (entry.persist) sessionStorage.removeItem(STORAGE_PREFIX + key);
+    // an in-flight request refetches by itself when it lands (see fetchQuery)
+    if (entry.listeners.size && entry.fetcher && !entry.promise) {
+      fetchQuery({ key, fetcher: entry.fetcher }).catch(() => {});
+    }
+  });
+};
+
+/** Forget everything (logout, switching accounts), or only the keys under `prefixes` */
+export const clearQueryCache = (...prefixes) => {
+  const hit = (key) => !prefixes.length || prefixes.some((p) => matches(key, p));
+  [...entries.keys()].filter(hit).forEach((key) => entries.delete(key));
+  try {
+    Object.keys(sessionStorage)
+      .filter((k) => k.startsWith(STORAGE_PREFIX) && hit(k.slice(STORAGE_PREFIX.length)))
+      .forEach((k) => sessionStorage.removeItem(k));
+  } catch {
+    // sessionStorage unavailable
+  }
+};
+
+const subscribe = (key, listener) => {
+  const entry = entryFor(key);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+};
+
+/**
+ * React binding for fetchQuery.
+ * Returns { data, error, isLoading, isFetching, refetch }:
+ * - isLoading: nothing cached yet (and no error)
+ * - refetch(): force a fresh request; resolves with the data (errors land in `error`)
+ */
+export function useQuery(query, { enabled = true } = {}) {
+  const { key } = query;
+  const queryRef = useRef(query);
+  useEffect(() => {
+    queryRef.current = query;
+  });
+
+  const state = useSyncExternalStore(
+    useCallback((listener) => subscribe(key, listener), [key]),
+    () => entryFor(key).state
+  );
+
+  useEffect(() => {
+    if (!enabled) return;
+    fetchQuery(queryRef.current).catch(() => {});
+  }, [key, enabled]);
+
+  const refetch = useCallback(() => fetchQuery(queryRef.current, { force: true }).catch(() => undefined), []);
+
+  return {
+    data: state.data,
+    error: state.error,
+    isLoading: enabled && state.data === undefined && !state.error,
+    isFetching: state.isFetching,
+    refetch,
+  };
+}
+
+const NO_FACETS = { semesters: [], divisions: [] };
+
+// facets read off each page (server without facets) add up as pages load
+const mergeFacets = (a, b) => ({
+  semesters: [...new Set([...a.semesters, ...b.semesters])].sort((x, y) => x - y),
+  divisions: [...new Set([...a.divisions, ...b.divisions])].sort(),
+});
+
+const appendNew = (list, more) => {
+  const have = new Set(list.map((x) => String(x._id)));
+  return [...list, ...more.filter((x) => !have.has(String(x._id)))];
+};
+
+/**
+ * Infinite list over a server-paged query. makeQuery(params) must return a
+ * descriptor resolving to a models.js Page, and is called with `params` plus
+ * page and limit. Changing `params` (compared by value, debounced) starts
+ * again from page 1; the previous items stay on screen until it lands.
+ * Returns { items, setItems, total, facets, hasMore, isLoading, isFetching, error, loadMore, refresh }:
+ * - isLoading: nothing loaded yet (and no error)
+ * - setItems(fn): local edits such as optimistic updates; `total` follows the length change
+ * - refresh(): refetch every page loaded so far (after a write)
+ */
+export function usePagedQuery(makeQuery, params, { pageSize = 50, debounceMs = 300 } = {}) {
+  const paramsKey = JSON.stringify(params ?? {});
+  const [activeKey, setActiveKey] = useState(paramsKey);
+  useEffect(() => {
+    if (paramsKey === activeKey) return undefined;
+    const timer = setTimeout(() => setActiveKey(paramsKey), debounceMs);
+    return () => clearTimeout(timer);
+  }, [paramsKey, activeKey, debounceMs]);
+
+  const makeQueryRef = useRef(makeQuery);
+  useEffect(() => {
+    makeQueryRef.current = makeQuery;
+  });
+
+  const [state, setState] = useState({
+    items: [],
+    pages: 0,
+    total: 0,
+    last: false,
+    facets: NO_FACETS,
+    error: null,
+    isLoading: true,
+    isFetching: false,
+  });
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const seq = useRef(0); // only the latest request may write
+
+  // pages from..upTo, one request each (a server may cap a bigger `limit`);
+  // from 1 replaces the list, later pages are appended
+  const load = useCallback(
+    (from, upTo) => {
+      const id = ++seq.current;
+      const params = JSON.parse(activeKey);
+      const numbers = Array.from({ length: upTo - from + 1 }, (_, i) => from + i);
+      setState((s) => ({ ...s, isFetching: true }));
+      return Promise.all(numbers.map((page) => fetchQuery(makeQueryRef.current({ ...params, page, limit: pageSize })))).then(
+        (results) => {
+          if (id !== seq.current) return;
+          const end = results.findIndex((r) => r.last);
+          const used = end === -1 ? results : results.slice(0, end + 1);
+          const res = used.at(-1);
+          setState((s) => ({
+            ...s,
+            items: used.reduce((list, r) => appendNew(list, r.items), from === 1 ? [] : s.items),
+            pages: from - 1 + used.length,
+            total: res.total,
+            last: Boolean(res.last),
+            facets: used.reduce((f, r) => mergeFacets(f, r.facets ?? NO_FACETS), from === 1 ? NO_FACETS : s.facets),
+            error: null,
+            isLoading: false,
+            isFetching: false,
+          }));
+        },
+        (error) => {
+          if (id !== seq.current) return;
+          setState((s) => ({ ...s, error, isLoading: false, isFetching: false }));
+        }
+      );
+    },
+    [activeKey, pageSize]
+  );
+
+  useEffect(() => {
+    load(1, 1);
+  }, [load]);
+
+  // a short page, or a server that ignored paging, ends the list whatever `total` says
+  const hasMore = !state.last && state.pages * pageSize < state.total;
+
+  const loadMore = useCallback(() => {
+    const { isFetching, pages } = stateRef.current;
+    if (isFetching || !hasMore) return;
+    load(pages + 1, pages + 1);
+  }, [load, hasMore]);
+
+  const refresh = useCallback(() => load(1, Math.max(stateRef.current.pages, 1)), [load]);
+
+  const setItems = useCallback((fn) => {
+    setState((s) => {
+      const items = typeof fn === "function" ? fn(s.items) : fn;
+      return { ...s, items, total: Math.max(s.total + items.length - s.items.length, 0) };
+    });
+  }, []);
+
+  return {
+    items: state.items,
+    setItems,
+    total: state.total,
+    facets: state.facets,
+    hasMore,
+    isLoading: state.isLoading,
+    isFetching: state.isFetching,
+    error: state.error,
+    loadMore,
+    refresh,
+  };
+}
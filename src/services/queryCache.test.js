@@ -0,0 +1,250 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import {
+  clearQueryCache,
+  fetchQuery,
+  invalidateQueries,
+  peekQuery,
+  queryKey,
+  setQueryData,
+  usePagedQuery,
+  useQuery,
+} from "./queryCache";
+import { addStudent, getStudents, getStudentsPage, professorsQuery, studentsQuery, studentsPageQuery, classesQuery } from "./api";
+import { toPage, toStudent } from "./models";
+import { loginAsDemoHod } from "../test/mockServer";
+
+// A fetcher whose calls can be counted and resolved on demand
+const deferredFetcher = () => {
+  const pending = [];
+  const fetcher = vi.fn(
+    () =>
+      new Promise((resolve, reject) => {
+        pending.push({ resolve, reject });
+      })
+  );
+  fetcher.resolveNext = (value) => pending.shift().resolve(value);
+  fetcher.rejectNext = (err) => pending.shift().reject(err);
+  return fetcher;
+};
+
+describe("fetchQuery", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("shares one request between concurrent reads", async () => {
+    const fetcher = deferredFetcher();
+    const q = { key: "items", fetcher };
+    const a = fetchQuery(q);
+    const b = fetchQuery(q);
+    await Promise.resolve();
+    fetcher.resolveNext(["x"]);
+
+    await expect(a).resolves.toEqual(["x"]);
+    await expect(b).resolves.toEqual(["x"]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it("serves fresh data from the cache and refetches once stale", async () => {
+    vi.useFakeTimers();
+    const fetcher = vi.fn().mockResolvedValueOnce(["v1"]).mockResolvedValueOnce(["v2"]);
+    const q = { key: "items", fetcher, staleTime: 1000 };
+
+    await fetchQuery(q);
+    await expect(fetchQuery(q)).resolves.toEqual(["v1"]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(1001);
+    expect(peekQuery(q)).toEqual(["v1"]); // still readable while stale
+    await expect(fetchQuery(q)).resolves.toEqual(["v2"]);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("refetches after invalidation, including parameterised keys", async () => {
+    const fetcher = vi.fn().mockResolvedValue([]);
+    const all = { key: "students", fetcher };
+    const sem3 = { key: queryKey("students", { semester: 3 }), fetcher };
+    const other = { key: "classes", fetcher };
+    await Promise.all([fetchQuery(all), fetchQuery(sem3), fetchQuery(other)]);
+
+    invalidateQueries("students");
+    await Promise.all([fetchQuery(all), fetchQuery(sem3), fetchQuery(other)]);
+    expect(fetcher).toHaveBeenCalledTimes(5);
+  });
+
+  it("does not cache failures", async () => {
+    const fetcher = vi.fn().mockRejectedValueOnce(new Error("down")).mockResolvedValueOnce(["ok"]);
+    const q = { key: "items", fetcher };
+    await expect(fetchQuery(q)).rejects.toThrow("down");
+    await expect(fetchQuery(q)).resolves.toEqual(["ok"]);
+  });
+
+  it("never writes the professor list (and its passwords) to sessionStorage", async () => {
+    await loginAsDemoHod();
+    const professors = await fetchQuery(professorsQuery);
+    expect(professors.length).toBeGreaterThan(0);
+    expect(sessionStorage.getItem("queryCache:professors")).toBeNull();
+  });
+
+  it("keeps persisted queries in sessionStorage until the cache is cleared", async () => {
+    const q = { key: "items", fetcher: vi.fn().mockResolvedValue(["saved"]), persist: true };
+    await fetchQuery(q);
+    expect(JSON.parse(sessionStorage.getItem("queryCache:items")).data).toEqual(["saved"]);
+
+    clearQueryCache();
+    expect(sessionStorage.getItem("queryCache:items")).toBeNull();
+    expect(peekQuery(q)).toBeUndefined();
+  });
+
+  it("clears only the keys under the given prefixes", async () => {
+    setQueryData("portal:classes", ["mine"]);
+    setQueryData(queryKey("portal:attendance", { classId: "c1" }), ["records"]);
+    await fetchQuery({ key: "items", fetcher: vi.fn().mockResolvedValue(["kept"]), persist: true });
+
+    clearQueryCache("portal");
+    expect(peekQuery({ key: "portal:classes" })).toBeUndefined();
+    expect(peekQuery({ key: queryKey("portal:attendance", { classId: "c1" }) })).toBeUndefined();
+    expect(peekQuery({ key: "items" })).toEqual(["kept"]);
+    expect(sessionStorage.getItem("queryCache:items")).not.toBeNull();
+  });
+
+  it("hydrates from sessionStorage after a reload", () => {
+    sessionStorage.setItem("queryCache:items", JSON.stringify({ data: ["old"], updatedAt: 1 }));
+    expect(peekQuery({ key: "items" })).toEqual(["old"]);
+  });
+});
+
+describe("useQuery", () => {
+  it("shows cached data right away and revalidates in the background", async () => {
+    setQueryData("items", ["cached"]);
+    invalidateQueries("items");
+    const fetcher = deferredFetcher();
+
+    const { result } = renderHook(() => useQuery({ key: "items", fetcher }));
+    expect(result.current.data).toEqual(["cached"]);
+    expect(result.current.isLoading).toBe(false);
+    await waitFor(() => expect(fetcher).toHaveBeenCalled());
+    expect(result.current.isFetching).toBe(true);
+
+    await act(async () => fetcher.resolveNext(["fresh"]));
+    expect(result.current.data).toEqual(["fresh"]);
+  });
+
+  it("reports loading, then errors", async () => {
+    const fetcher = deferredFetcher();
+    const { result } = renderHook(() => useQuery({ key: "items", fetcher }));
+    expect(result.current.isLoading).toBe(true);
+    await waitFor(() => expect(fetcher).toHaveBeenCalled());
+
+    await act(async () => fetcher.rejectNext(new Error("boom")));
+    expect(result.current.isLoading).toBe(false);
+    expect(result.current.error.message).toBe("boom");
+  });
+
+  it("refetches a watched query when it is invalidated", async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce(["a"]).mockResolvedValueOnce(["a", "b"]);
+    const { result } = renderHook(() => useQuery({ key: "items", fetcher }));
+    await waitFor(() => expect(result.current.data).toEqual(["a"]));
+
+    act(() => invalidateQueries("items"));
+    await waitFor(() => expect(result.current.data).toEqual(["a", "b"]));
+  });
+});
+
+describe("invalidation after writes", () => {
+  beforeEach(async () => {
+    await loginAsDemoHod();
+  });
+
+  it("marks students and classes stale when a student is added", async () => {
+    const before = await fetchQuery(studentsQuery);
+    await fetchQuery(classesQuery);
+
+    await addStudent({ name: "Cache Test", enrollmentNumber: "CACHE01", semester: 1 });
+
+    const after = await fetchQuery(studentsQuery);
+    expect(after).toHaveLength(before.length + 1);
+    expect(sessionStorage.getItem("queryCache:classes")).toBeNull();
+  });
+});
+
+describe("usePagedQuery", () => {
+  let all;
+
+  beforeEach(async () => {
+    await loginAsDemoHod();
+    all = await getStudents({ sortBy: "name" });
+  });
+
+  it("loads one page at a time from the server", async () => {
+    const { result } = renderHook(() => usePagedQuery(studentsPageQuery, { sortBy: "name" }, { pageSize: 10 }));
+    expect(result.current.isLoading).toBe(true);
+    await waitFor(() => expect(result.current.items).toHaveLength(10));
+    expect(result.current.total).toBe(all.length);
+    expect(result.current.items.map((s) => s._id)).toEqual(all.slice(0, 10).map((s) => s._id));
+    expect(result.current.facets.divisions).toEqual(expect.arrayContaining(["A", "B"]));
+
+    act(() => result.current.loadMore());
+    await waitFor(() => expect(result.current.items).toHaveLength(20));
+    expect(result.current.items[10]._id).toBe(all[10]._id);
+  });
+
+  it("starts over when the params change and refreshes what is loaded", async () => {
+    const target = all[0];
+    const { result, rerender } = renderHook(({ params }) => usePagedQuery(studentsPageQuery, params, { pageSize: 10, debounceMs: 0 }), {
+      initialProps: { params: {} },
+    });
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+
+    rerender({ params: { search: target.enrollmentNumber } });
+    await waitFor(() => expect(result.current.total).toBe(1));
+    expect(result.current.items[0]._id).toBe(target._id);
+
+    act(() => result.current.setItems([]));
+    expect(result.current.total).toBe(0);
+    await act(() => result.current.refresh());
+    expect(result.current.items).toHaveLength(1);
+  });
+
+  it("refreshes page by page, so a server cap on `limit` loses nothing", async () => {
+    const asked = [];
+    const makeQuery = (params) => ({
+      key: queryKey("capped", params),
+      fetcher: () => {
+        asked.push(params);
+        return getStudentsPage({ ...params, limit: Math.min(params.limit, 10) });
+      },
+    });
+    const { result } = renderHook(() => usePagedQuery(makeQuery, { sortBy: "name" }, { pageSize: 10 }));
+    await waitFor(() => expect(result.current.items).toHaveLength(10));
+    act(() => result.current.loadMore());
+    await waitFor(() => expect(result.current.items).toHaveLength(20));
+
+    invalidateQueries("capped");
+    asked.length = 0;
+    await act(() => result.current.refresh());
+    expect(asked.map((p) => [p.page, p.limit])).toEqual([
+      [1, 10],
+      [2, 10],
+    ]);
+    expect(result.current.items.map((s) => s._id)).toEqual(all.slice(0, 20).map((s) => s._id));
+
+    act(() => result.current.loadMore());
+    await waitFor(() => expect(result.current.items).toHaveLength(30));
+    expect(result.current.items[20]._id).toBe(all[20]._id);
+  });
+
+  it("stops at a server that ignores paging and reads the filters off its items", async () => {
+    const fetcher = vi.fn(async () => toPage({ students: all }, "students", toStudent, { page: 1, limit: 10 }));
+    const { result } = renderHook(() =>
+      usePagedQuery((params) => ({ key: queryKey("unpaged", params), fetcher }), {}, { pageSize: 10 })
+    );
+    await waitFor(() => expect(result.current.items).toHaveLength(all.length));
+
+    expect(result.current.hasMore).toBe(false);
+    act(() => result.current.loadMore());
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(result.current.facets.divisions).toEqual([...new Set(all.map((s) => s.division).filter(Boolean))].sort());
+  });
+});
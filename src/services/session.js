@@ -0,0 +1,137 @@
+// src/services/session.js
+// Lifetime of the HOD session token. installSession() hooks the axios
+// instance in api.js: a 401 on any authenticated request tries one silent
+// refresh (POST /hods/refresh-token) and replays the request with the new
+// token; when that fails the session is ended centrally — AuthContext hears
+// "expired", logs out and the protected pages send the user to the login.
+// A server without the refresh endpoint (404/405) is not asked again: later
+// 401s end the session straight away.
+//
+// The token is a JWT; its `exp` claim (tokenExpiresAt) drives the "session
+// expires in 2 minutes" warning in AuthContext. Nothing here verifies the
+// signature — that is the server's job.
+
+const TOKEN_KEY = "hodToken";
+const REFRESH_URL = "/hods/refresh-token";
+
+// requests that are allowed to 401 without it meaning "your session ended"
+const PUBLIC_PATHS = /^\/hods\/(login|register|verify-otp|resend-otp|refresh-token)$/;
+
+export const getStoredToken = () => localStorage.getItem(TOKEN_KEY);
+
+/** Payload of a JWT, or null if it is not one */
+export const decodeToken = (token) => {
+  try {
+    const part = String(token).split(".")[1];
+    if (!part) return null;
+    const bytes = Uint8Array.from(atob(part.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+    const payload = JSON.parse(new TextDecoder().decode(bytes));
+    return payload && typeof payload === "object" ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/** When the token stops working (ms since epoch), or null without an `exp` claim */
+export const tokenExpiresAt = (token) => {
+  const exp = Number(decodeToken(token)?.exp);
+  return exp ? exp * 1000 : null;
+};
+
+// ---------------------------------------------------------------- events
+
+const listeners = new Set();
+
+/** listener({ type: "refreshed", token }) | listener({ type: "expired" }) */
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const emit = (event) => listeners.forEach((fn) => fn(event));
+
+/** End the session everywhere (token ran out, or the server stopped accepting it) */
+export const expireSession = () => emit({ type: "expired" });
+
+// ---------------------------------------------------------------- refresh
+
+let sessionInstance = null;
+let refreshing = null;
+// false once the refresh endpoint answered 404/405: this server has none
+let refreshSupported = true;
+
+/** Whether the server can renew a token ("Stay signed in" is hidden when not) */
+export const canRefreshSession = () => refreshSupported;
+
+/** Try the refresh endpoint again (tests, or after switching servers) */
+export const resetRefreshSupport = () => {
+  refreshSupported = true;
+};
+
+/**
+ * Swap the current token for a fresh one. Concurrent callers share one
+ * request. Resolves with the new token (also stored); rejects if the server
+ * will not refresh it, without a request once it turned out to have no
+ * refresh endpoint.
+ */
+export const refreshSession = () => {
+  if (!sessionInstance) return Promise.reject(new Error("Session handling is not installed"));
+  if (!refreshSupported) return Promise.reject(new Error("Token refresh is not supported by the server"));
+  if (!refreshing) {
+    refreshing = sessionInstance
+      .post(REFRESH_URL, null, { skipAuthRefresh: true, skipAudit: true })
+      .then((res) => {
+        const token = res?.data?.token || res?.data?.data?.token;
+        if (!token) throw new Error("Token not returned by server");
+        localStorage.setItem(TOKEN_KEY, token);
+        emit({ type: "refreshed", token });
+        return token;
+      })
+      .catch((err) => {
+        if ([404, 405].includes(err.response?.status)) refreshSupported = false;
+        throw err;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// ---------------------------------------------------------------- wiring
+
+/** Attach the 401 handling to an axios instance (api.js does this once) */
+export function installSession(instance) {
+  sessionInstance = instance;
+
+  instance.interceptors.response.use(undefined, async (error) => {
+    const config = error.config;
+    const path = String(config?.url || "").split("?")[0];
+    if (
+      error.response?.status !== 401 ||
+      !config ||
+      config.skipAuthRefresh ||
+      PUBLIC_PATHS.test(path) ||
+      !getStoredToken()
+    ) {
+      return Promise.reject(error);
+    }
+
+    // one refresh per request; a replay that 401s again ends the session below
+    if (!config.sessionRetried) {
+      let refreshed = false;
+      try {
+        await refreshSession();
+        refreshed = true;
+      } catch {
+        // the server will not renew this token
+      }
+      // the token interceptor puts the new token on the replay
+      if (refreshed) return instance({ ...config, sessionRetried: true });
+    }
+
+    expireSession();
+    error.sessionExpired = true; // callers can skip their own "failed" toast
+    return Promise.reject(error);
+  });
+}
@@ -0,0 +1,122 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import API, { getStudents, updateStudent } from "./api";
+import { getAuditLog } from "./audit";
+import { canRefreshSession, decodeToken, subscribeSession, tokenExpiresAt } from "./session";
+import { signToken } from "./mock/helpers";
+
+// Answer requests from a function instead of the mock backend (see api.test.js)
+const originalAdapter = API.defaults.adapter;
+let calls;
+
+const stubServer = (respond) => {
+  calls = [];
+  API.defaults.adapter = async (config) => {
+    calls.push(config);
+    const { status = 200, data } = await respond(config);
+    const response = { data, status, statusText: "", headers: {}, config, request: {} };
+    if (status >= 400) {
+      const err = new Error(`Request failed with status code ${status}`);
+      err.config = config;
+      err.response = response;
+      throw err;
+    }
+    return response;
+  };
+};
+
+const bearer = (config) => config.headers.Authorization;
+
+afterEach(() => {
+  API.defaults.adapter = originalAdapter;
+});
+
+describe("token helpers", () => {
+  it("reads the JWT payload and its expiry", () => {
+    const token = signToken({ id: "h1", role: "hod" }, 60);
+    expect(decodeToken(token)).toMatchObject({ id: "h1", role: "hod" });
+    expect(tokenExpiresAt(token)).toBe(decodeToken(token).exp * 1000);
+    expect(tokenExpiresAt(token) - Date.now()).toBeLessThanOrEqual(60_000);
+  });
+
+  it("returns null for anything that is not a JWT", () => {
+    expect(decodeToken("expired.token.value")).toBeNull();
+    expect(decodeToken(null)).toBeNull();
+    expect(tokenExpiresAt("nope")).toBeNull();
+  });
+});
+
+describe("401 handling", () => {
+  it("refreshes the token once and replays the request", async () => {
+    localStorage.setItem("hodToken", "old");
+    const events = [];
+    const stop = subscribeSession((e) => events.push(e));
+    stubServer((config) => {
+      if (config.url === "/hods/refresh-token") return { data: { token: "new" } };
+      return bearer(config) === "Bearer new" ? { data: { data: [{ _id: "s1" }] } } : { status: 401, data: {} };
+    });
+
+    const [first, second] = await Promise.all([getStudents(), getStudents()]);
+    stop();
+
+    expect(first).toHaveLength(1);
+    expect(second).toHaveLength(1);
+    expect(calls.filter((c) => c.url === "/hods/refresh-token")).toHaveLength(1);
+    expect(localStorage.getItem("hodToken")).toBe("new");
+    expect(events).toEqual([{ type: "refreshed", token: "new" }]);
+  });
+
+  it("records a replayed write in the audit log once", async () => {
+    localStorage.setItem("hodToken", "old");
+    stubServer((config) => {
+      if (config.url === "/hods/refresh-token") return { data: { token: "new" } };
+      if (config.skipAudit) return { data: { student: { _id: "s1", name: "A", semester: 3 } } }; // the "before" read
+      if (bearer(config) !== "Bearer new") return { status: 401, data: {} };
+      return { data: { student: { _id: "s1", name: "A", semester: 4 } } };
+    });
+
+    await updateStudent("s1", { semester: 4 });
+
+    expect(calls.filter((c) => c.method === "put")).toHaveLength(2);
+    expect(getAuditLog()).toHaveLength(1);
+    expect(getAuditLog()[0]).toMatchObject({ action: "update", status: "success" });
+  });
+
+  it("ends the session when the token cannot be refreshed", async () => {
+    localStorage.setItem("hodToken", "old");
+    const listener = vi.fn();
+    const stop = subscribeSession(listener);
+    stubServer(() => ({ status: 401, data: { error: "Not authorized, token failed" } }));
+
+    const err = await getStudents().catch((e) => e);
+    stop();
+
+    expect(err.sessionExpired).toBe(true);
+    expect(listener).toHaveBeenCalledWith({ type: "expired" });
+    expect(calls.map((c) => c.url)).toEqual(["/students", "/hods/refresh-token"]);
+  });
+
+  it("stops asking for a refresh once the server has no refresh endpoint", async () => {
+    localStorage.setItem("hodToken", "old");
+    stubServer((config) =>
+      config.url === "/hods/refresh-token" ? { status: 404, data: { error: "Not found" } } : { status: 401, data: {} }
+    );
+
+    expect((await getStudents().catch((e) => e)).sessionExpired).toBe(true);
+    expect(canRefreshSession()).toBe(false);
+    expect((await getStudents().catch((e) => e)).sessionExpired).toBe(true);
+
+    expect(calls.map((c) => c.url)).toEqual(["/students", "/hods/refresh-token", "/students"]);
+  });
+
+  it("leaves a failed login alone", async () => {
+    const listener = vi.fn();
+    const stop = subscribeSession(listener);
+    stubServer(() => ({ status: 401, data: { error: "Invalid credentials" } }));
+
+    await expect(API.post("/hods/login", { username: "x", password: "y" })).rejects.toThrow();
+    stop();
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(calls).toHaveLength(1);
+  });
+});
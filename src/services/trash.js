@@ -0,0 +1,216 @@
+// src/services/trash.js
+// Recycle bin for deleted students, professors and classes. The server
+// deletes for good, so the browser keeps a snapshot of each record (plus the
+// classes it belonged to, or a class's members) in localStorage, and
+// restoring re-creates it with addStudent / addProfessor / createClass and
+// re-runs the class assignments.
+//
+// Snapshots are taken by services/deleteQueue right before a delete is sent
+// and only land here once the server confirms it. Restored records get new
+// ids; the old -> new mapping is remembered so restoring a class after its
+// students (or the other way round) still reconnects them.
+//
+// Each HOD account has its own bin (AuthContext calls setTrashAccount), so it
+// survives logging out and another HOD on the same browser never sees it.
+import {
+  addStudent,
+  addProfessor,
+  createClass,
+  assignStudentsToClass,
+  assignProfessorsToClass,
+  classesQuery,
+  studentsQuery,
+  professorsQuery,
+} from "./api";
+import { fetchQuery } from "./queryCache";
+
+const STORAGE_PREFIX = "trash";
+const MAX_ENTRIES = 500; // oldest entries fall out first
+
+/**
+ * @typedef {Object} TrashEntry
+ * @property {string} id
+ * @property {"students"|"professors"|"classes"} kind
+ * @property {number} deletedAt
+ * @property {Object} record       the Student / Professor / Class model as it was
+ * @property {{_id: string, label: string}[]} classes   memberships (students and professors)
+ */
+
+const read = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage full or unavailable: nothing we can keep
+  }
+};
+
+// useSyncExternalStore needs the same array back until something changes
+let account = "";
+let entries = null;
+const listeners = new Set();
+
+// "trash:<hodId>" and "trash:<hodId>:restoredIds"
+const storageKey = () => (account ? `${STORAGE_PREFIX}:${account}` : STORAGE_PREFIX);
+const idMapKey = () => `${storageKey()}:restoredIds`;
+
+/** Whose bin is shown and filled from now on (the signed-in HOD's id; null when signed out) */
+export const setTrashAccount = (hodId) => {
+  const next = hodId ? String(hodId) : "";
+  if (next === account) return;
+  account = next;
+  entries = null;
+  listeners.forEach((fn) => fn());
+};
+
+/** @returns {TrashEntry[]} newest first */
+export const getTrash = () => {
+  if (!entries) entries = read(storageKey(), []);
+  return entries;
+};
+
+const save = (next) => {
+  entries = next;
+  if (next.length) write(storageKey(), next);
+  else localStorage.removeItem(storageKey());
+  listeners.forEach((fn) => fn());
+};
+
+export const subscribeTrash = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const addToTrash = (added) => {
+  if (added.length) save([...added, ...getTrash()].slice(0, MAX_ENTRIES));
+};
+
+export const removeFromTrash = (ids) => {
+  const drop = new Set(ids);
+  save(getTrash().filter((e) => !drop.has(e.id)));
+};
+
+/** Empty this account's bin and forget its restored ids */
+export const clearTrash = () => {
+  save([]);
+  localStorage.removeItem(idMapKey());
+};
+
+/** Display name of a trashed record */
+export const trashLabel = ({ kind, record }) =>
+  kind === "classes"
+    ? `${record.className}${record.division ? ` (${record.division})` : ""}`
+    : record.name || record.username || record.enrollmentNumber || "Unnamed";
+
+let seq = 0;
+
+// snapshots stay in localStorage indefinitely: never keep passwords, OTPs or tokens
+// (a professor, or the professors populated on a class)
+const SECRET = /password|otp|token/i;
+const withoutSecrets = (value) => {
+  if (Array.isArray(value)) return value.map(withoutSecrets);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([k]) => !SECRET.test(k))
+      .map(([k, v]) => [k, withoutSecrets(v)])
+  );
+};
+
+/**
+ * Build trash entries for records about to be deleted. Memberships come from
+ * the classes list, which still has them since the delete has not gone out.
+ * A failed lookup just leaves memberships empty.
+ */
+export const snapshotForTrash = async (kind, records) => {
+  let classes = [];
+  if (kind !== "classes") {
+    try {
+      classes = await fetchQuery(classesQuery);
+    } catch (err) {
+      console.error("Could not read class memberships for the trash", err);
+    }
+  }
+  const idField = kind === "students" ? "studentIds" : "professorIds";
+  const deletedAt = Date.now();
+  return records.map((record) => ({
+    id: `${deletedAt}-${++seq}`,
+    kind,
+    deletedAt,
+    record: withoutSecrets(record),
+    classes: classes
+      .filter((c) => (c[idField] || []).includes(String(record._id)))
+      .map((c) => ({ _id: c._id, label: trashLabel({ kind: "classes", record: c }) })),
+  }));
+};
+
+// ---------------------------------------------------------------- restore
+
+const restoredIds = () => read(idMapKey(), {});
+const rememberRestored = (oldId, newId) => write(idMapKey(), { ...restoredIds(), [oldId]: newId });
+const currentId = (id) => restoredIds()[id] || id;
+
+const ASSIGN = { students: assignStudentsToClass, professors: assignProfessorsToClass };
+
+// the record itself is back at this point, so a failed assignment is reported, not thrown
+const tryAssign = async (field, classId, ids, label, skipped) => {
+  try {
+    await ASSIGN[field](classId, ids);
+  } catch (err) {
+    console.error(`Restoring ${field} assignment failed`, err);
+    skipped.push(label);
+  }
+};
+
+/**
+ * Re-create a trashed record and its class assignments, then drop it from
+ * the bin. Assignments to classes (or members) that no longer exist, or that
+ * fail, are skipped and reported. Throws only if the record itself could not
+ * be re-created (e.g. the enrollment number or username is taken again).
+ * @returns {Promise<{ record: Object, skipped: string[] }>} skipped: labels not reconnected
+ */
+export async function restoreFromTrash(entry) {
+  const { kind, record } = entry;
+  const skipped = [];
+  let created;
+
+  if (kind === "classes") {
+    created = await createClass({ className: record.className, division: record.division });
+    const [students, professors] = await Promise.all([fetchQuery(studentsQuery), fetchQuery(professorsQuery)]);
+    const members = { students, professors };
+    for (const field of ["students", "professors"]) {
+      const alive = new Set(members[field].map((m) => String(m._id)));
+      const ids = record[`${field.slice(0, -1)}Ids`].map(currentId);
+      const keep = ids.filter((id) => alive.has(id));
+      if (ids.length > keep.length) skipped.push(`${ids.length - keep.length} ${field}`);
+      if (keep.length) await tryAssign(field, created._id, keep, `${keep.length} ${field}`, skipped);
+    }
+  } else {
+    created =
+      kind === "students"
+        ? await addStudent({
+            name: record.name,
+            enrollmentNumber: record.enrollmentNumber,
+            semester: record.semester,
+            division: record.division,
+          })
+        : await addProfessor({ name: record.name, username: record.username }); // server sets the default password
+    const alive = new Set((await fetchQuery(classesQuery)).map((c) => String(c._id)));
+    for (const cls of entry.classes) {
+      const classId = currentId(cls._id);
+      if (alive.has(classId)) await tryAssign(kind, classId, [created._id], cls.label, skipped);
+      else skipped.push(cls.label);
+    }
+  }
+
+  rememberRestored(String(record._id), String(created._id));
+  removeFromTrash([entry.id]);
+  return { record: created, skipped };
+}
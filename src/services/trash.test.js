@@ -0,0 +1,97 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { flushPendingDeletes, queueDelete } from "./deleteQueue";
+import { getTrash, restoreFromTrash, setTrashAccount } from "./trash";
+import { getClasses, getProfessors, getStudents } from "./api";
+import { loginAsDemoHod } from "../test/mockServer";
+
+const deleteNow = async (kind, records) => {
+  const { promise } = queueDelete(kind, records.map((r) => r._id), { records });
+  await flushPendingDeletes();
+  return promise;
+};
+
+describe("trash", () => {
+  let cls;
+  let student;
+
+  beforeEach(async () => {
+    await loginAsDemoHod();
+    cls = (await getClasses()).find((c) => c.students.length && c.professors.length);
+    student = cls.students[0];
+  });
+
+  it("keeps a snapshot of deleted students with their classes", async () => {
+    await deleteNow("students", [student]);
+
+    const [entry] = getTrash();
+    expect(entry).toMatchObject({ kind: "students", record: { _id: student._id, name: student.name } });
+    expect(entry.classes.map((c) => c._id)).toContain(cls._id);
+  });
+
+  it("keeps each account's bin through a logout", async () => {
+    await deleteNow("students", [student]);
+    const [entry] = getTrash();
+
+    setTrashAccount(null); // signed out
+    setTrashAccount("another-hod");
+    expect(getTrash()).toEqual([]);
+
+    await loginAsDemoHod();
+    expect(getTrash()).toEqual([entry]);
+  });
+
+  it("never keeps passwords in the snapshots", async () => {
+    const [professor] = await getProfessors();
+    expect(professor.password).toBeTruthy(); // the mock API sends it
+    await deleteNow("professors", [professor]);
+    await deleteNow("classes", [cls]);
+
+    const [classEntry, professorEntry] = getTrash();
+    expect(professorEntry.record).toEqual({ _id: professor._id, name: professor.name, username: professor.username });
+    expect(classEntry.record.professors.every((p) => !("password" in p))).toBe(true);
+    expect(JSON.stringify(localStorage)).not.toMatch(/password/i);
+  });
+
+  it("leaves nothing in the trash when the delete is undone", async () => {
+    const { promise, undo } = queueDelete("students", [student._id], { records: [student] });
+    undo();
+    await promise.catch(() => {});
+    expect(getTrash()).toEqual([]);
+  });
+
+  it("restores a student into the classes they were in", async () => {
+    await deleteNow("students", [student]);
+
+    const { record, skipped } = await restoreFromTrash(getTrash()[0]);
+    expect(skipped).toEqual([]);
+    expect(record.enrollmentNumber).toBe(student.enrollmentNumber);
+    const restoredClass = (await getClasses()).find((c) => c._id === cls._id);
+    expect(restoredClass.studentIds).toContain(record._id);
+    expect(getTrash()).toEqual([]);
+  });
+
+  it("restores a class with its students and professors", async () => {
+    await deleteNow("classes", [cls]);
+
+    const { record } = await restoreFromTrash(getTrash()[0]);
+    const restored = (await getClasses()).find((c) => c._id === record._id);
+    expect(restored.className).toBe(cls.className);
+    expect([...restored.studentIds].sort()).toEqual([...cls.studentIds].sort());
+    expect([...restored.professorIds].sort()).toEqual([...cls.professorIds].sort());
+  });
+
+  it("reconnects records restored in either order", async () => {
+    await deleteNow("students", [student]);
+    await deleteNow("classes", [cls]);
+    const [classEntry, studentEntry] = getTrash(); // newest first
+
+    const first = await restoreFromTrash(studentEntry);
+    expect(first.skipped).toEqual([`${cls.className} (${cls.division})`]); // its class is gone for now
+
+    const second = await restoreFromTrash(classEntry);
+    expect(second.skipped).toEqual([]);
+    const restored = (await getClasses()).find((c) => c._id === second.record._id);
+    expect(restored.studentIds).toContain(first.record._id);
+    expect((await getStudents()).filter((s) => s.enrollmentNumber === student.enrollmentNumber)).toHaveLength(1);
+  });
+});
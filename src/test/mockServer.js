@@ -0,0 +1,38 @@
+// src/test/mockServer.js
+// Test helpers around the mock API: fresh seed data and a logged-in HOD or professor.
+import { resetMockDb } from "../services/mock/db";
+import { DEMO_HOD, DEMO_PROFESSOR } from "../services/mock";
+import { loginHod } from "../services/api";
+import { loginProfessor, PROFESSOR_TOKEN_KEY } from "../services/professorApi";
+import { clearQueryCache } from "../services/queryCache";
+import { cancelPendingDeletes } from "../services/deleteQueue";
+import { clearTrash, setTrashAccount } from "../services/trash";
+import { clearAuditLog, setAuditActor } from "../services/audit";
+import { resetRefreshSupport } from "../services/session";
+
+export const resetMockServer = async () => {
+  cancelPendingDeletes();
+  clearTrash();
+  setTrashAccount(null);
+  clearAuditLog();
+  setAuditActor(null);
+  resetRefreshSupport();
+  localStorage.clear();
+  clearQueryCache();
+  return resetMockDb();
+};
+
+export const loginAsDemoHod = async () => {
+  const res = await loginHod({ username: DEMO_HOD.username, password: DEMO_HOD.password });
+  localStorage.setItem("hodToken", res.data.token);
+  // as AuthContext does once signed in
+  setAuditActor(DEMO_HOD.username);
+  setTrashAccount(res.data.hod._id);
+  return res.data.token;
+};
+
+export const loginAsDemoProfessor = async () => {
+  const res = await loginProfessor({ username: DEMO_PROFESSOR.username, password: DEMO_PROFESSOR.password });
+  localStorage.setItem(PROFESSOR_TOKEN_KEY, res.data.token);
+  return res.data.token;
+};
@@ -0,0 +1,16 @@
+// src/test/render.jsx
+import { render } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import { ToastContainer } from "react-toastify";
+import { ConfirmProvider } from "../components/ConfirmProvider";
+
+// Render a page with the providers App.jsx puts around it
+export const renderWithProviders = (ui, { route = "/" } = {}) =>
+  render(
+    <MemoryRouter initialEntries={[route]}>
+      <ConfirmProvider>
+        {ui}
+        <ToastContainer autoClose={false} />
+      </ConfirmProvider>
+    </MemoryRouter>
+  );
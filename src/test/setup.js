@@ -0,0 +1,16 @@
+// src/test/setup.js
+// Vitest setup: DOM matchers and a fresh mock backend for every test.
+// VITE_USE_MOCK_API is set in vite.config.js, so api.js talks to the
+// in-browser mock API (services/mock) instead of a real server.
+import "@testing-library/jest-dom/vitest";
+import { afterEach, beforeEach } from "vitest";
+import { cleanup } from "@testing-library/react";
+import { resetMockServer } from "./mockServer";
+
+beforeEach(async () => {
+  await resetMockServer();
+});
+
+afterEach(() => {
+  cleanup();
+});
@@ -0,0 +1,327 @@
+// src/utils/attendanceStats.js
+// Client-side aggregation of raw attendance records for the analytics charts.
+// Records are AttendanceRecord models (services/models.js) from the api helpers.
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Same label HodAttendance uses in its class picker
+export const classDisplay = (c) => {
+  const title = c.className || c.name || `${c?.semester ? "Sem " + c.semester : "Class"}`;
+  return `${title}${c.division ? ` (${c.division})` : ""}`;
+};
+
+/**
+ * Record date as a local Date (midnight). Accepts dd/MM/yyyy strings, ISO
+ * strings or epoch ms (`dateMs`). Returns null when unparseable.
+ */
+export const recordDate = (r) => {
+  const val = r?.date ?? r?.dateMs;
+  if (val == null || val === "") return null;
+  let d;
+  if (typeof val === "string" && /^\d{1,2}\/\d{1,2}\/\d{4}$/.test(val)) {
+    const [dd, mm, yyyy] = val.split("/").map(Number);
+    d = new Date(yyyy, mm - 1, dd);
+  } else if (typeof val === "string" && /^\d{4}-\d{2}-\d{2}$/.test(val)) {
+    const [yyyy, mm, dd] = val.split("-").map(Number);
+    d = new Date(yyyy, mm - 1, dd);
+  } else {
+    d = new Date(val);
+  }
+  if (isNaN(d)) return null;
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// YYYY-MM-DD in local time (avoids the UTC shift of toISOString)
+export const toDayKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+export const pct = (present, total) => (total ? Math.round((present / total) * 1000) / 10 : 0);
+
+// Fill colour for a percentage: red (low) -> green (high); grey when there is no data
+export const percentColor = (v) => {
+  if (v == null) return "#f3f4f6";
+  const t = Math.max(0, Math.min(1, v / 100));
+  const r = Math.round(239 + (34 - 239) * t);
+  const g = Math.round(68 + (197 - 68) * t);
+  const b = Math.round(68 + (94 - 68) * t);
+  return `rgb(${r},${g},${b})`;
+};
+
+// Monday of the week containing d
+const weekStart = (d) => {
+  const s = new Date(d);
+  s.setDate(s.getDate() - ((s.getDay() + 6) % 7));
+  return s;
+};
+
+const bucketOf = (d, bucket) => {
+  if (bucket === "month") {
+    const s = new Date(d.getFullYear(), d.getMonth(), 1);
+    return { key: `${s.getFullYear()}-${pad(s.getMonth() + 1)}`, date: s, label: `${MONTHS[s.getMonth()]} ${s.getFullYear()}` };
+  }
+  const s = bucket === "week" ? weekStart(d) : d;
+  return {
+    key: toDayKey(s),
+    date: s,
+    label: `${bucket === "week" ? "Wk " : ""}${pad(s.getDate())} ${MONTHS[s.getMonth()]}`,
+  };
+};
+
+/**
+ * Attendance percentage over time.
+ * - bucket: "day" | "week" | "month"
+ * Returns [{ key, label, date, present, total, pct }] sorted by date.
+ */
+export const attendanceSeries = (records = [], { bucket = "day" } = {}) => {
+  const map = new Map();
+  records.forEach((r) => {
+    const d = recordDate(r);
+    if (!d) return;
+    const b = bucketOf(d, bucket);
+    if (!map.has(b.key)) map.set(b.key, { ...b, present: 0, total: 0 });
+    const e = map.get(b.key);
+    e.total += 1;
+    if (r.isPresent) e.present += 1;
+  });
+  return Array.from(map.values())
+    .sort((a, b) => a.date - b.date)
+    .map((e) => ({ ...e, pct: pct(e.present, e.total) }));
+};
+
+/**
+ * Weekday × slot matrix.
+ * Returns { slots: number[], weekdays: number[] (0=Sun), cells: { "wd-slot": { present, total, pct } } }
+ * Only weekdays/slots that appear in the data are listed.
+ */
+export const weekdaySlotMatrix = (records = []) => {
+  const cells = {};
+  const slots = new Set();
+  const weekdays = new Set();
+  records.forEach((r) => {
+    const d = recordDate(r);
+    const slot = Number(r.slotNumber);
+    if (!d || !slot) return;
+    const wd = d.getDay();
+    slots.add(slot);
+    weekdays.add(wd);
+    const k = `${wd}-${slot}`;
+    if (!cells[k]) cells[k] = { present: 0, total: 0 };
+    cells[k].total += 1;
+    if (r.isPresent) cells[k].present += 1;
+  });
+  Object.values(cells).forEach((c) => {
+    c.pct = pct(c.present, c.total);
+  });
+  // Monday-first ordering reads better for a timetable
+  const order = [1, 2, 3, 4, 5, 6, 0];
+  return {
+    slots: Array.from(slots).sort((a, b) => a - b),
+    weekdays: order.filter((wd) => weekdays.has(wd)),
+    cells,
+  };
+};
+
+/**
+ * Totals for a monthly summary list ({ presents, totalClasses } per student).
+ * Returns { present, total, pct, students }
+ */
+export const summarizeMonthly = (summary = []) => {
+  const present = summary.reduce((n, s) => n + Number(s.presents || 0), 0);
+  const total = summary.reduce((n, s) => n + Number(s.totalClasses || 0), 0);
+  return { present, total, pct: pct(present, total), students: summary.length };
+};
+
+/**
+ * Keep records whose date falls within [from, to] (YYYY-MM-DD strings, inclusive).
+ * Either bound may be empty.
+ */
+export const filterByDateRange = (records = [], from, to) =>
+  records.filter((r) => {
+    const d = recordDate(r);
+    if (!d) return false;
+    const k = toDayKey(d);
+    return (!from || k >= from) && (!to || k <= to);
+  });
+
+const studentKey = (r) => recordStudentId(r) || String(r.enrollmentNumber ?? "");
+
+/**
+ * Per-student totals from raw records, in the same shape as the monthly
+ * summary endpoint: [{ studentId, name, enrollmentNumber, totalClasses, presents, absents, excused, percentage }]
+ * (`excused`: absences flagged by utils/leaves markExcused)
+ */
+export const summarizeByStudent = (records = []) => {
+  const map = new Map();
+  records.forEach((r) => {
+    const k = studentKey(r);
+    if (!k) return;
+    if (!map.has(k)) {
+      map.set(k, {
+        studentId: k,
+        name: r.studentName,
+        enrollmentNumber: r.enrollmentNumber,
+        totalClasses: 0,
+        presents: 0,
+        absents: 0,
+        excused: 0,
+      });
+    }
+    const s = map.get(k);
+    s.totalClasses += 1;
+    if (r.isPresent) s.presents += 1;
+    else s.absents += 1;
+    if (r.excused) s.excused += 1;
+  });
+  return Array.from(map.values())
+    .map((s) => ({ ...s, percentage: pct(s.presents, s.totalClasses) }))
+    .sort((a, b) => String(a.enrollmentNumber).localeCompare(String(b.enrollmentNumber)));
+};
+
+/**
+ * Lectures a student is short of the threshold over the lectures already held:
+ * ceil(threshold% × total) − presents (0 when at or above it).
+ */
+export const lecturesShort = (presents, total, threshold) =>
+  Math.max(0, Math.ceil((threshold / 100) * total - presents - 1e-9));
+
+/**
+ * Consecutive lectures the student must attend from now on to reach the
+ * threshold. Infinity when the threshold is 100% and a lecture was missed.
+ */
+export const lecturesToRecover = (presents, total, threshold) => {
+  const t = threshold / 100;
+  if (presents >= t * total) return 0;
+  if (t >= 1) return Infinity;
+  return Math.ceil((t * total - presents) / (1 - t) - 1e-9);
+};
+
+// Student / class ids on a record may be plain ids or populated documents
+export const recordStudentId = (r) => {
+  const v = r?.studentId ?? r?.student;
+  return v == null ? "" : String(v._id ?? v);
+};
+
+export const recordClassId = (r) => {
+  const v = r?.classId ?? r?.class;
+  return v == null ? "" : String(v._id ?? v);
+};
+
+// Chronological order: date, then slot
+export const sortChronologically = (records = []) =>
+  records
+    .map((r) => ({ r, d: recordDate(r) }))
+    .filter((x) => x.d)
+    .sort((a, b) => a.d - b.d || Number(a.r.slotNumber || 0) - Number(b.r.slotNumber || 0))
+    .map((x) => x.r);
+
+/**
+ * Runs of consecutive absent lectures (in date + slot order).
+ * Returns { current, currentSince: Date | null, longest, longestFrom, longestTo }
+ */
+export const absenceStreaks = (records = []) => {
+  const ordered = sortChronologically(records);
+  let run = 0;
+  let runStart = null;
+  let longest = 0;
+  let longestFrom = null;
+  let longestTo = null;
+  ordered.forEach((r) => {
+    if (r.isPresent) {
+      run = 0;
+      runStart = null;
+      return;
+    }
+    if (!run) runStart = recordDate(r);
+    run += 1;
+    if (run > longest) {
+      longest = run;
+      longestFrom = runStart;
+      longestTo = recordDate(r);
+    }
+  });
+  return { current: run, currentSince: runStart, longest, longestFrom, longestTo };
+};
+
+/**
+ * Present/total per calendar day: Map<"YYYY-MM-DD", { present, total, slots: [{ slot, isPresent }] }>
+ */
+export const dailyStatus = (records = []) => {
+  const map = new Map();
+  records.forEach((r) => {
+    const d = recordDate(r);
+    if (!d) return;
+    const k = toDayKey(d);
+    if (!map.has(k)) map.set(k, { present: 0, total: 0, slots: [] });
+    const e = map.get(k);
+    e.total += 1;
+    if (r.isPresent) e.present += 1;
+    e.slots.push({ slot: r.slotNumber, isPresent: !!r.isPresent });
+  });
+  return map;
+};
+
+/**
+ * Percentage per class for one student's records.
+ * - labelFor(classId, record) -> display label
+ * Returns [{ classId, label, present, total, pct }] sorted by label.
+ */
+export const breakdownByClass = (records = [], labelFor) => {
+  const map = new Map();
+  records.forEach((r) => {
+    const id = recordClassId(r) || "unknown";
+    if (!map.has(id)) map.set(id, { classId: id, label: labelFor(id, r), present: 0, total: 0 });
+    const e = map.get(id);
+    e.total += 1;
+    if (r.isPresent) e.present += 1;
+  });
+  return Array.from(map.values())
+    .map((e) => ({ ...e, pct: pct(e.present, e.total) }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+};
+
+/**
+ * Pivot one day's records: one row per student, one cell per slot.
+ * - roster: optional class students ({ _id, name, enrollmentNumber }) so students
+ *   without any mark still get a row
+ * Returns { rows: [{ key, studentId, name, enrollmentNumber, cells: { [slot]: boolean } }],
+ *           recordedSlots: Set<number> }
+ */
+export const pivotBySlot = (records = [], roster = []) => {
+  const rows = new Map();
+  const recordedSlots = new Set();
+  const ensure = (key, info) => {
+    if (!rows.has(key)) rows.set(key, { key, cells: {}, ...info });
+    return rows.get(key);
+  };
+
+  (roster || []).forEach((s) => {
+    if (!s || typeof s !== "object") return;
+    ensure(String(s._id), { studentId: String(s._id), name: s.name ?? "", enrollmentNumber: s.enrollmentNumber ?? "" });
+  });
+
+  records.forEach((r) => {
+    const slot = Number(r.slotNumber);
+    if (!slot) return;
+    recordedSlots.add(slot);
+    const id = recordStudentId(r);
+    const byEnrollment = !id && Array.from(rows.values()).find((x) => x.enrollmentNumber === r.enrollmentNumber);
+    const row = byEnrollment
+      ? byEnrollment
+      : ensure(id || String(r.enrollmentNumber ?? r.studentName), {
+          studentId: id,
+          name: r.studentName,
+          enrollmentNumber: r.enrollmentNumber,
+        });
+    row.cells[slot] = !!r.isPresent;
+  });
+
+  return {
+    rows: Array.from(rows.values()).sort((a, b) =>
+      String(a.enrollmentNumber).localeCompare(String(b.enrollmentNumber), undefined, { numeric: true })
+    ),
+    recordedSlots,
+  };
+};
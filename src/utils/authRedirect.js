@@ -0,0 +1,24 @@
+// src/utils/authRedirect.js
+// Redirect-back-after-login. ProtectedRoute sends anonymous visitors to the
+// login page with the location they asked for in `state.from`; once they are
+// signed in they go back there instead of to the dashboard.
+
+const AUTH_PAGES = /^\/(hod\/(login|register)|professor\/login)(\/|$)/;
+
+/** "/path?query#hash" of a router location (or a path string) */
+const pathOf = (from) => {
+  if (typeof from === "string") return from;
+  if (!from || typeof from !== "object") return "";
+  return `${from.pathname || ""}${from.search || ""}${from.hash || ""}`;
+};
+
+/**
+ * Where to go after signing in, given the login page's location state.
+ * Only paths inside this app count, and never the login/register pages
+ * themselves; anything else falls back to `fallback`.
+ */
+export const afterLoginPath = (state, fallback = "/hod/dashboard") => {
+  const path = pathOf(state?.from);
+  if (!path.startsWith("/") || path.startsWith("//") || AUTH_PAGES.test(path)) return fallback;
+  return path;
+};
@@ -0,0 +1,18 @@
+import { describe, expect, it } from "vitest";
+import { afterLoginPath } from "./authRedirect";
+
+describe("afterLoginPath", () => {
+  it("returns the requested location with its query and hash", () => {
+    const from = { pathname: "/hod/students/42", search: "?tab=attendance", hash: "#june" };
+    expect(afterLoginPath({ from })).toBe("/hod/students/42?tab=attendance#june");
+    expect(afterLoginPath({ from: "/hod/classes" })).toBe("/hod/classes");
+  });
+
+  it("falls back to the dashboard without a usable location", () => {
+    expect(afterLoginPath(null)).toBe("/hod/dashboard");
+    expect(afterLoginPath({ from: "https://evil.example/phish" })).toBe("/hod/dashboard");
+    expect(afterLoginPath({ from: "//evil.example" })).toBe("/hod/dashboard");
+    expect(afterLoginPath({ from: { pathname: "/hod/login" } })).toBe("/hod/dashboard");
+    expect(afterLoginPath({ from: "/hod/register" }, "/home")).toBe("/home");
+  });
+});
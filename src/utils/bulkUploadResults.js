@@ -0,0 +1,124 @@
+// src/utils/bulkUploadResults.js
+// Turn the different bulk-upload summaries returned by the server into one
+// per-row report, and export the problem rows so they can be fixed and re-uploaded.
+import * as XLSX from "xlsx";
+import { IMPORT_SCHEMAS } from "./importSchemas";
+
+const REASON_KEYS = ["reason", "error", "message", "msg"];
+
+// Summary payload may arrive wrapped ({ success, data: {...} }) or bare
+const unwrap = (res) => {
+  if (res && typeof res === "object" && !Array.isArray(res) && res.data && typeof res.data === "object") {
+    return res.data;
+  }
+  return res || {};
+};
+
+const asList = (...candidates) => candidates.find((c) => Array.isArray(c)) || [];
+
+const asCount = (...candidates) => {
+  const n = candidates.find((c) => typeof c === "number");
+  return typeof n === "number" ? n : undefined;
+};
+
+const stripMeta = (row) => {
+  const { __row, ...rest } = row || {};
+  return rest;
+};
+
+// Server detail items look like { row, name, username, reason } or plain strings
+const detailToItem = (detail, status) => {
+  if (detail == null || typeof detail !== "object") {
+    return { status, data: {}, reason: detail == null ? "" : String(detail) };
+  }
+  const source = detail.data && typeof detail.data === "object" ? detail.data : detail;
+  const data = { ...source };
+  REASON_KEYS.forEach((k) => delete data[k]);
+  const reasonVal = REASON_KEYS.map((k) => detail[k]).find((v) => v != null && v !== "");
+  return {
+    status,
+    serverRow: detail.row ?? detail.rowNumber ?? detail.index,
+    data,
+    reason: typeof reasonVal === "object" ? JSON.stringify(reasonVal) : String(reasonVal ?? ""),
+  };
+};
+
+/**
+ * Normalize a bulk-upload response.
+ * - entity: "students" | "professors" | "classes"
+ * - rows: the cleaned rows that were uploaded (field-keyed, with `__row`)
+ * - rejected: rows left out by client-side validation [{ row, issues }]
+ * Returns { inserted: Item[], skipped: Item[], failed: Item[], note }
+ * where Item = { status, sheetRow, data, reason }.
+ */
+export const normalizeBulkUploadResult = (res, { entity, rows = [], rejected = [] } = {}) => {
+  const schema = IMPORT_SCHEMAS[entity];
+  const d = unwrap(res);
+
+  const insertedDetails = asList(d.insertedDetails, d.inserted, d.insertedRows, d.created);
+  const skippedDetails = asList(d.skippedDetails, d.skipped, d.skippedRows, d.duplicates);
+  const errorDetails = asList(d.errors, d.errorDetails, d.failed, d.failedRows);
+
+  const insertedCount = asCount(d.inserted, d.totalUploaded, d.insertedCount) ?? insertedDetails.length;
+  const skippedCount = asCount(d.skipped, d.totalSkipped, d.skippedCount) ?? skippedDetails.length;
+
+  // Match server details back to the uploaded rows by natural key to recover
+  // the original sheet line and every column value
+  const byKey = new Map(rows.map((r) => [schema.identity(r), r]));
+  const attach = (item) => {
+    const match = item.data && byKey.get(schema.identity(item.data));
+    return match
+      ? { ...item, sheetRow: match.__row, data: { ...item.data, ...stripMeta(match) } }
+      : item;
+  };
+
+  let inserted = insertedDetails.map((x) => attach(detailToItem(x, "inserted")));
+  const skipped = skippedDetails.map((x) => attach(detailToItem(x, "skipped")));
+  const failed = [
+    ...errorDetails.map((x) => attach(detailToItem(x, "failed"))),
+    ...rejected.map(({ row, issues }) => ({
+      status: "failed",
+      sheetRow: row.__row,
+      data: stripMeta(row),
+      reason: `Flagged in preview: ${issues.map((i) => i.message).join("; ")}`,
+    })),
+  ];
+
+  // Count-only summaries: when nothing was skipped or failed, every uploaded row went in
+  let note = "";
+  if (!insertedDetails.length && insertedCount && !skippedCount && !errorDetails.length && insertedCount === rows.length) {
+    inserted = rows.map((r) => ({ status: "inserted", sheetRow: r.__row, data: stripMeta(r), reason: "" }));
+  } else if (!insertedDetails.length && insertedCount) {
+    note = `The server reported ${insertedCount} inserted row(s) without per-row details.`;
+  }
+  if (!skippedDetails.length && skippedCount) {
+    note = `${note} The server reported ${skippedCount} skipped row(s) without per-row details.`.trim();
+  }
+
+  return { inserted, skipped, failed, insertedCount, skippedCount, note };
+};
+
+/**
+ * Write skipped + failed rows to an .xlsx that uses the import headers, with
+ * "status" and "problem" columns appended (ignored by the importer).
+ */
+export const exportProblemRows = (entity, result) => {
+  const { fields } = IMPORT_SCHEMAS[entity];
+  const problems = [...(result.failed || []), ...(result.skipped || [])];
+  const header = [...fields.map((f) => f.key), "status", "problem", "sheetRow"];
+  const aoa = [
+    header,
+    ...problems.map((p) => [
+      ...fields.map((f) => p.data?.[f.key] ?? ""),
+      p.status,
+      p.reason || "",
+      p.sheetRow ?? "",
+    ]),
+  ];
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  ws["!cols"] = header.map((h) => ({ wch: h === "problem" ? 50 : 18 }));
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Problems");
+  const stamp = new Date().toISOString().slice(0, 10);
+  XLSX.writeFile(wb, `${entity}_upload_problems_${stamp}.xlsx`);
+};
@@ -0,0 +1,53 @@
+// src/utils/dateRanges.js
+// Preset from/to ranges for the attendance date pickers. Values are local
+// YYYY-MM-DD strings, matching <input type="date">.
+import { toDayKey } from "./attendanceStats";
+
+const addDays = (d, n) => {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+};
+
+// Academic semesters: July–December (odd) and January–June (even)
+export const semesterBounds = (today = new Date()) => {
+  const y = today.getFullYear();
+  return today.getMonth() >= 6
+    ? { from: new Date(y, 6, 1), to: new Date(y, 11, 31) }
+    : { from: new Date(y, 0, 1), to: new Date(y, 5, 30) };
+};
+
+export const DATE_RANGE_PRESETS = [
+  {
+    key: "thisWeek",
+    label: "This week",
+    range: (today) => addDays(today, -((today.getDay() + 6) % 7)), // Monday
+  },
+  { key: "last7", label: "Last 7 days", range: (today) => addDays(today, -6) },
+  { key: "last30", label: "Last 30 days", range: (today) => addDays(today, -29) },
+  {
+    key: "thisMonth",
+    label: "This month",
+    range: (today) => new Date(today.getFullYear(), today.getMonth(), 1),
+  },
+  {
+    key: "thisSemester",
+    label: "This semester",
+    range: (today) => semesterBounds(today).from,
+  },
+];
+
+/**
+ * Resolve a preset key to { from, to } (YYYY-MM-DD). Ranges end today.
+ */
+export const resolvePreset = (key, today = new Date()) => {
+  const preset = DATE_RANGE_PRESETS.find((p) => p.key === key);
+  if (!preset) return null;
+  return { from: toDayKey(preset.range(today)), to: toDayKey(today) };
+};
+
+// "06/10/2025 – 19/10/2025" style label for headers and file names
+export const formatRange = (from, to) => {
+  const f = (v) => (v ? v.split("-").reverse().join("/") : "");
+  return `${from ? f(from) : "start"} – ${to ? f(to) : "today"}`;
+};
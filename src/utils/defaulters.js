@@ -0,0 +1,103 @@
+// src/utils/defaulters.js
+// Low-attendance ("defaulter") list: threshold setting, row building and the
+// formatted sheet the department publishes every month.
+import * as XLSX from "xlsx";
+import { lecturesShort, lecturesToRecover } from "./attendanceStats";
+
+const THRESHOLD_KEY = "defaulterThreshold";
+export const DEFAULT_THRESHOLD = 75;
+
+export const loadThreshold = () => {
+  const v = Number(localStorage.getItem(THRESHOLD_KEY));
+  return v > 0 && v <= 100 ? v : DEFAULT_THRESHOLD;
+};
+
+export const saveThreshold = (v) => {
+  localStorage.setItem(THRESHOLD_KEY, String(v));
+};
+
+/**
+ * Students below the threshold.
+ * - summaries: [{ cls, summary: [{ name, enrollmentNumber, totalClasses, presents, absents, percentage }] }]
+ * Returns rows sorted by class then lowest percentage first:
+ * { classLabel, studentId, name, enrollmentNumber, totalClasses, presents, absents, percentage, short, toRecover }
+ */
+export const findDefaulters = (summaries, threshold, labelOf) =>
+  summaries.flatMap(({ cls, summary }) =>
+    (summary || [])
+      .filter((s) => Number(s.totalClasses) > 0 && Number(s.percentage) < threshold)
+      .map((s) => {
+        const presents = Number(s.presents || 0);
+        const total = Number(s.totalClasses || 0);
+        return {
+          classLabel: labelOf(cls),
+          studentId: s.studentId,
+          name: s.name,
+          enrollmentNumber: s.enrollmentNumber,
+          totalClasses: total,
+          presents,
+          absents: Number(s.absents ?? total - presents),
+          percentage: Number(s.percentage || 0),
+          short: lecturesShort(presents, total, threshold),
+          toRecover: lecturesToRecover(presents, total, threshold),
+        };
+      })
+      .sort((a, b) => a.percentage - b.percentage)
+  );
+
+/**
+ * Write the defaulter sheet: title block (period, threshold, generated on),
+ * then one row per student with percentages stored as numbers.
+ */
+export const exportDefaulterSheet = (rows, { title, periodLabel, threshold, fileName }) => {
+  const headers = [
+    "Sr. No.",
+    "Class",
+    "Enrollment",
+    "Name",
+    "Lectures Held",
+    "Attended",
+    "Absent",
+    "Attendance %",
+    "Short By (lectures)",
+    "Must Attend Next",
+  ];
+  const aoa = [
+    [title],
+    [`Period: ${periodLabel}`],
+    [`Threshold: ${threshold}%  ·  Defaulters: ${rows.length}  ·  Generated: ${new Date().toLocaleDateString("en-GB")}`],
+    [],
+    headers,
+    ...rows.map((r, i) => [
+      i + 1,
+      r.classLabel,
+      String(r.enrollmentNumber ?? ""),
+      r.name,
+      r.totalClasses,
+      r.presents,
+      r.absents,
+      r.percentage / 100,
+      r.short,
+      Number.isFinite(r.toRecover) ? r.toRecover : "n/a",
+    ]),
+  ];
+
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  const headerRow = 4; // 0-based index of the header line
+  ws["!merges"] = [0, 1, 2].map((r) => ({ s: { r, c: 0 }, e: { r, c: headers.length - 1 } }));
+  ws["!cols"] = [6, 22, 16, 28, 13, 10, 10, 13, 18, 17].map((wch) => ({ wch }));
+  ws["!autofilter"] = {
+    ref: XLSX.utils.encode_range({ s: { r: headerRow, c: 0 }, e: { r: headerRow + rows.length, c: headers.length - 1 } }),
+  };
+
+  // percentage column as a real % number format
+  const pctCol = headers.indexOf("Attendance %");
+  for (let r = headerRow + 1; r <= headerRow + rows.length; r++) {
+    const cell = ws[XLSX.utils.encode_cell({ r, c: pctCol })];
+    if (cell) cell.z = "0.0%";
+  }
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Defaulters");
+  XLSX.writeFile(wb, fileName);
+};
@@ -0,0 +1,129 @@
+// src/utils/exporters.js
+// Directory exports (students / professors / classes) to .xlsx, .csv or .json.
+// Column definitions are plain { header, value(row) } objects so pages can
+// export exactly the filtered/sorted list they render.
+import * as XLSX from "xlsx";
+
+export const EXPORT_FORMATS = [
+  { key: "xlsx", label: "Excel (.xlsx)" },
+  { key: "csv", label: "CSV (.csv)" },
+  { key: "json", label: "JSON (.json)" },
+];
+
+const idOf = (x) => String(x?._id ?? x ?? "");
+
+export const classLabel = (c) =>
+  [c?.classId, c?.className ? `${c.className}${c.division ? ` (${c.division})` : ""}` : ""]
+    .filter(Boolean)
+    .join(" - ");
+
+/**
+ * Index populated classes (from getClasses) by member id.
+ * Returns { studentClasses: Map<id, class[]>, professorClasses: Map<id, class[]> }
+ */
+export const indexClassMembers = (classes = []) => {
+  const studentClasses = new Map();
+  const professorClasses = new Map();
+  const add = (map, id, cls) => {
+    if (!id) return;
+    if (!map.has(id)) map.set(id, []);
+    map.get(id).push(cls);
+  };
+  (classes || []).forEach((cls) => {
+    (cls.students || []).forEach((s) => add(studentClasses, idOf(s), cls));
+    (cls.professors || []).forEach((p) => add(professorClasses, idOf(p), cls));
+  });
+  return { studentClasses, professorClasses };
+};
+
+const joinLabels = (list) => (list || []).map(classLabel).join("; ");
+
+export const studentExportColumns = ({ studentClasses } = {}) => [
+  { header: "Enrollment", value: (s) => s.enrollmentNumber ?? "" },
+  { header: "Name", value: (s) => s.name ?? "" },
+  { header: "Semester", value: (s) => (s.semester === "" || s.semester == null ? "" : Number(s.semester)) },
+  { header: "Division", value: (s) => s.division ?? "" },
+  { header: "Assigned Classes", value: (s) => joinLabels(studentClasses?.get(idOf(s))) },
+  { header: "Class Count", value: (s) => studentClasses?.get(idOf(s))?.length ?? 0 },
+  { header: "ID", value: (s) => idOf(s) },
+];
+
+export const professorExportColumns = ({ professorClasses } = {}) => [
+  { header: "Name", value: (p) => p.name ?? "" },
+  { header: "Username", value: (p) => p.username ?? "" },
+  { header: "Assigned Classes", value: (p) => joinLabels(professorClasses?.get(idOf(p))) },
+  { header: "Class Count", value: (p) => professorClasses?.get(idOf(p))?.length ?? 0 },
+  { header: "ID", value: (p) => idOf(p) },
+];
+
+const memberNames = (list) =>
+  (list || [])
+    .map((m) => (typeof m === "object" ? m.name || m.username || m.enrollmentNumber || idOf(m) : idOf(m)))
+    .join("; ");
+
+export const classExportColumns = () => [
+  { header: "Class ID", value: (c) => c.classId ?? "" },
+  { header: "Class Name", value: (c) => c.className ?? "" },
+  { header: "Division", value: (c) => c.division ?? "" },
+  { header: "Students", value: (c) => c.students?.length ?? 0 },
+  { header: "Professors", value: (c) => memberNames(c.professors) },
+  { header: "Professor Count", value: (c) => c.professors?.length ?? 0 },
+  { header: "ID", value: (c) => idOf(c) },
+];
+
+/**
+ * Rows for an export scope. "selected" keeps the on-screen order for selected
+ * rows that pass the filters and appends selected rows hidden by them.
+ */
+export const pickExportRows = (filtered, all, selectedIds, scope) => {
+  if (scope !== "selected") return filtered;
+  const shown = new Set(filtered.map(idOf));
+  return [...filtered, ...(all || []).filter((r) => !shown.has(idOf(r)))].filter((r) =>
+    selectedIds.has(idOf(r))
+  );
+};
+
+const downloadBlob = (content, type, fileName) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Write rows using column definitions.
+ * - format: "xlsx" | "csv" | "json"
+ * - baseName: file name without extension (a date stamp is appended)
+ */
+export const exportRows = (rows, columns, { format = "xlsx", baseName = "export", sheetName = "Sheet1" } = {}) => {
+  const headers = columns.map((c) => c.header);
+  const stamp = new Date().toISOString().slice(0, 10);
+  const fileName = `${baseName}_${stamp}.${format}`;
+
+  if (format === "json") {
+    const data = rows.map((r) => Object.fromEntries(columns.map((c) => [c.header, c.value(r)])));
+    downloadBlob(JSON.stringify(data, null, 2), "application/json", fileName);
+    return;
+  }
+
+  const aoa = [headers, ...rows.map((r) => columns.map((c) => c.value(r)))];
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+
+  if (format === "csv") {
+    // BOM so Excel opens UTF-8 names correctly
+    downloadBlob("\uFEFF" + XLSX.utils.sheet_to_csv(ws), "text/csv;charset=utf-8", fileName);
+    return;
+  }
+
+  ws["!cols"] = headers.map((h, i) => ({
+    wch: Math.min(60, aoa.reduce((w, r) => Math.max(w, String(r[i] ?? "").length), h.length) + 2),
+  }));
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, sheetName);
+  XLSX.writeFile(wb, fileName);
+};
@@ -0,0 +1,43 @@
+// src/utils/importMappings.js
+// Column mappings the HOD confirmed in the import wizard, remembered per
+// entity type (students / professors / classes) in localStorage.
+
+const storageKey = (entity) => `importMapping:${entity}`;
+
+/** Returns { mapping: { [fieldKey]: header }, savedAt } or null */
+export const loadSavedMapping = (entity) => {
+  try {
+    const raw = localStorage.getItem(storageKey(entity));
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveMapping = (entity, mapping) => {
+  try {
+    localStorage.setItem(
+      storageKey(entity),
+      JSON.stringify({ mapping, savedAt: new Date().toISOString() })
+    );
+  } catch (err) {
+    console.warn("Could not save import mapping", err);
+  }
+};
+
+export const clearSavedMapping = (entity) => localStorage.removeItem(storageKey(entity));
+
+/**
+ * A saved mapping can be reused as-is when every header it points at is
+ * present in the new file and all required fields are covered.
+ */
+export const savedMappingFits = (saved, headers, fields) => {
+  const mapping = saved?.mapping;
+  if (!mapping) return false;
+  const present = new Set(headers);
+  const mappedOk = Object.values(mapping)
+    .filter(Boolean)
+    .every((h) => present.has(h));
+  const requiredOk = fields.filter((f) => f.required).every((f) => mapping[f.key]);
+  return mappedOk && requiredOk;
+};
@@ -0,0 +1,240 @@
+// src/utils/importSchemas.js
+// Column definitions for the bulk-upload sheets. The aliases mirror the
+// headers documented in each page's "file format requirements" panel (and
+// accepted by the server), compared case- and punctuation-insensitively.
+
+export const normalizeHeader = (h) =>
+  String(h ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+export const STUDENT_IMPORT_FIELDS = [
+  {
+    key: "enrollmentNumber",
+    label: "Enrollment",
+    required: true,
+    aliases: ["enrollmentNumber", "enrollment", "enrollmentNo", "enrollNumber", "roll", "rollNumber", "id"],
+    sample: "2024CS001",
+    hint: "Unique per student. Kept as text, so leading zeros are preserved.",
+  },
+  {
+    key: "name",
+    label: "Name",
+    required: true,
+    aliases: ["name", "studentName", "fullName", "student"],
+    sample: "John Doe",
+    hint: "Student's full name.",
+  },
+  {
+    key: "semester",
+    label: "Semester",
+    required: true,
+    aliases: ["semester", "sem", "classSemester"],
+    sample: 3,
+    hint: "Whole number from 1 to 8.",
+  },
+  {
+    key: "division",
+    label: "Division",
+    required: false,
+    aliases: ["division", "div", "section"],
+    sample: "A",
+    hint: "Section letter, e.g. A or B. Leave blank if not used.",
+  },
+];
+
+export const PROFESSOR_IMPORT_FIELDS = [
+  {
+    key: "name",
+    label: "Name",
+    required: true,
+    aliases: ["name", "professorName", "profName"],
+    sample: "Dr. Asha Mehta",
+    hint: "Professor's full name.",
+  },
+  {
+    key: "username",
+    label: "Username",
+    required: true,
+    aliases: ["username", "user", "login"],
+    sample: "asha.mehta",
+    hint: "Unique login ID; must not already exist.",
+  },
+  {
+    key: "password",
+    label: "Password",
+    required: false,
+    aliases: ["password", "pass"],
+    sample: "Temp@1234",
+    hint: "Optional. Blank means the default password Temp@1234.",
+  },
+];
+
+export const CLASS_IMPORT_FIELDS = [
+  {
+    key: "className",
+    label: "Class Name",
+    required: true,
+    aliases: ["className", "class", "name"],
+    sample: "BSc IT",
+    hint: "Name of the class, e.g. BSc Computer Science.",
+  },
+  {
+    key: "division",
+    label: "Division",
+    required: true,
+    aliases: ["division", "section", "div"],
+    sample: "A",
+    hint: "Division/section. Class name + division must be unique.",
+  },
+];
+
+// Shared helper: count lower-cased keys so in-file duplicates can be flagged
+const countKeys = (rows, keyOf) => {
+  const counts = new Map();
+  rows.forEach((r) => {
+    const k = keyOf(r);
+    if (k) counts.set(k, (counts.get(k) || 0) + 1);
+  });
+  return counts;
+};
+
+const toKeySet = (values) =>
+  new Set(Array.from(values || [], (v) => String(v).trim().toLowerCase()));
+
+/**
+ * Validate parsed student rows before upload.
+ * - rows: [{ enrollmentNumber, name, semester, division }]
+ * - existingEnrollments: iterable of enrollment numbers already on the server
+ * Returns an array (same order as rows) of issue lists: [{ field, message }]
+ */
+export const validateStudentRows = (rows, existingEnrollments = []) => {
+  const existing = toKeySet(existingEnrollments);
+  const counts = countKeys(rows, (r) => String(r.enrollmentNumber || "").trim().toLowerCase());
+
+  return rows.map((r) => {
+    const issues = [];
+    const enroll = String(r.enrollmentNumber || "").trim();
+    const sem = String(r.semester ?? "").trim();
+
+    if (!String(r.name || "").trim()) {
+      issues.push({ field: "name", message: "Name is missing" });
+    }
+
+    if (!enroll) {
+      issues.push({ field: "enrollmentNumber", message: "Enrollment number is missing" });
+    } else if (counts.get(enroll.toLowerCase()) > 1) {
+      issues.push({ field: "enrollmentNumber", message: "Duplicate enrollment in this file" });
+    } else if (existing.has(enroll.toLowerCase())) {
+      issues.push({ field: "enrollmentNumber", message: "Enrollment already exists" });
+    }
+
+    if (!sem) {
+      issues.push({ field: "semester", message: "Semester is missing" });
+    } else if (!/^\d+$/.test(sem)) {
+      issues.push({ field: "semester", message: "Semester must be a number" });
+    }
+
+    return issues;
+  });
+};
+
+/**
+ * Validate parsed professor rows (name + unique username).
+ */
+export const validateProfessorRows = (rows, existingUsernames = []) => {
+  const existing = toKeySet(existingUsernames);
+  const counts = countKeys(rows, (r) => String(r.username || "").trim().toLowerCase());
+
+  return rows.map((r) => {
+    const issues = [];
+    const username = String(r.username || "").trim();
+
+    if (!String(r.name || "").trim()) {
+      issues.push({ field: "name", message: "Name is missing" });
+    }
+    if (!username) {
+      issues.push({ field: "username", message: "Username is missing" });
+    } else if (counts.get(username.toLowerCase()) > 1) {
+      issues.push({ field: "username", message: "Duplicate username in this file" });
+    } else if (existing.has(username.toLowerCase())) {
+      issues.push({ field: "username", message: "Username already exists" });
+    }
+    return issues;
+  });
+};
+
+const classKey = (className, division) =>
+  `${String(className || "").trim()}|${String(division || "").trim()}`.toLowerCase();
+
+/**
+ * Validate parsed class rows (className + division pair must be unique).
+ * - existingClasses: [{ className, division }]
+ */
+export const validateClassRows = (rows, existingClasses = []) => {
+  const existing = new Set((existingClasses || []).map((c) => classKey(c.className, c.division)));
+  const counts = countKeys(rows, (r) =>
+    String(r.className || "").trim() && String(r.division || "").trim()
+      ? classKey(r.className, r.division)
+      : ""
+  );
+
+  return rows.map((r) => {
+    const issues = [];
+    if (!String(r.className || "").trim()) {
+      issues.push({ field: "className", message: "Class name is missing" });
+    }
+    if (!String(r.division || "").trim()) {
+      issues.push({ field: "division", message: "Division is missing" });
+    }
+    if (!issues.length) {
+      const k = classKey(r.className, r.division);
+      if (counts.get(k) > 1) {
+        issues.push({ field: "className", message: "Duplicate class + division in this file" });
+      } else if (existing.has(k)) {
+        issues.push({ field: "className", message: "Class already exists" });
+      }
+    }
+    return issues;
+  });
+};
+
+/**
+ * Per-entity import configuration used by the import wizard.
+ * - `validate(rows, records)` receives the entity list currently loaded on the page
+ * - `identity(row)` is the natural key used to match server results back to rows
+ */
+export const IMPORT_SCHEMAS = {
+  students: {
+    label: "Students",
+    fields: STUDENT_IMPORT_FIELDS,
+    notes: [
+      "Each row represents one student.",
+      "Duplicate enrollment numbers under the same HOD are skipped.",
+    ],
+    identity: (r) => String(r.enrollmentNumber || "").trim().toLowerCase(),
+    validate: (rows, records = []) =>
+      validateStudentRows(rows, records.map((s) => s.enrollmentNumber).filter(Boolean)),
+  },
+  professors: {
+    label: "Professors",
+    fields: PROFESSOR_IMPORT_FIELDS,
+    notes: [
+      "Each row represents one professor. Empty rows are skipped.",
+      "If password is omitted or blank, the default password is Temp@1234.",
+    ],
+    identity: (r) => String(r.username || "").trim().toLowerCase(),
+    validate: (rows, records = []) =>
+      validateProfessorRows(rows, records.map((p) => p.username).filter(Boolean)),
+  },
+  classes: {
+    label: "Classes",
+    fields: CLASS_IMPORT_FIELDS,
+    notes: [
+      "Each row represents one class–division pair (e.g. BSc IT + A creates \"BSc IT - A\").",
+      "Classes that already exist (same class name + division) are skipped.",
+    ],
+    identity: (r) => classKey(r.className, r.division),
+    validate: (rows, records = []) => validateClassRows(rows, records),
+  },
+};
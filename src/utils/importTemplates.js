@@ -0,0 +1,65 @@
+// src/utils/importTemplates.js
+// Build downloadable .xlsx import templates straight from IMPORT_SCHEMAS, so
+// the template, the helper panels and the import wizard never drift apart.
+import * as XLSX from "xlsx";
+import { IMPORT_SCHEMAS } from "./importSchemas";
+
+/**
+ * Create the template workbook for an entity:
+ * - sheet 1: headers + one sample row, with each header carrying a comment
+ *   describing the allowed values (e.g. semester 1–8)
+ * - sheet 2 ("Instructions"): one line per column plus general notes
+ */
+export const buildImportTemplate = (entity) => {
+  const schema = IMPORT_SCHEMAS[entity];
+  if (!schema) throw new Error(`Unknown import entity: ${entity}`);
+  const { fields, label, notes = [] } = schema;
+
+  const ws = XLSX.utils.aoa_to_sheet([
+    fields.map((f) => f.key),
+    fields.map((f) => f.sample ?? ""),
+  ]);
+  ws["!cols"] = fields.map((f) => ({ wch: Math.max(f.key.length, String(f.sample ?? "").length) + 4 }));
+
+  // Keep text-like samples (enrollment numbers, usernames) as text cells
+  fields.forEach((f, c) => {
+    const ref = XLSX.utils.encode_cell({ r: 1, c });
+    if (ws[ref] && typeof f.sample === "string") ws[ref].z = "@";
+
+    const head = ws[XLSX.utils.encode_cell({ r: 0, c })];
+    if (head && f.hint) {
+      head.c = [{ a: "Attendance System", t: `${f.required ? "Required" : "Optional"}. ${f.hint}` }];
+      head.c.hidden = true;
+    }
+  });
+
+  const instructions = [
+    [`${label} import template`],
+    [],
+    ["Column", "Required", "Allowed values", "Example", "Also accepted headers"],
+    ...fields.map((f) => [
+      f.key,
+      f.required ? "Yes" : "No",
+      f.hint || "",
+      f.sample ?? "",
+      f.aliases.filter((a) => a !== f.key).join(", "),
+    ]),
+    [],
+    ["Notes"],
+    ["Column headers are case-insensitive; other headers can be mapped in the import wizard."],
+    ["Delete the sample row before uploading."],
+    ...notes.map((n) => [n]),
+  ];
+  const wsHelp = XLSX.utils.aoa_to_sheet(instructions);
+  wsHelp["!cols"] = [{ wch: 20 }, { wch: 10 }, { wch: 60 }, { wch: 16 }, { wch: 50 }];
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, label);
+  XLSX.utils.book_append_sheet(wb, wsHelp, "Instructions");
+  return wb;
+};
+
+export const downloadImportTemplate = (entity) => {
+  const wb = buildImportTemplate(entity);
+  XLSX.writeFile(wb, `${entity}_import_template.xlsx`);
+};
@@ -0,0 +1,82 @@
+// src/utils/leaves.js
+// Approved leave (services/api getLeaves) applied to attendance: absences on a
+// leave day are "excused". Summaries list them separately and, when the HOD
+// chooses, leave them out of the percentage.
+import { pct, recordDate, recordStudentId, toDayKey } from "./attendanceStats";
+
+export const LEAVE_TYPES = [
+  { value: "medical", label: "Medical", badge: "bg-rose-100 text-rose-700" },
+  { value: "personal", label: "Personal", badge: "bg-sky-100 text-sky-700" },
+  { value: "official", label: "Official duty", badge: "bg-amber-100 text-amber-800" },
+  { value: "other", label: "Other", badge: "bg-gray-100 text-gray-700" },
+];
+
+export const leaveType = (value) => LEAVE_TYPES.find((t) => t.value === value) || LEAVE_TYPES.at(-1);
+
+/** Days covered by a leave, both ends included */
+export const leaveDays = ({ from, to }) => {
+  const a = recordDate({ date: from });
+  const b = recordDate({ date: to || from });
+  return a && b ? Math.round((b - a) / 86400000) + 1 : 0;
+};
+
+const EXCLUDE_KEY = "excludeExcusedAbsences";
+
+/** Whether percentages leave out excused absences (remembered per browser) */
+export const loadExcludeExcused = () => localStorage.getItem(EXCLUDE_KEY) === "true";
+
+export const saveExcludeExcused = (on) => {
+  localStorage.setItem(EXCLUDE_KEY, String(Boolean(on)));
+};
+
+/** (studentId, "YYYY-MM-DD") -> the leave covering that day, or null */
+export const leaveLookup = (leaves = []) => {
+  const byStudent = new Map();
+  leaves.forEach((l) => byStudent.set(l.studentId, [...(byStudent.get(l.studentId) || []), l]));
+  return (studentId, day) => (byStudent.get(studentId) || []).find((l) => l.from <= day && day <= l.to) || null;
+};
+
+/**
+ * Flag absent records that fall on a leave day: `excused: true` plus the
+ * `leave` itself. Present records and other absences come back unchanged.
+ */
+export const markExcused = (records = [], leaves = []) => {
+  if (!leaves.length) return records;
+  const onLeave = leaveLookup(leaves);
+  return records.map((r) => {
+    const d = recordDate(r);
+    const leave = !r.isPresent && d ? onLeave(recordStudentId(r), toDayKey(d)) : null;
+    return leave ? { ...r, excused: true, leave } : r;
+  });
+};
+
+/**
+ * Summary rows ({ totalClasses, presents, excused }) with the percentage
+ * taken over the lectures that count: all of them, or without the excused
+ * absences when `exclude` is on.
+ */
+export const applyExcused = (rows = [], { exclude = false } = {}) =>
+  rows.map((r) => {
+    const excused = Number(r.excused || 0);
+    if (!exclude || !excused) return r;
+    return { ...r, percentage: pct(Number(r.presents || 0), Number(r.totalClasses || 0) - excused) };
+  });
+
+/**
+ * Summary rows as if the excused lectures were never held: totals, absences
+ * and percentage all leave them out. Used where the row feeds further maths
+ * (defaulters: lectures short, lectures to recover).
+ */
+export const withoutExcused = (rows = []) =>
+  rows.map((r) => {
+    const excused = Number(r.excused || 0);
+    if (!excused) return r;
+    const totalClasses = Number(r.totalClasses || 0) - excused;
+    return {
+      ...r,
+      totalClasses,
+      absents: Number(r.absents || 0) - excused,
+      excused: 0,
+      percentage: pct(Number(r.presents || 0), totalClasses),
+    };
+  });
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { applyExcused, markExcused, withoutExcused } from "./leaves";
+
+const leave = { _id: "l1", studentId: "s1", from: "2024-03-04", to: "2024-03-05", type: "medical" };
+
+describe("markExcused", () => {
+  it("flags only absences that fall on the student's leave days", () => {
+    const records = [
+      { studentId: "s1", date: "2024-03-04", isPresent: false },
+      { studentId: "s1", date: "2024-03-05", isPresent: true },
+      { studentId: "s1", date: "2024-03-06", isPresent: false },
+      { studentId: "s2", date: "2024-03-04", isPresent: false },
+    ];
+    const [onLeave, present, afterLeave, otherStudent] = markExcused(records, [leave]);
+
+    expect(onLeave).toEqual({ ...records[0], excused: true, leave });
+    expect(present).toBe(records[1]);
+    expect(afterLeave).toBe(records[2]);
+    expect(otherStudent).toBe(records[3]);
+  });
+
+  it("returns the records untouched without leaves", () => {
+    const records = [{ studentId: "s1", date: "2024-03-04", isPresent: false }];
+    expect(markExcused(records, [])).toBe(records);
+  });
+});
+
+describe("applyExcused", () => {
+  const row = { studentId: "s1", totalClasses: 10, presents: 6, absents: 4, excused: 2, percentage: 60 };
+
+  it("keeps every lecture in the percentage by default", () => {
+    expect(applyExcused([row])).toEqual([row]);
+  });
+
+  it("leaves excused absences out of the percentage when asked", () => {
+    expect(applyExcused([row], { exclude: true })).toEqual([{ ...row, percentage: 75 }]);
+    const none = { ...row, excused: 0 };
+    expect(applyExcused([none], { exclude: true })[0]).toBe(none);
+  });
+});
+
+describe("withoutExcused", () => {
+  it("drops the excused lectures from totals, absences and percentage", () => {
+    const row = { studentId: "s1", totalClasses: 10, presents: 6, absents: 4, excused: 2, percentage: 60 };
+    expect(withoutExcused([row])).toEqual([{ ...row, totalClasses: 8, absents: 2, excused: 0, percentage: 75 }]);
+  });
+
+  it("gives 0% when every lecture was excused", () => {
+    const row = { totalClasses: 2, presents: 0, absents: 2, excused: 2, percentage: 0 };
+    expect(withoutExcused([row])[0]).toMatchObject({ totalClasses: 0, absents: 0, percentage: 0 });
+  });
+});
@@ -0,0 +1,19 @@
+// src/utils/mapLimit.js
+// Run async jobs a few at a time so per-class fan-out doesn't flood the API.
+
+/**
+ * Like Promise.all(items.map(fn)) but with at most `limit` calls in flight.
+ * Results keep the input order.
+ */
+export const mapLimit = async (items, limit, fn) => {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+};
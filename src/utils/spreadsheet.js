@@ -0,0 +1,115 @@
+// src/utils/spreadsheet.js
+// Browser-side helpers around the `xlsx` library for reading upload sheets
+// and re-packing cleaned rows into a file the bulk-upload endpoints accept.
+import * as XLSX from "xlsx";
+import { normalizeHeader } from "./importSchemas";
+
+/**
+ * Read the first sheet of an .xlsx / .xls / .csv File.
+ * Returns { headers: string[], rows: object[] } where each row is keyed by the
+ * raw header text plus `__row` (its line number in the sheet). Empty rows are
+ * dropped.
+ */
+export const readSpreadsheet = async (file) => {
+  const buf = await file.arrayBuffer();
+  const wb = XLSX.read(buf, { type: "array" });
+  const sheetName = wb.SheetNames[0];
+  if (!sheetName) return { headers: [], rows: [] };
+
+  const ws = wb.Sheets[sheetName];
+  const aoa = XLSX.utils.sheet_to_json(ws, { header: 1, defval: "", raw: false });
+  const headers = (aoa[0] || []).map((h) => String(h).trim());
+
+  const rows = aoa
+    .map((line, i) => ({ line, lineNo: i + 1 }))
+    .slice(1)
+    .filter(({ line }) => line.some((v) => String(v).trim() !== ""))
+    .map(({ line, lineNo }) => {
+      const obj = { __row: lineNo };
+      headers.forEach((h, i) => {
+        if (h) obj[h] = line[i] ?? "";
+      });
+      return obj;
+    });
+
+  return { headers, rows };
+};
+
+/**
+ * Find which sheet header feeds each field using the field aliases.
+ * Returns { [fieldKey]: header | undefined }
+ */
+export const resolveHeaders = (headers, fields) => {
+  const byNormalized = new Map(headers.map((h) => [normalizeHeader(h), h]));
+  const mapping = {};
+  fields.forEach((f) => {
+    const hit = f.aliases.map(normalizeHeader).find((a) => byNormalized.has(a));
+    mapping[f.key] = hit ? byNormalized.get(hit) : undefined;
+  });
+  return mapping;
+};
+
+/**
+ * Suggest a header for every field: exact alias matches first, then the
+ * closest partial match (e.g. "Roll No." -> enrollmentNumber via "roll",
+ * "Faculty Login" -> username via "login"). A header is used at most once.
+ */
+export const suggestMapping = (headers, fields) => {
+  const mapping = resolveHeaders(headers, fields);
+  const used = new Set(Object.values(mapping).filter(Boolean));
+
+  fields.forEach((f) => {
+    if (mapping[f.key]) return;
+    // very short aliases ("id", "div") would match almost anything
+    const aliases = f.aliases.map(normalizeHeader).filter((a) => a.length >= 3);
+    let best;
+    let bestLen = 0;
+    headers.forEach((h) => {
+      const n = normalizeHeader(h);
+      if (!n || used.has(h)) return;
+      aliases.forEach((a) => {
+        const hit = n.includes(a) || (n.length >= 3 && a.includes(n));
+        if (hit && a.length > bestLen) {
+          best = h;
+          bestLen = a.length;
+        }
+      });
+    });
+    if (best) {
+      mapping[f.key] = best;
+      used.add(best);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Convert raw sheet rows into field-keyed rows using a header mapping.
+ * `__row` carries over the original sheet line number.
+ */
+export const applyMapping = (rows, mapping, fields) =>
+  rows.map((r, i) => {
+    const out = { __row: r.__row ?? i + 2 };
+    fields.forEach((f) => {
+      const h = mapping[f.key];
+      out[f.key] = h ? String(r[h] ?? "").trim() : "";
+    });
+    return out;
+  });
+
+/**
+ * Pack field-keyed rows back into an .xlsx File (headers = field keys) so the
+ * existing multipart bulk-upload endpoints can consume them.
+ */
+export const rowsToXlsxFile = (rows, fields, fileName = "upload.xlsx") => {
+  const header = fields.map((f) => f.key);
+  const aoa = [header, ...rows.map((r) => header.map((k) => r[k] ?? ""))];
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Sheet1");
+  const out = XLSX.write(wb, { bookType: "xlsx", type: "array" });
+  return new File([out], fileName.replace(/\.(xls|csv)$/i, ".xlsx"), {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+};
@@ -0,0 +1,21 @@
+// src/utils/timetable.js
+// Lecture slots per day. The backend only knows slot numbers, so the expected
+// count is a per-browser setting used to spot slots nobody recorded.
+
+const SLOTS_KEY = "slotsPerDay";
+export const DEFAULT_SLOTS_PER_DAY = 6;
+
+export const loadSlotsPerDay = () => {
+  const n = Number(localStorage.getItem(SLOTS_KEY));
+  return Number.isInteger(n) && n > 0 && n <= 12 ? n : DEFAULT_SLOTS_PER_DAY;
+};
+
+export const saveSlotsPerDay = (n) => {
+  localStorage.setItem(SLOTS_KEY, String(n));
+};
+
+// 1..n, plus any higher slot numbers that actually appear in the data
+export const slotList = (slotsPerDay, recordedSlots = []) => {
+  const max = Math.max(slotsPerDay, ...Array.from(recordedSlots, Number).filter(Boolean));
+  return Array.from({ length: max }, (_, i) => i + 1);
+};
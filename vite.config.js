@@ -7,4 +7,10 @@ export default defineConfig({
     react(),
     tailwindcss(),
   ],
+  test: {
+    environment: 'jsdom',
+    env: { VITE_USE_MOCK_API: 'true' },
+    restoreMocks: true,
+    setupFiles: './src/test/setup.js',
+  },
 })